@@ -12,6 +12,19 @@ import {
 import { syncEngine } from '../shared/sync-engine.js';
 import { authService } from '../shared/auth/auth-service.js';
 import { errorHandler, ErrorCategory, ErrorSeverity, withErrorHandling } from '../shared/error-handler.js';
+import { encryptionService } from '../shared/encryption.js';
+import { liveSyncMonitor, DEFAULT_QUIET_PERIOD } from '../shared/live-sync.js';
+import { syncScheduler, IDLE_DETECTION_SECONDS } from '../shared/sync-scheduler.js';
+import { sessionService } from '../shared/session-service.js';
+import { timeMachine } from '../shared/time-machine.js';
+import { sendToDevice, INBOX_POLL_ALARM } from '../shared/send-to-device.js';
+import { deviceRegistry } from '../shared/device-registry.js';
+import { syncRulesService } from '../shared/sync-rules.js';
+import { redactionService } from '../shared/redaction.js';
+import { bookmarkService } from '../shared/bookmarks.js';
+import { tabFormatService } from '../shared/tab-formats.js';
+import { storageService } from '../shared/storage/storage-service.js';
+import { saveGitHubServer } from '../shared/auth/github-server.js';
 
 console.log('Tab Sync Extension background service worker loaded');
 
@@ -504,153 +517,7 @@ async function getShortcutInfo() {
   }
 }
 
-// Handle messages from popup and options pages
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  log('info', 'Background received message', { action: request.action });
-  
-  // Handle async operations
-  handleMessage(request, sender)
-    .then(response => sendResponse(response))
-    .catch(error => {
-      log('error', 'Message handler failed', { 
-        action: request.action, 
-        error: error.message 
-      });
-      sendResponse(createError(error.message, 'MESSAGE_HANDLER_ERROR'));
-    });
-  
-  return true; // Keep message channel open for async response
-});
-
-// Async message handler
-async function handleMessage(request, sender) {
-  switch (request.action) {
-    case 'getAuthStatus':
-      return await getAuthStatus();
-      
-    case 'getDeviceInfo':
-      return await getDeviceInfo();
-      
-    case 'triggerSync':
-      return await triggerSync();
-      
-    case 'updateDeviceName':
-      return await updateDeviceName(request.deviceName);
-      
-    case 'getSyncHistory':
-      return await getSyncHistory();
-      
-    default:
-      throw new Error(`Unknown action: ${request.action}`);
-  }
-}
-
-// Get authentication status
-async function getAuthStatus() {
-  try {
-    const storage = await chrome.storage.local.get([
-      'isAuthenticated', 
-      'authProvider', 
-      'lastSyncTime',
-      'syncCount'
-    ]);
-    
-    return {
-      authenticated: storage.isAuthenticated || false,
-      provider: storage.authProvider || null,
-      lastSync: storage.lastSyncTime || null,
-      syncCount: storage.syncCount || 0,
-      lastSyncFormatted: formatTimestamp(storage.lastSyncTime)
-    };
-  } catch (error) {
-    throw new Error(`Failed to get auth status: ${error.message}`);
-  }
-}
-
-// Get device information
-async function getDeviceInfo() {
-  try {
-    const storage = await chrome.storage.local.get([
-      'deviceId', 
-      'deviceMetadata', 
-      'deviceName'
-    ]);
-    
-    // Refresh device metadata
-    const currentMetadata = await getDeviceMetadata();
-    
-    return {
-      deviceId: storage.deviceId,
-      deviceName: storage.deviceName || currentMetadata.deviceName,
-      metadata: currentMetadata,
-      storedMetadata: storage.deviceMetadata
-    };
-  } catch (error) {
-    throw new Error(`Failed to get device info: ${error.message}`);
-  }
-}
-
-// Trigger sync operation
-async function triggerSync() {
-  try {
-    // Check authentication
-    const authStatus = await getAuthStatus();
-    if (!authStatus.authenticated) {
-      throw new Error('Not authenticated');
-    }
-    
-    // TODO: Implement actual sync logic
-    await handleSyncTrigger();
-    
-    return { 
-      success: true, 
-      timestamp: Date.now(),
-      message: 'Sync completed successfully (placeholder)'
-    };
-  } catch (error) {
-    throw new Error(`Sync failed: ${error.message}`);
-  }
-}
-
-// Update device name
-async function updateDeviceName(newName) {
-  try {
-    if (!newName || typeof newName !== 'string') {
-      throw new Error('Invalid device name');
-    }
-    
-    await chrome.storage.local.set({ 
-      deviceName: newName.trim(),
-      deviceNameUpdated: Date.now()
-    });
-    
-    log('info', 'Device name updated', { newName: newName.trim() });
-    
-    return { 
-      success: true, 
-      deviceName: newName.trim() 
-    };
-  } catch (error) {
-    throw new Error(`Failed to update device name: ${error.message}`);
-  }
-}
-
-// Get sync history
-async function getSyncHistory() {
-  try {
-    const storage = await chrome.storage.local.get(['syncHistory']);
-    const history = storage.syncHistory || [];
-    
-    return {
-      history: history.slice(-50), // Return last 50 entries
-      total: history.length
-    };
-  } catch (error) {
-    throw new Error(`Failed to get sync history: ${error.message}`);
-  }
-}
-/
-/ Background sync coordination and queue management
+// Background sync coordination and queue management
 let syncQueue = [];
 let syncQueueProcessing = false;
 let syncProgressCallbacks = new Set();
@@ -811,17 +678,27 @@ async function processSyncQueue() {
 async function executeSyncOperation(operation) {
   try {
     switch (operation.type) {
-      case 'full_sync':
-        return await syncEngine.triggerSync({
+      case 'full_sync': {
+        const result = await syncEngine.triggerSync({
           direction: operation.direction || 'bidirectional',
           forceOverwrite: operation.forceOverwrite || false,
-          dryRun: operation.dryRun || false
+          dryRun: operation.dryRun || false,
+          trigger: operation.source
         });
         
+        // Tabs sent from other devices are picked up with every full sync
+        if (!operation.dryRun) {
+          await receiveDeliveries();
+        }
+        return result;
+      }
+        
       case 'upload_only':
         return await syncEngine.triggerSync({
           direction: 'upload',
-          forceOverwrite: operation.forceOverwrite || false
+          forceOverwrite: operation.forceOverwrite || false,
+          trigger: operation.source,
+          metadata: operation.metadata
         });
         
       case 'download_only':
@@ -1025,44 +902,186 @@ async function retryFailedSyncs() {
   }
 }
 
-// Schedule periodic sync (if enabled)
-async function schedulePeriodicSync() {
+// Queue a periodic sync when the scheduler alarm fires
+async function handlePeriodicSync() {
+  // Only sync if authenticated and not already syncing
+  const authStatus = await authService.getAuthStatus();
+  if (!authStatus.isAuthenticated || !authStatus.tokensValid || syncInProgress) {
+    log('info', 'Skipping periodic sync', { authenticated: authStatus.isAuthenticated });
+    return;
+  }
+  
+  log('info', 'Triggering periodic sync');
+  
+  await queueSyncOperation({
+    type: 'full_sync',
+    direction: 'bidirectional',
+    source: 'periodic'
+  });
+}
+
+syncScheduler.setTriggerHandler(handlePeriodicSync);
+
+// Alarm and idle listeners are registered at top level so they wake the service worker
+chrome.alarms.onAlarm.addListener(alarm => {
+  syncScheduler.handleAlarm(alarm).catch(error => {
+    log('error', 'Periodic sync alarm failed', { error: error.message });
+  });
+});
+// Report idle after the same time the scheduler checks for, so deferred syncs resume when expected
+chrome.idle.setDetectionInterval(IDLE_DETECTION_SECONDS);
+chrome.idle.onStateChanged.addListener(state => {
+  syncScheduler.handleIdleStateChange(state).catch(error => {
+    log('error', 'Deferred periodic sync failed', { error: error.message });
+  });
+});
+
+// Send to device: open tabs other devices sent here and offer the known devices as targets
+async function receiveDeliveries() {
+  try {
+    const authStatus = await authService.getAuthStatus();
+    if (!authStatus.isAuthenticated || !authStatus.tokensValid) {
+      return;
+    }
+    
+    const result = await sendToDevice.receiveDeliveries();
+    for (const delivery of result.deliveries) {
+      await showNotification(
+        'Tabs Received',
+        `${delivery.tabCount} tab${delivery.tabCount === 1 ? '' : 's'} from ${delivery.fromDeviceName}`,
+        'info'
+      );
+    }
+  } catch (error) {
+    log('error', 'Failed to receive sent tabs', { error: error.message });
+  }
+}
+
+// Rebuild the context menus from the devices kept after the last sync
+async function configureSendToDevice() {
+  try {
+    await sendToDevice.schedulePolling();
+    const storage = await chrome.storage.local.get(['knownDevices']);
+    await sendToDevice.updateContextMenus(storage.knownDevices || []);
+  } catch (error) {
+    log('error', 'Failed to configure send to device', { error: error.message });
+  }
+}
+
+// Send the current tab or window to a device chosen in the popup
+async function sendTabsToDevice(request) {
+  if (request.scope === 'window') {
+    const windowId = request.windowId ?? (await chrome.windows.getLastFocused()).id;
+    return await sendToDevice.sendWindow(request.deviceId, windowId);
+  }
+  
+  const query = request.windowId ? { windowId: request.windowId } : { lastFocusedWindow: true };
+  const [activeTab] = await chrome.tabs.query({ active: true, ...query });
+  if (!activeTab) {
+    throw createError('No active tab to send', 'NOTHING_TO_SEND');
+  }
+  return await sendToDevice.sendTabs(request.deviceId, [activeTab]);
+}
+
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name === INBOX_POLL_ALARM) {
+    receiveDeliveries();
+  }
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  sendToDevice.handleContextMenuClick(info, tab).catch(error => {
+    showNotification('Send Failed', error.message, 'error');
+  });
+});
+
+// Live sync: upload local tab changes automatically after a quiet period
+async function configureLiveSync() {
   try {
     const storage = await chrome.storage.local.get(['syncSettings']);
     const settings = storage.syncSettings || {};
     
-    if (settings.periodicSyncEnabled && settings.periodicSyncInterval) {
-      const intervalMs = settings.periodicSyncInterval * 60 * 1000; // Convert minutes to ms
-      
-      setInterval(async () => {
-        try {
-          // Only sync if authenticated and not already syncing
-          const authStatus = await authService.getAuthStatus();
-          if (authStatus.isAuthenticated && authStatus.tokensValid && !syncInProgress) {
-            log('info', 'Triggering periodic sync');
-            
-            await queueSyncOperation({
-              type: 'full_sync',
-              direction: 'bidirectional',
-              source: 'periodic'
-            });
-          }
-        } catch (error) {
-          log('error', 'Periodic sync failed', { error: error.message });
-        }
-      }, intervalMs);
-      
-      log('info', 'Periodic sync scheduled', { intervalMinutes: settings.periodicSyncInterval });
+    if (!settings.liveSyncEnabled) {
+      liveSyncMonitor.stop();
+      return;
     }
     
+    liveSyncMonitor.start({
+      quietPeriod: settings.liveSyncQuietPeriod ? settings.liveSyncQuietPeriod * 1000 : DEFAULT_QUIET_PERIOD,
+      shouldIgnore: () => syncEngine.isApplyingRemoteTabs(),
+      onFlush: handleLiveSyncFlush
+    });
+    
   } catch (error) {
-    log('error', 'Failed to schedule periodic sync', { error: error.message });
+    log('error', 'Failed to configure live sync', { error: error.message });
   }
 }
 
+// Queue an upload for a flushed live sync change set
+async function handleLiveSyncFlush(changes) {
+  const authStatus = await authService.getAuthStatus();
+  if (!authStatus.isAuthenticated || !authStatus.tokensValid) {
+    log('info', 'Skipping live sync, not authenticated');
+    return;
+  }
+  
+  // A pending live upload already covers these changes
+  const pendingLiveUpload = syncQueue.some(item =>
+    item.operation.source === 'live' && item.status !== 'processing'
+  );
+  if (pendingLiveUpload) {
+    return;
+  }
+  
+  await queueSyncOperation({
+    type: 'upload_only',
+    source: 'live',
+    metadata: {
+      changeCount: changes.length,
+      changeTypes: [...new Set(changes.map(change => change.type))]
+    }
+  });
+}
+
+// Tab and window listeners are registered at top level so events wake the service worker
+chrome.tabs.onCreated.addListener(tab => liveSyncMonitor.handleTabCreated(tab));
+chrome.tabs.onRemoved.addListener((tabId, removeInfo) => liveSyncMonitor.handleTabRemoved(tabId, removeInfo));
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => liveSyncMonitor.handleTabUpdated(tabId, changeInfo, tab));
+chrome.tabs.onMoved.addListener(tabId => liveSyncMonitor.handleTabMoved(tabId));
+chrome.tabs.onAttached.addListener(tabId => liveSyncMonitor.handleTabMoved(tabId));
+chrome.tabGroups.onUpdated.addListener(group => liveSyncMonitor.handleTabGroupChanged(group));
+chrome.windows.onCreated.addListener(window => liveSyncMonitor.handleWindowChanged(window.id, 'created'));
+chrome.windows.onRemoved.addListener(windowId => liveSyncMonitor.handleWindowChanged(windowId, 'removed'));
+chrome.alarms.onAlarm.addListener(alarm => {
+  liveSyncMonitor.handleAlarm(alarm).catch(error => {
+    log('error', 'Live sync flush failed', { error: error.message });
+  });
+});
+
+// React to live and periodic sync settings changed from the options page
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.syncSettings) {
+    configureLiveSync();
+    syncScheduler.configure().catch(error => {
+      log('error', 'Failed to reschedule periodic sync', { error: error.message });
+    });
+  }
+  if (areaName === 'local' && changes.knownDevices) {
+    sendToDevice.updateContextMenus(changes.knownDevices.newValue || []).catch(error => {
+      log('error', 'Failed to update send to device menus', { error: error.message });
+    });
+  }
+});
+
 // Initialize sync coordination on background startup
-initializeSyncCoordination().then(() => {
-  schedulePeriodicSync();
+initializeSyncCoordination().then(async () => {
+  try {
+    await syncScheduler.configure();
+  } catch (error) {
+    log('error', 'Failed to schedule periodic sync', { error: error.message });
+  }
+  configureLiveSync();
+  configureSendToDevice();
 });
 
 // Handle messages from popup and options pages
@@ -1092,6 +1111,32 @@ async function handleMessage(request, sender) {
     case 'getDeviceInfo':
       return await getDeviceInfo();
       
+    case 'startGitHubDeviceFlow':
+      return await authService.startGitHubDeviceFlow();
+      
+    case 'pollGitHubDeviceFlow': {
+      // Tokens stay in the background; the page only needs to know when to stop polling
+      const { status, slowDown = false } = await authService.pollGitHubDeviceFlow(request.deviceCode);
+      return { status, slowDown };
+    }
+      
+    case 'saveGitHubServer':
+      return await updateGitHubServer(request.server);
+      
+    case 'testConnection':
+      return await testStorageConnection();
+      
+    case 'signInWithGitHubToken': {
+      const { repository, private: isPrivate } = await authService.signInWithGitHubToken(request.token, request.repository);
+      return { repository, private: isPrivate };
+    }
+      
+    case 'signInWithWebDAV':
+      return await signInWithWebDAV(request.credentials);
+      
+    case 'connectS3Bucket':
+      return await connectS3Bucket(request.settings, request.moveData);
+      
     case 'triggerSync':
       return await triggerSync();
       
@@ -1116,11 +1161,234 @@ async function handleMessage(request, sender) {
     case 'validateShortcuts':
       return await validateShortcuts();
       
+    case 'getEncryptionStatus':
+      return await getEncryptionStatus();
+      
+    case 'setupEncryption':
+      return await setupEncryption(request.passphrase);
+      
+    case 'unlockEncryption':
+      return await unlockEncryption(request.passphrase);
+      
+    case 'lockEncryption':
+      return await encryptionService.lock();
+      
+    case 'disableEncryption':
+      return await encryptionService.disable(request.passphrase);
+      
+    case 'getLiveSyncStatus':
+      return liveSyncMonitor.getStatus();
+      
+    case 'getSchedulerStatus':
+      return await syncScheduler.getStatus();
+      
+    case 'saveSession':
+      return await sessionService.saveSession(request.name, {
+        scope: request.scope,
+        windowId: request.windowId
+      });
+      
+    case 'listSessions':
+      return { sessions: await sessionService.listSessions() };
+      
+    case 'restoreSession':
+      return await sessionService.restoreSession(request.sessionId);
+      
+    case 'deleteSession':
+      return await sessionService.deleteSession(request.sessionId);
+      
+    case 'getHistoryDevices':
+      return await timeMachine.listDevices();
+      
+    case 'listRevisions':
+      return { revisions: await timeMachine.listRevisions({ deviceId: request.deviceId }) };
+      
+    case 'compareRevision':
+      return await timeMachine.compareRevision(request.revisionId, { deviceId: request.deviceId });
+      
+    case 'keepRevision':
+      return await timeMachine.keepRevision(request.revisionId, {
+        deviceId: request.deviceId,
+        keepForever: request.keepForever
+      });
+      
+    case 'restoreRevision':
+      return await timeMachine.restoreRevision(request.revisionId, {
+        deviceId: request.deviceId,
+        mode: request.mode
+      });
+      
+    case 'getSendTargets':
+      return { devices: await sendToDevice.getKnownDevices({ refresh: request.refresh }) };
+      
+    case 'sendToDevice':
+      return await sendTabsToDevice(request);
+      
+    case 'checkInbox':
+      return await sendToDevice.receiveDeliveries();
+      
+    case 'listDevices':
+      return { devices: await deviceRegistry.listDevices() };
+      
+    case 'renameDevice':
+      return await deviceRegistry.renameDevice(request.deviceId, request.label);
+      
+    case 'forgetDevice':
+      return await deviceRegistry.forgetDevice(request.deviceId);
+      
+    case 'getSyncRules':
+      return { rules: await syncRulesService.getRules() };
+      
+    case 'saveSyncRules':
+      return { rules: await syncRulesService.saveRules(request.rules) };
+      
+    case 'previewSyncRules':
+      return await syncRulesService.previewRules(request.rules);
+      
+    case 'getRedactionReports':
+      return { reports: await redactionService.getReports() };
+      
+    case 'exportToBookmarks':
+      return await bookmarkService.exportDevice(request.deviceId);
+      
+    case 'listBookmarkFolders':
+      return { folders: await bookmarkService.listFolders() };
+      
+    case 'importBookmarkFolder':
+      return await bookmarkService.importFolder(request.folderId, request.name);
+      
+    case 'importTabs':
+      return await tabFormatService.importTabs(request.text, {
+        format: request.format,
+        destination: request.destination,
+        name: request.name,
+        fileName: request.fileName
+      });
+      
+    case 'exportTabs':
+      return await tabFormatService.exportTabs(request.format, {
+        sessionId: request.sessionId,
+        deviceId: request.deviceId
+      });
+      
     default:
       throw new Error(`Unknown action: ${request.action}`);
   }
 }
 
+// Save GitHub server settings; tokens from another host are useless, so switching hosts signs out
+async function updateGitHubServer(settings) {
+  const { server, hostChanged } = await saveGitHubServer(settings);
+  const storage = await chrome.storage.local.get(['authProvider']);
+  
+  const signedOut = hostChanged && storage.authProvider === 'github';
+  if (signedOut) {
+    await authService.signOut();
+  }
+  storageService.reset();
+  
+  return { server, signedOut };
+}
+
+// Sign in to a WebDAV server; the password never goes back to the page
+async function signInWithWebDAV(credentials) {
+  const result = await authService.signInWithWebDAV(credentials);
+  storageService.reset();
+  
+  return result;
+}
+
+// Storage provider holding each sign-in's synced files
+const STORAGE_PROVIDER_FOR_AUTH = {
+  google: 'google-drive',
+  github: 'github',
+  webdav: 'webdav'
+};
+
+// Sync with an S3 bucket from now on, copying the current account's synced files into it first if asked
+async function connectS3Bucket(settings, moveData = false) {
+  const bucket = await authService.connectS3Bucket(settings);
+  const storage = await chrome.storage.local.get(['authProvider']);
+  const previousProvider = STORAGE_PROVIDER_FOR_AUTH[storage.authProvider];
+  
+  let moved = null;
+  if (moveData && previousProvider) {
+    const results = await storageService.syncBetweenProviders(previousProvider, 's3');
+    moved = { synced: results.synced, skipped: results.skipped, failed: results.errors.length };
+  }
+  
+  await authService.useS3ForSync();
+  await storageService.switchProvider('s3');
+  
+  return { bucket: bucket.bucket, prefix: bucket.prefix, moved };
+}
+
+// Check that the storage provider can be reached with the current settings
+async function testStorageConnection() {
+  if (!storageService.isInitialized()) {
+    await storageService.autoInitialize();
+  }
+  return await storageService.testConnection();
+}
+
+// Get the passphrase verifier published in the synced storage, or null when there is none
+async function getRemoteEncryptionKey() {
+  if (!storageService.isInitialized()) {
+    await storageService.autoInitialize();
+  }
+  return await storageService.getEncryptionKey();
+}
+
+// Publish this device's passphrase verifier so other devices can join; sync works without it
+async function publishEncryptionKey(onlyIfMissing = false) {
+  try {
+    if (onlyIfMissing && await getRemoteEncryptionKey()) {
+      return;
+    }
+    const verifier = await encryptionService.getVerifier();
+    if (verifier) {
+      await storageService.publishEncryptionKey(verifier);
+    }
+  } catch (error) {
+    log('warn', 'Failed to publish encryption passphrase check', { error: error.message });
+  }
+}
+
+// Get encryption status, including whether another device already encrypts the synced data
+async function getEncryptionStatus() {
+  const status = await encryptionService.getStatus();
+  if (status.enabled) {
+    return { ...status, remoteEnabled: true };
+  }
+
+  try {
+    return { ...status, remoteEnabled: Boolean(await getRemoteEncryptionKey()) };
+  } catch (error) {
+    log('warn', 'Failed to check for encrypted sync data', { error: error.message });
+    return { ...status, remoteEnabled: false };
+  }
+}
+
+// Turn on encryption with a new passphrase and publish its verifier
+async function setupEncryption(passphrase) {
+  const status = await encryptionService.setupPassphrase(passphrase);
+  await publishEncryptionKey();
+  return { ...status, remoteEnabled: true };
+}
+
+// Unlock encryption, or join the passphrase another device already encrypts with
+async function unlockEncryption(passphrase) {
+  if (!await encryptionService.isEnabled()) {
+    const status = await encryptionService.join(passphrase, await getRemoteEncryptionKey());
+    return { ...status, remoteEnabled: true };
+  }
+
+  const status = await encryptionService.unlock(passphrase);
+  // Devices that turned on encryption before verifiers were published publish theirs now
+  await publishEncryptionKey(true);
+  return { ...status, remoteEnabled: true };
+}
+
 // Get authentication status
 async function getAuthStatus() {
   try {
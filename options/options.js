@@ -1,5 +1,8 @@
 // Options page JavaScript for Tab Sync Extension
 
+import { isSecureEndpointUrl } from '../shared/utils.js';
+import { normalizeS3Settings, getBucketOrigins } from '../shared/auth/s3-auth.js';
+
 class OptionsController {
   constructor() {
     this.elements = {};
@@ -14,8 +17,15 @@ class OptionsController {
       itemsPerPage: 10,
       sortColumn: 'timestamp',
       sortDirection: 'desc',
-      preferences: {}
+      preferences: {},
+      sessions: [],
+      devices: [],
+      historyDevices: [],
+      revisions: [],
+      syncRules: [],
+      ruleWindows: []
     };
+    this.deviceFlow = null;
     
     this.init();
   }
@@ -55,8 +65,50 @@ class OptionsController {
     this.elements.googleAuthBtn = document.getElementById('google-auth-btn');
     this.elements.githubAuthBtn = document.getElementById('github-auth-btn');
     this.elements.signoutBtn = document.getElementById('signout-btn');
+    this.elements.githubAuthMethodSelect = document.getElementById('github-auth-method-select');
+    this.elements.githubDeviceGroup = document.getElementById('github-device-group');
+    this.elements.githubUserCode = document.getElementById('github-user-code');
+    this.elements.githubVerificationLink = document.getElementById('github-verification-link');
+    this.elements.cancelDeviceFlowBtn = document.getElementById('cancel-device-flow-btn');
+    this.elements.githubTokenGroup = document.getElementById('github-token-group');
+    this.elements.githubTokenInput = document.getElementById('github-token-input');
+    this.elements.githubRepositoryInput = document.getElementById('github-repository-input');
+    this.elements.githubTokenSigninBtn = document.getElementById('github-token-signin-btn');
+    this.elements.githubWebUrlInput = document.getElementById('github-web-url-input');
+    this.elements.githubApiUrlInput = document.getElementById('github-api-url-input');
+    this.elements.githubClientIdInput = document.getElementById('github-client-id-input');
+    this.elements.githubOwnerInput = document.getElementById('github-owner-input');
+    this.elements.githubRepoNameInput = document.getElementById('github-repo-name-input');
+    this.elements.githubBranchInput = document.getElementById('github-branch-input');
+    this.elements.saveGitHubServerBtn = document.getElementById('save-github-server-btn');
+    this.elements.webdavUrlInput = document.getElementById('webdav-url-input');
+    this.elements.webdavFolderInput = document.getElementById('webdav-folder-input');
+    this.elements.webdavUsernameInput = document.getElementById('webdav-username-input');
+    this.elements.webdavPasswordInput = document.getElementById('webdav-password-input');
+    this.elements.webdavSigninBtn = document.getElementById('webdav-signin-btn');
+    this.elements.s3EndpointInput = document.getElementById('s3-endpoint-input');
+    this.elements.s3RegionInput = document.getElementById('s3-region-input');
+    this.elements.s3BucketInput = document.getElementById('s3-bucket-input');
+    this.elements.s3PrefixInput = document.getElementById('s3-prefix-input');
+    this.elements.s3AccessKeyInput = document.getElementById('s3-access-key-input');
+    this.elements.s3SecretKeyInput = document.getElementById('s3-secret-key-input');
+    this.elements.s3ConnectBtn = document.getElementById('s3-connect-btn');
     this.elements.deviceNameInput = document.getElementById('device-name-input');
     this.elements.updateDeviceNameBtn = document.getElementById('update-device-name');
+    this.elements.googleTokenEndpointInput = document.getElementById('google-token-endpoint-input');
+    this.elements.githubTokenEndpointInput = document.getElementById('github-token-endpoint-input');
+    this.elements.saveTokenEndpointsBtn = document.getElementById('save-token-endpoints-btn');
+    this.elements.encryptionStatusText = document.getElementById('encryption-status-text');
+    this.elements.encryptionSetupGroup = document.getElementById('encryption-setup-group');
+    this.elements.encryptionUnlockGroup = document.getElementById('encryption-unlock-group');
+    this.elements.encryptionManageGroup = document.getElementById('encryption-manage-group');
+    this.elements.encryptionPassphraseInput = document.getElementById('encryption-passphrase-input');
+    this.elements.encryptionConfirmInput = document.getElementById('encryption-confirm-input');
+    this.elements.encryptionUnlockInput = document.getElementById('encryption-unlock-input');
+    this.elements.enableEncryptionBtn = document.getElementById('enable-encryption-btn');
+    this.elements.unlockEncryptionBtn = document.getElementById('unlock-encryption-btn');
+    this.elements.lockEncryptionBtn = document.getElementById('lock-encryption-btn');
+    this.elements.disableEncryptionBtn = document.getElementById('disable-encryption-btn');
     
     // Sync status section
     this.elements.lastSyncTime = document.getElementById('last-sync-time');
@@ -92,12 +144,59 @@ class OptionsController {
     this.elements.nextPageBtn = document.getElementById('next-page');
     this.elements.pageInfo = document.getElementById('page-info');
     
+    // Devices section
+    this.elements.refreshDevicesBtn = document.getElementById('refresh-devices-btn');
+    this.elements.devicesList = document.getElementById('devices-list');
+    
+    // Sync rules section
+    this.elements.ruleActionSelect = document.getElementById('rule-action-select');
+    this.elements.ruleTypeSelect = document.getElementById('rule-type-select');
+    this.elements.ruleValueInput = document.getElementById('rule-value-input');
+    this.elements.ruleWindowSelect = document.getElementById('rule-window-select');
+    this.elements.addRuleBtn = document.getElementById('add-rule-btn');
+    this.elements.revertRulesBtn = document.getElementById('revert-rules-btn');
+    this.elements.saveRulesBtn = document.getElementById('save-rules-btn');
+    this.elements.syncRulesList = document.getElementById('sync-rules-list');
+    this.elements.syncRulesPreview = document.getElementById('sync-rules-preview');
+    this.elements.syncRulesPreviewSummary = document.getElementById('sync-rules-preview-summary');
+    this.elements.refreshRedactionBtn = document.getElementById('refresh-redaction-btn');
+    this.elements.redactionSummary = document.getElementById('redaction-summary');
+    this.elements.redactionReport = document.getElementById('redaction-report');
+    
+    // Sessions section
+    this.elements.sessionNameInput = document.getElementById('session-name-input');
+    this.elements.sessionScopeSelect = document.getElementById('session-scope-select');
+    this.elements.saveSessionBtn = document.getElementById('save-session-btn');
+    this.elements.refreshSessionsBtn = document.getElementById('refresh-sessions-btn');
+    this.elements.sessionsList = document.getElementById('sessions-list');
+    this.elements.bookmarkExportDeviceSelect = document.getElementById('bookmark-export-device-select');
+    this.elements.exportBookmarksBtn = document.getElementById('export-bookmarks-btn');
+    this.elements.bookmarkImportFolderSelect = document.getElementById('bookmark-import-folder-select');
+    this.elements.importBookmarksBtn = document.getElementById('import-bookmarks-btn');
+    
+    // Time machine section
+    this.elements.revisionDeviceSelect = document.getElementById('revision-device-select');
+    this.elements.refreshRevisionsBtn = document.getElementById('refresh-revisions-btn');
+    this.elements.revisionsList = document.getElementById('revisions-list');
+    this.elements.revisionDiff = document.getElementById('revision-diff');
+    this.elements.revisionDiffSummary = document.getElementById('revision-diff-summary');
+    this.elements.revisionDiffAdded = document.getElementById('revision-diff-added');
+    this.elements.revisionDiffRemoved = document.getElementById('revision-diff-removed');
+    
     // Preferences section
     this.elements.confirmSyncToggle = document.getElementById('confirm-sync-toggle');
     this.elements.autoMergeToggle = document.getElementById('auto-merge-toggle');
     this.elements.syncNotificationsToggle = document.getElementById('sync-notifications-toggle');
+    this.elements.liveSyncToggle = document.getElementById('live-sync-toggle');
+    this.elements.periodicSyncToggle = document.getElementById('periodic-sync-toggle');
+    this.elements.periodicSyncIntervalSelect = document.getElementById('periodic-sync-interval-select');
+    this.elements.periodicSyncStatus = document.getElementById('periodic-sync-status');
     this.elements.includeIncognitoToggle = document.getElementById('include-incognito-toggle');
     this.elements.historyRetentionSelect = document.getElementById('history-retention-select');
+    this.elements.tombstoneRetentionSelect = document.getElementById('tombstone-retention-select');
+    this.elements.secretRedactionSelect = document.getElementById('secret-redaction-select');
+    this.elements.secretParamsInput = document.getElementById('secret-params-input');
+    this.elements.excludePrivateHostsToggle = document.getElementById('exclude-private-hosts-toggle');
     
     // Data management section
     this.elements.clearCacheBtn = document.getElementById('clear-cache-btn');
@@ -107,6 +206,13 @@ class OptionsController {
     this.elements.backupFileInput = document.getElementById('backup-file-input');
     this.elements.uploadBackupBtn = document.getElementById('upload-backup-btn');
     this.elements.deleteCloudDataBtn = document.getElementById('delete-cloud-data-btn');
+    this.elements.importFormatSelect = document.getElementById('import-format-select');
+    this.elements.importDestinationSelect = document.getElementById('import-destination-select');
+    this.elements.importFileInput = document.getElementById('import-file-input');
+    this.elements.importTabsBtn = document.getElementById('import-tabs-btn');
+    this.elements.exportSourceSelect = document.getElementById('export-source-select');
+    this.elements.exportFormatSelect = document.getElementById('export-format-select');
+    this.elements.exportTabsBtn = document.getElementById('export-tabs-btn');
     
     // Footer elements
     this.elements.extensionVersion = document.getElementById('extension-version');
@@ -140,7 +246,18 @@ class OptionsController {
     this.elements.googleAuthBtn?.addEventListener('click', () => this.handleAuth('google'));
     this.elements.githubAuthBtn?.addEventListener('click', () => this.handleAuth('github'));
     this.elements.signoutBtn?.addEventListener('click', () => this.handleSignOut());
+    this.elements.githubAuthMethodSelect?.addEventListener('change', () => this.changeGitHubAuthMethod());
+    this.elements.cancelDeviceFlowBtn?.addEventListener('click', () => this.stopGitHubDeviceFlow());
+    this.elements.githubTokenSigninBtn?.addEventListener('click', () => this.signInWithGitHubToken());
+    this.elements.saveGitHubServerBtn?.addEventListener('click', () => this.saveGitHubServer());
+    this.elements.webdavSigninBtn?.addEventListener('click', () => this.signInWithWebDAV());
+    this.elements.s3ConnectBtn?.addEventListener('click', () => this.connectS3Bucket());
     this.elements.updateDeviceNameBtn?.addEventListener('click', () => this.updateDeviceName());
+    this.elements.saveTokenEndpointsBtn?.addEventListener('click', () => this.saveTokenEndpoints());
+    this.elements.enableEncryptionBtn?.addEventListener('click', () => this.enableEncryption());
+    this.elements.unlockEncryptionBtn?.addEventListener('click', () => this.unlockEncryption());
+    this.elements.lockEncryptionBtn?.addEventListener('click', () => this.lockEncryption());
+    this.elements.disableEncryptionBtn?.addEventListener('click', () => this.disableEncryption());
     
     // Sync status section
     this.elements.copyDeviceIdBtn?.addEventListener('click', () => this.copyDeviceId());
@@ -167,12 +284,68 @@ class OptionsController {
       th.addEventListener('click', () => this.sortHistory(th.dataset.sort));
     });
     
+    // Devices section
+    this.elements.refreshDevicesBtn?.addEventListener('click', () => this.loadDevices());
+    this.elements.devicesList?.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-device-action]');
+      if (button) this.handleDeviceAction(button.dataset.deviceAction, button.dataset.deviceId);
+    });
+    
+    // Sync rules section
+    const previewPendingRule = this.debounce(() => this.previewSyncRules(), 300);
+    this.elements.ruleTypeSelect?.addEventListener('change', () => {
+      this.updateRuleInputs();
+      this.previewSyncRules();
+    });
+    this.elements.ruleActionSelect?.addEventListener('change', () => this.previewSyncRules());
+    this.elements.ruleWindowSelect?.addEventListener('change', () => this.previewSyncRules());
+    this.elements.ruleValueInput?.addEventListener('input', previewPendingRule);
+    this.elements.ruleValueInput?.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.addSyncRule();
+    });
+    this.elements.addRuleBtn?.addEventListener('click', () => this.addSyncRule());
+    this.elements.revertRulesBtn?.addEventListener('click', () => this.loadSyncRules());
+    this.elements.saveRulesBtn?.addEventListener('click', () => this.saveSyncRules());
+    this.elements.refreshRedactionBtn?.addEventListener('click', () => this.loadRedactionReport());
+    this.elements.syncRulesList?.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-rule-action]');
+      if (button) this.handleSyncRuleAction(button.dataset.ruleAction, Number(button.dataset.ruleIndex));
+    });
+    
+    // Sessions section
+    this.elements.saveSessionBtn?.addEventListener('click', () => this.saveSession());
+    this.elements.sessionNameInput?.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.saveSession();
+    });
+    this.elements.refreshSessionsBtn?.addEventListener('click', () => this.loadSessions());
+    this.elements.sessionsList?.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-session-action]');
+      if (button) this.handleSessionAction(button.dataset.sessionAction, button.dataset.sessionId);
+    });
+    this.elements.exportBookmarksBtn?.addEventListener('click', () => this.exportBookmarks());
+    this.elements.importBookmarksBtn?.addEventListener('click', () => this.importBookmarks());
+    
+    // Time machine section
+    this.elements.revisionDeviceSelect?.addEventListener('change', () => this.loadRevisions());
+    this.elements.refreshRevisionsBtn?.addEventListener('click', () => this.loadRevisions());
+    this.elements.revisionsList?.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-revision-action]');
+      if (button) this.handleRevisionAction(button.dataset.revisionAction, button.dataset.revisionId);
+    });
+    
     // Preferences section
     this.elements.confirmSyncToggle?.addEventListener('change', () => this.savePreference('confirmSync', this.elements.confirmSyncToggle.checked));
     this.elements.autoMergeToggle?.addEventListener('change', () => this.savePreference('autoMerge', this.elements.autoMergeToggle.checked));
     this.elements.syncNotificationsToggle?.addEventListener('change', () => this.savePreference('syncNotifications', this.elements.syncNotificationsToggle.checked));
+    this.elements.liveSyncToggle?.addEventListener('change', () => this.savePreference('liveSync', this.elements.liveSyncToggle.checked));
+    this.elements.periodicSyncToggle?.addEventListener('change', () => this.savePeriodicSyncPreference('periodicSync', this.elements.periodicSyncToggle.checked));
+    this.elements.periodicSyncIntervalSelect?.addEventListener('change', () => this.savePeriodicSyncPreference('periodicSyncInterval', parseInt(this.elements.periodicSyncIntervalSelect.value)));
     this.elements.includeIncognitoToggle?.addEventListener('change', () => this.savePreference('includeIncognito', this.elements.includeIncognitoToggle.checked));
     this.elements.historyRetentionSelect?.addEventListener('change', () => this.savePreference('historyRetention', parseInt(this.elements.historyRetentionSelect.value)));
+    this.elements.tombstoneRetentionSelect?.addEventListener('change', () => this.savePreference('tombstoneRetention', parseInt(this.elements.tombstoneRetentionSelect.value)));
+    this.elements.secretRedactionSelect?.addEventListener('change', () => this.savePreference('secretRedaction', this.elements.secretRedactionSelect.value));
+    this.elements.secretParamsInput?.addEventListener('change', () => this.savePreference('secretParams', this.elements.secretParamsInput.value.split(',').map(param => param.trim()).filter(Boolean)));
+    this.elements.excludePrivateHostsToggle?.addEventListener('change', () => this.savePreference('excludePrivateHosts', this.elements.excludePrivateHostsToggle.checked));
     
     // Data management section
     this.elements.clearCacheBtn?.addEventListener('click', () => this.clearCache());
@@ -182,6 +355,11 @@ class OptionsController {
     this.elements.backupFileInput?.addEventListener('change', () => this.handleBackupFileSelect());
     this.elements.uploadBackupBtn?.addEventListener('click', () => this.uploadBackup());
     this.elements.deleteCloudDataBtn?.addEventListener('click', () => this.deleteCloudData());
+    this.elements.importFileInput?.addEventListener('change', () => {
+      this.elements.importTabsBtn.disabled = !this.elements.importFileInput.files[0];
+    });
+    this.elements.importTabsBtn?.addEventListener('click', () => this.importTabs());
+    this.elements.exportTabsBtn?.addEventListener('click', () => this.exportTabs());
     
     // Footer actions
     this.elements.resetToDefaultsBtn?.addEventListener('click', () => this.resetToDefaults());
@@ -219,6 +397,9 @@ class OptionsController {
       // Load device information
       await this.loadDeviceInfo();
       
+      // Load encryption status
+      await this.loadEncryptionStatus();
+      
       // Load sync statistics
       await this.loadSyncStats();
       
@@ -303,6 +484,38 @@ class OptionsController {
     }
   }
   
+  async loadEncryptionStatus() {
+    try {
+      const status = await this.sendMessage({ action: 'getEncryptionStatus' });
+      this.updateEncryptionUI(status);
+    } catch (error) {
+      console.error('Error loading encryption status:', error);
+      this.elements.encryptionStatusText && (this.elements.encryptionStatusText.textContent = 'Encryption status unavailable');
+    }
+  }
+  
+  updateEncryptionUI(status) {
+    this.state.encryption = status;
+    // Another device encrypts the synced data, so this one joins with its passphrase
+    const joining = !status.enabled && status.remoteEnabled === true;
+    
+    this.elements.encryptionSetupGroup?.classList.toggle('hidden', status.enabled || joining);
+    this.elements.encryptionUnlockGroup?.classList.toggle('hidden', !(status.enabled || joining) || status.unlocked);
+    this.elements.encryptionManageGroup?.classList.toggle('hidden', !status.unlocked);
+    
+    if (this.elements.encryptionStatusText) {
+      if (joining) {
+        this.elements.encryptionStatusText.textContent = 'Synced data is encrypted by another device. Enter the passphrase you chose there.';
+      } else if (!status.enabled) {
+        this.elements.encryptionStatusText.textContent = 'Encryption is off. Synced URLs are stored in readable form.';
+      } else if (status.unlocked) {
+        this.elements.encryptionStatusText.textContent = 'Encryption is on and unlocked for this browser session.';
+      } else {
+        this.elements.encryptionStatusText.textContent = 'Encryption is on but locked. Enter your passphrase to sync.';
+      }
+    }
+  }
+  
   async loadSyncStats() {
     try {
       const storage = await chrome.storage.local.get([
@@ -342,6 +555,10 @@ class OptionsController {
           this.elements.storageProvider.textContent = 'Google Drive';
         } else if (provider === 'github') {
           this.elements.storageProvider.textContent = 'GitHub';
+        } else if (provider === 'webdav') {
+          this.elements.storageProvider.textContent = 'WebDAV';
+        } else if (provider === 's3') {
+          this.elements.storageProvider.textContent = 'S3 Bucket';
         } else {
           this.elements.storageProvider.textContent = 'None';
         }
@@ -587,6 +804,477 @@ class OptionsController {
     }
   }
   
+  async loadDevices() {
+    if (!this.elements.devicesList) return;
+    
+    if (!this.state.isAuthenticated) {
+      this.showNoDevices('Sign in to see the devices that sync with your account');
+      return;
+    }
+    
+    try {
+      const response = await this.sendMessage({ action: 'listDevices' });
+      this.state.devices = response.devices || [];
+      this.renderDevices();
+    } catch (error) {
+      console.error('Error loading devices:', error);
+      this.showNoDevices('Could not load devices');
+    }
+  }
+  
+  renderDevices() {
+    if (this.state.devices.length === 0) {
+      this.showNoDevices('No devices have synced yet');
+      return;
+    }
+    
+    this.elements.devicesList.innerHTML = this.state.devices.map(device => {
+      const browser = [device.browserName, device.browserVersion].filter(Boolean).join(' ');
+      const details = [
+        [browser, device.platform].filter(Boolean).join(' on ') || 'Unknown browser',
+        `${device.tabCount} tabs`,
+        device.lastSeen ? `Last seen ${new Date(device.lastSeen).toLocaleString()}` : 'Never seen'
+      ].join(' • ');
+      const renamed = device.label && device.reportedName ? ` <span class="device-reported-name">(reports itself as ${this.escapeHtml(device.reportedName)})</span>` : '';
+      
+      return `
+        <div class="action-item">
+          <div class="action-info">
+            <label class="action-label">${this.escapeHtml(device.deviceName)}${device.isCurrent ? ' (this device)' : ''}${renamed}</label>
+            <p class="action-description">${this.escapeHtml(details)}</p>
+          </div>
+          <div class="session-actions">
+            <button class="secondary-btn" data-device-action="rename" data-device-id="${this.escapeHtml(device.deviceId)}">Rename</button>
+            ${device.isCurrent ? '' : `
+            <button class="danger-btn" data-device-action="forget" data-device-id="${this.escapeHtml(device.deviceId)}">Forget</button>`}
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+  
+  showNoDevices(message) {
+    if (!this.elements.devicesList) return;
+    
+    this.elements.devicesList.innerHTML = `
+      <div class="no-data-content session-empty">
+        <p>${this.escapeHtml(message)}</p>
+      </div>
+    `;
+  }
+  
+  async loadSyncRules() {
+    if (!this.elements.syncRulesList) return;
+    
+    try {
+      const { rules } = await this.sendMessage({ action: 'getSyncRules' });
+      this.state.syncRules = rules;
+      this.updateRuleInputs();
+      this.renderSyncRules();
+      await this.previewSyncRules();
+    } catch (error) {
+      console.error('Error loading sync rules:', error);
+      this.elements.syncRulesList.innerHTML = `
+        <div class="no-data-content session-empty">
+          <p>Could not load sync rules</p>
+        </div>
+      `;
+    }
+  }
+  
+  renderSyncRules() {
+    if (this.state.syncRules.length === 0) {
+      this.elements.syncRulesList.innerHTML = `
+        <div class="no-data-content session-empty">
+          <p>No rules yet. Every tab is synced.</p>
+        </div>
+      `;
+      return;
+    }
+    
+    this.elements.syncRulesList.innerHTML = this.state.syncRules.map((rule, index) => `
+      <div class="action-item${rule.enabled === false ? ' sync-rule-disabled' : ''}">
+        <div class="action-info">
+          <label class="action-label">${rule.action === 'include' ? 'Only sync' : 'Never sync'} ${this.escapeHtml(this.describeSyncRule(rule))}</label>
+          <p class="action-description">${rule.enabled === false ? 'Turned off' : 'Applied to every sync from this device'}</p>
+        </div>
+        <div class="session-actions">
+          <button class="secondary-btn" data-rule-action="toggle" data-rule-index="${index}">${rule.enabled === false ? 'Turn On' : 'Turn Off'}</button>
+          <button class="danger-btn" data-rule-action="remove" data-rule-index="${index}">Remove</button>
+        </div>
+      </div>
+    `).join('');
+  }
+  
+  describeSyncRule(rule) {
+    switch (rule.type) {
+      case 'domain':
+        return `tabs on ${rule.value}`;
+      case 'glob':
+        return `URLs matching ${rule.value}`;
+      case 'regex':
+        return `URLs matching /${rule.value}/`;
+      case 'pinned':
+        return 'pinned tabs';
+      case 'window': {
+        const window = this.state.ruleWindows.find(candidate => candidate.id === Number(rule.value));
+        return window ? `tabs in ${window.label}` : 'tabs in a window that has been closed';
+      }
+      default:
+        return rule.value || rule.type;
+    }
+  }
+  
+  updateRuleInputs() {
+    const type = this.elements.ruleTypeSelect.value;
+    const placeholders = {
+      domain: 'e.g. bank.example.com',
+      glob: 'e.g. https://*.example.com/admin/*',
+      regex: 'e.g. ^https://mail\\.'
+    };
+    
+    this.elements.ruleValueInput.classList.toggle('hidden', !placeholders[type]);
+    this.elements.ruleValueInput.placeholder = placeholders[type] || '';
+    this.elements.ruleWindowSelect.classList.toggle('hidden', type !== 'window');
+  }
+  
+  // Rule from the add form, or null while it is incomplete
+  getPendingSyncRule() {
+    const type = this.elements.ruleTypeSelect.value;
+    const rule = { action: this.elements.ruleActionSelect.value, type, enabled: true };
+    
+    if (type === 'window') {
+      if (!this.elements.ruleWindowSelect.value) return null;
+      rule.value = Number(this.elements.ruleWindowSelect.value);
+    } else if (type !== 'pinned') {
+      rule.value = this.elements.ruleValueInput.value.trim();
+      if (!rule.value) return null;
+      if (type === 'regex') {
+        try {
+          new RegExp(rule.value);
+        } catch {
+          return null;
+        }
+      }
+    }
+    
+    return rule;
+  }
+  
+  async previewSyncRules() {
+    if (!this.elements.syncRulesPreview) return;
+    
+    // Include the rule being typed so its effect shows before it is added
+    const pending = this.getPendingSyncRule();
+    const rules = pending ? [...this.state.syncRules, pending] : this.state.syncRules;
+    
+    try {
+      const preview = await this.sendMessage({ action: 'previewSyncRules', rules });
+      this.state.ruleWindows = preview.windows;
+      
+      const selected = this.elements.ruleWindowSelect.value;
+      this.elements.ruleWindowSelect.innerHTML = preview.windows.map(window => `
+        <option value="${window.id}">${this.escapeHtml(`${window.label}: ${window.activeTitle || 'New Tab'} (${window.tabCount} tabs)`)}</option>
+      `).join('');
+      if (preview.windows.some(window => String(window.id) === selected)) {
+        this.elements.ruleWindowSelect.value = selected;
+      }
+      
+      const excludedCount = preview.totalCount - preview.includedCount;
+      this.elements.syncRulesPreviewSummary.textContent = excludedCount === 0
+        ? `All ${preview.totalCount} open tabs would be synced`
+        : `${excludedCount} of ${preview.totalCount} open tabs would not be synced`;
+      this.elements.syncRulesPreview.innerHTML = preview.excluded.map(tab => `
+        <li title="${this.escapeHtml(tab.url)}">${this.escapeHtml(tab.title)}</li>
+      `).join('');
+      this.renderSyncRules();
+    } catch (error) {
+      console.error('Error previewing sync rules:', error);
+      this.elements.syncRulesPreviewSummary.textContent = 'Could not preview the rules';
+      this.elements.syncRulesPreview.innerHTML = '';
+    }
+  }
+  
+  addSyncRule() {
+    const rule = this.getPendingSyncRule();
+    if (!rule) {
+      this.showBanner('warning', 'Incomplete Rule', this.elements.ruleTypeSelect.value === 'regex'
+        ? 'Enter a valid regular expression'
+        : 'Enter what the rule should match');
+      return;
+    }
+    
+    this.state.syncRules = [...this.state.syncRules, rule];
+    this.elements.ruleValueInput.value = '';
+    this.renderSyncRules();
+    this.previewSyncRules();
+  }
+  
+  handleSyncRuleAction(action, index) {
+    const rule = this.state.syncRules[index];
+    if (!rule) return;
+    
+    if (action === 'toggle') {
+      this.state.syncRules = this.state.syncRules.map((candidate, i) => (
+        i === index ? { ...candidate, enabled: candidate.enabled === false } : candidate
+      ));
+    } else if (action === 'remove') {
+      this.state.syncRules = this.state.syncRules.filter((_, i) => i !== index);
+    }
+    
+    this.renderSyncRules();
+    this.previewSyncRules();
+  }
+  
+  async saveSyncRules() {
+    try {
+      this.elements.saveRulesBtn.disabled = true;
+      const { rules } = await this.sendMessage({ action: 'saveSyncRules', rules: this.state.syncRules });
+      this.state.syncRules = rules;
+      this.renderSyncRules();
+      this.showBanner('success', 'Sync Rules Saved', 'The rules apply from the next sync');
+    } catch (error) {
+      console.error('Error saving sync rules:', error);
+      this.showBanner('error', 'Save Failed', error.message || 'Could not save sync rules');
+    } finally {
+      this.elements.saveRulesBtn.disabled = false;
+    }
+  }
+  
+  async loadRedactionReport() {
+    if (!this.elements.redactionReport) return;
+    
+    try {
+      const { reports } = await this.sendMessage({ action: 'getRedactionReports' });
+      const [report] = reports;
+      if (!report) {
+        this.elements.redactionSummary.textContent = 'No sync has run yet';
+        this.elements.redactionReport.innerHTML = '';
+        return;
+      }
+      
+      const when = this.formatRelativeTime(new Date(report.timestamp));
+      const source = { session: 'saved session', send: 'tabs sent' }[report.syncType] || 'sync';
+      this.elements.redactionSummary.textContent = report.entries.length === 0
+        ? `Nothing needed redacting in the last ${source} (${when})`
+        : `Last ${source} (${when}): ${report.redactedCount} URLs changed, ${report.excludedCount} tabs left out`;
+      
+      const labels = { stripped: 'Removed', hashed: 'Hashed', excluded: 'Not synced' };
+      this.elements.redactionReport.innerHTML = report.entries.map(entry => {
+        const found = [...new Set(entry.findings.map(finding => (
+          finding.type === 'private_host' ? 'private address' : finding.type === 'jwt' ? 'JWT' : finding.name
+        )))].join(', ');
+        return `<li title="${this.escapeHtml(entry.title || '')}">${labels[entry.action]}: ${this.escapeHtml(found)} on ${this.escapeHtml(entry.host)}</li>`;
+      }).join('');
+    } catch (error) {
+      console.error('Error loading redaction report:', error);
+      this.elements.redactionSummary.textContent = 'Could not load the redaction report';
+    }
+  }
+  
+  async loadSessions() {
+    if (!this.elements.sessionsList) return;
+    
+    if (!this.state.isAuthenticated) {
+      this.showNoSessions('Sign in to save and restore sessions');
+      return;
+    }
+    
+    try {
+      const response = await this.sendMessage({ action: 'listSessions' });
+      this.state.sessions = response.sessions || [];
+      this.renderSessions();
+    } catch (error) {
+      console.error('Error loading sessions:', error);
+      this.showNoSessions('Could not load saved sessions');
+    }
+  }
+  
+  async loadBookmarkChoices() {
+    if (!this.elements.bookmarkExportDeviceSelect) return;
+    
+    try {
+      // Other devices' tabs come from cloud storage, so only this device is offered when signed out
+      const devices = this.state.isAuthenticated
+        ? (await this.sendMessage({ action: 'listDevices' })).devices
+        : [];
+      const options = devices.length > 0
+        ? devices.map(device => ({ value: device.deviceId, label: `${device.deviceName}${device.isCurrent ? ' (this device)' : ''}` }))
+        : [{ value: '', label: 'This device' }];
+      this.elements.bookmarkExportDeviceSelect.innerHTML = options.map(option => `
+        <option value="${this.escapeHtml(option.value)}">${this.escapeHtml(option.label)}</option>
+      `).join('');
+      
+      const { folders } = await this.sendMessage({ action: 'listBookmarkFolders' });
+      this.elements.bookmarkImportFolderSelect.innerHTML = folders.map(folder => `
+        <option value="${this.escapeHtml(folder.id)}">${this.escapeHtml(folder.path)} (${folder.bookmarkCount})</option>
+      `).join('');
+    } catch (error) {
+      console.error('Error loading bookmark choices:', error);
+    }
+  }
+  
+  async exportBookmarks() {
+    try {
+      this.elements.exportBookmarksBtn.disabled = true;
+      const result = await this.sendMessage({
+        action: 'exportToBookmarks',
+        deviceId: this.elements.bookmarkExportDeviceSelect.value || null
+      });
+      this.showBanner('success', 'Exported to Bookmarks', `Saved ${result.tabCount} tabs from ${result.deviceName} in the "Tab Sync" bookmark folder`);
+      await this.loadBookmarkChoices();
+    } catch (error) {
+      console.error('Error exporting to bookmarks:', error);
+      this.showBanner('error', 'Export Failed', error.message || 'Could not export tabs to bookmarks');
+    } finally {
+      this.elements.exportBookmarksBtn.disabled = false;
+    }
+  }
+  
+  async importBookmarks() {
+    const folderId = this.elements.bookmarkImportFolderSelect.value;
+    if (!folderId) {
+      this.showBanner('warning', 'No Folder Selected', 'Choose a bookmark folder to import');
+      return;
+    }
+    if (!this.state.isAuthenticated) {
+      this.showBanner('warning', 'Authentication Required', 'Please sign in to save sessions');
+      return;
+    }
+    
+    try {
+      this.elements.importBookmarksBtn.disabled = true;
+      const session = await this.sendMessage({ action: 'importBookmarkFolder', folderId });
+      this.showBanner('success', 'Bookmarks Imported', `Saved ${session.tabCount} tabs as the session "${session.name}"`);
+      await this.loadSessions();
+    } catch (error) {
+      console.error('Error importing bookmarks:', error);
+      this.showBanner('error', 'Import Failed', error.message || 'Could not import the bookmark folder');
+    } finally {
+      this.elements.importBookmarksBtn.disabled = false;
+    }
+  }
+  
+  renderSessions() {
+    if (this.state.sessions.length === 0) {
+      this.showNoSessions('No saved sessions yet');
+      return;
+    }
+    
+    this.elements.sessionsList.innerHTML = this.state.sessions.map(session => {
+      const details = session.unreadable ?
+        'This session could not be read. It may be encrypted with a different passphrase.' :
+        `${session.tabCount} tabs in ${session.windowCount} ${session.windowCount === 1 ? 'window' : 'windows'} • ${this.escapeHtml(session.deviceName || 'Unknown device')} • ${new Date(session.createdAt).toLocaleString()}`;
+      
+      return `
+        <div class="action-item">
+          <div class="action-info">
+            <label class="action-label">${this.escapeHtml(session.name)}</label>
+            <p class="action-description">${details}</p>
+          </div>
+          <div class="session-actions">
+            <button class="secondary-btn" data-session-action="restore" data-session-id="${this.escapeHtml(session.id)}"${session.unreadable ? ' disabled' : ''}>Restore</button>
+            <button class="danger-btn" data-session-action="delete" data-session-id="${this.escapeHtml(session.id)}">Delete</button>
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+  
+  showNoSessions(message) {
+    if (!this.elements.sessionsList) return;
+    
+    this.elements.sessionsList.innerHTML = `
+      <div class="no-data-content session-empty">
+        <p>${this.escapeHtml(message)}</p>
+      </div>
+    `;
+  }
+  
+  async loadTimeMachine() {
+    if (!this.elements.revisionsList) return;
+    
+    if (!this.state.isAuthenticated) {
+      this.showNoRevisions('Sign in to browse the history of your synced tabs');
+      return;
+    }
+    
+    try {
+      const { supported, devices } = await this.sendMessage({ action: 'getHistoryDevices' });
+      if (!supported) {
+        this.elements.revisionDeviceSelect.innerHTML = '';
+        this.showNoRevisions('Your storage provider does not keep a history of synced tabs');
+        return;
+      }
+      
+      const selected = this.elements.revisionDeviceSelect.value;
+      this.state.historyDevices = devices;
+      this.elements.revisionDeviceSelect.innerHTML = devices.map(device => `
+        <option value="${this.escapeHtml(device.deviceId)}">${this.escapeHtml(device.deviceName)}${device.isCurrent ? ' (this device)' : ''}</option>
+      `).join('');
+      if (devices.some(device => device.deviceId === selected)) {
+        this.elements.revisionDeviceSelect.value = selected;
+      }
+      
+      await this.loadRevisions();
+    } catch (error) {
+      console.error('Error loading time machine:', error);
+      this.showNoRevisions('Could not load sync history');
+    }
+  }
+  
+  async loadRevisions() {
+    const deviceId = this.elements.revisionDeviceSelect?.value;
+    this.elements.revisionDiff?.classList.add('hidden');
+    
+    if (!deviceId) {
+      this.showNoRevisions('No synced devices yet');
+      return;
+    }
+    
+    try {
+      const { revisions } = await this.sendMessage({ action: 'listRevisions', deviceId });
+      this.state.revisions = revisions;
+      this.renderRevisions();
+    } catch (error) {
+      console.error('Error loading revisions:', error);
+      this.showNoRevisions('Could not load revisions');
+    }
+  }
+  
+  renderRevisions() {
+    if (this.state.revisions.length === 0) {
+      this.showNoRevisions('No revisions for this device yet');
+      return;
+    }
+    
+    this.elements.revisionsList.innerHTML = this.state.revisions.map(revision => `
+      <div class="action-item">
+        <div class="action-info">
+          <label class="action-label">${new Date(revision.timestamp).toLocaleString()}${revision.keepForever ? ' • Kept forever' : ''}</label>
+          <p class="action-description">${this.escapeHtml(revision.message || '')}</p>
+        </div>
+        <div class="session-actions">
+          ${revision.keepForever === undefined ? '' : `
+          <button class="secondary-btn" data-revision-action="${revision.keepForever ? 'unpin' : 'pin'}" data-revision-id="${this.escapeHtml(revision.id)}">${revision.keepForever ? 'Unpin' : 'Keep Forever'}</button>`}
+          <button class="secondary-btn" data-revision-action="compare" data-revision-id="${this.escapeHtml(revision.id)}">Compare</button>
+          <button class="secondary-btn" data-revision-action="window" data-revision-id="${this.escapeHtml(revision.id)}">Open in Window</button>
+          <button class="danger-btn" data-revision-action="remote" data-revision-id="${this.escapeHtml(revision.id)}">Make Current</button>
+        </div>
+      </div>
+    `).join('');
+  }
+  
+  showNoRevisions(message) {
+    if (!this.elements.revisionsList) return;
+    
+    this.elements.revisionsList.innerHTML = `
+      <div class="no-data-content session-empty">
+        <p>${this.escapeHtml(message)}</p>
+      </div>
+    `;
+  }
+  
   async loadPreferences() {
     try {
       const storage = await chrome.storage.local.get(['syncSettings']);
@@ -596,8 +1284,19 @@ class OptionsController {
         confirmSync: settings.confirmBeforeSync !== false,
         autoMerge: settings.autoMerge !== false,
         syncNotifications: settings.showNotifications !== false,
+        liveSync: settings.liveSyncEnabled === true,
+        periodicSync: settings.periodicSyncEnabled === true,
+        periodicSyncInterval: settings.periodicSyncInterval || 30,
         includeIncognito: settings.includeIncognito === true,
-        historyRetention: settings.historyRetentionDays || 30
+        historyRetention: settings.historyRetentionDays || 30,
+        tombstoneRetention: settings.tombstoneRetentionDays || 30,
+        secretRedaction: settings.secretRedaction || 'strip',
+        secretParams: settings.secretParams || [],
+        excludePrivateHosts: settings.excludePrivateHosts !== false,
+        googleTokenEndpoint: settings.googleTokenEndpoint || '',
+        githubTokenEndpoint: settings.githubTokenEndpoint || '',
+        githubAuthMethod: settings.githubAuthMethod || 'browser',
+        githubServer: settings.githubServer || {}
       };
       
       // Update UI
@@ -610,12 +1309,52 @@ class OptionsController {
       if (this.elements.syncNotificationsToggle) {
         this.elements.syncNotificationsToggle.checked = this.state.preferences.syncNotifications;
       }
+      if (this.elements.liveSyncToggle) {
+        this.elements.liveSyncToggle.checked = this.state.preferences.liveSync;
+      }
+      if (this.elements.periodicSyncToggle) {
+        this.elements.periodicSyncToggle.checked = this.state.preferences.periodicSync;
+      }
+      if (this.elements.periodicSyncIntervalSelect) {
+        this.elements.periodicSyncIntervalSelect.value = this.state.preferences.periodicSyncInterval.toString();
+      }
+      
+      await this.loadSchedulerStatus();
       if (this.elements.includeIncognitoToggle) {
         this.elements.includeIncognitoToggle.checked = this.state.preferences.includeIncognito;
       }
       if (this.elements.historyRetentionSelect) {
         this.elements.historyRetentionSelect.value = this.state.preferences.historyRetention.toString();
       }
+      if (this.elements.tombstoneRetentionSelect) {
+        this.elements.tombstoneRetentionSelect.value = this.state.preferences.tombstoneRetention.toString();
+      }
+      if (this.elements.secretRedactionSelect) {
+        this.elements.secretRedactionSelect.value = this.state.preferences.secretRedaction;
+      }
+      if (this.elements.secretParamsInput) {
+        this.elements.secretParamsInput.value = this.state.preferences.secretParams.join(', ');
+      }
+      if (this.elements.excludePrivateHostsToggle) {
+        this.elements.excludePrivateHostsToggle.checked = this.state.preferences.excludePrivateHosts;
+      }
+      if (this.elements.googleTokenEndpointInput) {
+        this.elements.googleTokenEndpointInput.value = this.state.preferences.googleTokenEndpoint;
+        this.elements.githubTokenEndpointInput.value = this.state.preferences.githubTokenEndpoint;
+      }
+      if (this.elements.githubAuthMethodSelect) {
+        this.elements.githubAuthMethodSelect.value = this.state.preferences.githubAuthMethod;
+        this.elements.githubTokenGroup?.classList.toggle('hidden', this.state.preferences.githubAuthMethod !== 'token');
+      }
+      if (this.elements.githubWebUrlInput) {
+        const server = this.state.preferences.githubServer;
+        this.elements.githubWebUrlInput.value = server.webUrl && server.webUrl !== 'https://github.com' ? server.webUrl : '';
+        this.elements.githubApiUrlInput.value = server.apiUrl && server.apiUrl !== 'https://api.github.com' && server.apiUrl !== `${server.webUrl}/api/v3` ? server.apiUrl : '';
+        this.elements.githubClientIdInput.value = server.clientId || '';
+        this.elements.githubOwnerInput.value = server.owner || '';
+        this.elements.githubRepoNameInput.value = server.repository && server.repository !== 'tab-sync-data' ? server.repository : '';
+        this.elements.githubBranchInput.value = server.branch || '';
+      }
       
     } catch (error) {
       console.error('Error loading preferences:', error);
@@ -634,8 +1373,16 @@ class OptionsController {
         confirmSync: 'confirmBeforeSync',
         autoMerge: 'autoMerge',
         syncNotifications: 'showNotifications',
+        liveSync: 'liveSyncEnabled',
+        periodicSync: 'periodicSyncEnabled',
+        periodicSyncInterval: 'periodicSyncInterval',
         includeIncognito: 'includeIncognito',
-        historyRetention: 'historyRetentionDays'
+        historyRetention: 'historyRetentionDays',
+        tombstoneRetention: 'tombstoneRetentionDays',
+        secretRedaction: 'secretRedaction',
+        secretParams: 'secretParams',
+        excludePrivateHosts: 'excludePrivateHosts',
+        githubAuthMethod: 'githubAuthMethod'
       };
       
       settings[keyMap[key]] = value;
@@ -650,6 +1397,31 @@ class OptionsController {
     }
   }
   
+  async savePeriodicSyncPreference(key, value) {
+    await this.savePreference(key, value);
+    await this.loadSchedulerStatus();
+  }
+  
+  async loadSchedulerStatus() {
+    if (!this.elements.periodicSyncStatus) {
+      return;
+    }
+    
+    try {
+      const status = await this.sendMessage({ action: 'getSchedulerStatus' });
+      
+      if (!status.enabled) {
+        this.elements.periodicSyncStatus.textContent = '';
+      } else if (status.consecutiveFailures > 0) {
+        this.elements.periodicSyncStatus.textContent = `Retrying after ${status.consecutiveFailures} failed sync(s), next attempt ${status.nextRunAt ? new Date(status.nextRunAt).toLocaleString() : 'pending'}`;
+      } else {
+        this.elements.periodicSyncStatus.textContent = status.nextRunAt ? `Next sync ${new Date(status.nextRunAt).toLocaleString()}` : '';
+      }
+    } catch (error) {
+      console.error('Error loading scheduler status:', error);
+    }
+  }
+  
   setupNavigation() {
     // Set initial section
     this.switchSection('account');
@@ -677,8 +1449,20 @@ class OptionsController {
     this.state.currentSection = sectionId;
     
     // Trigger section-specific actions
-    if (sectionId === 'history') {
+    if (sectionId === 'devices') {
+      this.loadDevices();
+    } else if (sectionId === 'history') {
       this.loadSyncHistory();
+    } else if (sectionId === 'sync-rules') {
+      this.loadSyncRules();
+      this.loadRedactionReport();
+    } else if (sectionId === 'sessions') {
+      this.loadSessions();
+      this.loadBookmarkChoices();
+    } else if (sectionId === 'time-machine') {
+      this.loadTimeMachine();
+    } else if (sectionId === 'data') {
+      this.loadExportSources();
     }
   }
   
@@ -722,6 +1506,15 @@ class OptionsController {
   }
   
   async handleAuth(provider) {
+    if (provider === 'github' && this.state.preferences.githubAuthMethod === 'device') {
+      await this.startGitHubDeviceFlow();
+      return;
+    }
+    if (provider === 'github' && this.state.preferences.githubAuthMethod === 'token') {
+      this.elements.githubTokenInput?.focus();
+      return;
+    }
+    
     try {
       console.log(`Authenticating with ${provider}`);
       
@@ -741,40 +1534,249 @@ class OptionsController {
     }
   }
   
-  async handleSignOut() {
-    const confirmed = await this.showConfirmationDialog(
-      'Sign Out',
-      'Are you sure you want to sign out? This will clear all local sync data.',
-      'Sign Out',
-      'Cancel'
-    );
+  async changeGitHubAuthMethod() {
+    const method = this.elements.githubAuthMethodSelect.value;
+    this.stopGitHubDeviceFlow();
+    this.elements.githubTokenGroup?.classList.toggle('hidden', method !== 'token');
+    await this.savePreference('githubAuthMethod', method);
+  }
+  
+  async startGitHubDeviceFlow() {
+    this.stopGitHubDeviceFlow();
     
-    if (confirmed) {
-      try {
-        await chrome.storage.local.remove([
-          'isAuthenticated',
-          'authProvider',
-          'authTokens',
-          'lastSyncTime',
-          'syncCount',
-          'syncHistory'
-        ]);
-        
-        await this.loadAuthStatus();
-        await this.loadSyncStats();
-        await this.loadSyncHistory();
-        
-        this.showBanner('success', 'Signed Out', 'You have been signed out successfully');
-        
-      } catch (error) {
-        console.error('Sign out error:', error);
-        this.showBanner('error', 'Sign Out Failed', error.message);
-      }
+    try {
+      const flow = await this.sendMessage({ action: 'startGitHubDeviceFlow' });
+      
+      this.elements.githubUserCode.textContent = flow.userCode;
+      this.elements.githubVerificationLink.href = flow.verificationUri;
+      this.elements.githubVerificationLink.textContent = flow.verificationUri.replace(/^https:\/\//, '');
+      this.elements.githubDeviceGroup.classList.remove('hidden');
+      
+      this.deviceFlow = { deviceCode: flow.deviceCode, expiresAt: flow.expiresAt, interval: flow.interval, timer: null };
+      this.scheduleDeviceFlowPoll();
+    } catch (error) {
+      console.error('Error starting device sign-in:', error);
+      this.showBanner('error', 'Sign-in Failed', error.message);
     }
   }
   
-  async updateDeviceName() {
-    try {
+  scheduleDeviceFlowPoll() {
+    const flow = this.deviceFlow;
+    flow.timer = setTimeout(async () => {
+      if (this.deviceFlow !== flow) {
+        return;
+      }
+      if (Date.now() > flow.expiresAt) {
+        this.stopGitHubDeviceFlow();
+        this.showBanner('warning', 'Code Expired', 'The sign-in code has expired. Click GitHub to get a new one.');
+        return;
+      }
+      
+      try {
+        const result = await this.sendMessage({ action: 'pollGitHubDeviceFlow', deviceCode: flow.deviceCode });
+        if (this.deviceFlow !== flow) {
+          return;
+        }
+        
+        if (result.status === 'complete') {
+          this.stopGitHubDeviceFlow();
+          await this.loadAuthStatus();
+          this.showBanner('success', 'Signed In', 'Signed in to GitHub');
+          return;
+        }
+        
+        // GitHub asks for 5 more seconds between checks whenever it sees them too often
+        if (result.slowDown) {
+          flow.interval += 5;
+        }
+        this.scheduleDeviceFlowPoll();
+      } catch (error) {
+        console.error('Device sign-in failed:', error);
+        this.stopGitHubDeviceFlow();
+        this.showBanner('error', 'Sign-in Failed', error.message);
+      }
+    }, flow.interval * 1000);
+  }
+  
+  stopGitHubDeviceFlow() {
+    if (this.deviceFlow) {
+      clearTimeout(this.deviceFlow.timer);
+      this.deviceFlow = null;
+    }
+    this.elements.githubDeviceGroup?.classList.add('hidden');
+  }
+  
+  async signInWithGitHubToken() {
+    const token = this.elements.githubTokenInput.value.trim();
+    const repository = this.elements.githubRepositoryInput.value.trim();
+    
+    if (!token || !repository) {
+      this.showBanner('warning', 'Token Required', 'Paste a personal access token and enter its repository as owner/name');
+      return;
+    }
+    
+    try {
+      this.elements.githubTokenSigninBtn.disabled = true;
+      const result = await this.sendMessage({ action: 'signInWithGitHubToken', token, repository });
+      this.elements.githubTokenInput.value = '';
+      
+      await this.loadAuthStatus();
+      if (result.private) {
+        this.showBanner('success', 'Signed In', `Tabs will sync to ${result.repository}`);
+      } else {
+        this.showBanner('warning', 'Public Repository', `Signed in, but ${result.repository} is public. Make it private or turn on encryption before syncing.`);
+      }
+    } catch (error) {
+      console.error('Error signing in with token:', error);
+      this.showBanner('error', 'Sign-in Failed', error.message);
+    } finally {
+      this.elements.githubTokenSigninBtn.disabled = false;
+    }
+  }
+  
+  async signInWithWebDAV() {
+    const credentials = {
+      url: this.elements.webdavUrlInput.value.trim(),
+      folder: this.elements.webdavFolderInput.value.trim(),
+      username: this.elements.webdavUsernameInput.value.trim(),
+      password: this.elements.webdavPasswordInput.value
+    };
+    
+    if (!credentials.url || !credentials.username || !credentials.password) {
+      this.showBanner('warning', 'Details Required', 'Enter the server address, user name and password');
+      return;
+    }
+    
+    if (!isSecureEndpointUrl(credentials.url)) {
+      this.showBanner('warning', 'Invalid Server', `${credentials.url} is not an HTTPS URL`);
+      return;
+    }
+    const url = new URL(credentials.url);
+    
+    try {
+      this.elements.webdavSigninBtn.disabled = true;
+      
+      // Self-hosted servers are not in the manifest, so they have to be allowed first
+      if (!(await chrome.permissions.request({ origins: [`${url.origin}/*`] }))) {
+        this.showBanner('warning', 'Permission Needed', 'Allow access to the server to sync with it');
+        return;
+      }
+      
+      const result = await this.sendMessage({ action: 'signInWithWebDAV', credentials });
+      this.elements.webdavPasswordInput.value = '';
+      
+      await this.loadAuthStatus();
+      this.showBanner('success', 'Connected', `Tabs will sync to ${result.folder} on ${result.server}`);
+    } catch (error) {
+      console.error('Error signing in to WebDAV:', error);
+      this.showBanner('error', 'Sign-in Failed', error.message);
+    } finally {
+      this.elements.webdavSigninBtn.disabled = false;
+    }
+  }
+  
+  async connectS3Bucket() {
+    const settings = {
+      endpoint: this.elements.s3EndpointInput.value.trim(),
+      region: this.elements.s3RegionInput.value.trim(),
+      bucket: this.elements.s3BucketInput.value.trim(),
+      prefix: this.elements.s3PrefixInput.value.trim(),
+      accessKeyId: this.elements.s3AccessKeyInput.value.trim(),
+      secretAccessKey: this.elements.s3SecretKeyInput.value.trim()
+    };
+    
+    if (!settings.bucket || !settings.accessKeyId || !settings.secretAccessKey) {
+      this.showBanner('warning', 'Details Required', 'Enter the bucket name and access keys');
+      return;
+    }
+    
+    if (settings.endpoint && !isSecureEndpointUrl(settings.endpoint)) {
+      this.showBanner('warning', 'Invalid Endpoint', `${settings.endpoint} is not an HTTPS URL`);
+      return;
+    }
+    
+    // Ask only for the host the bucket is addressed under, which is what the background worker checks
+    let origins;
+    try {
+      origins = getBucketOrigins(normalizeS3Settings(settings));
+    } catch (error) {
+      this.showBanner('warning', 'Invalid Bucket', error.message);
+      return;
+    }
+    
+    let moveData = false;
+    if (this.state.isAuthenticated && this.state.authProvider !== 's3') {
+      moveData = await this.showConfirmationDialog(
+        'Move Synced Tabs',
+        'Copy the tabs and sessions synced to your current account into the bucket? You will be signed out of that account either way.',
+        'Copy',
+        'Don\'t Copy'
+      );
+    }
+    
+    try {
+      this.elements.s3ConnectBtn.disabled = true;
+      
+      if (!(await chrome.permissions.request({ origins }))) {
+        this.showBanner('warning', 'Permission Needed', 'Allow access to the bucket to sync with it');
+        return;
+      }
+      
+      const result = await this.sendMessage({ action: 'connectS3Bucket', settings, moveData });
+      this.elements.s3SecretKeyInput.value = '';
+      
+      await this.loadAuthStatus();
+      if (result.moved?.failed) {
+        this.showBanner('warning', 'Connected', `Copied ${result.moved.synced} files to ${result.bucket}, but ${result.moved.failed} could not be copied`);
+      } else if (result.moved) {
+        this.showBanner('success', 'Connected', `Copied ${result.moved.synced} files to ${result.bucket}`);
+      } else {
+        this.showBanner('success', 'Connected', `Tabs will sync to ${result.prefix} in ${result.bucket}`);
+      }
+    } catch (error) {
+      console.error('Error connecting to S3 bucket:', error);
+      this.showBanner('error', 'Connection Failed', error.message);
+    } finally {
+      this.elements.s3ConnectBtn.disabled = false;
+    }
+  }
+  
+  async handleSignOut() {
+    const confirmed = await this.showConfirmationDialog(
+      'Sign Out',
+      'Are you sure you want to sign out? This will clear all local sync data.',
+      'Sign Out',
+      'Cancel'
+    );
+    
+    if (confirmed) {
+      try {
+        await chrome.storage.local.remove([
+          'isAuthenticated',
+          'authProvider',
+          'authTokens',
+          'githubRepository',
+          'lastSyncTime',
+          'syncCount',
+          'syncHistory',
+          'syncBase'
+        ]);
+        
+        await this.loadAuthStatus();
+        await this.loadSyncStats();
+        await this.loadSyncHistory();
+        
+        this.showBanner('success', 'Signed Out', 'You have been signed out successfully');
+        
+      } catch (error) {
+        console.error('Sign out error:', error);
+        this.showBanner('error', 'Sign Out Failed', error.message);
+      }
+    }
+  }
+  
+  async updateDeviceName() {
+    try {
       const newName = this.elements.deviceNameInput?.value?.trim();
       if (!newName) {
         this.showBanner('warning', 'Invalid Name', 'Please enter a valid device name');
@@ -799,6 +1801,159 @@ class OptionsController {
     }
   }
   
+  async saveTokenEndpoints() {
+    const endpoints = {
+      googleTokenEndpoint: this.elements.googleTokenEndpointInput.value.trim(),
+      githubTokenEndpoint: this.elements.githubTokenEndpointInput.value.trim()
+    };
+    
+    // HTTPS only, apart from a proxy running on this computer
+    const origins = [];
+    for (const value of Object.values(endpoints).filter(Boolean)) {
+      if (!isSecureEndpointUrl(value)) {
+        this.showBanner('warning', 'Invalid Endpoint', `${value} is not an HTTPS URL`);
+        return;
+      }
+      const url = new URL(value);
+      origins.push(`${url.protocol}//${url.hostname}/*`);
+    }
+    
+    try {
+      // The proxy's host has to be allowed before the background worker can call it
+      if (origins.length > 0 && !(await chrome.permissions.request({ origins }))) {
+        this.showBanner('warning', 'Permission Needed', 'Allow access to the proxy to use it for sign-in');
+        return;
+      }
+      
+      const storage = await chrome.storage.local.get(['syncSettings']);
+      await chrome.storage.local.set({ syncSettings: { ...storage.syncSettings, ...endpoints } });
+      Object.assign(this.state.preferences, endpoints);
+      
+      this.showBanner('success', 'Token Endpoints Saved', 'The next sign-in and token refresh will use these endpoints');
+    } catch (error) {
+      console.error('Error saving token endpoints:', error);
+      this.showBanner('error', 'Save Failed', 'Could not save the token endpoints');
+    }
+  }
+  
+  async saveGitHubServer() {
+    const server = {
+      webUrl: this.elements.githubWebUrlInput.value.trim(),
+      apiUrl: this.elements.githubApiUrlInput.value.trim(),
+      clientId: this.elements.githubClientIdInput.value.trim(),
+      owner: this.elements.githubOwnerInput.value.trim(),
+      repository: this.elements.githubRepoNameInput.value.trim(),
+      branch: this.elements.githubBranchInput.value.trim()
+    };
+    
+    // Enterprise hosts are not in the manifest, so they have to be allowed first
+    const origins = [];
+    for (const value of [server.webUrl, server.apiUrl].filter(Boolean)) {
+      if (!isSecureEndpointUrl(value)) {
+        this.showBanner('warning', 'Invalid Server', `${value} is not an HTTPS URL`);
+        return;
+      }
+      const url = new URL(value);
+      if (!['github.com', 'api.github.com'].includes(url.hostname)) {
+        origins.push(`${url.origin}/*`);
+      }
+    }
+    
+    try {
+      if (origins.length > 0 && !(await chrome.permissions.request({ origins }))) {
+        this.showBanner('warning', 'Permission Needed', 'Allow access to the server to sync with it');
+        return;
+      }
+      
+      const result = await this.sendMessage({ action: 'saveGitHubServer', server });
+      this.state.preferences.githubServer = result.server;
+      
+      if (result.signedOut) {
+        await this.loadAuthStatus();
+        this.showBanner('warning', 'Signed Out', `Sign in to ${new URL(result.server.webUrl).host} to keep syncing`);
+      } else {
+        this.showBanner('success', 'GitHub Server Saved', `Tabs will sync to ${result.server.owner ? `${result.server.owner}/` : ''}${result.server.repository}`);
+      }
+    } catch (error) {
+      console.error('Error saving GitHub server:', error);
+      this.showBanner('error', 'Save Failed', error.message);
+    }
+  }
+  
+  async enableEncryption() {
+    try {
+      const passphrase = this.elements.encryptionPassphraseInput?.value || '';
+      const confirmation = this.elements.encryptionConfirmInput?.value || '';
+      
+      if (passphrase.length < 8) {
+        this.showBanner('warning', 'Weak Passphrase', 'Passphrase must be at least 8 characters');
+        return;
+      }
+      
+      if (passphrase !== confirmation) {
+        this.showBanner('warning', 'Passphrase Mismatch', 'The passphrases do not match');
+        return;
+      }
+      
+      const status = await this.sendMessage({ action: 'setupEncryption', passphrase });
+      this.elements.encryptionPassphraseInput.value = '';
+      this.elements.encryptionConfirmInput.value = '';
+      this.updateEncryptionUI(status);
+      
+      this.showBanner('success', 'Encryption Enabled', 'Future syncs will be encrypted. Use the same passphrase on your other devices.');
+      
+    } catch (error) {
+      console.error('Error enabling encryption:', error);
+      this.showBanner('error', 'Encryption Failed', error.message);
+    }
+  }
+  
+  async unlockEncryption() {
+    try {
+      const passphrase = this.elements.encryptionUnlockInput?.value || '';
+      const status = await this.sendMessage({ action: 'unlockEncryption', passphrase });
+      this.elements.encryptionUnlockInput.value = '';
+      this.updateEncryptionUI(status);
+      
+      this.showBanner('success', 'Encryption Unlocked', 'Encrypted sync data can now be read on this device');
+      
+    } catch (error) {
+      console.error('Error unlocking encryption:', error);
+      this.showBanner('error', 'Unlock Failed', error.message);
+    }
+  }
+  
+  async lockEncryption() {
+    try {
+      const status = await this.sendMessage({ action: 'lockEncryption' });
+      this.updateEncryptionUI(status);
+      this.showBanner('info', 'Encryption Locked', 'Sync is paused until you unlock with your passphrase');
+    } catch (error) {
+      console.error('Error locking encryption:', error);
+      this.showBanner('error', 'Lock Failed', error.message);
+    }
+  }
+  
+  async disableEncryption() {
+    const confirmed = await this.showConfirmationDialog(
+      'Disable Encryption',
+      'Future syncs will be stored unencrypted. Data already in the cloud stays encrypted until the next sync overwrites it.',
+      'Disable',
+      'Cancel'
+    );
+    
+    if (confirmed) {
+      try {
+        const status = await this.sendMessage({ action: 'disableEncryption' });
+        this.updateEncryptionUI(status);
+        this.showBanner('success', 'Encryption Disabled', 'Sync data will no longer be encrypted');
+      } catch (error) {
+        console.error('Error disabling encryption:', error);
+        this.showBanner('error', 'Disable Failed', error.message);
+      }
+    }
+  }
+  
   async copyDeviceId() {
     try {
       const deviceId = this.elements.deviceId?.textContent;
@@ -820,14 +1975,17 @@ class OptionsController {
         <span>Testing...</span>
       `;
       
-      // TODO: Implement actual connection test
-      await new Promise(resolve => setTimeout(resolve, 2000)); // Simulate test
+      const result = await this.sendMessage({ action: 'testConnection' });
+      if (!result.success) {
+        throw new Error(result.error || 'Could not connect to storage provider');
+      }
       
-      this.showBanner('success', 'Connection Test', 'Connection to storage provider is working correctly');
+      const target = result.repository ? ` (${result.repository}${result.host ? ` on ${result.host}` : ''})` : '';
+      this.showBanner('success', 'Connection Test', `Connection to storage provider is working correctly${target}`);
       
     } catch (error) {
       console.error('Connection test failed:', error);
-      this.showBanner('error', 'Connection Failed', 'Could not connect to storage provider');
+      this.showBanner('error', 'Connection Failed', error.message);
     } finally {
       this.elements.testConnectionBtn.disabled = false;
       this.elements.testConnectionBtn.innerHTML = `
@@ -927,6 +2085,214 @@ class OptionsController {
     }
   }
   
+  async saveSession() {
+    const name = this.elements.sessionNameInput.value.trim();
+    if (!name) {
+      this.showBanner('warning', 'Name Required', 'Please enter a name for the session');
+      this.elements.sessionNameInput.focus();
+      return;
+    }
+    
+    try {
+      this.elements.saveSessionBtn.disabled = true;
+      
+      const scope = this.elements.sessionScopeSelect.value;
+      const message = { action: 'saveSession', name, scope };
+      if (scope === 'window') {
+        // The options page has its own tab, so save the window it is open in
+        message.windowId = (await chrome.windows.getCurrent()).id;
+      }
+      
+      const session = await this.sendMessage(message);
+      
+      this.elements.sessionNameInput.value = '';
+      this.showBanner('success', 'Session Saved', `Saved ${session.tabCount} tabs as "${session.name}"`);
+      await this.loadSessions();
+    } catch (error) {
+      console.error('Error saving session:', error);
+      this.showBanner('error', 'Save Failed', error.message || 'Could not save session');
+    } finally {
+      this.elements.saveSessionBtn.disabled = false;
+    }
+  }
+  
+  async handleDeviceAction(action, deviceId) {
+    if (action === 'rename') {
+      await this.renameDevice(deviceId);
+    } else if (action === 'forget') {
+      await this.forgetDevice(deviceId);
+    }
+  }
+  
+  async renameDevice(deviceId) {
+    const device = this.state.devices.find(candidate => candidate.deviceId === deviceId);
+    const label = prompt('Name shown for this device on all of your devices. Leave empty to use the name it reports.', device?.label || device?.deviceName || '');
+    if (label === null) {
+      return;
+    }
+    
+    try {
+      const result = await this.sendMessage({ action: 'renameDevice', deviceId, label });
+      this.showBanner('success', 'Device Renamed', `The device is now shown as "${result.deviceName}"`);
+      await this.loadDevices();
+    } catch (error) {
+      console.error('Error renaming device:', error);
+      this.showBanner('error', 'Rename Failed', error.message || 'Could not rename device');
+    }
+  }
+  
+  async forgetDevice(deviceId) {
+    const device = this.state.devices.find(candidate => candidate.deviceId === deviceId);
+    const confirmed = await this.showConfirmationDialog(
+      'Forget Device',
+      `This will delete the synced tabs, closed tab history and waiting sent tabs of "${device?.deviceName || deviceId}" from cloud storage. If the device syncs again it will reappear.`,
+      'Forget Device',
+      'Cancel'
+    );
+    
+    if (confirmed) {
+      try {
+        await this.sendMessage({ action: 'forgetDevice', deviceId });
+        this.showBanner('success', 'Device Forgotten', 'The device and its synced data have been removed');
+        await this.loadDevices();
+      } catch (error) {
+        console.error('Error forgetting device:', error);
+        this.showBanner('error', 'Forget Failed', error.message || 'Could not forget device');
+      }
+    }
+  }
+  
+  async handleSessionAction(action, sessionId) {
+    if (action === 'restore') {
+      await this.restoreSession(sessionId);
+    } else if (action === 'delete') {
+      await this.deleteSession(sessionId);
+    }
+  }
+  
+  async restoreSession(sessionId) {
+    try {
+      const result = await this.sendMessage({ action: 'restoreSession', sessionId });
+      
+      if (result.errors.length > 0) {
+        this.showBanner('warning', 'Session Partially Restored', `Restored ${result.tabsCreated} tabs, ${result.errors.length} could not be opened`);
+      } else {
+        this.showBanner('success', 'Session Restored', `Restored ${result.tabsCreated} tabs from "${result.name}"`);
+      }
+    } catch (error) {
+      console.error('Error restoring session:', error);
+      this.showBanner('error', 'Restore Failed', error.message || 'Could not restore session');
+    }
+  }
+  
+  async deleteSession(sessionId) {
+    const session = this.state.sessions.find(candidate => candidate.id === sessionId);
+    const confirmed = await this.showConfirmationDialog(
+      'Delete Session',
+      `This will permanently delete the session "${session?.name || sessionId}" from cloud storage.`,
+      'Delete Session',
+      'Cancel'
+    );
+    
+    if (confirmed) {
+      try {
+        await this.sendMessage({ action: 'deleteSession', sessionId });
+        this.showBanner('success', 'Session Deleted', 'The session has been deleted');
+        await this.loadSessions();
+      } catch (error) {
+        console.error('Error deleting session:', error);
+        this.showBanner('error', 'Delete Failed', error.message || 'Could not delete session');
+      }
+    }
+  }
+  
+  async handleRevisionAction(action, revisionId) {
+    if (action === 'compare') {
+      await this.compareRevision(revisionId);
+    } else if (action === 'pin' || action === 'unpin') {
+      await this.keepRevision(revisionId, action === 'pin');
+    } else {
+      await this.restoreRevision(revisionId, action);
+    }
+  }
+  
+  async compareRevision(revisionId) {
+    try {
+      const diff = await this.sendMessage({
+        action: 'compareRevision',
+        revisionId,
+        deviceId: this.elements.revisionDeviceSelect.value
+      });
+      
+      this.elements.revisionDiffSummary.textContent =
+        `${new Date(diff.timestamp).toLocaleString()}: ${diff.tabCount} tabs, ${diff.added.length} added, ${diff.removed.length} removed, ${diff.unchangedCount} unchanged`;
+      this.renderRevisionDiffList(this.elements.revisionDiffAdded, diff.added);
+      this.renderRevisionDiffList(this.elements.revisionDiffRemoved, diff.removed);
+      this.elements.revisionDiff.classList.remove('hidden');
+    } catch (error) {
+      console.error('Error comparing revision:', error);
+      this.showBanner('error', 'Compare Failed', error.message || 'Could not read this revision');
+    }
+  }
+  
+  async keepRevision(revisionId, keepForever) {
+    try {
+      await this.sendMessage({
+        action: 'keepRevision',
+        revisionId,
+        deviceId: this.elements.revisionDeviceSelect.value,
+        keepForever
+      });
+      
+      const revision = this.state.revisions.find(candidate => candidate.id === revisionId);
+      if (revision) revision.keepForever = keepForever;
+      this.renderRevisions();
+    } catch (error) {
+      console.error('Error updating revision retention:', error);
+      this.showBanner('error', 'Update Failed', error.message || 'Could not update this revision');
+    }
+  }
+  
+  renderRevisionDiffList(list, tabs) {
+    list.innerHTML = tabs.length === 0 ? '<li>None</li>' : tabs.map(tab => `
+      <li title="${this.escapeHtml(tab.url)}">${this.escapeHtml(tab.title || tab.url)}</li>
+    `).join('');
+  }
+  
+  async restoreRevision(revisionId, mode) {
+    if (mode === 'remote') {
+      const confirmed = await this.showConfirmationDialog(
+        'Make Revision Current',
+        'This will close your open tabs, reopen the tabs from this revision and upload them as the current state of this device.',
+        'Make Current',
+        'Cancel'
+      );
+      if (!confirmed) return;
+    }
+    
+    try {
+      const result = await this.sendMessage({
+        action: 'restoreRevision',
+        revisionId,
+        deviceId: this.elements.revisionDeviceSelect.value,
+        mode
+      });
+      
+      if (result.errors.length > 0) {
+        this.showBanner('warning', 'Revision Partially Restored', `Restored ${result.tabsCreated} tabs, ${result.errors.length} could not be opened`);
+      } else {
+        this.showBanner('success', 'Revision Restored', `Restored ${result.tabsCreated} tabs`);
+      }
+      
+      if (mode === 'remote') {
+        await this.loadRevisions();
+      }
+    } catch (error) {
+      console.error('Error restoring revision:', error);
+      this.showBanner('error', 'Restore Failed', error.message || 'Could not restore this revision');
+    }
+  }
+  
   async clearCache() {
     try {
       // TODO: Implement cache clearing
@@ -1048,6 +2414,101 @@ class OptionsController {
     }
   }
   
+  async loadExportSources() {
+    if (!this.elements.exportSourceSelect) return;
+    
+    try {
+      // Other devices and saved sessions live in cloud storage, so only this device is offered when signed out
+      const [devices, sessions] = this.state.isAuthenticated
+        ? await Promise.all([
+          this.sendMessage({ action: 'listDevices' }).then(response => response.devices),
+          this.sendMessage({ action: 'listSessions' }).then(response => response.sessions.filter(session => !session.unreadable))
+        ])
+        : [[], []];
+      
+      const deviceOptions = devices.length > 0
+        ? devices.map(device => `<option value="device:${this.escapeHtml(device.deviceId)}">${this.escapeHtml(device.deviceName)}${device.isCurrent ? ' (this device)' : ''}</option>`)
+        : ['<option value="device:">This device</option>'];
+      const sessionOptions = sessions.map(session => `<option value="session:${this.escapeHtml(session.id)}">${this.escapeHtml(session.name)}</option>`);
+      
+      this.elements.exportSourceSelect.innerHTML = `
+        <optgroup label="Devices">${deviceOptions.join('')}</optgroup>
+        ${sessionOptions.length > 0 ? `<optgroup label="Sessions">${sessionOptions.join('')}</optgroup>` : ''}
+      `;
+    } catch (error) {
+      console.error('Error loading export sources:', error);
+    }
+  }
+  
+  async importTabs() {
+    const file = this.elements.importFileInput?.files[0];
+    if (!file) {
+      this.showBanner('warning', 'No File Selected', 'Please select a file to import');
+      return;
+    }
+    if (!this.state.isAuthenticated) {
+      this.showBanner('warning', 'Authentication Required', 'Please sign in to import tabs');
+      return;
+    }
+    
+    const destination = this.elements.importDestinationSelect.value;
+    try {
+      this.elements.importTabsBtn.disabled = true;
+      const result = await this.sendMessage({
+        action: 'importTabs',
+        text: await file.text(),
+        format: this.elements.importFormatSelect.value,
+        destination,
+        fileName: file.name
+      });
+      
+      const skipped = result.skippedCount > 0 ? ` ${result.skippedCount} entries that are not web pages were skipped.` : '';
+      if (destination === 'session') {
+        this.showBanner('success', 'Tabs Imported', `Saved ${result.tabCount} tabs as the session "${result.session.name}".${skipped}`);
+      } else {
+        this.showBanner('success', 'Tabs Imported', `Opened ${result.tabsCreated} tabs in ${result.windowCount} new ${result.windowCount === 1 ? 'window' : 'windows'} and pushed them to the cloud.${skipped}`);
+      }
+      this.elements.importFileInput.value = '';
+      await this.loadExportSources();
+    } catch (error) {
+      console.error('Error importing tabs:', error);
+      this.showBanner('error', 'Import Failed', error.message || 'Could not import the file');
+      this.elements.importTabsBtn.disabled = false;
+    }
+  }
+  
+  async exportTabs() {
+    const [sourceType, sourceId] = this.elements.exportSourceSelect.value.split(/:(.*)/);
+    
+    try {
+      this.elements.exportTabsBtn.disabled = true;
+      const file = await this.sendMessage({
+        action: 'exportTabs',
+        format: this.elements.exportFormatSelect.value,
+        sessionId: sourceType === 'session' ? sourceId : null,
+        deviceId: sourceType === 'device' && sourceId ? sourceId : null
+      });
+      
+      const blob = new Blob([file.content], { type: file.mimeType });
+      const url = URL.createObjectURL(blob);
+      
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = file.fileName;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+      
+      this.showBanner('success', 'Tabs Exported', `Downloaded ${file.tabCount} tabs as ${file.fileName}`);
+    } catch (error) {
+      console.error('Error exporting tabs:', error);
+      this.showBanner('error', 'Export Failed', error.message || 'Could not export tabs');
+    } finally {
+      this.elements.exportTabsBtn.disabled = false;
+    }
+  }
+  
   async deleteCloudData() {
     const confirmed = await this.showConfirmationDialog(
       'Delete Cloud Data',
@@ -50,6 +50,15 @@ class PopupController {
     this.elements.deviceName = document.getElementById('device-name');
     this.elements.authProvider = document.getElementById('auth-provider');
     
+    // Session quick actions
+    this.elements.saveSessionBtn = document.getElementById('save-session-btn');
+    this.elements.sessionSelect = document.getElementById('session-select');
+    this.elements.restoreSessionBtn = document.getElementById('restore-session-btn');
+    
+    // Send to device
+    this.elements.sendToDevice = document.getElementById('send-to-device');
+    this.elements.deviceList = document.getElementById('device-list');
+    
     // Auth buttons
     this.elements.googleAuthBtn = document.getElementById('google-auth');
     this.elements.githubAuthBtn = document.getElementById('github-auth');
@@ -85,6 +94,10 @@ class PopupController {
     // Sync controls
     this.elements.syncBtn?.addEventListener('click', () => this.handleSyncClick());
     
+    // Session quick actions
+    this.elements.saveSessionBtn?.addEventListener('click', () => this.saveWindowSession());
+    this.elements.restoreSessionBtn?.addEventListener('click', () => this.restoreSelectedSession());
+    
     // Auth buttons
     this.elements.googleAuthBtn?.addEventListener('click', () => this.handleAuth('google'));
     this.elements.githubAuthBtn?.addEventListener('click', () => this.handleAuth('github'));
@@ -144,6 +157,11 @@ class PopupController {
         this.showConflictAlert();
       }
       
+      if (this.state.isAuthenticated) {
+        await this.loadSessions();
+        await this.loadSendTargets();
+      }
+      
     } catch (error) {
       console.error('Failed to initialize state:', error);
       this.showError('Initialization failed', error.message);
@@ -401,6 +419,132 @@ class PopupController {
     }
   }
   
+  async loadSessions() {
+    if (!this.elements.sessionSelect) return;
+    
+    try {
+      const { sessions } = await this.sendMessage({ action: 'listSessions' });
+      const restorable = sessions.filter(session => !session.unreadable);
+      
+      this.elements.sessionSelect.innerHTML = '';
+      if (restorable.length === 0) {
+        this.elements.sessionSelect.add(new Option('No saved sessions', ''));
+      }
+      for (const session of restorable) {
+        this.elements.sessionSelect.add(new Option(`${session.name} (${session.tabCount} tabs)`, session.id));
+      }
+      
+      this.elements.sessionSelect.disabled = restorable.length === 0;
+      this.elements.restoreSessionBtn.disabled = restorable.length === 0;
+    } catch (error) {
+      // Sessions are optional, so a failed listing must not break the popup
+      console.error('Failed to load sessions:', error);
+    }
+  }
+  
+  async saveWindowSession() {
+    const name = prompt('Name this session:');
+    if (!name || !name.trim()) {
+      return;
+    }
+    
+    try {
+      this.elements.saveSessionBtn.disabled = true;
+      const currentWindow = await chrome.windows.getCurrent();
+      const session = await this.sendMessage({
+        action: 'saveSession',
+        name,
+        scope: 'window',
+        windowId: currentWindow.id
+      });
+      
+      this.showNotification('Session Saved', `Saved ${session.tabCount} tabs as "${session.name}"`, 'success');
+      await this.loadSessions();
+    } catch (error) {
+      console.error('Failed to save session:', error);
+      this.showNotification('Save Failed', error.message, 'error');
+    } finally {
+      this.elements.saveSessionBtn.disabled = false;
+    }
+  }
+  
+  async restoreSelectedSession() {
+    const sessionId = this.elements.sessionSelect?.value;
+    if (!sessionId) {
+      return;
+    }
+    
+    try {
+      this.elements.restoreSessionBtn.disabled = true;
+      const result = await this.sendMessage({ action: 'restoreSession', sessionId });
+      
+      if (result.errors.length > 0) {
+        this.showNotification('Session Partially Restored', `${result.errors.length} tabs could not be opened`, 'error');
+      }
+    } catch (error) {
+      console.error('Failed to restore session:', error);
+      this.showNotification('Restore Failed', error.message, 'error');
+    } finally {
+      this.elements.restoreSessionBtn.disabled = false;
+    }
+  }
+  
+  async loadSendTargets() {
+    if (!this.elements.deviceList) return;
+    
+    try {
+      const { devices } = await this.sendMessage({ action: 'getSendTargets' });
+      
+      this.elements.deviceList.innerHTML = '';
+      for (const device of devices) {
+        const item = document.createElement('li');
+        item.className = 'device-item';
+        
+        const name = document.createElement('span');
+        name.className = 'device-item-name';
+        name.textContent = device.deviceName;
+        name.title = [device.browserName, device.platform].filter(Boolean).join(' on ');
+        item.appendChild(name);
+        
+        for (const [scope, label] of [['tab', 'Tab'], ['window', 'Window']]) {
+          const button = document.createElement('button');
+          button.className = 'secondary-btn device-send-btn';
+          button.textContent = label;
+          button.setAttribute('aria-label', `Send ${scope} to ${device.deviceName}`);
+          button.addEventListener('click', () => this.sendToDevice(device, scope, button));
+          item.appendChild(button);
+        }
+        
+        this.elements.deviceList.appendChild(item);
+      }
+      
+      this.elements.sendToDevice?.classList.toggle('hidden', devices.length === 0);
+    } catch (error) {
+      // Sending is optional, so a failed listing must not break the popup
+      console.error('Failed to load devices:', error);
+    }
+  }
+  
+  async sendToDevice(device, scope, button) {
+    try {
+      button.disabled = true;
+      const currentWindow = await chrome.windows.getCurrent();
+      const result = await this.sendMessage({
+        action: 'sendToDevice',
+        deviceId: device.deviceId,
+        scope,
+        windowId: currentWindow.id
+      });
+      
+      this.showNotification('Sent', `Sent ${result.tabCount} tab${result.tabCount === 1 ? '' : 's'} to ${device.deviceName}`, 'success');
+    } catch (error) {
+      console.error('Failed to send to device:', error);
+      this.showNotification('Send Failed', error.message, 'error');
+    } finally {
+      button.disabled = false;
+    }
+  }
+  
   setAuthButtonsState(enabled) {
     if (this.elements.googleAuthBtn) {
       this.elements.googleAuthBtn.disabled = !enabled;
@@ -1,8 +1,10 @@
 // Unified authentication service for Tab Sync Extension
-// Supports both Google and GitHub OAuth providers
+// Supports Google and GitHub OAuth, WebDAV server credentials and S3 bucket access keys
 
 import { GoogleAuthService } from './google-auth.js';
 import { GitHubAuthService } from './github-auth.js';
+import { WebDAVAuthService } from './webdav-auth.js';
+import { S3AuthService } from './s3-auth.js';
 import { log, createError } from '../utils.js';
 import { errorHandler, ErrorCategory, ErrorSeverity, withErrorHandling } from '../error-handler.js';
 
@@ -13,7 +15,9 @@ export class AuthService {
   constructor() {
     this.providers = {
       google: new GoogleAuthService(),
-      github: new GitHubAuthService()
+      github: new GitHubAuthService(),
+      webdav: new WebDAVAuthService(),
+      s3: new S3AuthService()
     };
     this.currentProvider = null;
   }
@@ -85,6 +89,115 @@ export class AuthService {
     })();
   }
 
+  /**
+   * Start signing in to GitHub with a device code
+   * @returns {Promise<Object>} Device code, user code, verification URL, expiry time and poll interval
+   */
+  async startGitHubDeviceFlow() {
+    return withErrorHandling(async () => {
+      return this.providers.github.startDeviceFlow();
+    }, {
+      category: ErrorCategory.AUTHENTICATION,
+      severity: ErrorSeverity.MEDIUM,
+      source: 'auth_service_device_flow',
+      context: { provider: 'github' },
+      recoverable: true,
+      userVisible: true
+    })();
+  }
+
+  /**
+   * Check whether the user has entered the GitHub device code
+   * @param {string} deviceCode - Device code from startGitHubDeviceFlow
+   * @returns {Promise<Object>} Status 'pending' or 'complete'
+   */
+  async pollGitHubDeviceFlow(deviceCode) {
+    const result = await this.providers.github.pollDeviceFlow(deviceCode);
+    if (result.status === 'complete') {
+      this.currentProvider = 'github';
+      log('info', 'Authentication completed successfully', { provider: 'github', method: 'device' });
+    }
+    return result;
+  }
+
+  /**
+   * Sign in to GitHub with a fine-grained personal access token
+   * @param {string} token - Personal access token
+   * @param {string} repository - Repository the token can access, as owner/name
+   * @returns {Promise<Object>} Repository full name and whether it is private
+   */
+  async signInWithGitHubToken(token, repository) {
+    return withErrorHandling(async () => {
+      const result = await this.providers.github.signInWithToken(token, repository);
+      this.currentProvider = 'github';
+
+      log('info', 'Authentication completed successfully', { provider: 'github', method: 'token' });
+      return result;
+    }, {
+      category: ErrorCategory.AUTHENTICATION,
+      severity: ErrorSeverity.HIGH,
+      source: 'auth_service_token_sign_in',
+      context: { provider: 'github' },
+      recoverable: true,
+      userVisible: true
+    })();
+  }
+
+  /**
+   * Sign in to a WebDAV server with a user name and password
+   * @param {Object} credentials - Server URL, user name, password and sync folder
+   * @returns {Promise<Object>} Server host, user name and folder
+   */
+  async signInWithWebDAV(credentials) {
+    return withErrorHandling(async () => {
+      const tokens = await this.providers.webdav.signIn(credentials);
+      this.currentProvider = 'webdav';
+
+      log('info', 'Authentication completed successfully', { provider: 'webdav' });
+      return {
+        server: new URL(tokens.serverUrl).host,
+        username: tokens.username,
+        folder: tokens.folder
+      };
+    }, {
+      category: ErrorCategory.AUTHENTICATION,
+      severity: ErrorSeverity.HIGH,
+      source: 'auth_service_webdav_sign_in',
+      context: { provider: 'webdav' },
+      recoverable: true,
+      userVisible: true
+    })();
+  }
+
+  /**
+   * Check access keys against an S3 bucket and store them
+   * The current sign-in is kept until useS3ForSync, so synced files can be copied over first.
+   * @param {Object} settings - Endpoint, region, bucket, prefix and access keys
+   * @returns {Promise<Object>} Bucket settings, without the secret
+   */
+  async connectS3Bucket(settings) {
+    return withErrorHandling(async () => {
+      return this.providers.s3.connect(settings);
+    }, {
+      category: ErrorCategory.AUTHENTICATION,
+      severity: ErrorSeverity.HIGH,
+      source: 'auth_service_s3_connect',
+      context: { provider: 's3' },
+      recoverable: true,
+      userVisible: true
+    })();
+  }
+
+  /**
+   * Sync with the connected S3 bucket instead of the current account
+   * @returns {Promise<void>}
+   */
+  async useS3ForSync() {
+    await this.providers.s3.activate();
+    this.currentProvider = 's3';
+    log('info', 'Authentication completed successfully', { provider: 's3' });
+  }
+
   /**
    * Sign out from current provider
    * @returns {Promise<void>}
@@ -303,6 +416,18 @@ export class AuthService {
         normalized.username = profile.login;
         break;
 
+      case 'webdav':
+        normalized.id = `${profile.username}@${profile.server}`;
+        normalized.name = profile.username;
+        normalized.username = profile.username;
+        break;
+
+      case 's3':
+        normalized.id = `${profile.accessKeyId}@${profile.host}`;
+        normalized.name = profile.bucket;
+        normalized.username = profile.accessKeyId;
+        break;
+
       default:
         log('warn', 'Unknown provider for profile normalization', { provider });
     }
@@ -1,22 +1,31 @@
 // GitHub OAuth authentication service for Tab Sync Extension
 
-import { log, createError, retryWithBackoff } from '../utils.js';
+import { log, createError } from '../utils.js';
 import { validateAuthTokens } from '../validation.js';
+import { createAuthRequest, readAuthorizationResponse, getTokenEndpoint, requestTokens, isRefreshTokenRejected } from './oauth.js';
+import { getGitHubServer } from './github-server.js';
 
 /**
  * GitHub OAuth configuration
  */
 const GITHUB_CONFIG = {
-  clientId: 'YOUR_GITHUB_CLIENT_ID', // To be replaced with actual client ID
+  clientId: 'YOUR_GITHUB_CLIENT_ID', // To be replaced with actual client ID; Enterprise Server needs its own app
   scopes: [
     'repo', // Access to private repositories for data storage
     'user:email' // Access to user email for identification
   ],
   redirectUri: chrome.identity.getRedirectURL(),
-  responseType: 'code',
-  state: null // Will be generated for each request
+  responseType: 'code'
 };
 
+export const GITHUB_AUTH_METHODS = ['browser', 'device', 'token'];
+
+const DEVICE_GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:device_code';
+const REPOSITORY_PATTERN = /^[\w.-]+\/[\w.-]+$/;
+
+// Tokens of OAuth apps never expire; treat them as valid for a year
+const NON_EXPIRING_TOKEN_LIFETIME = 365 * 24 * 60 * 60 * 1000;
+
 /**
  * GitHub OAuth service class
  */
@@ -24,6 +33,23 @@ export class GitHubAuthService {
   constructor() {
     this.provider = 'github';
     this.isAuthenticating = false;
+    this.pendingRequest = null;
+    this.refreshPromise = null;
+  }
+
+  /**
+   * Get the OAuth endpoints and client ID of the configured GitHub server
+   * @returns {Promise<Object>} Server settings with its sign-in URLs
+   */
+  async getServerConfig() {
+    const server = await getGitHubServer();
+    return {
+      ...server,
+      clientId: server.clientId || GITHUB_CONFIG.clientId,
+      authUrl: `${server.webUrl}/login/oauth/authorize`,
+      tokenUrl: `${server.webUrl}/login/oauth/access_token`,
+      deviceCodeUrl: `${server.webUrl}/login/device/code`
+    };
   }
 
   /**
@@ -42,8 +68,8 @@ export class GitHubAuthService {
       // Step 1: Get authorization code
       const authCode = await this.getAuthorizationCode();
       
-      // Step 2: Exchange code for tokens
-      const tokens = await this.exchangeCodeForTokens(authCode);
+      // Step 2: Exchange code and verifier for tokens
+      const tokens = await this.exchangeCodeForTokens(authCode, this.pendingRequest.codeVerifier);
       
       // Step 3: Validate and store tokens
       const validatedTokens = await this.validateAndStoreTokens(tokens);
@@ -56,6 +82,7 @@ export class GitHubAuthService {
       throw error;
     } finally {
       this.isAuthenticating = false;
+      this.pendingRequest = null;
     }
   }
 
@@ -64,9 +91,10 @@ export class GitHubAuthService {
    * @returns {Promise<string>} Authorization code
    */
   async getAuthorizationCode() {
+    this.pendingRequest = await createAuthRequest();
+    const authUrl = this.buildAuthUrl(this.pendingRequest, await this.getServerConfig());
+
     return new Promise((resolve, reject) => {
-      const authUrl = this.buildAuthUrl();
-      
       chrome.identity.launchWebAuthFlow({
         url: authUrl,
         interactive: true
@@ -96,32 +124,22 @@ export class GitHubAuthService {
 
   /**
    * Build GitHub OAuth authorization URL
+   * @param {Object} request - State and PKCE challenge from createAuthRequest
+   * @param {Object} server - Server config from getServerConfig
    * @returns {string} Authorization URL
    */
-  buildAuthUrl() {
-    // Generate random state for CSRF protection
-    const state = this.generateState();
-    GITHUB_CONFIG.state = state;
-
+  buildAuthUrl(request, server) {
     const params = new URLSearchParams({
-      client_id: GITHUB_CONFIG.clientId,
+      client_id: server.clientId,
       redirect_uri: GITHUB_CONFIG.redirectUri,
       scope: GITHUB_CONFIG.scopes.join(' '),
-      state: state,
+      state: request.state,
+      code_challenge: request.codeChallenge,
+      code_challenge_method: request.codeChallengeMethod,
       allow_signup: 'true'
     });
 
-    return `https://github.com/login/oauth/authorize?${params.toString()}`;
-  }
-
-  /**
-   * Generate random state for CSRF protection
-   * @returns {string} Random state string
-   */
-  generateState() {
-    const array = new Uint8Array(16);
-    crypto.getRandomValues(array);
-    return Array.from(array, byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${server.authUrl}?${params.toString()}`;
   }
 
   /**
@@ -130,78 +148,27 @@ export class GitHubAuthService {
    * @returns {string} Authorization code
    */
   extractCodeFromUrl(responseUrl) {
-    const url = new URL(responseUrl);
-    const code = url.searchParams.get('code');
-    const state = url.searchParams.get('state');
-    const error = url.searchParams.get('error');
-    const errorDescription = url.searchParams.get('error_description');
-
-    if (error) {
-      const message = errorDescription || error;
-      throw createError(`OAuth error: ${message}`, 'OAUTH_ERROR', { error, errorDescription });
-    }
-
-    if (!code) {
-      throw createError('No authorization code in response', 'OAUTH_NO_CODE');
-    }
-
-    // Verify state parameter for CSRF protection
-    if (state !== GITHUB_CONFIG.state) {
-      throw createError('Invalid state parameter', 'OAUTH_INVALID_STATE');
-    }
-
-    return code;
+    return readAuthorizationResponse(responseUrl, this.pendingRequest?.state);
   }
 
   /**
    * Exchange authorization code for access tokens
+   * No client secret is sent. GitHub still asks OAuth apps for one, so teams set the
+   * GitHub token endpoint to a proxy that adds it.
    * @param {string} authCode - Authorization code
+   * @param {string} codeVerifier - PKCE code verifier of the authorization request
    * @returns {Promise<Object>} Token response
    */
-  async exchangeCodeForTokens(authCode) {
-    const tokenUrl = 'https://github.com/login/oauth/access_token';
-    
-    const requestBody = {
-      client_id: GITHUB_CONFIG.clientId,
-      client_secret: 'YOUR_GITHUB_CLIENT_SECRET', // Should be stored securely
-      code: authCode,
-      redirect_uri: GITHUB_CONFIG.redirectUri
-    };
-
+  async exchangeCodeForTokens(authCode, codeVerifier) {
     try {
-      const response = await retryWithBackoff(async () => {
-        const res = await fetch(tokenUrl, {
-          method: 'POST',
-          headers: {
-            'Accept': 'application/json',
-            'Content-Type': 'application/json',
-            'User-Agent': 'Tab-Sync-Extension/1.0'
-          },
-          body: JSON.stringify(requestBody)
-        });
-
-        if (!res.ok) {
-          const errorData = await res.json().catch(() => ({}));
-          throw createError(
-            `Token exchange failed: ${res.status}`,
-            'TOKEN_EXCHANGE_ERROR',
-            { status: res.status, error: errorData }
-          );
-        }
-
-        return res.json();
-      });
-
-      // Check for GitHub API errors
-      if (response.error) {
-        throw createError(
-          `GitHub API error: ${response.error_description || response.error}`,
-          'GITHUB_API_ERROR',
-          response
-        );
-      }
-
-      return response;
+      const server = await this.getServerConfig();
+      return await requestTokens(await getTokenEndpoint(this.provider, server.tokenUrl), {
+        client_id: server.clientId,
+        code: authCode,
+        code_verifier: codeVerifier,
+        grant_type: 'authorization_code',
+        redirect_uri: GITHUB_CONFIG.redirectUri
+      }, 'TOKEN_EXCHANGE_ERROR');
     } catch (error) {
       log('error', 'Failed to exchange code for tokens', { error: error.message });
       throw error;
@@ -211,16 +178,23 @@ export class GitHubAuthService {
   /**
    * Validate and store authentication tokens
    * @param {Object} tokenResponse - Token response from GitHub
+   * @param {Object} [options] - Token details not in the response
+   * @param {string} [options.method='browser'] - Sign-in method the tokens came from
+   * @param {number} [options.expiresAt] - Expiry reported by GitHub for personal access tokens
    * @returns {Promise<AuthTokens>} Validated tokens
    */
-  async validateAndStoreTokens(tokenResponse) {
+  async validateAndStoreTokens(tokenResponse, options = {}) {
+    const { method = 'browser', expiresAt = null } = options;
+
+    // GitHub Apps with expiring tokens return a refresh token; OAuth app tokens never expire
     const tokens = {
       accessToken: tokenResponse.access_token,
-      refreshToken: null, // GitHub doesn't provide refresh tokens for OAuth apps
-      expiresAt: Date.now() + (365 * 24 * 60 * 60 * 1000), // GitHub tokens don't expire, set to 1 year
-      scopes: tokenResponse.scope ? tokenResponse.scope.split(',') : GITHUB_CONFIG.scopes,
+      refreshToken: tokenResponse.refresh_token || null,
+      expiresAt: expiresAt || Date.now() + (tokenResponse.expires_in ? tokenResponse.expires_in * 1000 : NON_EXPIRING_TOKEN_LIFETIME),
+      scopes: typeof tokenResponse.scope === 'string' ? tokenResponse.scope.split(',').filter(Boolean) : GITHUB_CONFIG.scopes,
       provider: this.provider,
-      tokenType: tokenResponse.token_type || 'bearer'
+      tokenType: tokenResponse.token_type || 'bearer',
+      method
     };
 
     // Validate token structure
@@ -240,19 +214,215 @@ export class GitHubAuthService {
       authProvider: this.provider,
       authTime: Date.now()
     });
+    if (method !== 'token') {
+      // Only tokens limited to one repository are tied to a repository chosen at sign-in
+      await chrome.storage.local.remove(['githubRepository']);
+    }
 
-    log('info', 'GitHub tokens validated and stored');
+    log('info', 'GitHub tokens validated and stored', { method });
     return tokens;
   }
 
   /**
-   * GitHub doesn't support token refresh for OAuth apps
-   * This method will re-authenticate instead
+   * Start signing in with the OAuth device flow
+   * The user enters the code at GitHub's verification page, on this or any other device,
+   * while pollDeviceFlow checks whether they have finished.
+   * @returns {Promise<Object>} Device code, user code, verification URL, expiry time and poll interval in seconds
+   */
+  async startDeviceFlow() {
+    try {
+      const server = await this.getServerConfig();
+      const response = await fetch(server.deviceCodeUrl, {
+        method: 'POST',
+        headers: {
+          'Accept': 'application/json',
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams({
+          client_id: server.clientId,
+          scope: GITHUB_CONFIG.scopes.join(' ')
+        }).toString()
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok || data.error || !data.device_code) {
+        throw createError(
+          `Device sign-in could not start: ${data.error_description || data.error || response.status}`,
+          'DEVICE_FLOW_ERROR',
+          { status: response.status, error: data.error || null }
+        );
+      }
+
+      log('info', 'Started GitHub device flow');
+      return {
+        deviceCode: data.device_code,
+        userCode: data.user_code,
+        verificationUri: data.verification_uri,
+        expiresAt: Date.now() + data.expires_in * 1000,
+        interval: data.interval || 5
+      };
+    } catch (error) {
+      log('error', 'Failed to start GitHub device flow', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Check once whether the user has entered the device code
+   * Callers wait the poll interval between checks, adding 5 seconds whenever slowDown is returned.
+   * @param {string} deviceCode - Device code from startDeviceFlow
+   * @returns {Promise<Object>} Status 'pending', or 'complete' with the stored tokens
+   */
+  async pollDeviceFlow(deviceCode) {
+    const server = await this.getServerConfig();
+    let tokenData;
+    try {
+      tokenData = await requestTokens(server.tokenUrl, {
+        client_id: server.clientId,
+        device_code: deviceCode,
+        grant_type: DEVICE_GRANT_TYPE
+      }, 'DEVICE_FLOW_ERROR');
+    } catch (error) {
+      switch (error.details?.error) {
+        case 'authorization_pending':
+          return { status: 'pending' };
+        case 'slow_down':
+          return { status: 'pending', slowDown: true };
+        case 'expired_token':
+          throw createError('The sign-in code has expired. Start again to get a new one.', 'DEVICE_CODE_EXPIRED');
+        case 'access_denied':
+          throw createError('Sign-in was cancelled on GitHub', 'ACCESS_DENIED');
+        default:
+          log('error', 'GitHub device flow failed', { error: error.message });
+          throw error;
+      }
+    }
+
+    await this.testTokenValidity(tokenData.access_token);
+    const tokens = await this.validateAndStoreTokens(tokenData, { method: 'device' });
+
+    log('info', 'GitHub device flow completed successfully');
+    return { status: 'complete', tokens };
+  }
+
+  /**
+   * Sign in with a fine-grained personal access token limited to one repository
+   * The token only has to read and write contents of that repository, which must already exist.
+   * @param {string} token - Personal access token
+   * @param {string} repository - Repository as owner/name
+   * @returns {Promise<Object>} Stored tokens, the repository full name and whether it is private
+   */
+  async signInWithToken(token, repository) {
+    const accessToken = (token || '').trim();
+    const fullName = (repository || '').trim().replace(/^https:\/\/[^/]+\//, '').replace(/(\.git|\/)$/, '');
+
+    if (!accessToken) {
+      throw createError('Paste a personal access token', 'INVALID_TOKEN');
+    }
+    if (!REPOSITORY_PATTERN.test(fullName)) {
+      throw createError('Enter the repository as owner/name', 'INVALID_REPOSITORY');
+    }
+
+    try {
+      const { expiresAt } = await this.testTokenValidity(accessToken);
+
+      const { apiUrl } = await getGitHubServer();
+      const response = await fetch(`${apiUrl}/repos/${fullName}`, {
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'Accept': 'application/vnd.github.v3+json',
+          'User-Agent': 'Tab-Sync-Extension/1.0'
+        }
+      });
+      if (!response.ok) {
+        throw createError(
+          `The token cannot access ${fullName}. Create the repository and give the token access to it.`,
+          'REPO_ACCESS_DENIED',
+          { status: response.status }
+        );
+      }
+      const repo = await response.json();
+
+      const tokens = await this.validateAndStoreTokens({ access_token: accessToken, scope: '' }, { method: 'token', expiresAt });
+      await chrome.storage.local.set({ githubRepository: repo.full_name });
+
+      if (!repo.private) {
+        log('warn', 'GitHub sync repository is public', { repository: repo.full_name });
+      }
+      log('info', 'Signed in to GitHub with a personal access token', { repository: repo.full_name });
+      return { tokens, repository: repo.full_name, private: repo.private === true };
+    } catch (error) {
+      log('error', 'Failed to sign in with a personal access token', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Refresh an expiring token with its refresh token
+   * OAuth app tokens have no refresh token, so browser sign-in runs again instead.
+   * Concurrent callers share one refresh, since GitHub refresh tokens work only once.
    * @returns {Promise<AuthTokens>} New tokens
    */
   async refreshTokens() {
-    log('info', 'GitHub tokens cannot be refreshed, re-authenticating');
-    return await this.authenticate();
+    const currentTokens = await this.getStoredTokens();
+    if (!currentTokens?.refreshToken) {
+      // Device codes and pasted tokens need the user, so only browser sign-in can run again here
+      if (currentTokens?.method === 'device' || currentTokens?.method === 'token') {
+        throw createError('Your GitHub sign-in has expired. Please sign in again.', 'REAUTH_REQUIRED', { provider: this.provider });
+      }
+      log('info', 'GitHub tokens cannot be refreshed, re-authenticating');
+      return await this.authenticate();
+    }
+
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.performRefresh(currentTokens).finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  }
+
+  /**
+   * Trade a refresh token for new tokens
+   * @param {AuthTokens} currentTokens - Stored tokens
+   * @returns {Promise<AuthTokens>} Refreshed tokens
+   */
+  async performRefresh(currentTokens) {
+    try {
+      let tokenData;
+      try {
+        const server = await this.getServerConfig();
+        tokenData = await requestTokens(await getTokenEndpoint(this.provider, server.tokenUrl), {
+          client_id: server.clientId,
+          refresh_token: currentTokens.refreshToken,
+          grant_type: 'refresh_token'
+        }, 'TOKEN_REFRESH_ERROR');
+      } catch (error) {
+        if (isRefreshTokenRejected(error)) {
+          await this.clearStoredAuth();
+          throw createError('Your GitHub sign-in has expired. Please sign in again.', 'REAUTH_REQUIRED', { provider: this.provider });
+        }
+        throw error;
+      }
+
+      const refreshedTokens = {
+        ...currentTokens,
+        accessToken: tokenData.access_token,
+        refreshToken: tokenData.refresh_token || currentTokens.refreshToken,
+        expiresAt: Date.now() + (tokenData.expires_in ? tokenData.expires_in * 1000 : NON_EXPIRING_TOKEN_LIFETIME)
+      };
+
+      await chrome.storage.local.set({
+        authTokens: refreshedTokens,
+        lastTokenRefresh: Date.now()
+      });
+
+      log('info', 'GitHub tokens refreshed successfully');
+      return refreshedTokens;
+    } catch (error) {
+      log('error', 'Failed to refresh GitHub tokens', { error: error.message });
+      throw error;
+    }
   }
 
   /**
@@ -281,12 +451,22 @@ export class GitHubAuthService {
    */
   async areTokensValid() {
     try {
-      const tokens = await this.getStoredTokens();
+      let tokens = await this.getStoredTokens();
       
       if (!tokens) {
         return false;
       }
 
+      // Expiring tokens are refreshed shortly before they run out (5 minute buffer)
+      if (tokens.refreshToken && Date.now() >= tokens.expiresAt - 5 * 60 * 1000) {
+        try {
+          tokens = await this.refreshTokens();
+        } catch (error) {
+          log('warn', 'Failed to refresh expired tokens', { error: error.message });
+          return false;
+        }
+      }
+
       // Test token by making a simple API call
       try {
         await this.testTokenValidity(tokens.accessToken);
@@ -304,10 +484,11 @@ export class GitHubAuthService {
   /**
    * Test token validity by making a simple API call
    * @param {string} accessToken - Access token to test
-   * @returns {Promise<void>}
+   * @returns {Promise<Object>} Expiry time GitHub reports for the token, or null when it has none
    */
   async testTokenValidity(accessToken) {
-    const response = await fetch('https://api.github.com/user', {
+    const { apiUrl } = await getGitHubServer();
+    const response = await fetch(`${apiUrl}/user`, {
       headers: {
         'Authorization': `Bearer ${accessToken}`,
         'Accept': 'application/vnd.github.v3+json',
@@ -321,6 +502,11 @@ export class GitHubAuthService {
         'TOKEN_VALIDATION_FAILED'
       );
     }
+
+    // Personal access tokens report their expiry as "2025-01-31 12:00:00 UTC"
+    const expiration = response.headers?.get('github-authentication-token-expiration');
+    const expiresAt = expiration ? Date.parse(expiration.replace(' UTC', 'Z').replace(' ', 'T')) : NaN;
+    return { expiresAt: Number.isNaN(expiresAt) ? null : expiresAt };
   }
 
   /**
@@ -329,24 +515,9 @@ export class GitHubAuthService {
    */
   async signOut() {
     try {
-      const tokens = await this.getStoredTokens();
-      
-      // Revoke tokens with GitHub if available
-      if (tokens && tokens.accessToken) {
-        try {
-          await this.revokeTokens(tokens.accessToken);
-        } catch (error) {
-          log('warn', 'Failed to revoke tokens with GitHub', { error: error.message });
-        }
-      }
-
-      // Clear local storage
-      await chrome.storage.local.remove([
-        'authTokens',
-        'isAuthenticated',
-        'authProvider',
-        'authTime'
-      ]);
+      // Revoking a token needs the app's client secret, which the extension does not hold.
+      // Users can revoke access under GitHub's Settings → Applications.
+      await this.clearStoredAuth();
 
       log('info', 'GitHub sign out completed');
     } catch (error) {
@@ -356,36 +527,18 @@ export class GitHubAuthService {
   }
 
   /**
-   * Revoke tokens with GitHub
-   * @param {string} accessToken - Access token to revoke
+   * Clear authentication data from local storage
    * @returns {Promise<void>}
    */
-  async revokeTokens(accessToken) {
-    const revokeUrl = `https://api.github.com/applications/${GITHUB_CONFIG.clientId}/token`;
-    
-    // GitHub requires basic auth with client credentials for token revocation
-    const credentials = btoa(`${GITHUB_CONFIG.clientId}:YOUR_GITHUB_CLIENT_SECRET`);
-    
-    const response = await fetch(revokeUrl, {
-      method: 'DELETE',
-      headers: {
-        'Authorization': `Basic ${credentials}`,
-        'Accept': 'application/vnd.github.v3+json',
-        'User-Agent': 'Tab-Sync-Extension/1.0',
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        access_token: accessToken
-      })
-    });
-
-    if (!response.ok && response.status !== 404) {
-      // 404 is acceptable - token might already be revoked
-      throw createError(
-        `Token revocation failed: ${response.status}`,
-        'TOKEN_REVOKE_ERROR'
-      );
-    }
+  async clearStoredAuth() {
+    await chrome.storage.local.remove([
+      'authTokens',
+      'isAuthenticated',
+      'authProvider',
+      'authTime',
+      'lastTokenRefresh',
+      'githubRepository'
+    ]);
   }
 
   /**
@@ -400,7 +553,8 @@ export class GitHubAuthService {
         throw createError('No valid authentication tokens', 'NO_VALID_TOKENS');
       }
 
-      const response = await fetch('https://api.github.com/user', {
+      const { apiUrl } = await getGitHubServer();
+      const response = await fetch(`${apiUrl}/user`, {
         headers: {
           'Authorization': `Bearer ${tokens.accessToken}`,
           'Accept': 'application/vnd.github.v3+json',
@@ -437,7 +591,8 @@ export class GitHubAuthService {
         throw createError('No valid authentication tokens', 'NO_VALID_TOKENS');
       }
 
-      const response = await fetch('https://api.github.com/user/emails', {
+      const { apiUrl } = await getGitHubServer();
+      const response = await fetch(`${apiUrl}/user/emails`, {
         headers: {
           'Authorization': `Bearer ${tokens.accessToken}`,
           'Accept': 'application/vnd.github.v3+json',
@@ -465,9 +620,10 @@ export class GitHubAuthService {
   /**
    * Create a private repository for storing sync data
    * @param {string} repoName - Repository name
+   * @param {string} [organization] - Organization to create it in instead of the user's account
    * @returns {Promise<Object>} Repository data
    */
-  async createSyncRepository(repoName = 'tab-sync-data') {
+  async createSyncRepository(repoName = 'tab-sync-data', organization = null) {
     try {
       const tokens = await this.getStoredTokens();
       
@@ -475,7 +631,9 @@ export class GitHubAuthService {
         throw createError('No valid authentication tokens', 'NO_VALID_TOKENS');
       }
 
-      const response = await fetch('https://api.github.com/user/repos', {
+      const { apiUrl } = await getGitHubServer();
+      const createUrl = organization ? `${apiUrl}/orgs/${organization}/repos` : `${apiUrl}/user/repos`;
+      const response = await fetch(createUrl, {
         method: 'POST',
         headers: {
           'Authorization': `Bearer ${tokens.accessToken}`,
@@ -513,9 +671,10 @@ export class GitHubAuthService {
   /**
    * Check if sync repository exists
    * @param {string} repoName - Repository name
+   * @param {string} [owner] - Account or organization owning it, defaulting to the user
    * @returns {Promise<Object|null>} Repository data or null if not found
    */
-  async getSyncRepository(repoName = 'tab-sync-data') {
+  async getSyncRepository(repoName = 'tab-sync-data', owner = null) {
     try {
       const tokens = await this.getStoredTokens();
       
@@ -523,8 +682,9 @@ export class GitHubAuthService {
         throw createError('No valid authentication tokens', 'NO_VALID_TOKENS');
       }
 
-      const profile = await this.getUserProfile();
-      const response = await fetch(`https://api.github.com/repos/${profile.login}/${repoName}`, {
+      const repoOwner = owner || (await this.getUserProfile()).login;
+      const { apiUrl } = await getGitHubServer();
+      const response = await fetch(`${apiUrl}/repos/${repoOwner}/${repoName}`, {
         headers: {
           'Authorization': `Bearer ${tokens.accessToken}`,
           'Accept': 'application/vnd.github.v3+json',
@@ -0,0 +1,139 @@
+// GitHub server settings for Tab Sync Extension
+// Sign-in and API hosts for github.com or GitHub Enterprise Server, and the repository synced tabs are stored in
+
+import { log, createError, isSecureEndpointUrl } from '../utils.js';
+
+export const DEFAULT_GITHUB_SERVER = {
+  webUrl: 'https://github.com',
+  apiUrl: 'https://api.github.com',
+  clientId: '',
+  owner: '',
+  repository: 'tab-sync-data',
+  branch: ''
+};
+
+const NAME_PATTERN = /^[\w.-]+$/;
+const BRANCH_PATTERN = /^(?!\/)(?!.*\.\.)(?!.*\/$)[\w./-]+$/;
+
+/**
+ * Remove trailing slashes from a URL
+ * @param {string} value - URL
+ * @returns {string} URL without trailing slashes
+ */
+function trimUrl(value) {
+  return value.trim().replace(/\/+$/, '');
+}
+
+/**
+ * Validate GitHub server settings and fill in defaults
+ * Enterprise Server serves its API under /api/v3 of the web host unless another API URL is given.
+ * A blank owner means the signed-in user, and a blank branch means the repository's default branch.
+ * @param {Object} [settings] - Settings to check
+ * @returns {Object} Complete server settings
+ */
+export function normalizeGitHubServer(settings = {}) {
+  const webUrl = trimUrl(settings.webUrl || DEFAULT_GITHUB_SERVER.webUrl);
+  if (!isSecureEndpointUrl(webUrl)) {
+    throw createError(`${webUrl} is not an HTTPS URL`, 'INVALID_GITHUB_SERVER', { field: 'webUrl' });
+  }
+
+  const defaultApiUrl = webUrl === DEFAULT_GITHUB_SERVER.webUrl ? DEFAULT_GITHUB_SERVER.apiUrl : `${webUrl}/api/v3`;
+  const apiUrl = trimUrl(settings.apiUrl || defaultApiUrl);
+  if (!isSecureEndpointUrl(apiUrl)) {
+    throw createError(`${apiUrl} is not an HTTPS URL`, 'INVALID_GITHUB_SERVER', { field: 'apiUrl' });
+  }
+
+  const server = {
+    webUrl,
+    apiUrl,
+    clientId: (settings.clientId || '').trim(),
+    owner: (settings.owner || '').trim(),
+    repository: (settings.repository || '').trim() || DEFAULT_GITHUB_SERVER.repository,
+    branch: (settings.branch || '').trim()
+  };
+
+  if (server.owner && !NAME_PATTERN.test(server.owner)) {
+    throw createError(`${server.owner} is not a valid account or organization name`, 'INVALID_GITHUB_SERVER', { field: 'owner' });
+  }
+  if (!NAME_PATTERN.test(server.repository)) {
+    throw createError(`${server.repository} is not a valid repository name`, 'INVALID_GITHUB_SERVER', { field: 'repository' });
+  }
+  if (server.branch && !BRANCH_PATTERN.test(server.branch)) {
+    throw createError(`${server.branch} is not a valid branch name`, 'INVALID_GITHUB_SERVER', { field: 'branch' });
+  }
+
+  return server;
+}
+
+/**
+ * Check whether settings point at github.com
+ * @param {Object} server - Normalized server settings
+ * @returns {boolean} Whether the hosts are github.com's
+ */
+export function isDefaultGitHubHost(server) {
+  return server.webUrl === DEFAULT_GITHUB_SERVER.webUrl && server.apiUrl === DEFAULT_GITHUB_SERVER.apiUrl;
+}
+
+/**
+ * Get the host permissions a server needs beyond those in the manifest
+ * @param {Object} server - Normalized server settings
+ * @returns {string[]} Origin patterns, empty for github.com
+ */
+export function getGitHubServerOrigins(server) {
+  if (isDefaultGitHubHost(server)) {
+    return [];
+  }
+  const origins = [server.webUrl, server.apiUrl].map(url => `${new URL(url).origin}/*`);
+  return [...new Set(origins)];
+}
+
+/**
+ * Check whether the extension may call a server's hosts
+ * @param {Object} server - Normalized server settings
+ * @returns {Promise<boolean>} Whether every origin has been granted
+ */
+export async function hasGitHubServerPermission(server) {
+  const origins = getGitHubServerOrigins(server);
+  return origins.length === 0 || await chrome.permissions.contains({ origins });
+}
+
+/**
+ * Read the GitHub server settings
+ * Invalid stored settings fall back to github.com rather than failing every request.
+ * @returns {Promise<Object>} Normalized server settings
+ */
+export async function getGitHubServer() {
+  try {
+    const storage = await chrome.storage.local.get(['syncSettings']);
+    return normalizeGitHubServer((storage.syncSettings || {}).githubServer);
+  } catch (error) {
+    log('warn', 'Ignoring invalid GitHub server settings', { error: error.message });
+    return { ...DEFAULT_GITHUB_SERVER };
+  }
+}
+
+/**
+ * Validate and save the GitHub server settings
+ * The options page requests the host permissions first, since that needs a user gesture.
+ * @param {Object} settings - Settings entered by the user
+ * @returns {Promise<Object>} Saved settings and whether the sign-in host changed
+ */
+export async function saveGitHubServer(settings) {
+  const server = normalizeGitHubServer(settings);
+
+  if (!(await hasGitHubServerPermission(server))) {
+    throw createError(`Access to ${new URL(server.apiUrl).host} has not been allowed`, 'HOST_PERMISSION_REQUIRED', {
+      origins: getGitHubServerOrigins(server)
+    });
+  }
+
+  const storage = await chrome.storage.local.get(['syncSettings']);
+  const previous = await getGitHubServer();
+  await chrome.storage.local.set({ syncSettings: { ...storage.syncSettings, githubServer: server } });
+
+  log('info', 'Saved GitHub server settings', { host: new URL(server.webUrl).host, repository: server.repository });
+  return {
+    server,
+    hostChanged: previous.webUrl !== server.webUrl || previous.apiUrl !== server.apiUrl
+  };
+}
@@ -1,7 +1,8 @@
 // Google OAuth authentication service for Tab Sync Extension
 
-import { log, createError, retryWithBackoff } from '../utils.js';
+import { log, createError } from '../utils.js';
 import { validateAuthTokens } from '../validation.js';
+import { createAuthRequest, readAuthorizationResponse, getTokenEndpoint, requestTokens, isRefreshTokenRejected } from './oauth.js';
 
 /**
  * Google OAuth configuration
@@ -12,6 +13,7 @@ const GOOGLE_CONFIG = {
     'https://www.googleapis.com/auth/drive.file'
   ],
   redirectUri: chrome.identity.getRedirectURL(),
+  tokenUrl: 'https://oauth2.googleapis.com/token',
   responseType: 'code',
   accessType: 'offline',
   prompt: 'consent'
@@ -24,6 +26,8 @@ export class GoogleAuthService {
   constructor() {
     this.provider = 'google';
     this.isAuthenticating = false;
+    this.pendingRequest = null;
+    this.refreshPromise = null;
   }
 
   /**
@@ -42,8 +46,8 @@ export class GoogleAuthService {
       // Step 1: Get authorization code
       const authCode = await this.getAuthorizationCode();
       
-      // Step 2: Exchange code for tokens
-      const tokens = await this.exchangeCodeForTokens(authCode);
+      // Step 2: Exchange code and verifier for tokens
+      const tokens = await this.exchangeCodeForTokens(authCode, this.pendingRequest.codeVerifier);
       
       // Step 3: Validate and store tokens
       const validatedTokens = await this.validateAndStoreTokens(tokens);
@@ -56,6 +60,7 @@ export class GoogleAuthService {
       throw error;
     } finally {
       this.isAuthenticating = false;
+      this.pendingRequest = null;
     }
   }
 
@@ -64,9 +69,10 @@ export class GoogleAuthService {
    * @returns {Promise<string>} Authorization code
    */
   async getAuthorizationCode() {
+    this.pendingRequest = await createAuthRequest();
+    const authUrl = this.buildAuthUrl(this.pendingRequest);
+
     return new Promise((resolve, reject) => {
-      const authUrl = this.buildAuthUrl();
-      
       chrome.identity.launchWebAuthFlow({
         url: authUrl,
         interactive: true
@@ -96,16 +102,20 @@ export class GoogleAuthService {
 
   /**
    * Build Google OAuth authorization URL
+   * @param {Object} request - State and PKCE challenge from createAuthRequest
    * @returns {string} Authorization URL
    */
-  buildAuthUrl() {
+  buildAuthUrl(request) {
     const params = new URLSearchParams({
       client_id: GOOGLE_CONFIG.clientId,
       redirect_uri: GOOGLE_CONFIG.redirectUri,
       response_type: GOOGLE_CONFIG.responseType,
       scope: GOOGLE_CONFIG.scopes.join(' '),
       access_type: GOOGLE_CONFIG.accessType,
-      prompt: GOOGLE_CONFIG.prompt
+      prompt: GOOGLE_CONFIG.prompt,
+      state: request.state,
+      code_challenge: request.codeChallenge,
+      code_challenge_method: request.codeChallengeMethod
     });
 
     return `https://accounts.google.com/o/oauth2/v2/auth?${params.toString()}`;
@@ -117,60 +127,26 @@ export class GoogleAuthService {
    * @returns {string} Authorization code
    */
   extractCodeFromUrl(responseUrl) {
-    const url = new URL(responseUrl);
-    const code = url.searchParams.get('code');
-    const error = url.searchParams.get('error');
-
-    if (error) {
-      throw createError(`OAuth error: ${error}`, 'OAUTH_ERROR', { error });
-    }
-
-    if (!code) {
-      throw createError('No authorization code in response', 'OAUTH_NO_CODE');
-    }
-
-    return code;
+    return readAuthorizationResponse(responseUrl, this.pendingRequest?.state);
   }
 
   /**
    * Exchange authorization code for access tokens
+   * The PKCE verifier proves this extension started the flow, so no client secret is sent.
+   * Authorization codes are single use, so a failed exchange is not retried.
    * @param {string} authCode - Authorization code
+   * @param {string} codeVerifier - PKCE code verifier of the authorization request
    * @returns {Promise<Object>} Token response
    */
-  async exchangeCodeForTokens(authCode) {
-    const tokenUrl = 'https://oauth2.googleapis.com/token';
-    
-    const requestBody = new URLSearchParams({
-      client_id: GOOGLE_CONFIG.clientId,
-      client_secret: 'YOUR_GOOGLE_CLIENT_SECRET', // Should be stored securely
-      code: authCode,
-      grant_type: 'authorization_code',
-      redirect_uri: GOOGLE_CONFIG.redirectUri
-    });
-
+  async exchangeCodeForTokens(authCode, codeVerifier) {
     try {
-      const response = await retryWithBackoff(async () => {
-        const res = await fetch(tokenUrl, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/x-www-form-urlencoded'
-          },
-          body: requestBody.toString()
-        });
-
-        if (!res.ok) {
-          const errorData = await res.json().catch(() => ({}));
-          throw createError(
-            `Token exchange failed: ${res.status}`,
-            'TOKEN_EXCHANGE_ERROR',
-            { status: res.status, error: errorData }
-          );
-        }
-
-        return res.json();
-      });
-
-      return response;
+      return await requestTokens(await getTokenEndpoint(this.provider, GOOGLE_CONFIG.tokenUrl), {
+        client_id: GOOGLE_CONFIG.clientId,
+        code: authCode,
+        code_verifier: codeVerifier,
+        grant_type: 'authorization_code',
+        redirect_uri: GOOGLE_CONFIG.redirectUri
+      }, 'TOKEN_EXCHANGE_ERROR');
     } catch (error) {
       log('error', 'Failed to exchange code for tokens', { error: error.message });
       throw error;
@@ -215,9 +191,24 @@ export class GoogleAuthService {
 
   /**
    * Refresh expired access token
+   * Concurrent callers share one refresh. A refresh token Google no longer accepts
+   * signs the user out, since only a new sign-in can replace it.
    * @returns {Promise<AuthTokens>} Refreshed tokens
    */
   async refreshTokens() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.performRefresh().finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  }
+
+  /**
+   * Trade the stored refresh token for a new access token
+   * @returns {Promise<AuthTokens>} Refreshed tokens
+   */
+  async performRefresh() {
     try {
       const storage = await chrome.storage.local.get(['authTokens']);
       const currentTokens = storage.authTokens;
@@ -226,30 +217,20 @@ export class GoogleAuthService {
         throw createError('No refresh token available', 'NO_REFRESH_TOKEN');
       }
 
-      const refreshUrl = 'https://oauth2.googleapis.com/token';
-      const requestBody = new URLSearchParams({
-        client_id: GOOGLE_CONFIG.clientId,
-        client_secret: 'YOUR_GOOGLE_CLIENT_SECRET',
-        refresh_token: currentTokens.refreshToken,
-        grant_type: 'refresh_token'
-      });
-
-      const response = await fetch(refreshUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded'
-        },
-        body: requestBody.toString()
-      });
-
-      if (!response.ok) {
-        throw createError(
-          `Token refresh failed: ${response.status}`,
-          'TOKEN_REFRESH_ERROR'
-        );
+      let tokenData;
+      try {
+        tokenData = await requestTokens(await getTokenEndpoint(this.provider, GOOGLE_CONFIG.tokenUrl), {
+          client_id: GOOGLE_CONFIG.clientId,
+          refresh_token: currentTokens.refreshToken,
+          grant_type: 'refresh_token'
+        }, 'TOKEN_REFRESH_ERROR');
+      } catch (error) {
+        if (isRefreshTokenRejected(error)) {
+          await this.clearStoredAuth();
+          throw createError('Your Google sign-in has expired. Please sign in again.', 'REAUTH_REQUIRED', { provider: this.provider });
+        }
+        throw error;
       }
-
-      const tokenData = await response.json();
       
       // Update tokens
       const refreshedTokens = {
@@ -347,14 +328,7 @@ export class GoogleAuthService {
         }
       }
 
-      // Clear local storage
-      await chrome.storage.local.remove([
-        'authTokens',
-        'isAuthenticated',
-        'authProvider',
-        'authTime',
-        'lastTokenRefresh'
-      ]);
+      await this.clearStoredAuth();
 
       log('info', 'Google sign out completed');
     } catch (error) {
@@ -363,6 +337,20 @@ export class GoogleAuthService {
     }
   }
 
+  /**
+   * Clear authentication data from local storage
+   * @returns {Promise<void>}
+   */
+  async clearStoredAuth() {
+    await chrome.storage.local.remove([
+      'authTokens',
+      'isAuthenticated',
+      'authProvider',
+      'authTime',
+      'lastTokenRefresh'
+    ]);
+  }
+
   /**
    * Revoke tokens with Google
    * @param {string} accessToken - Access token to revoke
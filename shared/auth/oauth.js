@@ -0,0 +1,149 @@
+// OAuth helpers for Tab Sync Extension
+// PKCE verifiers and challenges, state checks and the configurable token endpoints used by the auth providers
+
+import { log, createError, isSecureEndpointUrl } from '../utils.js';
+
+export const PKCE_METHOD = 'S256';
+
+/**
+ * Encode bytes as unpadded base64url
+ * @param {Uint8Array|ArrayBuffer} bytes - Bytes to encode
+ * @returns {string} Encoded string
+ */
+export function base64UrlEncode(bytes) {
+  const binary = String.fromCharCode(...new Uint8Array(bytes));
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Generate a random value for the state or code verifier of an authorization request
+ * @param {number} [byteLength=32] - Random bytes to use; 32 bytes give a 43 character value
+ * @returns {string} Random base64url string
+ */
+export function generateRandomValue(byteLength = 32) {
+  const array = new Uint8Array(byteLength);
+  crypto.getRandomValues(array);
+  return base64UrlEncode(array);
+}
+
+/**
+ * Derive the PKCE code challenge for a code verifier
+ * @param {string} codeVerifier - Code verifier
+ * @returns {Promise<string>} SHA-256 code challenge
+ */
+export async function generateCodeChallenge(codeVerifier) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(codeVerifier));
+  return base64UrlEncode(digest);
+}
+
+/**
+ * Create the one-time values for an authorization request
+ * The verifier stays in the extension; only its challenge goes in the authorization URL.
+ * @returns {Promise<Object>} State, code verifier and code challenge
+ */
+export async function createAuthRequest() {
+  const codeVerifier = generateRandomValue();
+  return {
+    state: generateRandomValue(16),
+    codeVerifier,
+    codeChallenge: await generateCodeChallenge(codeVerifier),
+    codeChallengeMethod: PKCE_METHOD
+  };
+}
+
+/**
+ * Read the authorization code from a redirect URL, checking the state of the request it answers
+ * @param {string} responseUrl - OAuth redirect URL
+ * @param {string} expectedState - State sent with the authorization request
+ * @returns {string} Authorization code
+ */
+export function readAuthorizationResponse(responseUrl, expectedState) {
+  const url = new URL(responseUrl);
+  const code = url.searchParams.get('code');
+  const state = url.searchParams.get('state');
+  const error = url.searchParams.get('error');
+  const errorDescription = url.searchParams.get('error_description');
+
+  if (error) {
+    const message = errorDescription || error;
+    throw createError(`OAuth error: ${message}`, 'OAUTH_ERROR', { error, errorDescription });
+  }
+
+  // Checked before the code so a forged redirect never reaches the token exchange
+  if (!expectedState || state !== expectedState) {
+    throw createError('Invalid state parameter', 'OAUTH_INVALID_STATE');
+  }
+
+  if (!code) {
+    throw createError('No authorization code in response', 'OAUTH_NO_CODE');
+  }
+
+  return code;
+}
+
+/**
+ * Get the token endpoint for a provider
+ * Teams whose provider needs a client secret point this at their own token-exchange proxy,
+ * which adds the secret server-side.
+ * @param {string} provider - Provider name
+ * @param {string} defaultEndpoint - The provider's own token endpoint
+ * @returns {Promise<string>} Endpoint URL
+ */
+export async function getTokenEndpoint(provider, defaultEndpoint) {
+  try {
+    const storage = await chrome.storage.local.get(['syncSettings']);
+    const configured = (storage.syncSettings || {})[`${provider}TokenEndpoint`];
+
+    if (!configured) {
+      return defaultEndpoint;
+    }
+    if (!isSecureEndpointUrl(configured)) {
+      log('warn', 'Ignoring invalid token endpoint', { provider });
+      return defaultEndpoint;
+    }
+    return configured;
+  } catch (error) {
+    log('warn', 'Failed to read token endpoint setting', { provider, error: error.message });
+    return defaultEndpoint;
+  }
+}
+
+/**
+ * Post a form to a token endpoint and read the token response
+ * Failures are thrown, including GitHub's successful responses that carry an error field.
+ * @param {string} endpoint - Token endpoint URL
+ * @param {Object} params - Form fields
+ * @param {string} errorCode - Error code for failures
+ * @returns {Promise<Object>} Token response
+ */
+export async function requestTokens(endpoint, params, errorCode) {
+  const response = await fetch(endpoint, {
+    method: 'POST',
+    headers: {
+      'Accept': 'application/json',
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: new URLSearchParams(params).toString()
+  });
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok || data.error || !data.access_token) {
+    // Only the error fields are kept; the response may hold tokens
+    throw createError(
+      `Token request failed: ${data.error_description || data.error || response.status}`,
+      errorCode,
+      { status: response.status, error: data.error || null }
+    );
+  }
+
+  return data;
+}
+
+/**
+ * Check whether a failed refresh means the refresh token itself is no longer accepted
+ * @param {Object} error - Error from requestTokens
+ * @returns {boolean} Whether the user has to sign in again
+ */
+export function isRefreshTokenRejected(error) {
+  return ['invalid_grant', 'bad_refresh_token'].includes(error?.details?.error);
+}
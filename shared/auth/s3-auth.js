@@ -0,0 +1,299 @@
+// S3 bucket credentials for Tab Sync Extension
+// Access keys for an AWS, MinIO or Cloudflare R2 bucket, kept apart from Google and GitHub sign-in so data can be moved into the bucket
+
+import { log, createError, isSecureEndpointUrl } from '../utils.js';
+import { signRequest } from './sigv4.js';
+import { readElement } from '../storage/xml.js';
+
+export const DEFAULT_S3_REGION = 'us-east-1';
+export const DEFAULT_S3_PREFIX = 'tab-sync/';
+
+const REGION_PATTERN = /^[a-z0-9-]+$/;
+const BUCKET_PATTERN = /^[a-z0-9][a-z0-9.-]{1,61}[a-z0-9]$/;
+
+/**
+ * Validate bucket settings and fill in defaults
+ * A blank endpoint means AWS in the given region. AWS buckets are addressed as subdomains
+ * unless the name contains dots; other services use the bucket as the first path segment.
+ * @param {Object} [settings] - Settings to check
+ * @returns {Object} Endpoint, region, bucket, prefix and addressing style
+ */
+export function normalizeS3Settings(settings = {}) {
+  const region = (settings.region || '').trim() || DEFAULT_S3_REGION;
+  if (!REGION_PATTERN.test(region)) {
+    throw createError(`${region} is not a valid region`, 'INVALID_S3_SETTINGS', { field: 'region' });
+  }
+
+  const endpoint = ((settings.endpoint || '').trim() || `https://s3.${region}.amazonaws.com`).replace(/\/+$/, '');
+  if (!isSecureEndpointUrl(endpoint) || new URL(endpoint).pathname !== '/') {
+    throw createError(`${endpoint} is not an HTTPS server address`, 'INVALID_S3_SETTINGS', { field: 'endpoint' });
+  }
+
+  const bucket = (settings.bucket || '').trim();
+  if (!BUCKET_PATTERN.test(bucket)) {
+    throw createError(`${bucket || 'The bucket name'} is not a valid bucket name`, 'INVALID_S3_SETTINGS', { field: 'bucket' });
+  }
+
+  const prefix = (settings.prefix ?? '').trim().replace(/^\/+/, '').replace(/\/*$/, '/');
+  const isAws = new URL(endpoint).hostname.endsWith('.amazonaws.com');
+
+  return {
+    endpoint,
+    region,
+    bucket,
+    prefix: prefix === '/' ? DEFAULT_S3_PREFIX : prefix,
+    pathStyle: typeof settings.pathStyle === 'boolean' ? settings.pathStyle : !isAws || bucket.includes('.')
+  };
+}
+
+/**
+ * Get the URL objects in a bucket are addressed under
+ * @param {Object} settings - Normalized bucket settings
+ * @returns {string} Bucket URL ending in a slash
+ */
+export function getBucketUrl(settings) {
+  const url = new URL(settings.endpoint);
+  return settings.pathStyle ?
+    `${url.origin}/${settings.bucket}/` :
+    `${url.protocol}//${settings.bucket}.${url.host}/`;
+}
+
+/**
+ * Get the host permissions needed to reach a bucket
+ * @param {Object} settings - Normalized bucket settings
+ * @returns {string[]} Origin match patterns
+ */
+export function getBucketOrigins(settings) {
+  return [`${new URL(getBucketUrl(settings)).origin}/*`];
+}
+
+/**
+ * Read the code and message of an S3 error response
+ * @param {string} body - Response body
+ * @returns {Object} Error code and message, empty when the body is not an S3 error
+ */
+export function parseS3Error(body) {
+  return {
+    code: readElement(body || '', 'Code'),
+    message: readElement(body || '', 'Message')
+  };
+}
+
+/**
+ * S3 credentials service class
+ */
+export class S3AuthService {
+  constructor() {
+    this.provider = 's3';
+    // Difference between the server's clock and this computer's, learned from RequestTimeTooSkewed errors
+    this.clockOffset = 0;
+  }
+
+  /**
+   * S3 has no browser sign-in; access keys are entered in the settings page
+   * @returns {Promise<Object>} Never resolves
+   */
+  async authenticate() {
+    throw createError('Enter the bucket and access keys in the settings', 'CREDENTIALS_REQUIRED', {
+      provider: this.provider
+    });
+  }
+
+  /**
+   * Check access keys against a bucket and store them
+   * Listing the sync prefix proves the keys can sign requests and read the bucket.
+   * @param {Object} settings - Bucket settings and access keys
+   * @param {string} settings.accessKeyId - Access key ID
+   * @param {string} settings.secretAccessKey - Secret access key
+   * @returns {Promise<Object>} Normalized bucket settings, without the secret
+   */
+  async connect(settings) {
+    const bucket = normalizeS3Settings(settings);
+    const accessKeyId = (settings.accessKeyId || '').trim();
+    const secretAccessKey = (settings.secretAccessKey || '').trim();
+
+    if (!accessKeyId || !secretAccessKey) {
+      throw createError('Enter an access key ID and secret access key', 'INVALID_CREDENTIALS');
+    }
+
+    try {
+      const bucketUrl = getBucketUrl(bucket);
+      const origins = getBucketOrigins(bucket);
+      if (!(await chrome.permissions.contains({ origins }))) {
+        throw createError(`Access to ${new URL(bucketUrl).host} has not been allowed`, 'HOST_PERMISSION_REQUIRED', { origins });
+      }
+
+      const credentials = { ...bucket, accessKeyId, secretAccessKey };
+      const url = `${bucketUrl}?list-type=2&max-keys=1&prefix=${encodeURIComponent(bucket.prefix)}`;
+      let response = await this.fetchSigned({ method: 'GET', url }, credentials);
+      let error = response.ok ? null : parseS3Error(await response.text());
+
+      if (error?.code === 'RequestTimeTooSkewed' && this.learnClockOffset(response)) {
+        response = await this.fetchSigned({ method: 'GET', url }, credentials);
+        error = response.ok ? null : parseS3Error(await response.text());
+      }
+
+      if (error) {
+        throw this.createResponseError(response.status, error, bucket);
+      }
+
+      await chrome.storage.local.set({
+        s3Credentials: { ...credentials, connectedAt: Date.now() }
+      });
+
+      log('info', 'Connected to S3 bucket', { host: new URL(bucketUrl).host, bucket: bucket.bucket, prefix: bucket.prefix });
+      return bucket;
+    } catch (error) {
+      log('error', 'S3 connection failed', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Turn an S3 error response into an error the settings page can show
+   * @param {number} status - HTTP status
+   * @param {Object} error - Parsed S3 error code and message
+   * @param {Object} bucket - Bucket settings
+   * @returns {Object} Error
+   */
+  createResponseError(status, error, bucket) {
+    if (['InvalidAccessKeyId', 'SignatureDoesNotMatch', 'InvalidToken'].includes(error.code) || status === 401) {
+      return createError('The bucket rejected the access keys', 'INVALID_CREDENTIALS', { status, code: error.code });
+    }
+    if (error.code === 'NoSuchBucket') {
+      return createError(`Bucket ${bucket.bucket} does not exist`, 'BUCKET_NOT_FOUND', { status });
+    }
+    if (error.code === 'AuthorizationHeaderMalformed') {
+      return createError(`Bucket ${bucket.bucket} is not in region ${bucket.region}`, 'INVALID_S3_SETTINGS', { field: 'region', status });
+    }
+    if (status === 403) {
+      return createError(`These keys may not list ${bucket.prefix} in ${bucket.bucket}`, 'ACCESS_DENIED', { status, code: error.code });
+    }
+    return createError(error.message || `S3 error: ${status}`, 'S3_ERROR', { status, code: error.code });
+  }
+
+  /**
+   * Correct for a computer clock the server considers wrong
+   * @param {Response} response - Response to a rejected request
+   * @returns {boolean} Whether the server's time could be read
+   */
+  learnClockOffset(response) {
+    const serverTime = Date.parse(response.headers.get('Date'));
+    if (Number.isNaN(serverTime)) {
+      return false;
+    }
+    this.clockOffset = serverTime - Date.now();
+    log('warn', 'Computer clock differs from the S3 server, adjusting request times', { offset: this.clockOffset });
+    return true;
+  }
+
+  /**
+   * Sign and send a request
+   * @param {Object} request - Method, URL, headers and body
+   * @param {Object} [credentials] - Credentials to sign with, defaults to the stored ones
+   * @returns {Promise<Response>} Server response
+   */
+  async fetchSigned(request, credentials = null) {
+    const keys = credentials || await this.getStoredTokens();
+    if (!keys) {
+      throw createError('No S3 credentials available', 'NO_AUTH_TOKENS');
+    }
+
+    const headers = await signRequest(request, keys, { time: Date.now() + this.clockOffset });
+    return fetch(request.url, {
+      method: request.method,
+      headers,
+      body: request.body
+    });
+  }
+
+  /**
+   * Get stored credentials
+   * They are kept whichever account is signed in, so data can be copied between it and the bucket.
+   * @returns {Promise<Object|null>} Stored bucket settings and keys or null
+   */
+  async getStoredTokens() {
+    try {
+      const storage = await chrome.storage.local.get(['s3Credentials']);
+      return storage.s3Credentials || null;
+    } catch (error) {
+      log('error', 'Failed to get stored S3 credentials', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Check if credentials are stored
+   * The bucket is only contacted when storage is used, where rejected keys surface as AUTH_FAILED.
+   * @returns {Promise<boolean>} True if credentials are stored
+   */
+  async areTokensValid() {
+    const credentials = await this.getStoredTokens();
+    return Boolean(credentials?.accessKeyId && credentials.secretAccessKey && credentials.bucket);
+  }
+
+  /**
+   * Access keys cannot be refreshed, so rejected keys need the user
+   * @returns {Promise<Object>} Never resolves
+   */
+  async refreshTokens() {
+    throw createError('The bucket no longer accepts your access keys. Please connect again.', 'REAUTH_REQUIRED', {
+      provider: this.provider
+    });
+  }
+
+  /**
+   * Make the bucket the account tabs sync with
+   * Any Google, GitHub or WebDAV sign-in is replaced; the bucket credentials stay as they are.
+   * @returns {Promise<void>}
+   */
+  async activate() {
+    if (!(await this.areTokensValid())) {
+      throw createError('Connect to a bucket first', 'NO_VALID_AUTH');
+    }
+
+    await chrome.storage.local.remove(['authTokens', 'lastTokenRefresh']);
+    await chrome.storage.local.set({
+      isAuthenticated: true,
+      authProvider: this.provider,
+      authTime: Date.now()
+    });
+  }
+
+  /**
+   * Get profile information for the connected bucket
+   * @returns {Promise<Object>} Access key ID, bucket, host and prefix
+   */
+  async getUserProfile() {
+    const credentials = await this.getStoredTokens();
+    if (!credentials) {
+      throw createError('No valid authentication tokens', 'NO_VALID_TOKENS');
+    }
+    return {
+      accessKeyId: credentials.accessKeyId,
+      bucket: credentials.bucket,
+      host: new URL(getBucketUrl(credentials)).host,
+      prefix: credentials.prefix
+    };
+  }
+
+  /**
+   * Sign out by forgetting the stored access keys
+   * @returns {Promise<void>}
+   */
+  async signOut() {
+    await this.clearStoredAuth();
+    log('info', 'S3 sign out completed');
+  }
+
+  /**
+   * Clear the stored access keys, and the sign-in state if the bucket is the active account
+   * @returns {Promise<void>}
+   */
+  async clearStoredAuth() {
+    const storage = await chrome.storage.local.get(['authProvider']);
+    await chrome.storage.local.remove(storage.authProvider === this.provider ?
+      ['s3Credentials', 'isAuthenticated', 'authProvider', 'authTime'] :
+      ['s3Credentials']);
+  }
+}
@@ -0,0 +1,114 @@
+// AWS Signature Version 4 request signing for Tab Sync Extension
+// Signs S3 requests in the browser with Web Crypto, for AWS and S3-compatible services such as MinIO and R2
+
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+
+/**
+ * Percent-encode a string the way SigV4 canonical requests expect
+ * Unlike encodeURIComponent, this also encodes !'()*.
+ * @param {string} value - Value to encode
+ * @returns {string} Encoded value
+ */
+export function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Convert bytes to lowercase hex
+ * @param {ArrayBuffer} buffer - Bytes
+ * @returns {string} Hex string
+ */
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Hash a UTF-8 string with SHA-256
+ * @param {string} value - Value to hash
+ * @returns {Promise<string>} Hex digest
+ */
+export async function sha256Hex(value) {
+  return toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value)));
+}
+
+/**
+ * Compute an HMAC-SHA256
+ * @param {ArrayBuffer|Uint8Array} key - Key bytes
+ * @param {string} value - Message
+ * @returns {Promise<ArrayBuffer>} Signature bytes
+ */
+async function hmac(key, value) {
+  const cryptoKey = await crypto.subtle.importKey('raw', key, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  return crypto.subtle.sign('HMAC', cryptoKey, new TextEncoder().encode(value));
+}
+
+/**
+ * Format a time as the compact ISO 8601 form SigV4 uses
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {string} Time such as 20130524T000000Z
+ */
+function formatAmzDate(time) {
+  return new Date(time).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Sign a request with AWS Signature Version 4
+ * The host header is signed but not returned, since browsers set it themselves.
+ * @param {Object} request - Request to sign
+ * @param {string} request.method - HTTP method
+ * @param {string} request.url - Full URL with an already encoded path
+ * @param {Object} [request.headers] - Headers to send and sign
+ * @param {string} [request.body] - Request body
+ * @param {Object} credentials - Access key ID, secret access key and region
+ * @param {Object} [options] - Signing options
+ * @param {string} [options.service] - Service name
+ * @param {number} [options.time] - Signing time, corrected for clock skew by the caller
+ * @returns {Promise<Object>} Headers to send, including Authorization
+ */
+export async function signRequest(request, credentials, options = {}) {
+  const { service = 's3', time = Date.now() } = options;
+  const url = new URL(request.url);
+  const amzDate = formatAmzDate(time);
+  const date = amzDate.slice(0, 8);
+  const payloadHash = await sha256Hex(request.body || '');
+
+  const headers = {
+    ...request.headers,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate
+  };
+
+  const canonicalHeaders = Object.entries({ ...headers, host: url.host })
+    .map(([name, value]) => [name.toLowerCase(), String(value).trim().replace(/\s+/g, ' ')])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  const signedHeaders = canonicalHeaders.map(([name]) => name).join(';');
+
+  const canonicalQuery = [...url.searchParams]
+    .map(([name, value]) => [encodeRfc3986(name), encodeRfc3986(value)])
+    .sort(([a, x], [b, y]) => (a < b ? -1 : a > b ? 1 : x < y ? -1 : x > y ? 1 : 0))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+
+  const canonicalRequest = [
+    request.method,
+    url.pathname,
+    canonicalQuery,
+    canonicalHeaders.map(([name, value]) => `${name}:${value}\n`).join(''),
+    signedHeaders,
+    payloadHash
+  ].join('\n');
+
+  const scope = `${date}/${credentials.region}/${service}/aws4_request`;
+  const stringToSign = [ALGORITHM, amzDate, scope, await sha256Hex(canonicalRequest)].join('\n');
+
+  let key = new TextEncoder().encode(`AWS4${credentials.secretAccessKey}`);
+  for (const part of [date, credentials.region, service, 'aws4_request']) {
+    key = await hmac(key, part);
+  }
+  const signature = toHex(await hmac(key, stringToSign));
+
+  return {
+    ...headers,
+    'Authorization': `${ALGORITHM} Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+}
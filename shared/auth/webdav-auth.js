@@ -0,0 +1,215 @@
+// WebDAV authentication service for Tab Sync Extension
+// Basic authentication with an account or app password against a self-hosted server such as Nextcloud
+
+import { log, createError, isSecureEndpointUrl } from '../utils.js';
+import { validateAuthTokens } from '../validation.js';
+
+export const DEFAULT_WEBDAV_FOLDER = 'Tab Sync';
+
+// WebDAV passwords do not expire; treat them as valid for a year like non-expiring OAuth tokens
+const CREDENTIAL_LIFETIME = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * Check and normalize a WebDAV server URL
+ * HTTPS is required, except for a server running on this computer.
+ * @param {string} value - URL of the WebDAV root, such as Nextcloud's remote.php/dav/files/<user>/
+ * @returns {string} URL ending in a slash
+ */
+export function normalizeWebDAVUrl(value) {
+  const url = (value || '').trim();
+  if (!isSecureEndpointUrl(url)) {
+    throw createError(`${url || 'The server address'} is not an HTTPS URL`, 'INVALID_WEBDAV_URL');
+  }
+  return url.endsWith('/') ? url : `${url}/`;
+}
+
+/**
+ * Build the Authorization header for WebDAV credentials
+ * @param {string} username - User name
+ * @param {string} password - Account or app password
+ * @returns {string} Basic authorization header value
+ */
+export function buildBasicAuthorization(username, password) {
+  const bytes = new TextEncoder().encode(`${username}:${password}`);
+  return `Basic ${btoa(String.fromCharCode(...bytes))}`;
+}
+
+/**
+ * WebDAV authentication service class
+ */
+export class WebDAVAuthService {
+  constructor() {
+    this.provider = 'webdav';
+  }
+
+  /**
+   * WebDAV has no browser sign-in; credentials are entered in the settings page
+   * @returns {Promise<AuthTokens>} Never resolves
+   */
+  async authenticate() {
+    throw createError('Enter the WebDAV server address and password in the settings', 'CREDENTIALS_REQUIRED', {
+      provider: this.provider
+    });
+  }
+
+  /**
+   * Check WebDAV credentials against the server and store them
+   * @param {Object} credentials - Server and account details
+   * @param {string} credentials.url - WebDAV root URL
+   * @param {string} credentials.username - User name
+   * @param {string} credentials.password - Account or app password
+   * @param {string} [credentials.folder] - Folder to keep synced tabs in
+   * @returns {Promise<AuthTokens>} Stored credentials
+   */
+  async signIn({ url, username, password, folder }) {
+    const serverUrl = normalizeWebDAVUrl(url);
+    const user = (username || '').trim();
+    const syncFolder = (folder || '').trim().replace(/^\/+|\/+$/g, '') || DEFAULT_WEBDAV_FOLDER;
+
+    if (!user || !password) {
+      throw createError('Enter a user name and password', 'INVALID_CREDENTIALS');
+    }
+
+    try {
+      const origins = [`${new URL(serverUrl).origin}/*`];
+      if (!(await chrome.permissions.contains({ origins }))) {
+        throw createError(`Access to ${new URL(serverUrl).host} has not been allowed`, 'HOST_PERMISSION_REQUIRED', { origins });
+      }
+
+      const response = await fetch(serverUrl, {
+        method: 'PROPFIND',
+        headers: {
+          'Authorization': buildBasicAuthorization(user, password),
+          'Depth': '0'
+        }
+      });
+
+      if (response.status === 401 || response.status === 403) {
+        throw createError('The server rejected the user name or password', 'INVALID_CREDENTIALS', { status: response.status });
+      }
+      if (response.status !== 207) {
+        throw createError(`${serverUrl} is not a WebDAV folder (${response.status})`, 'WEBDAV_ERROR', { status: response.status });
+      }
+
+      const tokens = {
+        accessToken: password,
+        refreshToken: null,
+        expiresAt: Date.now() + CREDENTIAL_LIFETIME,
+        scopes: [],
+        provider: this.provider,
+        tokenType: 'basic',
+        username: user,
+        serverUrl,
+        folder: syncFolder
+      };
+
+      const validation = validateAuthTokens(tokens);
+      if (!validation.isValid) {
+        throw createError('Invalid credentials', 'INVALID_TOKENS', validation.errors);
+      }
+
+      await chrome.storage.local.set({
+        authTokens: tokens,
+        isAuthenticated: true,
+        authProvider: this.provider,
+        authTime: Date.now()
+      });
+
+      log('info', 'Signed in to WebDAV server', { host: new URL(serverUrl).host, folder: syncFolder });
+      return tokens;
+    } catch (error) {
+      log('error', 'WebDAV sign-in failed', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get stored credentials
+   * @returns {Promise<AuthTokens|null>} Stored credentials or null
+   */
+  async getStoredTokens() {
+    try {
+      const storage = await chrome.storage.local.get(['authTokens', 'authProvider']);
+
+      if (!storage.authTokens || storage.authProvider !== this.provider) {
+        return null;
+      }
+
+      return storage.authTokens;
+    } catch (error) {
+      log('error', 'Failed to get stored WebDAV credentials', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Check if credentials are stored
+   * The server is only contacted when storage is used, where a rejected password surfaces as AUTH_FAILED.
+   * @returns {Promise<boolean>} True if credentials are stored
+   */
+  async areTokensValid() {
+    const tokens = await this.getStoredTokens();
+    return Boolean(tokens?.accessToken && tokens.serverUrl);
+  }
+
+  /**
+   * Passwords cannot be refreshed, so a rejected password needs the user
+   * @returns {Promise<AuthTokens>} Never resolves
+   */
+  async refreshTokens() {
+    throw createError('The WebDAV server no longer accepts your password. Please sign in again.', 'REAUTH_REQUIRED', {
+      provider: this.provider
+    });
+  }
+
+  /**
+   * Get the Authorization header for the stored credentials
+   * @returns {Promise<string>} Authorization header value
+   */
+  async getAuthorizationHeader() {
+    const tokens = await this.getStoredTokens();
+    if (!tokens) {
+      throw createError('No WebDAV credentials available', 'NO_AUTH_TOKENS');
+    }
+    return buildBasicAuthorization(tokens.username, tokens.accessToken);
+  }
+
+  /**
+   * Get profile information for the signed-in account
+   * @returns {Promise<Object>} User name and server host
+   */
+  async getUserProfile() {
+    const tokens = await this.getStoredTokens();
+    if (!tokens) {
+      throw createError('No valid authentication tokens', 'NO_VALID_TOKENS');
+    }
+    return {
+      username: tokens.username,
+      server: new URL(tokens.serverUrl).host,
+      folder: tokens.folder
+    };
+  }
+
+  /**
+   * Sign out by forgetting the stored password
+   * @returns {Promise<void>}
+   */
+  async signOut() {
+    await this.clearStoredAuth();
+    log('info', 'WebDAV sign out completed');
+  }
+
+  /**
+   * Clear authentication data from local storage
+   * @returns {Promise<void>}
+   */
+  async clearStoredAuth() {
+    await chrome.storage.local.remove([
+      'authTokens',
+      'isAuthenticated',
+      'authProvider',
+      'authTime',
+      'lastTokenRefresh'
+    ]);
+  }
+}
@@ -0,0 +1,348 @@
+// Bookmark export and import for Tab Sync Extension
+// Turns a device's synced tabs into a bookmark folder and bookmark folders into sessions
+
+import { log, createError, getDeviceName, getOrCreateDeviceId } from './utils.js';
+import { TabManager } from './tab-manager.js';
+import { syncEngine } from './sync-engine.js';
+import { sessionService } from './session-service.js';
+import { generateLogicalTabId } from './tab-identity.js';
+import { isSendableUrl } from './send-to-device.js';
+
+export const BOOKMARK_ROOT_TITLE = 'Tab Sync';
+export const PINNED_FOLDER_TITLE = '📌 Pinned';
+
+/**
+ * Check whether a bookmark folder holds pinned tabs
+ * Folders renamed to plain "Pinned" still count.
+ * @param {chrome.bookmarks.BookmarkTreeNode} node - Bookmark node
+ * @returns {boolean} Whether the node is a pinned folder
+ */
+export function isPinnedFolder(node) {
+  return !node.url && node.title.replace(/[^a-z]/gi, '').toLowerCase() === 'pinned';
+}
+
+/**
+ * Build the folder tree for a set of tabs, one subfolder per window
+ * Only web pages are kept, so browser pages such as the new tab page are left out.
+ * @param {TabData[]} tabs - Tabs
+ * @param {WindowLayout[]} [windows] - Window layouts, used for window order
+ * @returns {Object[]} Nodes as { title, url } bookmarks or { title, children } folders
+ */
+export function buildBookmarkTree(tabs, windows = []) {
+  const windowIds = [...new Set([...windows.map(window => window.id), ...tabs.map(tab => tab.windowId)])];
+
+  return windowIds
+    .map(windowId => tabs
+      .filter(tab => tab.windowId === windowId && isSendableUrl(tab.url))
+      .sort((a, b) => (a.index || 0) - (b.index || 0)))
+    .filter(windowTabs => windowTabs.length > 0)
+    .map((windowTabs, position) => {
+      const toBookmark = tab => ({ title: tab.title || tab.url, url: tab.url });
+      const pinned = windowTabs.filter(tab => tab.pinned).map(toBookmark);
+      const children = windowTabs.filter(tab => !tab.pinned).map(toBookmark);
+
+      return {
+        title: `Window ${position + 1}`,
+        children: pinned.length > 0 ? [{ title: PINNED_FOLDER_TITLE, children: pinned }, ...children] : children
+      };
+    });
+}
+
+/**
+ * Read tabs from a bookmark folder
+ * Each subfolder becomes a window, bookmarks directly in the folder share one, and
+ * pinned subfolders mark their bookmarks as pinned. Deeper folders are flattened.
+ * @param {chrome.bookmarks.BookmarkTreeNode} folder - Folder with its children
+ * @param {string} deviceId - Device the tabs are created for
+ * @returns {Object} Result with tabs and window layouts
+ */
+export function readBookmarkFolder(folder, deviceId) {
+  const collect = (node, pinned, into) => {
+    for (const child of node.children || []) {
+      if (child.url) {
+        if (isSendableUrl(child.url)) {
+          into.push({ node: child, pinned });
+        }
+      } else {
+        collect(child, pinned || isPinnedFolder(child), into);
+      }
+    }
+    return into;
+  };
+
+  const groups = [];
+  const loose = [];
+  for (const child of folder.children || []) {
+    if (child.url) {
+      if (isSendableUrl(child.url)) loose.push({ node: child, pinned: false });
+    } else if (isPinnedFolder(child)) {
+      loose.push(...collect(child, true, []));
+    } else {
+      groups.push(collect(child, false, []));
+    }
+  }
+  if (loose.length > 0) {
+    groups.unshift(loose);
+  }
+
+  const tabs = [];
+  const windows = [];
+  const now = Date.now();
+  groups.filter(group => group.length > 0).forEach((group, position) => {
+    const windowId = position + 1;
+    windows.push({ id: windowId, type: 'normal', state: 'normal' });
+
+    // Chrome keeps pinned tabs at the start of a window
+    const ordered = [...group.filter(entry => entry.pinned), ...group.filter(entry => !entry.pinned)];
+    ordered.forEach(({ node, pinned }, index) => {
+      tabs.push({
+        id: generateLogicalTabId(),
+        url: node.url,
+        title: node.title || node.url,
+        windowId,
+        index,
+        pinned,
+        active: index === 0,
+        timestamp: node.dateAdded || now,
+        deviceId
+      });
+    });
+  });
+
+  return { tabs, windows };
+}
+
+/**
+ * Bookmark export and import service
+ */
+export class BookmarkService {
+  constructor() {
+    this.tabManager = new TabManager();
+    this.exportsKey = 'bookmarkExports';
+  }
+
+  /**
+   * Export a device's synced tabs to a bookmark folder
+   * A device exported before has its folder updated in place rather than duplicated.
+   * @param {string} [deviceId] - Device to export, defaults to this device
+   * @returns {Promise<Object>} Result with the folder ID and counts of bookmark changes
+   */
+  async exportDevice(deviceId = null) {
+    try {
+      const { id, deviceName, tabs, windows } = await this.getDeviceTabs(deviceId);
+      const tree = buildBookmarkTree(tabs, windows);
+      const tabCount = tree.reduce((count, window) => (
+        count + window.children.reduce((total, child) => total + (child.children ? child.children.length : 1), 0)
+      ), 0);
+      if (tabCount === 0) {
+        throw createError('The device has no synced web pages to export', 'NOTHING_TO_EXPORT', { deviceId: id });
+      }
+
+      const exports = await this.getExports();
+      const rootId = await this.ensureFolder(exports.rootId, { title: BOOKMARK_ROOT_TITLE });
+      const folderId = await this.ensureFolder(exports.devices[id], { parentId: rootId, title: deviceName });
+      await chrome.bookmarks.update(folderId, { title: deviceName });
+
+      const changes = { created: 0, updated: 0, moved: 0, removed: 0 };
+      await this.syncChildren(folderId, tree, changes);
+
+      await chrome.storage.local.set({
+        [this.exportsKey]: { rootId, devices: { ...exports.devices, [id]: folderId } }
+      });
+
+      log('info', 'Exported tabs to bookmarks', { deviceId: id, tabs: tabCount, ...changes });
+      return {
+        success: true,
+        deviceId: id,
+        deviceName,
+        folderId,
+        tabCount,
+        windowCount: tree.length,
+        ...changes
+      };
+    } catch (error) {
+      log('error', 'Failed to export tabs to bookmarks', { deviceId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Import a bookmark folder as a saved session, ready to restore on any device
+   * @param {string} folderId - Bookmark folder ID
+   * @param {string} [name] - Session name, defaults to the folder title
+   * @returns {Promise<Object>} Session summary
+   */
+  async importFolder(folderId, name = '') {
+    try {
+      const [folder] = await chrome.bookmarks.getSubTree(folderId);
+      if (!folder || folder.url) {
+        throw createError('Choose a bookmark folder to import', 'INVALID_BOOKMARK_FOLDER', { folderId });
+      }
+
+      const { tabs, windows } = readBookmarkFolder(folder, await getOrCreateDeviceId());
+      const session = await sessionService.saveTabsAsSession((name || '').trim() || folder.title || 'Bookmarks', tabs, {
+        windows,
+        scope: 'bookmarks'
+      });
+
+      log('info', 'Imported bookmark folder as session', { folderId, tabs: tabs.length });
+      return session;
+    } catch (error) {
+      log('error', 'Failed to import bookmark folder', { folderId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * List bookmark folders that can be imported
+   * @returns {Promise<Object[]>} Folders with id, title, path and the number of bookmarks inside
+   */
+  async listFolders() {
+    const [root] = await chrome.bookmarks.getTree();
+    const folders = [];
+
+    const walk = (node, path) => {
+      let count = 0;
+      for (const child of node.children || []) {
+        if (child.url) {
+          count++;
+        } else {
+          const childPath = [...path, child.title];
+          const entry = { id: child.id, title: child.title, path: childPath.join(' / '), bookmarkCount: 0 };
+          folders.push(entry);
+          entry.bookmarkCount = walk(child, childPath);
+          count += entry.bookmarkCount;
+        }
+      }
+      return count;
+    };
+    walk(root, []);
+
+    return folders;
+  }
+
+  /**
+   * Get the tabs and window layouts of a device
+   * @param {string|null} deviceId - Device ID, or null for this device
+   * @returns {Promise<Object>} Device ID, name, tabs and windows
+   */
+  async getDeviceTabs(deviceId) {
+    const currentDeviceId = await getOrCreateDeviceId();
+
+    if (!deviceId || deviceId === currentDeviceId) {
+      const snapshot = await this.tabManager.createSnapshot();
+      return { id: currentDeviceId, deviceName: await getDeviceName(), tabs: snapshot.tabs, windows: snapshot.windows };
+    }
+
+    if (!syncEngine.isInitialized) {
+      await syncEngine.initialize();
+    }
+    const snapshot = (await syncEngine.retrieveRemoteDeviceSnapshots())
+      .find(candidate => candidate.deviceId === deviceId);
+    if (!snapshot) {
+      throw createError('No synced tabs found for that device', 'DEVICE_NOT_FOUND', { deviceId });
+    }
+
+    return {
+      id: deviceId,
+      deviceName: snapshot.metadata?.deviceName || deviceId,
+      tabs: snapshot.tabs,
+      windows: snapshot.windows || []
+    };
+  }
+
+  /**
+   * Make a bookmark folder's children match the wanted nodes, reusing what is already there
+   * @param {string} parentId - Folder ID
+   * @param {Object[]} wanted - Nodes from buildBookmarkTree
+   * @param {Object} changes - Counts of created, updated, moved and removed nodes, updated in place
+   * @returns {Promise<void>}
+   */
+  async syncChildren(parentId, wanted, changes) {
+    const [parent] = await chrome.bookmarks.getSubTree(parentId);
+    const unused = [...(parent.children || [])];
+
+    // Folders match by title and bookmarks by URL
+    const matches = wanted.map(node => {
+      const index = unused.findIndex(existing => (node.children
+        ? !existing.url && existing.title === node.title
+        : existing.url === node.url));
+      return index >= 0 ? unused.splice(index, 1)[0] : null;
+    });
+
+    for (const existing of unused) {
+      await (existing.url ? chrome.bookmarks.remove(existing.id) : chrome.bookmarks.removeTree(existing.id));
+      changes.removed++;
+    }
+
+    // Everything before position i is final, so a kept node only ever moves towards the front
+    const order = (parent.children || []).filter(child => !unused.includes(child)).map(child => child.id);
+    for (let i = 0; i < wanted.length; i++) {
+      const node = wanted[i];
+      const existing = matches[i];
+      let id;
+
+      if (existing) {
+        id = existing.id;
+        if (order[i] !== id) {
+          await chrome.bookmarks.move(id, { parentId, index: i });
+          order.splice(order.indexOf(id), 1);
+          order.splice(i, 0, id);
+          changes.moved++;
+        }
+        if (existing.title !== node.title) {
+          await chrome.bookmarks.update(id, { title: node.title });
+          changes.updated++;
+        }
+      } else {
+        const created = await chrome.bookmarks.create({
+          parentId,
+          index: i,
+          title: node.title,
+          ...(node.url && { url: node.url })
+        });
+        id = created.id;
+        order.splice(i, 0, id);
+        changes.created++;
+      }
+
+      if (node.children) {
+        await this.syncChildren(id, node.children, changes);
+      }
+    }
+  }
+
+  /**
+   * Find a folder exported before, or create it if it was deleted
+   * @param {string} [folderId] - Remembered folder ID
+   * @param {Object} properties - Properties for a new folder
+   * @returns {Promise<string>} Folder ID
+   */
+  async ensureFolder(folderId, properties) {
+    if (folderId) {
+      try {
+        const [folder] = await chrome.bookmarks.getSubTree(folderId);
+        if (folder && !folder.url) {
+          return folder.id;
+        }
+      } catch {
+        // The folder was deleted; create it again
+      }
+    }
+
+    const folder = await chrome.bookmarks.create(properties);
+    return folder.id;
+  }
+
+  /**
+   * Get the folders created by earlier exports
+   * @returns {Promise<Object>} Root folder ID and folder IDs by device
+   */
+  async getExports() {
+    const storage = await chrome.storage.local.get([this.exportsKey]);
+    return { rootId: null, devices: {}, ...storage[this.exportsKey] };
+  }
+}
+
+// Create singleton instance
+export const bookmarkService = new BookmarkService();
@@ -0,0 +1,111 @@
+// Compression for Tab Sync Extension
+// Gzip compression of stored payloads using CompressionStream
+
+import { createError, bytesToBase64, base64ToBytes } from './utils.js';
+
+export const COMPRESSION_FORMAT = 'tab-sync-compressed';
+export const COMPRESSION_VERSION = 1;
+
+// Payloads smaller than this are stored as plain JSON when compression is automatic
+export const COMPRESSION_THRESHOLD = 16 * 1024;
+
+/**
+ * Run bytes through a compression or decompression stream
+ * @param {Uint8Array} bytes - Input bytes
+ * @param {CompressionStream|DecompressionStream} stream - Transform stream
+ * @returns {Promise<Uint8Array>} Output bytes
+ */
+async function transformBytes(bytes, stream) {
+  const output = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(output).arrayBuffer());
+}
+
+/**
+ * Decide whether a payload should be compressed
+ * @param {string} text - Serialized payload
+ * @param {boolean|null} compress - Explicit choice, or null for size-based
+ * @returns {boolean} True if the payload should be compressed
+ */
+export function shouldCompress(text, compress = null) {
+  if (compress !== null && compress !== undefined) {
+    return Boolean(compress);
+  }
+  return text.length >= COMPRESSION_THRESHOLD;
+}
+
+/**
+ * Check whether a value is a compression envelope
+ * @param {any} value - Value to check
+ * @returns {boolean} True if value is an envelope
+ */
+export function isCompressedEnvelope(value) {
+  return Boolean(value) &&
+    typeof value === 'object' &&
+    value.format === COMPRESSION_FORMAT &&
+    typeof value.data === 'string';
+}
+
+/**
+ * Parse raw stored content into a compression envelope if it is one
+ * @param {string} content - Raw stored content
+ * @returns {Object|null} Envelope or null for other content
+ */
+export function parseCompressedEnvelope(content) {
+  if (typeof content !== 'string' || !content.includes(COMPRESSION_FORMAT)) {
+    return null;
+  }
+
+  try {
+    const parsed = JSON.parse(content);
+    return isCompressedEnvelope(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Gzip a string into a versioned envelope
+ * @param {string} text - Text to compress
+ * @returns {Promise<Object>} Compression envelope
+ */
+export async function compressString(text) {
+  const input = new TextEncoder().encode(text);
+  const compressed = await transformBytes(input, new CompressionStream('gzip'));
+
+  return {
+    format: COMPRESSION_FORMAT,
+    version: COMPRESSION_VERSION,
+    algorithm: 'gzip',
+    originalSize: input.length,
+    data: bytesToBase64(compressed)
+  };
+}
+
+/**
+ * Decompress a versioned envelope back into a string
+ * @param {Object} envelope - Compression envelope
+ * @returns {Promise<string>} Decompressed text
+ */
+export async function decompressEnvelope(envelope) {
+  if (!isCompressedEnvelope(envelope)) {
+    throw createError('Content is not a compression envelope', 'INVALID_ENVELOPE');
+  }
+
+  if (envelope.version !== COMPRESSION_VERSION || envelope.algorithm !== 'gzip') {
+    throw createError(
+      `Unsupported compression format: ${envelope.algorithm} v${envelope.version}`,
+      'UNSUPPORTED_COMPRESSION',
+      { version: envelope.version, algorithm: envelope.algorithm }
+    );
+  }
+
+  try {
+    const decompressed = await transformBytes(
+      base64ToBytes(envelope.data),
+      new DecompressionStream('gzip')
+    );
+    return new TextDecoder().decode(decompressed);
+  } catch (error) {
+    throw createError('Compressed sync data is corrupted', 'DECOMPRESSION_FAILED', { error: error.message });
+  }
+}
@@ -190,7 +190,7 @@ class ConflictResolutionModal {
     remoteTabs.innerHTML = '';
     
     // Get tabs from conflict details
-    const { localTab, remoteTab, tabs } = conflict.details || {};
+    const { localTab, remoteTab, tabs, tombstone } = conflict.details || {};
     
     if (localTab) {
       localTabs.appendChild(this.createTabElement(localTab, 'local'));
@@ -198,6 +198,8 @@ class ConflictResolutionModal {
     
     if (remoteTab) {
       remoteTabs.appendChild(this.createTabElement(remoteTab, 'remote'));
+    } else if (tombstone) {
+      remoteTabs.appendChild(this.createTombstoneElement(tombstone));
     }
     
     // Handle multiple tabs (for duplicate conflicts)
@@ -251,6 +253,20 @@ class ConflictResolutionModal {
     return element;
   }
 
+  /**
+   * Create an element for a tab another device closed
+   * @param {Object} tombstone - Tombstone of the closed tab
+   * @returns {HTMLElement} Tab element
+   */
+  createTombstoneElement(tombstone) {
+    const element = this.createTabElement({ title: tombstone.title, url: tombstone.url }, 'remote');
+    
+    const meta = element.querySelector('.tab-meta');
+    meta.textContent = `Closed on ${tombstone.deviceName || 'another device'} • ${new Date(tombstone.deletedAt).toLocaleString()}`;
+    
+    return element;
+  }
+
   /**
    * Populate resolution options
    * @param {HTMLElement} element - Conflict element
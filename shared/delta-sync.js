@@ -0,0 +1,211 @@
+// Delta sync for Tab Sync Extension
+// Computes tab-level changes between snapshots and replays change logs
+
+import { isSameTabGroup } from './tab-groups.js';
+import { isLogicalTabId } from './tab-identity.js';
+import { mergeTombstones } from './tombstones.js';
+
+export const CHANGE_LOG_VERSION = 1;
+
+// A new full snapshot is written after this many deltas or this much time
+export const SNAPSHOT_MAX_ENTRIES = 20;
+export const SNAPSHOT_MAX_AGE = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the key used to match a tab across serializations
+ * @param {TabData} tab - Tab data
+ * @returns {string|number} Matching key
+ */
+function getTabKey(tab) {
+  // Logical IDs survive restarts; older serialized IDs were regenerated on every read, the Chrome tab ID was not
+  if (isLogicalTabId(tab.id)) {
+    return tab.id;
+  }
+  return tab.chromeTabId ?? tab.id;
+}
+
+/**
+ * Compute the changes needed to turn one tab list into another
+ * @param {TabData[]} previousTabs - Tabs in the last uploaded snapshot
+ * @param {TabData[]} currentTabs - Current tabs
+ * @returns {TabDelta} Delta referencing tabs by their ID in the previous list
+ */
+export function computeTabDelta(previousTabs, currentTabs) {
+  const previousByKey = new Map(previousTabs.map(tab => [getTabKey(tab), tab]));
+  const currentKeys = new Set(currentTabs.map(getTabKey));
+
+  const delta = { added: [], removed: [], moved: [], updated: [] };
+
+  for (const tab of currentTabs) {
+    const previous = previousByKey.get(getTabKey(tab));
+    if (!previous) {
+      delta.added.push(tab);
+      continue;
+    }
+
+    if (previous.windowId !== tab.windowId || previous.index !== tab.index) {
+      delta.moved.push({ id: previous.id, windowId: tab.windowId, index: tab.index });
+    }
+
+    const changes = {};
+    for (const field of ['url', 'title', 'pinned']) {
+      if (previous[field] !== tab[field]) {
+        changes[field] = tab[field];
+      }
+    }
+    if (!isSameTabGroup(previous.group, tab.group, { compareIds: true })) {
+      changes.group = tab.group || null;
+    }
+    if (Object.keys(changes).length > 0) {
+      delta.updated.push({ id: previous.id, timestamp: tab.timestamp, ...changes });
+    }
+  }
+
+  for (const tab of previousTabs) {
+    if (!currentKeys.has(getTabKey(tab))) {
+      delta.removed.push(tab.id);
+    }
+  }
+
+  return delta;
+}
+
+/**
+ * Check whether a delta contains no changes
+ * @param {TabDelta} delta - Tab delta
+ * @returns {boolean} True if nothing changed
+ */
+export function isDeltaEmpty(delta) {
+  return delta.added.length === 0 &&
+    delta.removed.length === 0 &&
+    delta.moved.length === 0 &&
+    delta.updated.length === 0;
+}
+
+/**
+ * Count the tab records touched by a delta
+ * @param {Object} delta - Tab delta
+ * @returns {number} Number of changed records
+ */
+export function getDeltaSize(delta) {
+  return delta.added.length + delta.removed.length + delta.moved.length + delta.updated.length;
+}
+
+/**
+ * Apply a delta to a tab list
+ * @param {TabData[]} tabs - Tabs to update
+ * @param {Object} delta - Tab delta
+ * @returns {TabData[]} New tab list, ordered by window and index
+ */
+export function applyTabDelta(tabs, delta) {
+  const tabsById = new Map(tabs.map(tab => [tab.id, { ...tab }]));
+
+  for (const id of delta.removed || []) {
+    tabsById.delete(id);
+  }
+
+  for (const tab of delta.added || []) {
+    tabsById.set(tab.id, { ...tab });
+  }
+
+  for (const move of delta.moved || []) {
+    const tab = tabsById.get(move.id);
+    if (tab) {
+      tab.windowId = move.windowId;
+      tab.index = move.index;
+    }
+  }
+
+  for (const { id, ...changes } of delta.updated || []) {
+    const tab = tabsById.get(id);
+    if (tab) {
+      Object.assign(tab, changes);
+    }
+  }
+
+  return Array.from(tabsById.values()).sort((a, b) =>
+    a.windowId === b.windowId ? a.index - b.index : a.windowId - b.windowId
+  );
+}
+
+/**
+ * Replay a device's change log on top of its full snapshot
+ * @param {SyncData} snapshot - Full device snapshot
+ * @param {Object|null} changeLog - Change log written since the snapshot
+ * @returns {SyncData} Snapshot with all logged changes applied
+ */
+export function replayChangeLog(snapshot, changeLog) {
+  // Entries written against an older snapshot are already folded into this one
+  if (!changeLog || changeLog.baseTimestamp !== snapshot.timestamp) {
+    return snapshot;
+  }
+
+  const entries = [...(changeLog.entries || [])].sort((a, b) => a.sequence - b.sequence);
+  if (entries.length === 0) {
+    return snapshot;
+  }
+
+  let tabs = snapshot.tabs;
+  let windows = snapshot.windows;
+  let tombstones = snapshot.tombstones;
+  for (const entry of entries) {
+    tabs = applyTabDelta(tabs, entry.changes);
+    // Entries only carry window layouts when they changed
+    windows = entry.windows || windows;
+    if (entry.tombstones) {
+      tombstones = mergeTombstones(tombstones || [], entry.tombstones);
+    }
+  }
+
+  const lastEntry = entries[entries.length - 1];
+  return {
+    ...snapshot,
+    timestamp: lastEntry.timestamp,
+    tabs,
+    ...(windows ? { windows } : {}),
+    ...(tombstones ? { tombstones } : {}),
+    metadata: {
+      ...snapshot.metadata,
+      tabCount: tabs.length,
+      replayedChanges: entries.length,
+      snapshotTimestamp: snapshot.timestamp
+    }
+  };
+}
+
+/**
+ * Check whether window layouts differ
+ * @param {WindowLayout[]|undefined} previousWindows - Layouts in the last upload
+ * @param {WindowLayout[]|undefined} currentWindows - Current layouts
+ * @returns {boolean} True if any window was added, removed, resized or changed state
+ */
+export function haveWindowLayoutsChanged(previousWindows, currentWindows) {
+  const normalize = windows => JSON.stringify(
+    [...(windows || [])].sort((a, b) => a.id - b.id)
+  );
+  return normalize(previousWindows) !== normalize(currentWindows);
+}
+
+/**
+ * Decide whether the next upload should be a full snapshot instead of a delta
+ * @param {Object|null} lastUpload - State of the last upload from this device
+ * @param {Object} delta - Changes since the last upload
+ * @param {number} tabCount - Current number of tabs
+ * @returns {boolean} True if a full snapshot should be written
+ */
+export function shouldWriteFullSnapshot(lastUpload, delta, tabCount) {
+  if (!lastUpload) {
+    return true;
+  }
+
+  if (lastUpload.entryCount >= SNAPSHOT_MAX_ENTRIES) {
+    return true;
+  }
+
+  if (Date.now() - lastUpload.snapshotTimestamp >= SNAPSHOT_MAX_AGE) {
+    return true;
+  }
+
+  // Once most tabs changed a delta is no smaller than a snapshot
+  return getDeltaSize(delta) > Math.max(tabCount, 1) / 2;
+}
@@ -0,0 +1,116 @@
+// Device registry for Tab Sync Extension
+// Lists every device that has synced, from the device manifest kept in cloud storage
+
+import { log, createError, getOrCreateDeviceId } from './utils.js';
+import { storageService } from './storage/storage-service.js';
+import { syncEngine } from './sync-engine.js';
+import { sendToDevice } from './send-to-device.js';
+
+export const MAX_DEVICE_LABEL_LENGTH = 100;
+
+/**
+ * Device registry service
+ */
+export class DeviceRegistry {
+  /**
+   * List every device that has synced, this device first, then most recently seen
+   * @returns {Promise<Object[]>} Devices with name, platform, browser, last-seen time and tab count
+   */
+  async listDevices() {
+    try {
+      await this.ensureStorageReady();
+      const manifest = await storageService.getDeviceManifest();
+      const currentDeviceId = await getOrCreateDeviceId();
+
+      return Object.values(manifest.devices)
+        .map(entry => ({
+          deviceId: entry.deviceId,
+          deviceName: entry.label || entry.deviceName || entry.deviceId,
+          reportedName: entry.deviceName || null,
+          label: entry.label || null,
+          platform: entry.platform || null,
+          browserName: entry.browserName || null,
+          browserVersion: entry.browserVersion || null,
+          lastSeen: entry.lastSeen || null,
+          tabCount: entry.tabCount || 0,
+          isCurrent: entry.deviceId === currentDeviceId
+        }))
+        .sort((a, b) => (b.isCurrent - a.isCurrent) || ((b.lastSeen || 0) - (a.lastSeen || 0)));
+    } catch (error) {
+      log('error', 'Failed to list devices', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Set the name shown for a device on every device
+   * The label is kept apart from the name the device reports, so its next sync does not undo it.
+   * @param {string} deviceId - Device ID
+   * @param {string} label - New label, or an empty string to show the reported name again
+   * @returns {Promise<Object>} Result with the device ID and label
+   */
+  async renameDevice(deviceId, label) {
+    if (typeof label !== 'string') {
+      throw createError('Device label must be a string', 'INVALID_DEVICE_LABEL');
+    }
+
+    const trimmed = label.trim();
+    if (trimmed.length > MAX_DEVICE_LABEL_LENGTH) {
+      throw createError(`Device label must be at most ${MAX_DEVICE_LABEL_LENGTH} characters`, 'INVALID_DEVICE_LABEL');
+    }
+
+    try {
+      await this.ensureStorageReady();
+      const manifest = await storageService.setDeviceLabel(deviceId, trimmed || null);
+      const entry = manifest.devices[deviceId];
+      const deviceName = entry.label || entry.deviceName || deviceId;
+      await sendToDevice.updateKnownDevice(deviceId, { deviceName });
+
+      log('info', 'Device renamed', { deviceId, label: trimmed || null });
+      return { success: true, deviceId, label: trimmed || null, deviceName };
+    } catch (error) {
+      log('error', 'Failed to rename device', { deviceId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Forget a retired device
+   * Its snapshot, change log and inbox are deleted, and with them the tombstones it published.
+   * A device still in use registers again with a full snapshot on its next sync, without its label.
+   * @param {string} deviceId - Device ID
+   * @returns {Promise<Object>} Result with the deleted file names
+   */
+  async forgetDevice(deviceId) {
+    if (deviceId === await getOrCreateDeviceId()) {
+      throw createError('This device cannot be forgotten while it is in use', 'CANNOT_FORGET_CURRENT_DEVICE', { deviceId });
+    }
+
+    try {
+      await this.ensureStorageReady();
+      const result = await storageService.forgetDevice(deviceId);
+
+      await syncEngine.forgetDeviceBase(deviceId);
+      await sendToDevice.updateKnownDevice(deviceId, null);
+
+      log('info', 'Device forgotten', { deviceId, files: result.deletedFiles.length });
+      return result;
+    } catch (error) {
+      log('error', 'Failed to forget device', { deviceId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Initialize storage with the authenticated provider if needed
+   * @returns {Promise<void>}
+   */
+  async ensureStorageReady() {
+    if (!storageService.isInitialized()) {
+      await storageService.autoInitialize();
+    }
+  }
+}
+
+// Create singleton instance
+export const deviceRegistry = new DeviceRegistry();
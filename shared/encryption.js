@@ -0,0 +1,462 @@
+// End-to-end encryption for Tab Sync Extension
+// Passphrase-based AES-GCM encryption of stored payloads using WebCrypto
+
+import { log, createError, bytesToBase64, base64ToBytes } from './utils.js';
+
+export const ENCRYPTION_FORMAT = 'tab-sync-encrypted';
+export const ENCRYPTION_VERSION = 1;
+
+const PBKDF2_ITERATIONS = 310000;
+// Envelopes outside this range are either too weak to trust or would stall the browser
+const MIN_PBKDF2_ITERATIONS = 100000;
+const MAX_PBKDF2_ITERATIONS = 1000000;
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+const VERIFIER_PLAINTEXT = 'tab-sync-passphrase-check';
+const ENCRYPTION_ERROR_CODES = [
+  'DECRYPTION_FAILED',
+  'ENCRYPTION_LOCKED',
+  'UNSUPPORTED_ENCRYPTION_VERSION',
+  'INVALID_ENCRYPTION_PARAMETERS'
+];
+
+// Derived keys by salt and iteration count, so PBKDF2 runs once per passphrase setup
+const derivedKeys = new Map();
+
+/**
+ * Derive an AES-GCM key from a passphrase with PBKDF2
+ * @param {string} passphrase - User passphrase
+ * @param {Uint8Array} salt - Random salt
+ * @param {number} iterations - PBKDF2 iteration count
+ * @returns {Promise<CryptoKey>} Derived key
+ */
+export async function deriveKey(passphrase, salt, iterations = PBKDF2_ITERATIONS) {
+  const baseKey = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Create key derivation parameters with a new random salt
+ * @returns {Object} PBKDF2 parameters for an envelope
+ */
+export function createKdfParams() {
+  return {
+    name: 'PBKDF2',
+    hash: 'SHA-256',
+    iterations: PBKDF2_ITERATIONS,
+    salt: bytesToBase64(crypto.getRandomValues(new Uint8Array(SALT_LENGTH)))
+  };
+}
+
+/**
+ * Check key derivation parameters read from storage
+ * @param {Object} kdf - PBKDF2 parameters
+ * @returns {Object} Salt bytes and iteration count
+ */
+function readKdfParams(kdf) {
+  if (!kdf || kdf.name !== 'PBKDF2' || kdf.hash !== 'SHA-256') {
+    throw createError('Unsupported key derivation', 'INVALID_ENCRYPTION_PARAMETERS', {
+      name: kdf?.name,
+      hash: kdf?.hash
+    });
+  }
+
+  const { iterations } = kdf;
+  if (!Number.isInteger(iterations) || iterations < MIN_PBKDF2_ITERATIONS || iterations > MAX_PBKDF2_ITERATIONS) {
+    throw createError(`Unsupported PBKDF2 iteration count: ${iterations}`, 'INVALID_ENCRYPTION_PARAMETERS', { iterations });
+  }
+
+  let salt;
+  try {
+    salt = base64ToBytes(kdf.salt);
+  } catch {
+    salt = null;
+  }
+  if (!salt || salt.length < SALT_LENGTH) {
+    throw createError('Invalid encryption salt', 'INVALID_ENCRYPTION_PARAMETERS');
+  }
+
+  return { salt, iterations };
+}
+
+/**
+ * Get the key for a passphrase and parameters, deriving it only the first time
+ * @param {string} passphrase - User passphrase
+ * @param {Object} kdf - PBKDF2 parameters
+ * @returns {Promise<CryptoKey>} Derived key
+ */
+function getDerivedKey(passphrase, kdf) {
+  const { salt, iterations } = readKdfParams(kdf);
+  const cacheKey = `${kdf.salt}:${iterations}`;
+
+  const cached = derivedKeys.get(cacheKey);
+  if (cached && cached.passphrase === passphrase) {
+    return cached.key;
+  }
+
+  const key = deriveKey(passphrase, salt, iterations);
+  derivedKeys.set(cacheKey, { passphrase, key });
+  key.catch(() => derivedKeys.delete(cacheKey));
+  return key;
+}
+
+/**
+ * Forget every derived key
+ */
+export function clearDerivedKeys() {
+  derivedKeys.clear();
+}
+
+/**
+ * Check whether a value is an encryption envelope
+ * @param {any} value - Value to check
+ * @returns {boolean} True if value is an envelope
+ */
+export function isEncryptedEnvelope(value) {
+  return Boolean(value) &&
+    typeof value === 'object' &&
+    value.format === ENCRYPTION_FORMAT &&
+    typeof value.ciphertext === 'string';
+}
+
+/**
+ * Parse raw stored content into an encryption envelope if it is one
+ * @param {string} content - Raw stored content
+ * @returns {Object|null} Envelope or null for other content
+ */
+export function parseEncryptedEnvelope(content) {
+  if (typeof content !== 'string' || !content.includes(ENCRYPTION_FORMAT)) {
+    return null;
+  }
+
+  try {
+    const parsed = JSON.parse(content);
+    return isEncryptedEnvelope(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Encrypt a string into a versioned envelope
+ * @param {string} plaintext - Text to encrypt
+ * @param {string} passphrase - User passphrase
+ * @param {Object} [kdf] - PBKDF2 parameters to reuse, defaults to a new salt
+ * @returns {Promise<Object>} Encryption envelope
+ */
+export async function encryptString(plaintext, passphrase, kdf = createKdfParams()) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const key = await getDerivedKey(passphrase, kdf);
+
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(plaintext)
+  );
+
+  return {
+    format: ENCRYPTION_FORMAT,
+    version: ENCRYPTION_VERSION,
+    algorithm: 'AES-GCM',
+    kdf: {
+      name: kdf.name,
+      hash: kdf.hash,
+      iterations: kdf.iterations,
+      salt: kdf.salt
+    },
+    iv: bytesToBase64(iv),
+    ciphertext: bytesToBase64(new Uint8Array(ciphertext))
+  };
+}
+
+/**
+ * Decrypt a versioned envelope back into a string
+ * @param {Object} envelope - Encryption envelope
+ * @param {string} passphrase - User passphrase
+ * @returns {Promise<string>} Decrypted text
+ */
+export async function decryptEnvelope(envelope, passphrase) {
+  if (!isEncryptedEnvelope(envelope)) {
+    throw createError('Content is not an encryption envelope', 'INVALID_ENVELOPE');
+  }
+
+  if (envelope.version !== ENCRYPTION_VERSION) {
+    throw createError(
+      `Unsupported encryption version: ${envelope.version}`,
+      'UNSUPPORTED_ENCRYPTION_VERSION',
+      { version: envelope.version }
+    );
+  }
+
+  const key = await getDerivedKey(passphrase, envelope.kdf);
+
+  try {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: base64ToBytes(envelope.iv) },
+      key,
+      base64ToBytes(envelope.ciphertext)
+    );
+    return new TextDecoder().decode(plaintext);
+  } catch (error) {
+    // AES-GCM authentication fails for a wrong key or tampered data
+    throw createError(
+      'Unable to decrypt sync data: the encryption passphrase is incorrect or the data was modified',
+      'DECRYPTION_FAILED'
+    );
+  }
+}
+
+/**
+ * Check whether an error (possibly wrapped by a storage adapter) is an encryption error
+ * @param {Object} error - Error to check
+ * @returns {boolean} True if the error came from encryption
+ */
+export function isEncryptionError(error) {
+  return Boolean(error) && (
+    ENCRYPTION_ERROR_CODES.includes(error.code) ||
+    ENCRYPTION_ERROR_CODES.includes(error.details?.error?.code)
+  );
+}
+
+/**
+ * Passphrase management and encryption of sync payloads
+ */
+export class EncryptionService {
+  constructor() {
+    this.settingsKey = 'encryptionSettings';
+    this.sessionKey = 'encryptionPassphrase';
+  }
+
+  /**
+   * Get encryption status
+   * @returns {Promise<Object>} Status with enabled and unlocked flags
+   */
+  async getStatus() {
+    const settings = await this.getSettings();
+    const passphrase = await this.getSessionPassphrase();
+
+    return {
+      enabled: settings.enabled === true,
+      unlocked: settings.enabled === true && Boolean(passphrase),
+      enabledAt: settings.enabledAt || null
+    };
+  }
+
+  /**
+   * Check whether encryption is enabled
+   * @returns {Promise<boolean>} True if enabled
+   */
+  async isEnabled() {
+    const settings = await this.getSettings();
+    return settings.enabled === true;
+  }
+
+  /**
+   * Enable encryption with a new passphrase and unlock it for this session
+   * @param {string} passphrase - New passphrase
+   * @returns {Promise<Object>} Encryption status
+   */
+  async setupPassphrase(passphrase) {
+    this.validatePassphrase(passphrase);
+
+    // Every envelope reuses this salt, so the key is derived once rather than per file
+    const kdf = createKdfParams();
+    const verifier = await encryptString(VERIFIER_PLAINTEXT, passphrase, kdf);
+    await chrome.storage.local.set({
+      [this.settingsKey]: {
+        enabled: true,
+        enabledAt: Date.now(),
+        kdf,
+        verifier
+      }
+    });
+    await chrome.storage.session.set({ [this.sessionKey]: passphrase });
+
+    log('info', 'Encryption passphrase configured');
+    return await this.getStatus();
+  }
+
+  /**
+   * Unlock encryption for this browser session
+   * @param {string} passphrase - Passphrase to check
+   * @returns {Promise<Object>} Encryption status
+   */
+  async unlock(passphrase) {
+    const settings = await this.getSettings();
+    if (!settings.enabled) {
+      throw createError('Encryption is not enabled', 'ENCRYPTION_NOT_ENABLED');
+    }
+
+    await this.verifyPassphrase(passphrase, settings);
+    await chrome.storage.session.set({ [this.sessionKey]: passphrase });
+
+    log('info', 'Encryption unlocked');
+    return await this.getStatus();
+  }
+
+  /**
+   * Turn on encryption with the passphrase another device already encrypts with
+   * @param {string} passphrase - Passphrase to check
+   * @param {Object|null} verifier - Verifier envelope published by the other device
+   * @returns {Promise<Object>} Encryption status
+   */
+  async join(passphrase, verifier) {
+    if (!isEncryptedEnvelope(verifier)) {
+      throw createError('Encryption is not enabled', 'ENCRYPTION_NOT_ENABLED');
+    }
+
+    await this.verifyPassphrase(passphrase, { verifier });
+    // Keep the other device's salt, so both derive the same key
+    await chrome.storage.local.set({
+      [this.settingsKey]: {
+        enabled: true,
+        enabledAt: Date.now(),
+        kdf: verifier.kdf,
+        verifier
+      }
+    });
+    await chrome.storage.session.set({ [this.sessionKey]: passphrase });
+
+    log('info', 'Joined encrypted sync data');
+    return await this.getStatus();
+  }
+
+  /**
+   * Get the verifier other devices check their passphrase against
+   * @returns {Promise<Object|null>} Verifier envelope, or null if encryption is off
+   */
+  async getVerifier() {
+    const settings = await this.getSettings();
+    return settings.enabled ? settings.verifier || null : null;
+  }
+
+  /**
+   * Forget the passphrase for this browser session
+   * @returns {Promise<Object>} Encryption status
+   */
+  async lock() {
+    await chrome.storage.session.remove(this.sessionKey);
+    clearDerivedKeys();
+    log('info', 'Encryption locked');
+    return await this.getStatus();
+  }
+
+  /**
+   * Disable encryption after confirming the passphrase
+   * @param {string} [passphrase] - Current passphrase, defaults to the unlocked one
+   * @returns {Promise<Object>} Encryption status
+   */
+  async disable(passphrase = null) {
+    const settings = await this.getSettings();
+    if (settings.enabled) {
+      await this.verifyPassphrase(passphrase || await this.requirePassphrase(), settings);
+    }
+
+    await chrome.storage.local.remove(this.settingsKey);
+    await chrome.storage.session.remove(this.sessionKey);
+    clearDerivedKeys();
+
+    log('info', 'Encryption disabled');
+    return await this.getStatus();
+  }
+
+  /**
+   * Encrypt a string with the unlocked passphrase
+   * @param {string} plaintext - Text to encrypt
+   * @returns {Promise<Object>} Encryption envelope
+   */
+  async encrypt(plaintext) {
+    const passphrase = await this.requirePassphrase();
+    const settings = await this.getSettings();
+    // Settings from before the salt was kept use the verifier's
+    return await encryptString(plaintext, passphrase, settings.kdf || settings.verifier?.kdf);
+  }
+
+  /**
+   * Decrypt an envelope with the unlocked passphrase
+   * @param {Object} envelope - Encryption envelope
+   * @returns {Promise<string>} Decrypted text
+   */
+  async decrypt(envelope) {
+    const passphrase = await this.requirePassphrase();
+    return await decryptEnvelope(envelope, passphrase);
+  }
+
+  /**
+   * Check a passphrase against the stored verifier
+   * @param {string} passphrase - Passphrase to check
+   * @param {Object} settings - Stored encryption settings
+   * @returns {Promise<void>}
+   */
+  async verifyPassphrase(passphrase, settings) {
+    this.validatePassphrase(passphrase);
+
+    try {
+      const plaintext = await decryptEnvelope(settings.verifier, passphrase);
+      if (plaintext !== VERIFIER_PLAINTEXT) {
+        throw createError('Verifier mismatch', 'DECRYPTION_FAILED');
+      }
+    } catch (error) {
+      throw createError('Incorrect encryption passphrase', 'WRONG_PASSPHRASE');
+    }
+  }
+
+  /**
+   * Validate passphrase input
+   * @param {string} passphrase - Passphrase to validate
+   */
+  validatePassphrase(passphrase) {
+    if (!passphrase || typeof passphrase !== 'string' || passphrase.length < 8) {
+      throw createError('Passphrase must be at least 8 characters', 'INVALID_PASSPHRASE');
+    }
+  }
+
+  /**
+   * Get the unlocked passphrase or fail with a locked error
+   * @returns {Promise<string>} Passphrase
+   */
+  async requirePassphrase() {
+    const passphrase = await this.getSessionPassphrase();
+    if (!passphrase) {
+      throw createError(
+        'Sync data is encrypted. Unlock encryption with your passphrase in the extension settings.',
+        'ENCRYPTION_LOCKED'
+      );
+    }
+    return passphrase;
+  }
+
+  /**
+   * Get stored encryption settings
+   * @returns {Promise<Object>} Encryption settings
+   */
+  async getSettings() {
+    const storage = await chrome.storage.local.get([this.settingsKey]);
+    return storage[this.settingsKey] || {};
+  }
+
+  /**
+   * Get the passphrase cached for this browser session
+   * @returns {Promise<string|null>} Passphrase or null
+   */
+  async getSessionPassphrase() {
+    const session = await chrome.storage.session.get([this.sessionKey]);
+    return session[this.sessionKey] || null;
+  }
+}
+
+// Create singleton instance
+export const encryptionService = new EncryptionService();
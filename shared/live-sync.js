@@ -0,0 +1,350 @@
+// Live sync for Tab Sync Extension
+// Debounces tab and window events into a pending change set and flushes it after a quiet period.
+// Pending changes are kept in session storage and an alarm backs up the timer, so a suspended
+// service worker still flushes them.
+
+import { log } from './utils.js';
+
+export const DEFAULT_QUIET_PERIOD = 10000; // 10 seconds
+export const MAX_FLUSH_DELAY = 120000; // 2 minutes
+export const LIVE_SYNC_FLUSH_ALARM = 'tab-sync-live-flush';
+
+// Chrome does not fire alarms sooner than this after they are created
+const MIN_ALARM_DELAY = 30000;
+
+// Tabs opened by sync keep loading after they are created; their updates are ignored for this long
+const SYNC_CREATED_TAB_TTL = 30000;
+
+// Tab properties whose changes are worth syncing
+const SYNCED_TAB_PROPERTIES = ['url', 'title', 'pinned', 'groupId'];
+
+/**
+ * Collects tab events while live mode is enabled and flushes them as one sync
+ */
+export class LiveSyncMonitor {
+  constructor() {
+    this.stateKey = 'liveSyncPending';
+    this.enabled = false;
+    this.quietPeriod = DEFAULT_QUIET_PERIOD;
+    this.onFlush = null;
+    this.shouldIgnore = () => false;
+    this.pendingChanges = new Map();
+    this.firstPendingAt = null;
+    this.flushTimer = null;
+    this.flushDueAt = null;
+    this.persisting = Promise.resolve();
+    this.syncCreatedTabs = new Map();
+    this.lastFlushAt = null;
+  }
+
+  /**
+   * Enable live mode
+   * @param {Object} options - Live mode options
+   * @param {Function} options.onFlush - Called with the pending changes after the quiet period
+   * @param {Function} [options.shouldIgnore] - Returns true while sync itself is changing tabs
+   * @param {number} [options.quietPeriod] - Milliseconds without events before flushing
+   */
+  start(options = {}) {
+    const {
+      onFlush,
+      shouldIgnore = () => false,
+      quietPeriod = DEFAULT_QUIET_PERIOD
+    } = options;
+
+    this.onFlush = onFlush;
+    this.shouldIgnore = shouldIgnore;
+    this.quietPeriod = quietPeriod;
+
+    if (!this.enabled) {
+      this.enabled = true;
+      log('info', 'Live sync enabled', { quietPeriod });
+
+      // Changes recorded before the service worker was suspended are flushed now
+      this.restorePending().then(() => {
+        if (this.pendingChanges.size > 0) {
+          this.scheduleFlush();
+        }
+      }).catch(error => {
+        log('error', 'Failed to restore live sync changes', { error: error.message });
+      });
+    }
+  }
+
+  /**
+   * Disable live mode and drop pending changes
+   */
+  stop() {
+    // Changes saved by a previous service worker are dropped as well
+    this.clearPending();
+
+    if (!this.enabled) {
+      return;
+    }
+
+    this.enabled = false;
+    log('info', 'Live sync disabled');
+  }
+
+  /**
+   * Handle chrome.alarms.onAlarm, flushing changes whose timer died with the service worker
+   * @param {chrome.alarms.Alarm} alarm - Fired alarm
+   * @returns {Promise<void>}
+   */
+  async handleAlarm(alarm) {
+    if (alarm.name !== LIVE_SYNC_FLUSH_ALARM) {
+      return;
+    }
+
+    await this.restorePending();
+    await this.flush();
+  }
+
+  /**
+   * Handle chrome.tabs.onCreated
+   * @param {chrome.tabs.Tab} tab - Created tab
+   */
+  handleTabCreated(tab) {
+    if (!this.enabled || tab.incognito) {
+      return;
+    }
+    if (this.shouldIgnore()) {
+      this.syncCreatedTabs.set(tab.id, Date.now());
+      return;
+    }
+    this.recordChange('created', tab.id);
+  }
+
+  /**
+   * Handle chrome.tabs.onRemoved
+   * @param {number} tabId - Removed tab ID
+   * @param {Object} removeInfo - Removal details
+   */
+  handleTabRemoved(tabId, removeInfo = {}) {
+    this.syncCreatedTabs.delete(tabId);
+    if (this.isIgnored()) {
+      return;
+    }
+    this.recordChange('removed', tabId, { windowClosing: removeInfo.isWindowClosing === true });
+  }
+
+  /**
+   * Handle chrome.tabs.onUpdated
+   * @param {number} tabId - Updated tab ID
+   * @param {Object} changeInfo - Changed properties
+   * @param {chrome.tabs.Tab} tab - Updated tab
+   */
+  handleTabUpdated(tabId, changeInfo, tab = {}) {
+    const changed = SYNCED_TAB_PROPERTIES.filter(property => property in changeInfo);
+    if (changed.length === 0 || tab.incognito || this.isIgnored() || this.isSyncCreatedTab(tabId)) {
+      return;
+    }
+    this.recordChange('updated', tabId, { properties: changed });
+  }
+
+  /**
+   * Handle chrome.tabs.onMoved, onAttached and onDetached
+   * @param {number} tabId - Moved tab ID
+   */
+  handleTabMoved(tabId) {
+    if (this.isIgnored()) {
+      return;
+    }
+    this.recordChange('moved', tabId);
+  }
+
+  /**
+   * Handle chrome.tabGroups.onUpdated (renames, color and collapse changes)
+   * @param {chrome.tabGroups.TabGroup} group - Changed group
+   */
+  handleTabGroupChanged(group) {
+    if (this.isIgnored()) {
+      return;
+    }
+    this.recordChange('group_changed', group.id);
+  }
+
+  /**
+   * Handle chrome.windows.onCreated and onRemoved
+   * @param {number} windowId - Window ID
+   * @param {string} type - 'created' or 'removed'
+   */
+  handleWindowChanged(windowId, type) {
+    if (this.isIgnored()) {
+      return;
+    }
+    this.recordChange(`window_${type}`, windowId);
+  }
+
+  /**
+   * Add an event to the pending change set and restart the quiet period
+   * @param {string} type - Change type
+   * @param {number} targetId - Tab or window ID
+   * @param {Object} details - Extra change details
+   */
+  recordChange(type, targetId, details = {}) {
+    if (!this.enabled) {
+      return;
+    }
+
+    // Later events for the same target replace earlier ones of the same type
+    this.pendingChanges.set(`${type}:${targetId}`, {
+      type,
+      targetId,
+      timestamp: Date.now(),
+      ...details
+    });
+
+    if (!this.firstPendingAt) {
+      this.firstPendingAt = Date.now();
+    }
+
+    this.scheduleFlush();
+    this.persistPending();
+  }
+
+  /**
+   * Restart the flush timer, capped so constant activity still syncs
+   */
+  scheduleFlush() {
+    clearTimeout(this.flushTimer);
+
+    const waited = Date.now() - this.firstPendingAt;
+    const delay = Math.max(0, Math.min(this.quietPeriod, MAX_FLUSH_DELAY - waited));
+    this.flushDueAt = Date.now() + delay;
+
+    this.flushTimer = setTimeout(() => {
+      this.flush().catch(error => {
+        log('error', 'Live sync flush failed', { error: error.message });
+      });
+    }, delay);
+  }
+
+  /**
+   * Hand the pending change set to the flush callback
+   * @returns {Promise<Object[]|null>} Flushed changes or null if there were none
+   */
+  async flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    if (!this.enabled || this.pendingChanges.size === 0) {
+      return null;
+    }
+
+    const changes = Array.from(this.pendingChanges.values());
+    this.pendingChanges.clear();
+    this.firstPendingAt = null;
+    this.lastFlushAt = Date.now();
+    this.persistPending();
+
+    log('info', 'Flushing live sync changes', { changeCount: changes.length });
+
+    if (this.onFlush) {
+      await this.onFlush(changes);
+    }
+
+    return changes;
+  }
+
+  /**
+   * Drop pending changes and cancel the flush timer
+   */
+  clearPending() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    this.pendingChanges.clear();
+    this.firstPendingAt = null;
+    this.persistPending();
+  }
+
+  /**
+   * Save the pending change set and its backup alarm, or remove both once nothing is pending
+   * Writes run one at a time so the last one always matches the pending changes.
+   * @returns {Promise<void>}
+   */
+  persistPending() {
+    this.persisting = this.persisting.then(async () => {
+      if (this.pendingChanges.size === 0) {
+        await chrome.storage.session.remove(this.stateKey);
+        await chrome.alarms.clear(LIVE_SYNC_FLUSH_ALARM);
+        return;
+      }
+
+      await chrome.storage.session.set({
+        [this.stateKey]: {
+          firstPendingAt: this.firstPendingAt,
+          changes: Array.from(this.pendingChanges.values())
+        }
+      });
+      await chrome.alarms.create(LIVE_SYNC_FLUSH_ALARM, {
+        when: Math.max(this.flushDueAt, Date.now() + MIN_ALARM_DELAY)
+      });
+    }).catch(error => {
+      log('error', 'Failed to save live sync changes', { error: error.message });
+    });
+    return this.persisting;
+  }
+
+  /**
+   * Add changes saved by an earlier service worker to the pending change set
+   * @returns {Promise<void>}
+   */
+  async restorePending() {
+    const session = await chrome.storage.session.get([this.stateKey]);
+    const saved = session[this.stateKey];
+    if (!saved) {
+      return;
+    }
+
+    for (const change of saved.changes) {
+      const key = `${change.type}:${change.targetId}`;
+      if (!this.pendingChanges.has(key)) {
+        this.pendingChanges.set(key, change);
+      }
+    }
+    this.firstPendingAt = Math.min(this.firstPendingAt || saved.firstPendingAt, saved.firstPendingAt);
+  }
+
+  /**
+   * Check whether events should be ignored right now
+   * @returns {boolean} True while disabled or while sync applies remote tabs
+   */
+  isIgnored() {
+    return !this.enabled || this.shouldIgnore();
+  }
+
+  /**
+   * Check whether a tab was recently opened by sync
+   * @param {number} tabId - Tab ID
+   * @returns {boolean} True if the tab was created by sync
+   */
+  isSyncCreatedTab(tabId) {
+    const createdAt = this.syncCreatedTabs.get(tabId);
+    if (!createdAt) {
+      return false;
+    }
+
+    if (Date.now() - createdAt > SYNC_CREATED_TAB_TTL) {
+      this.syncCreatedTabs.delete(tabId);
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Get live mode status
+   * @returns {Object} Status with enabled flag and pending change count
+   */
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      quietPeriod: this.quietPeriod,
+      pendingChanges: this.pendingChanges.size,
+      lastFlushAt: this.lastFlushAt
+    };
+  }
+}
+
+// Create singleton instance
+export const liveSyncMonitor = new LiveSyncMonitor();
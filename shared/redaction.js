@@ -0,0 +1,382 @@
+// URL redaction for Tab Sync Extension
+// Finds secrets and private addresses in tab URLs and strips, hashes or excludes them before upload
+
+import { log, generateChecksum } from './utils.js';
+
+export const REDACTION_ACTIONS = ['strip', 'hash', 'exclude', 'off'];
+export const DEFAULT_REDACTION_ACTION = 'strip';
+export const MAX_REDACTION_REPORTS = 20;
+
+export const TRACKING_PARAMS = [
+  'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content',
+  'fbclid', 'gclid', 'msclkid', '_ga', 'mc_eid'
+];
+
+// Compared lowercase
+export const SECRET_PARAMS = [
+  'access_token', 'id_token', 'refresh_token', 'auth_token', 'token',
+  'api_key', 'apikey', 'api-key', 'client_secret', 'secret',
+  'password', 'passwd', 'pwd', 'auth', 'authorization',
+  'session', 'sessionid', 'session_id', 'sid', 'jsessionid', 'phpsessid',
+  'sig', 'signature',
+  'x-amz-signature', 'x-amz-credential', 'x-amz-security-token',
+  'x-goog-signature', 'x-goog-credential'
+];
+
+const JWT_PATTERN = /eyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]*/g;
+const JWT_TEST = new RegExp(JWT_PATTERN.source);
+const PATH_SESSION_PATTERN = /;(jsessionid|phpsessid|sid)=[^/?#]*/gi;
+const PRIVATE_SUFFIXES = ['.localhost', '.local', '.internal', '.lan', '.home.arpa'];
+
+/**
+ * Check whether a hostname only resolves on a local or private network
+ * @param {string} hostname - Hostname from a URL
+ * @returns {boolean} Whether the host is private
+ */
+export function isPrivateHost(hostname) {
+  const host = (hostname || '').toLowerCase().replace(/^\[|\]$/g, '');
+  if (!host) {
+    return false;
+  }
+
+  if (host === 'localhost' || PRIVATE_SUFFIXES.some(suffix => host.endsWith(suffix))) {
+    return true;
+  }
+
+  const ipv4 = host.match(/^(\d{1,3})\.(\d{1,3})\.\d{1,3}\.\d{1,3}$/);
+  if (ipv4) {
+    const [first, second] = [Number(ipv4[1]), Number(ipv4[2])];
+    return first === 10 || first === 127 || first === 0 ||
+      (first === 172 && second >= 16 && second <= 31) ||
+      (first === 192 && second === 168) ||
+      (first === 169 && second === 254);
+  }
+
+  return host === '::1' || /^f[cd][0-9a-f]{2}:/.test(host) || host.startsWith('fe80:');
+}
+
+/**
+ * Check whether a query or fragment parameter carries a secret
+ * @param {string} name - Parameter name
+ * @param {string[]} [extraParams] - Additional parameter names from the settings
+ * @returns {boolean} Whether the parameter is secret
+ */
+export function isSecretParam(name, extraParams = []) {
+  const lower = name.toLowerCase();
+  return SECRET_PARAMS.includes(lower) || extraParams.some(param => param.toLowerCase() === lower);
+}
+
+/**
+ * Parse a fragment that holds parameters, as OAuth implicit grants do
+ * @param {string} hash - URL hash including '#'
+ * @returns {URLSearchParams|null} Parameters, or null for an ordinary anchor
+ */
+function parseFragmentParams(hash) {
+  const fragment = hash.replace(/^#/, '');
+  return fragment.includes('=') && !fragment.includes('/') ? new URLSearchParams(fragment) : null;
+}
+
+/**
+ * Find the secrets in a URL
+ * @param {string} url - URL to inspect
+ * @param {Object} [settings] - Redaction settings
+ * @param {string[]} [settings.secretParams] - Additional secret parameter names
+ * @returns {Object[]} Findings as { type, location, name, value }; values never leave this module
+ */
+export function findSecrets(url, settings = {}) {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch {
+    return [];
+  }
+
+  const findings = [];
+  const extraParams = settings.secretParams || [];
+
+  if (urlObj.username || urlObj.password) {
+    findings.push({ type: 'credentials', location: 'userinfo', name: 'credentials', value: urlObj.password || urlObj.username });
+  }
+
+  for (const match of urlObj.pathname.matchAll(PATH_SESSION_PATTERN)) {
+    findings.push({ type: 'secret_param', location: 'path', name: match[1].toLowerCase(), value: match[0] });
+  }
+  for (const match of urlObj.pathname.matchAll(JWT_PATTERN)) {
+    findings.push({ type: 'jwt', location: 'path', name: 'jwt', value: match[0] });
+  }
+
+  const sources = [['query', urlObj.searchParams], ['fragment', parseFragmentParams(urlObj.hash)]];
+  for (const [location, params] of sources) {
+    if (!params) continue;
+
+    for (const [name, value] of params) {
+      if (!value) continue;
+
+      if (isSecretParam(name, extraParams)) {
+        findings.push({ type: 'secret_param', location, name, value });
+      } else {
+        for (const match of value.matchAll(JWT_PATTERN)) {
+          findings.push({ type: 'jwt', location, name, value: match[0] });
+        }
+      }
+    }
+  }
+
+  if (!parseFragmentParams(urlObj.hash)) {
+    for (const match of urlObj.hash.matchAll(JWT_PATTERN)) {
+      findings.push({ type: 'jwt', location: 'fragment', name: 'jwt', value: match[0] });
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Rewrite a URL with its secrets removed or replaced
+ * @param {string} url - URL to rewrite
+ * @param {Object} [settings] - Redaction settings
+ * @param {boolean} [settings.stripTracking] - Also remove tracking parameters
+ * @param {string[]} [settings.secretParams] - Additional secret parameter names
+ * @param {Map<string, string>} [replacements] - Replacement for each secret value; secrets without one are removed
+ * @returns {string} Rewritten URL, or the original if it cannot be parsed
+ */
+export function rewriteUrl(url, settings = {}, replacements = new Map()) {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch {
+    return url;
+  }
+
+  const extraParams = settings.secretParams || [];
+  const replaceJwts = text => text.replace(JWT_PATTERN, token => replacements.get(token) || 'redacted');
+
+  // Only touch parameters that change, since rewriting re-encodes the rest
+  const rewriteParams = params => {
+    let changed = false;
+    for (const [name, value] of [...params]) {
+      if (settings.stripTracking && TRACKING_PARAMS.includes(name)) {
+        params.delete(name);
+      } else if (value && isSecretParam(name, extraParams)) {
+        if (replacements.has(value)) {
+          params.set(name, replacements.get(value));
+        } else {
+          params.delete(name);
+        }
+      } else if (value && JWT_TEST.test(value)) {
+        params.set(name, replaceJwts(value));
+      } else {
+        continue;
+      }
+      changed = true;
+    }
+    return changed;
+  };
+
+  urlObj.username = '';
+  urlObj.password = '';
+  urlObj.pathname = replaceJwts(urlObj.pathname.replace(PATH_SESSION_PATTERN, match => (
+    replacements.has(match) ? `;${match.slice(1).split('=')[0]}=${replacements.get(match)}` : ''
+  )));
+
+  rewriteParams(urlObj.searchParams);
+
+  const fragmentParams = parseFragmentParams(urlObj.hash);
+  if (fragmentParams && rewriteParams(fragmentParams)) {
+    const fragment = fragmentParams.toString();
+    urlObj.hash = fragment ? `#${fragment}` : '';
+  } else if (!fragmentParams && urlObj.hash) {
+    urlObj.hash = replaceJwts(urlObj.hash);
+  }
+
+  return urlObj.toString();
+}
+
+/**
+ * Redact one URL
+ * @param {string} url - URL to redact
+ * @param {Object} settings - Redaction settings
+ * @param {string} settings.action - strip, hash, exclude or off
+ * @param {boolean} settings.excludePrivateHosts - Exclude tabs on local and private network addresses
+ * @param {string[]} [settings.secretParams] - Additional secret parameter names
+ * @returns {Promise<Object>} Result with the url, the action taken (or null) and the findings without their values
+ */
+export async function redactUrl(url, settings) {
+  let hostname = '';
+  try {
+    hostname = new URL(url).hostname;
+  } catch {
+    return { url, action: null, findings: [] };
+  }
+
+  if (settings.excludePrivateHosts && isPrivateHost(hostname)) {
+    return { url, action: 'excluded', findings: [{ type: 'private_host', location: 'host', name: hostname }] };
+  }
+
+  if (settings.action === 'off') {
+    return { url, action: null, findings: [] };
+  }
+
+  const secrets = findSecrets(url, settings);
+  const findings = secrets.map(({ type, location, name }) => ({ type, location, name }));
+  if (secrets.length === 0) {
+    return { url, action: null, findings };
+  }
+
+  if (settings.action === 'exclude') {
+    return { url, action: 'excluded', findings };
+  }
+
+  const replacements = new Map();
+  if (settings.action === 'hash') {
+    for (const { type, value } of secrets) {
+      if (type !== 'credentials') {
+        const digest = await generateChecksum(value);
+        replacements.set(value, `redacted-${digest.substring(0, 12)}`);
+      }
+    }
+  }
+
+  return {
+    url: rewriteUrl(url, settings, replacements),
+    action: settings.action === 'hash' ? 'hashed' : 'stripped',
+    findings
+  };
+}
+
+/**
+ * Redact a tab title, which for untitled pages is the URL itself
+ * @param {string} title - Tab title
+ * @param {string} originalUrl - URL before redaction
+ * @param {string} replacement - Text to put in place of the URL
+ * @returns {string} Redacted title
+ */
+function redactTitle(title, originalUrl, replacement) {
+  if (!title) {
+    return title;
+  }
+  return title.split(originalUrl).join(replacement).replace(JWT_PATTERN, 'redacted');
+}
+
+/**
+ * Redact the URLs of tabs about to be uploaded
+ * @param {TabData[]} tabs - Tabs
+ * @param {Object} settings - Redaction settings
+ * @returns {Promise<Object>} Result with the redacted tabs and a report of what changed
+ */
+export async function redactTabs(tabs, settings) {
+  const redacted = [];
+  const entries = [];
+
+  for (const tab of tabs) {
+    const result = await redactUrl(tab.url, settings);
+    // A favicon carrying signed parameters is dropped rather than rewritten
+    const faviconFindings = tab.favicon && settings.action !== 'off'
+      ? findSecrets(tab.favicon, settings).map(({ type, name }) => ({ type, location: 'favicon', name }))
+      : [];
+    if (!result.action && faviconFindings.length === 0) {
+      redacted.push(tab);
+      continue;
+    }
+
+    let host = '';
+    try {
+      host = new URL(tab.url).host;
+    } catch {
+      // Unparseable URLs are never redacted
+    }
+    const excluded = result.action === 'excluded';
+    const title = result.action ? redactTitle(tab.title, tab.url, excluded ? host : result.url) : tab.title;
+    entries.push({
+      tabId: tab.id,
+      title,
+      host,
+      action: result.action || 'stripped',
+      findings: [...result.findings, ...faviconFindings]
+    });
+
+    if (!excluded) {
+      const { favicon, ...rest } = tab;
+      redacted.push({ ...rest, url: result.url, title, ...(favicon && faviconFindings.length === 0 && { favicon }) });
+    }
+  }
+
+  return {
+    tabs: redacted,
+    report: {
+      timestamp: Date.now(),
+      action: settings.action,
+      tabCount: tabs.length,
+      redactedCount: entries.filter(entry => entry.action !== 'excluded').length,
+      excludedCount: entries.filter(entry => entry.action === 'excluded').length,
+      entries
+    }
+  };
+}
+
+/**
+ * Redaction service
+ * Reads the redaction settings and keeps the reports of recent syncs on this device.
+ */
+export class RedactionService {
+  constructor() {
+    this.storageKey = 'redactionReports';
+  }
+
+  /**
+   * Get the redaction settings from the sync settings
+   * @returns {Promise<Object>} Settings with action, excludePrivateHosts and secretParams
+   */
+  async getSettings() {
+    let settings = {};
+    try {
+      const storage = await chrome.storage.local.get(['syncSettings']);
+      settings = storage?.syncSettings || {};
+    } catch (error) {
+      log('warn', 'Failed to load redaction settings', { error: error.message });
+    }
+
+    return {
+      action: REDACTION_ACTIONS.includes(settings.secretRedaction) ? settings.secretRedaction : DEFAULT_REDACTION_ACTION,
+      excludePrivateHosts: settings.excludePrivateHosts !== false,
+      secretParams: Array.isArray(settings.secretParams) ? settings.secretParams : []
+    };
+  }
+
+  /**
+   * Redact tabs with the saved settings
+   * @param {TabData[]} tabs - Tabs about to be uploaded
+   * @returns {Promise<Object>} Result with the redacted tabs and the report
+   */
+  async redactTabs(tabs) {
+    return redactTabs(tabs, await this.getSettings());
+  }
+
+  /**
+   * Keep a report, dropping the oldest beyond the limit
+   * @param {Object} report - Report from redactTabs
+   * @returns {Promise<void>}
+   */
+  async saveReport(report) {
+    try {
+      const reports = await this.getReports();
+      await chrome.storage.local.set({
+        [this.storageKey]: [report, ...reports].slice(0, MAX_REDACTION_REPORTS)
+      });
+    } catch (error) {
+      log('warn', 'Failed to save redaction report', { error: error.message });
+    }
+  }
+
+  /**
+   * Get the reports of recent syncs, newest first
+   * @returns {Promise<Object[]>} Reports
+   */
+  async getReports() {
+    const storage = await chrome.storage.local.get([this.storageKey]);
+    return storage?.[this.storageKey] || [];
+  }
+}
+
+// Create singleton instance
+export const redactionService = new RedactionService();
@@ -0,0 +1,411 @@
+// Send to device for Tab Sync Extension
+// Delivers tabs to one device through an inbox file it empties on its next sync or poll
+
+import { log, createError, getDeviceMetadata } from './utils.js';
+import { storageService } from './storage/storage-service.js';
+import { TabManager } from './tab-manager.js';
+import { generateLogicalTabId } from './tab-identity.js';
+import { redactionService } from './redaction.js';
+
+export const INBOX_POLL_ALARM = 'tab-sync-inbox';
+export const INBOX_POLL_MINUTES = 5;
+
+// Browser pages differ between browsers, so only web pages are sent
+export const SENDABLE_PROTOCOLS = ['http:', 'https:', 'ftp:'];
+
+export const SEND_MENU_IDS = {
+  tab: 'send-tab',
+  link: 'send-link',
+  window: 'send-window'
+};
+
+/**
+ * Check whether a URL can be opened on another device
+ * @param {string} url - URL to check
+ * @returns {boolean} True if the URL can be sent
+ */
+export function isSendableUrl(url) {
+  try {
+    return SENDABLE_PROTOCOLS.includes(new URL(url).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Generate a delivery ID
+ * @returns {string} Delivery ID
+ */
+export function generateDeliveryId() {
+  const timestamp = Date.now().toString(36);
+  const random = Math.random().toString(36).substr(2, 8) || '0';
+  return `delivery-${timestamp}-${random}`;
+}
+
+/**
+ * Create a delivery of tabs from this device
+ * @param {Object[]} tabs - Tabs with url, title and pinned
+ * @param {DeviceMetadata} sender - Sending device
+ * @param {Object} options - Delivery options
+ * @param {boolean} [options.newWindow=false] - Open the tabs together in a new window
+ * @returns {Delivery} Delivery
+ */
+export function createDelivery(tabs, sender, options = {}) {
+  const { newWindow = false } = options;
+  return {
+    id: generateDeliveryId(),
+    fromDeviceId: sender.deviceId,
+    fromDeviceName: sender.deviceName,
+    sentAt: Date.now(),
+    newWindow,
+    tabs: tabs
+      .filter(tab => isSendableUrl(tab.url))
+      .map(tab => ({ url: tab.url, title: tab.title || tab.url, pinned: Boolean(tab.pinned) }))
+  };
+}
+
+/**
+ * Create a context menu item
+ * @param {Object} properties - Menu item properties
+ * @returns {Promise<void>} Rejects with Chrome's error, such as a duplicate ID
+ */
+function createContextMenu(properties) {
+  return new Promise((resolve, reject) => {
+    chrome.contextMenus.create(properties, () => {
+      if (chrome.runtime.lastError) {
+        reject(createError(chrome.runtime.lastError.message, 'CONTEXT_MENU_ERROR', { id: properties.id }));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Send to device service
+ */
+export class SendToDeviceService {
+  constructor() {
+    this.tabManager = new TabManager();
+    this.knownDevicesKey = 'knownDevices';
+    this.isReceiving = false;
+    this.menuUpdate = Promise.resolve();
+  }
+
+  /**
+   * List the other devices tabs can be sent to
+   * @param {Object} options - Options
+   * @param {boolean} [options.refresh=false] - Read the device snapshots again instead of the list kept from the last sync
+   * @returns {Promise<Object[]>} Devices with deviceId, deviceName, browserName, platform and lastSeen
+   */
+  async getKnownDevices(options = {}) {
+    const { refresh = false } = options;
+    const storage = await chrome.storage.local.get([this.knownDevicesKey]);
+    if (storage[this.knownDevicesKey] && !refresh) {
+      return storage[this.knownDevicesKey];
+    }
+
+    await this.ensureStorageReady();
+    const deviceId = await this.getCurrentDeviceId();
+    const snapshots = await storageService.retrieveDeviceSnapshots({ excludeDeviceId: deviceId });
+    return await this.rememberDevices(snapshots.map(snapshot => snapshot.label
+      ? { ...snapshot.data, metadata: { ...snapshot.data.metadata, deviceName: snapshot.label } }
+      : snapshot.data));
+  }
+
+  /**
+   * Keep the devices found in snapshots of other devices as send targets
+   * @param {SyncData[]} snapshots - Snapshots of other devices
+   * @returns {Promise<Object[]>} Known devices, most recently seen first
+   */
+  async rememberDevices(snapshots) {
+    const devices = snapshots
+      .filter(snapshot => snapshot?.deviceId)
+      .map(snapshot => ({
+        deviceId: snapshot.deviceId,
+        deviceName: snapshot.metadata?.deviceName || snapshot.deviceId,
+        browserName: snapshot.metadata?.browserName || null,
+        platform: snapshot.metadata?.platform || null,
+        lastSeen: snapshot.metadata?.lastSeen || snapshot.timestamp
+      }))
+      .sort((a, b) => (b.lastSeen || 0) - (a.lastSeen || 0));
+
+    try {
+      const storage = await chrome.storage.local.get([this.knownDevicesKey]);
+      if (JSON.stringify(storage[this.knownDevicesKey]) !== JSON.stringify(devices)) {
+        await chrome.storage.local.set({ [this.knownDevicesKey]: devices });
+      }
+    } catch (error) {
+      log('warn', 'Failed to save known devices', { error: error.message });
+    }
+    return devices;
+  }
+
+  /**
+   * Rename or remove a device in the list kept from the last sync
+   * @param {string} deviceId - Device ID
+   * @param {Object|null} changes - Fields to change, or null to remove the device
+   * @returns {Promise<void>}
+   */
+  async updateKnownDevice(deviceId, changes) {
+    const storage = await chrome.storage.local.get([this.knownDevicesKey]);
+    const devices = storage[this.knownDevicesKey];
+    if (!devices?.some(device => device.deviceId === deviceId)) {
+      return;
+    }
+
+    await chrome.storage.local.set({
+      [this.knownDevicesKey]: changes
+        ? devices.map(device => (device.deviceId === deviceId ? { ...device, ...changes } : device))
+        : devices.filter(device => device.deviceId !== deviceId)
+    });
+  }
+
+  /**
+   * Send tabs to another device
+   * @param {string} targetDeviceId - Device to send the tabs to
+   * @param {Object[]} tabs - Tabs with url, title and pinned
+   * @param {Object} options - Delivery options
+   * @param {boolean} [options.newWindow=false] - Open the tabs together in a new window
+   * @returns {Promise<Object>} Result with the delivery ID, target and tab count
+   */
+  async sendTabs(targetDeviceId, tabs, options = {}) {
+    if (typeof targetDeviceId !== 'string' || !targetDeviceId) {
+      throw createError('Target device is required', 'INVALID_TARGET_DEVICE');
+    }
+
+    try {
+      await this.ensureStorageReady();
+      const sender = await getDeviceMetadata();
+      if (targetDeviceId === sender.deviceId) {
+        throw createError('Tabs cannot be sent to this device', 'INVALID_TARGET_DEVICE', { targetDeviceId });
+      }
+
+      const delivery = createDelivery(tabs, sender, options);
+      if (delivery.tabs.length === 0) {
+        throw createError('Only web pages can be sent to another device', 'NOTHING_TO_SEND', { targetDeviceId });
+      }
+
+      // The inbox is uploaded like sync data, so deliveries are scrubbed the same way
+      const redaction = await redactionService.redactTabs(delivery.tabs);
+      delivery.tabs = redaction.tabs;
+      if (delivery.tabs.length === 0) {
+        throw createError('Tabs on private addresses or carrying secrets are not sent', 'NOTHING_TO_SEND', { targetDeviceId });
+      }
+
+      await storageService.appendInboxDelivery(targetDeviceId, delivery);
+      await redactionService.saveReport({ ...redaction.report, syncId: delivery.id, syncType: 'send' });
+
+      log('info', 'Tabs sent to device', { targetDeviceId, deliveryId: delivery.id, tabs: delivery.tabs.length });
+      return {
+        success: true,
+        deliveryId: delivery.id,
+        targetDeviceId,
+        tabCount: delivery.tabs.length
+      };
+    } catch (error) {
+      log('error', 'Failed to send tabs to device', { targetDeviceId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Send every tab of a window to another device, to open in a new window there
+   * @param {string} targetDeviceId - Device to send the window to
+   * @param {number} windowId - Chrome window ID
+   * @returns {Promise<Object>} Result with the delivery ID, target and tab count
+   */
+  async sendWindow(targetDeviceId, windowId) {
+    const tabs = await chrome.tabs.query({ windowId });
+    return await this.sendTabs(targetDeviceId, tabs, { newWindow: true });
+  }
+
+  /**
+   * Open the tabs waiting in this device's inbox, then remove them from it
+   * Deliveries that fail to open stay in the inbox for the next attempt.
+   * @returns {Promise<Object>} Result with the deliveries opened and the tabs created
+   */
+  async receiveDeliveries() {
+    if (this.isReceiving) {
+      return { deliveries: [], tabsOpened: 0 };
+    }
+
+    this.isReceiving = true;
+    try {
+      await this.ensureStorageReady();
+      const deviceId = await this.getCurrentDeviceId();
+      const inbox = await storageService.retrieveInbox(deviceId);
+      if (inbox.deliveries.length === 0) {
+        return { deliveries: [], tabsOpened: 0 };
+      }
+
+      const acknowledged = [];
+      const received = [];
+      let tabsOpened = 0;
+
+      for (const delivery of inbox.deliveries) {
+        const tabsData = this.toTabData(delivery, deviceId);
+
+        try {
+          if (tabsData.length > 0) {
+            const created = await this.tabManager.createTabs(tabsData, {
+              createNewWindow: delivery.newWindow,
+              activateFirst: false
+            });
+            tabsOpened += created.length;
+          } else {
+            log('warn', 'Dropping delivery without tabs that can be opened', { deliveryId: delivery.id });
+          }
+
+          acknowledged.push(delivery.id);
+          received.push({
+            id: delivery.id,
+            fromDeviceId: delivery.fromDeviceId,
+            fromDeviceName: delivery.fromDeviceName || delivery.fromDeviceId,
+            sentAt: delivery.sentAt,
+            tabCount: tabsData.length
+          });
+        } catch (error) {
+          log('error', 'Failed to open delivery', { deliveryId: delivery.id, error: error.message });
+        }
+      }
+
+      if (acknowledged.length > 0) {
+        await storageService.removeInboxDeliveries(deviceId, acknowledged);
+      }
+
+      log('info', 'Deliveries received', { deliveries: received.length, tabsOpened });
+      return { deliveries: received, tabsOpened };
+    } finally {
+      this.isReceiving = false;
+    }
+  }
+
+  /**
+   * Turn the tabs of a delivery into tab data that opens on this device
+   * Sent tabs are copies, so they get new IDs instead of following the sender's tabs.
+   * @param {Delivery} delivery - Delivery
+   * @param {string} deviceId - This device's ID
+   * @returns {TabData[]} Tab data to create
+   */
+  toTabData(delivery, deviceId) {
+    const timestamp = Date.now();
+    return (delivery.tabs || [])
+      .filter(tab => isSendableUrl(tab.url))
+      .map((tab, index) => ({
+        id: generateLogicalTabId(),
+        url: tab.url,
+        title: tab.title || tab.url,
+        windowId: 0,
+        index,
+        timestamp,
+        deviceId,
+        pinned: Boolean(tab.pinned)
+      }));
+  }
+
+  /**
+   * Create the alarm that checks the inbox between syncs
+   * @returns {Promise<void>}
+   */
+  async schedulePolling() {
+    const existing = await chrome.alarms.get(INBOX_POLL_ALARM);
+    if (!existing || existing.periodInMinutes !== INBOX_POLL_MINUTES) {
+      await chrome.alarms.create(INBOX_POLL_ALARM, { periodInMinutes: INBOX_POLL_MINUTES });
+    }
+  }
+
+  /**
+   * Rebuild the "send to device" context menus for the known devices
+   * Rebuilds run one at a time, since items created by one would clash with the next.
+   * @param {Object[]} devices - Known devices
+   * @returns {Promise<void>}
+   */
+  updateContextMenus(devices) {
+    const update = this.menuUpdate.then(() => this.rebuildContextMenus(devices));
+    this.menuUpdate = update.catch(() => {});
+    return update;
+  }
+
+  /**
+   * Replace the context menus with one entry per device under each send menu
+   * @param {Object[]} devices - Known devices
+   * @returns {Promise<void>}
+   */
+  async rebuildContextMenus(devices) {
+    await chrome.contextMenus.removeAll();
+    if (devices.length === 0) {
+      return;
+    }
+
+    const parents = [
+      { id: SEND_MENU_IDS.tab, title: 'Send tab to device', contexts: ['page', 'action'] },
+      { id: SEND_MENU_IDS.link, title: 'Send link to device', contexts: ['link'] },
+      { id: SEND_MENU_IDS.window, title: 'Send window to device', contexts: ['page', 'action'] }
+    ];
+
+    for (const parent of parents) {
+      await createContextMenu(parent);
+      for (const device of devices) {
+        await createContextMenu({
+          id: `${parent.id}:${device.deviceId}`,
+          parentId: parent.id,
+          title: device.deviceName,
+          contexts: parent.contexts
+        });
+      }
+    }
+  }
+
+  /**
+   * Handle chrome.contextMenus.onClicked for the send menus
+   * @param {chrome.contextMenus.OnClickData} info - Click information
+   * @param {chrome.tabs.Tab} [tab] - Tab the menu was opened in
+   * @returns {Promise<Object|null>} Send result, or null for other menus
+   */
+  async handleContextMenuClick(info, tab) {
+    const menuItemId = String(info.menuItemId);
+    const separator = menuItemId.indexOf(':');
+    if (separator === -1) {
+      return null;
+    }
+
+    const kind = menuItemId.substring(0, separator);
+    const targetDeviceId = menuItemId.substring(separator + 1);
+
+    switch (kind) {
+      case SEND_MENU_IDS.tab:
+        return await this.sendTabs(targetDeviceId, [tab]);
+      case SEND_MENU_IDS.link:
+        return await this.sendTabs(targetDeviceId, [{ url: info.linkUrl, title: info.selectionText || info.linkUrl }]);
+      case SEND_MENU_IDS.window:
+        return await this.sendWindow(targetDeviceId, tab.windowId);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Get the ID of this device
+   * @returns {Promise<string>} Device ID
+   */
+  async getCurrentDeviceId() {
+    if (!this.tabManager.deviceId) {
+      await this.tabManager.initialize();
+    }
+    return this.tabManager.deviceId;
+  }
+
+  /**
+   * Initialize storage with the authenticated provider if needed
+   * @returns {Promise<void>}
+   */
+  async ensureStorageReady() {
+    if (!storageService.isInitialized()) {
+      await storageService.autoInitialize();
+    }
+  }
+}
+
+// Create singleton instance
+export const sendToDevice = new SendToDeviceService();
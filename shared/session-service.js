@@ -0,0 +1,360 @@
+// Named sessions for Tab Sync Extension
+// Saves tab sets as separate storage files that can be listed, restored and deleted on demand
+
+import { log, createError, getDeviceMetadata } from './utils.js';
+import { storageService } from './storage/storage-service.js';
+import { TabManager } from './tab-manager.js';
+import { redactionService } from './redaction.js';
+
+export const SESSION_FORMAT = 'tab-sync-session';
+export const SESSION_VERSION = 1;
+export const SESSION_FILE_PREFIX = 'session-';
+export const MAX_SESSION_NAME_LENGTH = 100;
+
+const SESSION_FILE_PATTERN = /^session-([a-z0-9-]+)\.json$/;
+const SESSION_ID_PATTERN = /^[a-z0-9-]+$/;
+
+/**
+ * Named session service
+ */
+export class SessionService {
+  constructor() {
+    this.tabManager = new TabManager();
+    this.indexKey = 'sessionIndex';
+  }
+
+  /**
+   * Save the current window or all windows as a named session
+   * @param {string} name - Session name
+   * @param {Object} options - Save options
+   * @param {string} [options.scope='all'] - 'window' for one window, 'all' for every window
+   * @param {number} [options.windowId] - Window to save when scope is 'window', defaults to the last focused one
+   * @returns {Promise<Object>} Session summary
+   */
+  async saveSession(name, options = {}) {
+    const { scope = 'all', windowId = null } = options;
+    const sessionName = this.validateName(name);
+
+    if (scope !== 'all' && scope !== 'window') {
+      throw createError(`Unknown session scope: ${scope}`, 'INVALID_SESSION_SCOPE');
+    }
+
+    try {
+      await this.ensureStorageReady();
+
+      const snapshot = await this.tabManager.createSnapshot();
+      let { tabs, windows } = snapshot;
+
+      if (scope === 'window') {
+        const targetWindowId = windowId ?? (await chrome.windows.getLastFocused({ windowTypes: ['normal'] })).id;
+        tabs = tabs.filter(tab => tab.windowId === targetWindowId);
+        windows = windows.filter(window => window.id === targetWindowId);
+      }
+
+      // Snapshot windows carry their tabs; the session keeps only their layout
+      const layouts = windows.map(({ tabs: windowTabs, tabCount, focused, ...layout }) => layout);
+      return await this.storeSession(sessionName, tabs, layouts, scope);
+    } catch (error) {
+      log('error', 'Failed to save session', { name: sessionName, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Save tabs that did not come from the open windows, such as an imported bookmark folder
+   * @param {string} name - Session name
+   * @param {TabData[]} tabs - Tabs
+   * @param {Object} [options] - Save options
+   * @param {WindowLayout[]} [options.windows] - Layouts of the windows the tabs are in
+   * @param {string} [options.scope='import'] - Where the tabs came from
+   * @returns {Promise<Object>} Session summary
+   */
+  async saveTabsAsSession(name, tabs, options = {}) {
+    const { windows = [], scope = 'import' } = options;
+    const sessionName = this.validateName(name);
+
+    try {
+      await this.ensureStorageReady();
+      return await this.storeSession(sessionName, tabs, windows, scope);
+    } catch (error) {
+      log('error', 'Failed to save session', { name: sessionName, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Write a session file and add it to the index
+   * @param {string} sessionName - Validated session name
+   * @param {TabData[]} tabs - Tabs
+   * @param {WindowLayout[]} windows - Window layouts
+   * @param {string} scope - Session scope
+   * @returns {Promise<Object>} Session summary
+   */
+  async storeSession(sessionName, tabs, windows, scope) {
+    // Session files are uploaded like sync data, so they are scrubbed the same way
+    const redaction = await redactionService.redactTabs(tabs);
+    if (redaction.tabs.length < tabs.length) {
+      windows = windows.filter(window => redaction.tabs.some(tab => tab.windowId === window.id));
+    }
+    tabs = redaction.tabs;
+
+    if (tabs.length === 0) {
+      throw createError('There are no tabs to save', 'EMPTY_SESSION');
+    }
+
+    const deviceMetadata = await getDeviceMetadata();
+    const createdAt = Date.now();
+    const session = {
+      format: SESSION_FORMAT,
+      version: SESSION_VERSION,
+      id: this.generateSessionId(sessionName, createdAt),
+      name: sessionName,
+      scope,
+      createdAt,
+      deviceId: deviceMetadata.deviceId,
+      deviceName: deviceMetadata.deviceName,
+      tabCount: tabs.length,
+      windowCount: windows.length,
+      windows,
+      tabs
+    };
+
+    const fileName = this.getSessionFileName(session.id);
+    await storageService.store(fileName, session, {
+      commitMessage: `Save session "${sessionName}"`
+    });
+
+    await redactionService.saveReport({ ...redaction.report, syncId: session.id, syncType: 'session' });
+
+    const summary = this.summarizeSession(session, fileName);
+    await this.updateIndex(index => ({ ...index, [fileName]: summary }));
+
+    log('info', 'Session saved', { sessionId: session.id, scope, tabCount: tabs.length });
+    return summary;
+  }
+
+  /**
+   * List saved sessions, newest first
+   * @returns {Promise<Object[]>} Session summaries
+   */
+  async listSessions() {
+    try {
+      await this.ensureStorageReady();
+
+      const files = await storageService.listFiles({
+        pattern: SESSION_FILE_PREFIX,
+        maxResults: 1000
+      });
+      const sessionFiles = files.filter(file => SESSION_FILE_PATTERN.test(file.name));
+
+      // Sessions never change once saved, so summaries are only read the first time a file is seen
+      const index = await this.getIndex();
+      const nextIndex = {};
+      const summaries = [];
+
+      for (const file of sessionFiles) {
+        const summary = index[file.name] || await this.readSessionSummary(file.name);
+        summaries.push(summary);
+        if (!summary.unreadable) {
+          nextIndex[file.name] = summary;
+        }
+      }
+
+      // Dropping files that are gone keeps sessions deleted on other devices out of the index
+      await chrome.storage.local.set({ [this.indexKey]: nextIndex });
+
+      return summaries.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+    } catch (error) {
+      log('error', 'Failed to list sessions', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a saved session with its tabs
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} Session data
+   */
+  async getSession(sessionId) {
+    await this.ensureStorageReady();
+
+    const result = await storageService.retrieve(this.getSessionFileName(sessionId));
+    const session = result.data;
+
+    if (!session || session.format !== SESSION_FORMAT || !Array.isArray(session.tabs)) {
+      throw createError('Not a saved session', 'INVALID_SESSION', { sessionId });
+    }
+    if (session.version > SESSION_VERSION) {
+      throw createError(`Unsupported session version: ${session.version}`, 'UNSUPPORTED_SESSION_VERSION');
+    }
+
+    return session;
+  }
+
+  /**
+   * Restore a saved session into new windows
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} Restore result with created tab and window counts
+   */
+  async restoreSession(sessionId) {
+    try {
+      const session = await this.getSession(sessionId);
+      const result = await this.tabManager.restoreWindowLayout(session.tabs, session.windows || []);
+
+      log('info', 'Session restored', { sessionId, tabs: result.created.length });
+
+      return {
+        success: result.errors.length === 0,
+        sessionId,
+        name: session.name,
+        tabsCreated: result.created.length,
+        windowsCreated: Object.keys(result.windowMap).length,
+        errors: result.errors
+      };
+    } catch (error) {
+      log('error', 'Failed to restore session', { sessionId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a saved session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} Deletion result
+   */
+  async deleteSession(sessionId) {
+    try {
+      await this.ensureStorageReady();
+
+      const fileName = this.getSessionFileName(sessionId);
+      const result = await storageService.deleteFile(fileName, {
+        commitMessage: `Delete session ${sessionId}`
+      });
+
+      await this.updateIndex(index => {
+        const { [fileName]: removed, ...rest } = index;
+        return rest;
+      });
+
+      log('info', 'Session deleted', { sessionId });
+      return { success: true, sessionId, timestamp: result.timestamp || Date.now() };
+    } catch (error) {
+      log('error', 'Failed to delete session', { sessionId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Read the summary of a session file, tolerating unreadable files
+   * @param {string} fileName - Session file name
+   * @returns {Promise<Object>} Session summary
+   */
+  async readSessionSummary(fileName) {
+    const sessionId = fileName.match(SESSION_FILE_PATTERN)[1];
+
+    try {
+      const session = await this.getSession(sessionId);
+      return this.summarizeSession(session, fileName);
+    } catch (error) {
+      log('warn', 'Failed to read session', { fileName, error: error.message });
+      // Left out of the index so it is read again once storage is unlocked
+      return { id: sessionId, fileName, name: sessionId, unreadable: true };
+    }
+  }
+
+  /**
+   * Build the summary shown in session lists
+   * @param {Object} session - Session data
+   * @param {string} fileName - Session file name
+   * @returns {Object} Session summary without tabs
+   */
+  summarizeSession(session, fileName) {
+    return {
+      id: session.id,
+      fileName,
+      name: session.name,
+      scope: session.scope,
+      createdAt: session.createdAt,
+      deviceId: session.deviceId,
+      deviceName: session.deviceName,
+      tabCount: session.tabCount ?? session.tabs.length,
+      windowCount: session.windowCount ?? (session.windows || []).length
+    };
+  }
+
+  /**
+   * Validate and normalize a session name
+   * @param {string} name - Session name
+   * @returns {string} Trimmed name
+   */
+  validateName(name) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) {
+      throw createError('Session name is required', 'INVALID_SESSION_NAME');
+    }
+    if (trimmed.length > MAX_SESSION_NAME_LENGTH) {
+      throw createError(`Session name must be at most ${MAX_SESSION_NAME_LENGTH} characters`, 'INVALID_SESSION_NAME');
+    }
+    return trimmed;
+  }
+
+  /**
+   * Generate a session ID that sorts by time and hints at the name
+   * @param {string} name - Session name
+   * @param {number} timestamp - Creation time
+   * @returns {string} Session ID
+   */
+  generateSessionId(name, timestamp) {
+    const slug = name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .substring(0, 40)
+      .replace(/-+$/, '');
+    return `${timestamp.toString(36)}-${slug || 'session'}`;
+  }
+
+  /**
+   * Get the storage file name of a session
+   * @param {string} sessionId - Session ID
+   * @returns {string} File name
+   */
+  getSessionFileName(sessionId) {
+    if (typeof sessionId !== 'string' || !SESSION_ID_PATTERN.test(sessionId)) {
+      throw createError('Invalid session ID', 'INVALID_SESSION_ID', { sessionId });
+    }
+    return `${SESSION_FILE_PREFIX}${sessionId}.json`;
+  }
+
+  /**
+   * Initialize storage with the authenticated provider if needed
+   * @returns {Promise<void>}
+   */
+  async ensureStorageReady() {
+    if (!storageService.isInitialized()) {
+      await storageService.autoInitialize();
+    }
+  }
+
+  /**
+   * Get cached session summaries keyed by file name
+   * @returns {Promise<Object>} Session index
+   */
+  async getIndex() {
+    const storage = await chrome.storage.local.get([this.indexKey]);
+    return storage[this.indexKey] || {};
+  }
+
+  /**
+   * Update cached session summaries
+   * @param {Function} update - Receives the index and returns the new one
+   * @returns {Promise<void>}
+   */
+  async updateIndex(update) {
+    const index = await this.getIndex();
+    await chrome.storage.local.set({ [this.indexKey]: update(index) });
+  }
+}
+
+// Create singleton instance
+export const sessionService = new SessionService();
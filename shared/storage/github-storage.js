@@ -1,13 +1,17 @@
 // GitHub storage adapter for Tab Sync Extension
 
 import { log, createError, retryWithBackoff, generateChecksum } from '../utils.js';
+import { encryptionService, isEncryptionError } from '../encryption.js';
+import { StorageAdapter } from './storage-adapter.js';
 import { GitHubAuthService } from '../auth/github-auth.js';
+import { getGitHubServer, hasGitHubServerPermission } from '../auth/github-server.js';
 
 /**
  * GitHub storage adapter using private repositories
  */
-export class GitHubStorage {
+export class GitHubStorage extends StorageAdapter {
   constructor() {
+    super();
     this.provider = 'github';
     this.authService = new GitHubAuthService();
     this.baseUrl = 'https://api.github.com';
@@ -15,6 +19,9 @@ export class GitHubStorage {
     this.repoOwner = null;
     this.repoFullName = null;
     this.defaultBranch = 'main';
+    this.deviceSnapshotPrefix = 'devices/';
+    this.manifestFileName = 'devices/manifest.json';
+    this.inboxPrefix = 'inbox/';
   }
 
   /**
@@ -29,17 +36,32 @@ export class GitHubStorage {
         throw createError('No valid authentication tokens', 'NO_VALID_AUTH');
       }
 
-      // Get user profile to determine repo owner
-      const profile = await this.authService.getUserProfile();
-      this.repoOwner = profile.login;
-      this.repoFullName = `${this.repoOwner}/${this.repoName}`;
+      const server = await this.loadServerSettings();
 
-      // Ensure sync repository exists
-      await this.ensureSyncRepository();
+      // A token limited to one repository names it at sign-in and cannot create repositories
+      const storage = await chrome.storage.local.get(['githubRepository']);
+      let repo;
+      if (storage.githubRepository) {
+        this.repoFullName = storage.githubRepository;
+        [this.repoOwner, this.repoName] = this.repoFullName.split('/');
+        repo = await this.getRepositoryInfo();
+      } else {
+        // The repository belongs to the configured account or organization, or to the user
+        const profile = await this.authService.getUserProfile();
+        this.repoOwner = server.owner || profile.login;
+        this.repoName = server.repository;
+        this.repoFullName = `${this.repoOwner}/${this.repoName}`;
+
+        // Ensure sync repository exists
+        repo = await this.ensureSyncRepository(this.repoOwner !== profile.login);
+      }
+      this.defaultBranch = server.branch || repo?.defaultBranch || 'main';
       
       log('info', 'GitHub storage initialized', { 
         provider: this.provider,
-        repository: this.repoFullName 
+        host: new URL(this.baseUrl).host,
+        repository: this.repoFullName,
+        branch: this.defaultBranch
       });
     } catch (error) {
       log('error', 'Failed to initialize GitHub storage', { error: error.message });
@@ -47,39 +69,67 @@ export class GitHubStorage {
     }
   }
 
+  /**
+   * Apply the configured GitHub server to this adapter
+   * @returns {Promise<Object>} Server settings
+   */
+  async loadServerSettings() {
+    const server = await getGitHubServer();
+    this.baseUrl = server.apiUrl;
+    this.repoName = server.repository;
+    return server;
+  }
+
   /**
    * Store sync data to GitHub repository
    * @param {string} fileName - File name to store
    * @param {Object} data - Data to store
    * @param {Object} options - Storage options
+   * @param {string|null} [options.version] - SHA the file must still have, or null to only create it;
+   *   without it the file is replaced whatever it holds
    * @returns {Promise<Object>} Storage result
    */
   async store(fileName, data, options = {}) {
     try {
       const { 
-        encrypt = false,
-        compress = false,
-        commitMessage = null 
+        encrypt = null, // Defaults to the user's encryption setting
+        compress = null, // Defaults to compressing large payloads
+        commitMessage = null,
+        version
       } = options;
 
       // Prepare data for storage
-      const processedData = await this.prepareDataForStorage(data, { encrypt, compress });
+      const processedData = await this.prepareDataForStorage(data, {
+        encrypt: encrypt ?? await encryptionService.isEnabled(),
+        compress
+      });
       const content = btoa(processedData); // Base64 encode for GitHub API
 
       // Check if file already exists
-      const existingFile = await this.getFile(fileName);
+      let sha = version;
+      if (sha === undefined) {
+        const existingFile = await this.getFile(fileName);
+        sha = existingFile ? existingFile.sha : null;
+      }
       
       let result;
       const message = commitMessage || `Update ${fileName} - ${new Date().toISOString()}`;
 
-      if (existingFile) {
-        // Update existing file
-        result = await this.updateFile(fileName, content, existingFile.sha, message);
-        log('info', 'Updated file in GitHub repository', { fileName, sha: result.sha });
-      } else {
-        // Create new file
-        result = await this.createFile(fileName, content, message);
-        log('info', 'Created file in GitHub repository', { fileName, sha: result.sha });
+      try {
+        if (sha) {
+          // Update existing file
+          result = await this.updateFile(fileName, content, sha, message);
+          log('info', 'Updated file in GitHub repository', { fileName, sha: result.sha });
+        } else {
+          // Create new file
+          result = await this.createFile(fileName, content, message);
+          log('info', 'Created file in GitHub repository', { fileName, sha: result.sha });
+        }
+      } catch (error) {
+        if (this.isConflict(error, sha)) {
+          throw createError(`${fileName} was changed by another device`, 'WRITE_CONFLICT', { fileName });
+        }
+        throw error;
       }
 
       return {
@@ -96,6 +146,9 @@ export class GitHubStorage {
         fileName, 
         error: error.message 
       });
+      if (isEncryptionError(error) || error.code === 'WRITE_CONFLICT') {
+        throw error;
+      }
       throw createError('GitHub storage failed', 'STORAGE_ERROR', { fileName, error });
     }
   }
@@ -162,6 +215,9 @@ export class GitHubStorage {
         fileName, 
         error: error.message 
       });
+      if (isEncryptionError(error)) {
+        throw error;
+      }
       throw createError('GitHub retrieval failed', 'RETRIEVAL_ERROR', { fileName, error });
     }
   }
@@ -181,7 +237,7 @@ export class GitHubStorage {
 
       const url = `${this.baseUrl}/repos/${this.repoFullName}/contents/${path}`;
       const params = new URLSearchParams();
-      if (ref) params.append('ref', ref);
+      params.append('ref', ref || this.defaultBranch);
 
       const response = await this.makeAuthenticatedRequest(
         `${url}${params.toString() ? '?' + params.toString() : ''}`
@@ -222,40 +278,55 @@ export class GitHubStorage {
   /**
    * Delete file from GitHub repository
    * @param {string} fileName - File name to delete
-   * @param {string} commitMessage - Commit message for deletion
+   * @param {Object} options - Delete options
+   * @param {string} [options.commitMessage] - Commit message for deletion
+   * @param {string} [options.version] - SHA the file must still have
    * @returns {Promise<Object>} Deletion result
    */
-  async deleteFile(fileName, commitMessage = null) {
+  async deleteFile(fileName, options = {}) {
     try {
-      const file = await this.getFile(fileName);
-      if (!file) {
-        log('warn', 'File not found for deletion', { fileName });
-        return { success: true, message: 'File not found' };
+      const { commitMessage = null, version } = options;
+      let sha = version;
+      if (!sha) {
+        const file = await this.getFile(fileName);
+        if (!file) {
+          log('warn', 'File not found for deletion', { fileName });
+          return { success: true, message: 'File not found' };
+        }
+        sha = file.sha;
       }
 
       const message = commitMessage || `Delete ${fileName} - ${new Date().toISOString()}`;
       
-      const response = await this.makeAuthenticatedRequest(
-        `${this.baseUrl}/repos/${this.repoFullName}/contents/${fileName}`,
-        {
-          method: 'DELETE',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            message: message,
-            sha: file.sha
-          })
+      let response;
+      try {
+        response = await this.makeAuthenticatedRequest(
+          `${this.baseUrl}/repos/${this.repoFullName}/contents/${fileName}`,
+          {
+            method: 'DELETE',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              message: message,
+              sha: sha
+            })
+          }
+        );
+      } catch (error) {
+        if (this.isConflict(error, sha)) {
+          throw createError(`${fileName} was changed by another device`, 'WRITE_CONFLICT', { fileName });
         }
-      );
+        throw error;
+      }
 
       log('info', 'Deleted file from GitHub repository', { 
         fileName, 
-        sha: file.sha,
+        sha: sha,
         commitSha: response.commit?.sha 
       });
 
       return {
         success: true,
-        sha: file.sha,
+        sha: sha,
         fileName: fileName,
         timestamp: Date.now(),
         commitUrl: response.commit?.html_url
@@ -265,10 +336,90 @@ export class GitHubStorage {
         fileName, 
         error: error.message 
       });
+      if (error.code === 'WRITE_CONFLICT') {
+        throw error;
+      }
       throw createError('GitHub deletion failed', 'DELETE_ERROR', { fileName, error });
     }
   }
 
+  /**
+   * Read a JSON file with the SHA its next conditional write must match
+   * @param {string} fileName - File name
+   * @param {Object} options - Retrieval options
+   * @param {string} [options.ref] - Commit to read the file at
+   * @returns {Promise<Object|null>} Data and version, or null if the file does not exist
+   */
+  async retrieveFile(fileName, options = {}) {
+    const { ref = null } = options;
+    const file = await this.getFile(fileName, ref);
+    if (!file) {
+      return null;
+    }
+
+    // A write in between leaves the SHA older than the data, so the next write fails and retries
+    const result = await this.retrieve(fileName, { ref });
+    return { data: result.data, version: file.sha };
+  }
+
+  /**
+   * List past revisions of a file, newest first
+   * @param {string} fileName - File name
+   * @param {Object} options - History options
+   * @param {number} [options.limit=30] - Maximum number of revisions
+   * @returns {Promise<Object[]>} Revisions with id, timestamp, message and author
+   */
+  async getFileRevisions(fileName, options = {}) {
+    const { limit = 30 } = options;
+    const commits = await this.getCommitHistory({ path: fileName, per_page: limit });
+
+    return commits.map(commit => ({
+      id: commit.sha,
+      timestamp: Date.parse(commit.date),
+      message: commit.message,
+      author: commit.author,
+      url: commit.htmlUrl
+    }));
+  }
+
+  /**
+   * List past revisions of a device's synced tabs, newest first
+   * A revision is any commit that changed the device's snapshot or change log
+   * @param {string} deviceId - Device ID
+   * @param {Object} options - History options
+   * @param {number} [options.limit=30] - Maximum number of revisions
+   * @returns {Promise<Object[]>} Revisions with id, timestamp, message and author
+   */
+  async getDeviceRevisions(deviceId, options = {}) {
+    const { limit = 30 } = options;
+    const [snapshotRevisions, changeLogRevisions] = await Promise.all([
+      this.getFileRevisions(this.getDeviceSnapshotFileName(deviceId), { limit }),
+      this.getFileRevisions(this.getDeviceChangeLogFileName(deviceId), { limit })
+    ]);
+
+    const revisions = new Map();
+    for (const revision of [...snapshotRevisions, ...changeLogRevisions]) {
+      revisions.set(revision.id, revision);
+    }
+
+    return Array.from(revisions.values())
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .slice(0, limit);
+  }
+
+  /**
+   * Retrieve a device's snapshot and change log as they were at a revision
+   * @param {string} deviceId - Device ID
+   * @param {string} revisionId - Commit SHA
+   * @returns {Promise<Object>} Object with deviceId, data, metadata and changeLog
+   */
+  async retrieveDeviceRevision(deviceId, revisionId) {
+    const result = await this.retrieve(this.getDeviceSnapshotFileName(deviceId), { ref: revisionId });
+    const changeLog = await this.retrieveDeviceChangeLog(deviceId, { ref: revisionId });
+
+    return { deviceId, data: result.data, metadata: result.metadata, changeLog };
+  }
+
   /**
    * Get repository information and statistics
    * @returns {Promise<Object>} Repository info
@@ -313,6 +464,7 @@ export class GitHubStorage {
       } = options;
 
       const params = new URLSearchParams();
+      params.append('sha', this.defaultBranch);
       if (path) params.append('path', path);
       if (since) params.append('since', since);
       if (until) params.append('until', until);
@@ -338,26 +490,29 @@ export class GitHubStorage {
 
   /**
    * Ensure sync repository exists
-   * @returns {Promise<void>}
+   * @param {boolean} [inOrganization=false] - Whether repoOwner is an organization rather than the user
+   * @returns {Promise<Object>} Repository name, URL and default branch
    */
-  async ensureSyncRepository() {
+  async ensureSyncRepository(inOrganization = false) {
     try {
       // Check if repository exists
-      const existingRepo = await this.authService.getSyncRepository(this.repoName);
+      const existingRepo = await this.authService.getSyncRepository(this.repoName, this.repoOwner);
       
       if (!existingRepo) {
         // Create new repository
-        const newRepo = await this.authService.createSyncRepository(this.repoName);
+        const newRepo = await this.authService.createSyncRepository(this.repoName, inOrganization ? this.repoOwner : null);
         log('info', 'Created new sync repository', { 
           name: newRepo.name, 
           url: newRepo.html_url 
         });
-      } else {
-        log('info', 'Using existing sync repository', { 
-          name: existingRepo.name, 
-          url: existingRepo.html_url 
-        });
+        return { name: newRepo.name, htmlUrl: newRepo.html_url, defaultBranch: newRepo.default_branch };
       }
+
+      log('info', 'Using existing sync repository', { 
+        name: existingRepo.name, 
+        url: existingRepo.html_url 
+      });
+      return { name: existingRepo.name, htmlUrl: existingRepo.html_url, defaultBranch: existingRepo.default_branch };
     } catch (error) {
       log('error', 'Failed to ensure sync repository', { error: error.message });
       throw error;
@@ -374,10 +529,12 @@ export class GitHubStorage {
     try {
       const url = `${this.baseUrl}/repos/${this.repoFullName}/contents/${fileName}`;
       const params = new URLSearchParams();
-      if (ref) params.append('ref', ref);
+      params.append('ref', ref || this.defaultBranch);
 
+      // Revalidate so a conditional write is not made against a cached SHA
       const response = await this.makeAuthenticatedRequest(
-        `${url}${params.toString() ? '?' + params.toString() : ''}`
+        `${url}${params.toString() ? '?' + params.toString() : ''}`,
+        { cache: 'no-cache' }
       );
 
       return {
@@ -464,6 +621,18 @@ export class GitHubStorage {
     }
   }
 
+  /**
+   * Check whether a failed write lost a race with another write
+   * GitHub answers 409 for a stale SHA and 422 when creating a file that already exists
+   * @param {Object} error - Error from makeAuthenticatedRequest
+   * @param {string|null} sha - SHA the write was made against
+   * @returns {boolean} Whether the file changed since it was read
+   */
+  isConflict(error, sha) {
+    const status = error.details?.status;
+    return status === 409 || (status === 422 && !sha);
+  }
+
   /**
    * Make authenticated request to GitHub API
    * @param {string} url - API URL
@@ -502,60 +671,16 @@ export class GitHubStorage {
       }
 
       return await response.json();
-    }, 3, 1000);
+    }, 3, 1000, error => ![409, 422].includes(error.details?.status)); // Conflicts fail again when repeated
   }
 
   /**
-   * Prepare data for storage (encryption, compression, etc.)
-   * @param {Object} data - Data to prepare
-   * @param {Object} options - Preparation options
-   * @returns {Promise<string>} Prepared data
+   * Format data as JSON for storage, pretty-printed so files read well in the repository
+   * @param {any} value - Value to format
+   * @returns {string} JSON text
    */
-  async prepareDataForStorage(data, options = {}) {
-    let processedData = JSON.stringify(data, null, 2); // Pretty print for GitHub
-
-    // Add compression if requested
-    if (options.compress) {
-      // Simple compression placeholder - in real implementation, use proper compression
-      log('info', 'Compression requested but not implemented');
-    }
-
-    // Add encryption if requested
-    if (options.encrypt) {
-      // Encryption placeholder - in real implementation, use proper encryption
-      log('info', 'Encryption requested but not implemented');
-    }
-
-    return processedData;
-  }
-
-  /**
-   * Process retrieved data (decryption, decompression, etc.)
-   * @param {string} content - Raw content
-   * @param {Object} options - Processing options
-   * @returns {Promise<Object>} Processed data
-   */
-  async processRetrievedData(content, options = {}) {
-    let processedContent = content;
-
-    // Handle decryption if needed
-    if (options.decrypt) {
-      // Decryption placeholder
-      log('info', 'Decryption requested but not implemented');
-    }
-
-    // Handle decompression if needed
-    if (options.decompress) {
-      // Decompression placeholder
-      log('info', 'Decompression requested but not implemented');
-    }
-
-    try {
-      return JSON.parse(processedContent);
-    } catch (error) {
-      log('warn', 'Failed to parse JSON content, returning as string', { error: error.message });
-      return processedContent;
-    }
+  formatJson(value) {
+    return JSON.stringify(value, null, 2);
   }
 
   /**
@@ -564,11 +689,23 @@ export class GitHubStorage {
    */
   async testConnection() {
     try {
+      // Settings may have changed since the adapter was initialized
+      const server = await getGitHubServer();
+      const host = new URL(server.apiUrl).host;
+      if (!(await hasGitHubServerPermission(server))) {
+        throw createError(`Access to ${host} has not been allowed`, 'HOST_PERMISSION_REQUIRED');
+      }
+      if (!this.repoFullName || server.apiUrl !== this.baseUrl) {
+        await this.initialize();
+      }
+
       const repoInfo = await this.getRepositoryInfo();
       
       return {
         success: true,
         provider: this.provider,
+        host,
+        branch: this.defaultBranch,
         repository: repoInfo.fullName,
         private: repoInfo.private,
         size: repoInfo.size,
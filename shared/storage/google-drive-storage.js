@@ -1,19 +1,27 @@
 // Google Drive storage adapter for Tab Sync Extension
 
 import { log, createError, retryWithBackoff, generateChecksum } from '../utils.js';
+import { encryptionService, isEncryptionError } from '../encryption.js';
+import { StorageAdapter } from './storage-adapter.js';
 import { GoogleAuthService } from '../auth/google-auth.js';
 
 /**
  * Google Drive storage adapter
  */
-export class GoogleDriveStorage {
+export class GoogleDriveStorage extends StorageAdapter {
   constructor() {
+    super();
     this.provider = 'google-drive';
     this.authService = new GoogleAuthService();
     this.baseUrl = 'https://www.googleapis.com/drive/v3';
     this.uploadUrl = 'https://www.googleapis.com/upload/drive/v3';
+    // Only v2 supports If-Match, which conditional writes need
+    this.legacyUrl = 'https://www.googleapis.com/drive/v2';
+    this.legacyUploadUrl = 'https://www.googleapis.com/upload/drive/v2';
     this.appFolderName = 'Tab Sync Extension';
     this.appFolderId = null;
+    // Deletes cannot be made conditional
+    this.supportsConditionalDelete = false;
   }
 
   /**
@@ -46,26 +54,36 @@ export class GoogleDriveStorage {
    * @param {string} fileName - File name to store
    * @param {Object} data - Data to store
    * @param {Object} options - Storage options
+   * @param {string|null} [options.version] - ETag from retrieveFile the file must still have, or null
+   *   to only create it; without it the file is replaced whatever it holds
    * @returns {Promise<Object>} Storage result
    */
   async store(fileName, data, options = {}) {
     try {
       const { 
-        encrypt = false,
-        compress = false,
-        metadata = {} 
+        encrypt = null, // Defaults to the user's encryption setting
+        compress = null, // Defaults to compressing large payloads
+        metadata = {},
+        version
       } = options;
 
       // Prepare data for storage
-      const processedData = await this.prepareDataForStorage(data, { encrypt, compress });
+      const processedData = await this.prepareDataForStorage(data, {
+        encrypt: encrypt ?? await encryptionService.isEnabled(),
+        compress
+      });
       
       // Check if file already exists
       const existingFile = await this.findFile(fileName);
+      // Drive cannot refuse to create a file, so only an existing or deleted file is caught here
+      if (version !== undefined && Boolean(existingFile) !== Boolean(version)) {
+        throw createError(`${fileName} was changed by another device`, 'WRITE_CONFLICT', { fileName });
+      }
       
       let result;
       if (existingFile) {
         // Update existing file
-        result = await this.updateFile(existingFile.id, fileName, processedData, metadata);
+        result = await this.updateFile(existingFile.id, fileName, processedData, metadata, version);
         log('info', 'Updated file in Google Drive', { fileName, fileId: result.id });
       } else {
         // Create new file
@@ -86,6 +104,9 @@ export class GoogleDriveStorage {
         fileName, 
         error: error.message 
       });
+      if (isEncryptionError(error) || error.code === 'WRITE_CONFLICT') {
+        throw error;
+      }
       throw createError('Google Drive storage failed', 'STORAGE_ERROR', { fileName, error });
     }
   }
@@ -101,7 +122,8 @@ export class GoogleDriveStorage {
       const { 
         decrypt = false,
         decompress = false,
-        validateChecksum = true 
+        validateChecksum = true,
+        ref = null // Specific revision ID
       } = options;
 
       // Find the file
@@ -111,7 +133,7 @@ export class GoogleDriveStorage {
       }
 
       // Download file content
-      const content = await this.downloadFile(file.id);
+      const content = await this.downloadFile(file.id, ref);
       
       // Process retrieved data
       const processedData = await this.processRetrievedData(content, { decrypt, decompress });
@@ -136,6 +158,7 @@ export class GoogleDriveStorage {
         metadata: {
           fileId: file.id,
           fileName: fileName,
+          revisionId: ref,
           modifiedTime: file.modifiedTime,
           size: file.size,
           checksum: processedData.checksum
@@ -146,6 +169,9 @@ export class GoogleDriveStorage {
         fileName, 
         error: error.message 
       });
+      if (isEncryptionError(error)) {
+        throw error;
+      }
       throw createError('Google Drive retrieval failed', 'RETRIEVAL_ERROR', { fileName, error });
     }
   }
@@ -237,6 +263,174 @@ export class GoogleDriveStorage {
     }
   }
 
+  /**
+   * Read a JSON file with the ETag its next conditional write must match
+   * Drive v3 does not report ETags, so the file is looked up with v2
+   * @param {string} fileName - File name
+   * @returns {Promise<Object|null>} Data and version, or null if the file does not exist
+   */
+  async retrieveFile(fileName) {
+    await this.ensureAppFolder();
+
+    const query = `title='${fileName}' and '${this.appFolderId}' in parents and trashed=false`;
+    const response = await this.makeAuthenticatedRequest(
+      `${this.legacyUrl}/files?q=${encodeURIComponent(query)}&fields=items(id,etag)`,
+      { cache: 'no-cache' }
+    );
+    const file = response.items?.[0];
+    if (!file) {
+      return null;
+    }
+
+    const processedData = await this.processRetrievedData(await this.downloadFile(file.id));
+    return { data: processedData.data || processedData, version: file.etag };
+  }
+
+  /**
+   * List past revisions of a file, newest first
+   * Drive prunes unpinned revisions of binary files after 30 days or 100 revisions
+   * @param {string} fileName - File name
+   * @param {Object} options - History options
+   * @param {number} [options.limit=30] - Maximum number of revisions
+   * @returns {Promise<Object[]>} Revisions with id, timestamp, author and keepForever
+   */
+  async getFileRevisions(fileName, options = {}) {
+    const { limit = 30 } = options;
+    const file = await this.findFile(fileName);
+    if (!file) {
+      return [];
+    }
+
+    // Drive lists revisions oldest first and never keeps more than fit on one page
+    const fields = 'revisions(id,modifiedTime,keepForever,size,lastModifyingUser(displayName))';
+    const response = await this.makeAuthenticatedRequest(
+      `${this.baseUrl}/files/${file.id}/revisions?pageSize=1000&fields=${encodeURIComponent(fields)}`
+    );
+
+    return (response.revisions || [])
+      .map(revision => ({
+        id: revision.id,
+        timestamp: Date.parse(revision.modifiedTime),
+        author: revision.lastModifyingUser?.displayName || null,
+        size: Number(revision.size) || 0,
+        keepForever: revision.keepForever === true
+      }))
+      .reverse()
+      .slice(0, limit);
+  }
+
+  /**
+   * List past revisions of a device's synced tabs, newest first
+   * The snapshot and change log are versioned separately, so each revision pairs
+   * a snapshot revision with the change log revision that was current at the time
+   * @param {string} deviceId - Device ID
+   * @param {Object} options - History options
+   * @param {number} [options.limit=30] - Maximum number of revisions
+   * @returns {Promise<Object[]>} Revisions with id, timestamp, message, author and keepForever
+   */
+  async getDeviceRevisions(deviceId, options = {}) {
+    const { limit = 30 } = options;
+    const [snapshotRevisions, changeLogRevisions] = await Promise.all([
+      this.getFileRevisions(this.getDeviceSnapshotFileName(deviceId), { limit: 1000 }),
+      this.getFileRevisions(this.getDeviceChangeLogFileName(deviceId), { limit: 1000 })
+    ]);
+
+    const events = [
+      ...snapshotRevisions.map(revision => ({ revision, isSnapshot: true })),
+      ...changeLogRevisions.map(revision => ({ revision, isSnapshot: false }))
+    ].sort((a, b) => a.revision.timestamp - b.revision.timestamp);
+
+    const revisions = [];
+    let snapshot = null;
+    let changeLog = null;
+    for (const event of events) {
+      if (event.isSnapshot) {
+        snapshot = event.revision;
+      } else {
+        changeLog = event.revision;
+      }
+
+      // Change log revisions older than every remaining snapshot cannot be replayed
+      if (!snapshot) {
+        continue;
+      }
+
+      revisions.push({
+        id: `${snapshot.id}:${changeLog?.id || ''}`,
+        timestamp: event.revision.timestamp,
+        message: event.isSnapshot ? 'Snapshot updated' : 'Changes appended',
+        author: event.revision.author,
+        keepForever: snapshot.keepForever && (!changeLog || changeLog.keepForever)
+      });
+    }
+
+    return revisions.reverse().slice(0, limit);
+  }
+
+  /**
+   * Retrieve a device's snapshot and change log as they were at a revision
+   * @param {string} deviceId - Device ID
+   * @param {string} revisionId - Revision ID from getDeviceRevisions
+   * @returns {Promise<Object>} Object with deviceId, data, metadata and changeLog
+   */
+  async retrieveDeviceRevision(deviceId, revisionId) {
+    const { snapshotRevisionId, changeLogRevisionId } = this.parseDeviceRevisionId(revisionId);
+
+    const result = await this.retrieve(this.getDeviceSnapshotFileName(deviceId), { ref: snapshotRevisionId });
+    const changeLog = changeLogRevisionId
+      ? (await this.retrieve(this.getDeviceChangeLogFileName(deviceId), { ref: changeLogRevisionId })).data
+      : null;
+
+    return { deviceId, data: result.data, metadata: result.metadata, changeLog };
+  }
+
+  /**
+   * Pin or unpin a device revision so Drive does not prune it
+   * @param {string} deviceId - Device ID
+   * @param {string} revisionId - Revision ID from getDeviceRevisions
+   * @param {boolean} keepForever - Whether to keep the revision forever
+   * @returns {Promise<Object>} Result with the revision ID and keepForever
+   */
+  async setRevisionKeepForever(deviceId, revisionId, keepForever) {
+    const { snapshotRevisionId, changeLogRevisionId } = this.parseDeviceRevisionId(revisionId);
+    const targets = [[this.getDeviceSnapshotFileName(deviceId), snapshotRevisionId]];
+    if (changeLogRevisionId) {
+      targets.push([this.getDeviceChangeLogFileName(deviceId), changeLogRevisionId]);
+    }
+
+    for (const [fileName, fileRevisionId] of targets) {
+      const file = await this.findFile(fileName);
+      if (!file) {
+        throw createError(`File not found: ${fileName}`, 'FILE_NOT_FOUND', { fileName });
+      }
+
+      await this.makeAuthenticatedRequest(
+        `${this.baseUrl}/files/${file.id}/revisions/${fileRevisionId}`,
+        {
+          method: 'PATCH',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ keepForever })
+        }
+      );
+    }
+
+    log('info', 'Updated Google Drive revision retention', { deviceId, revisionId, keepForever });
+    return { revisionId, keepForever };
+  }
+
+  /**
+   * Split a device revision ID into its snapshot and change log revisions
+   * @param {string} revisionId - Revision ID from getDeviceRevisions
+   * @returns {Object} Snapshot and change log revision IDs
+   */
+  parseDeviceRevisionId(revisionId) {
+    const match = typeof revisionId === 'string' && revisionId.match(/^([^:]+):([^:]*)$/);
+    if (!match) {
+      throw createError('Invalid revision ID', 'INVALID_REVISION', { revisionId });
+    }
+    return { snapshotRevisionId: match[1], changeLogRevisionId: match[2] || null };
+  }
+
   /**
    * Get storage quota information
    * @returns {Promise<Object>} Storage quota info
@@ -381,10 +575,25 @@ export class GoogleDriveStorage {
    * @param {string} fileName - File name
    * @param {string} content - New content
    * @param {Object} metadata - Additional metadata
+   * @param {string} [etag] - ETag the file must still have
    * @returns {Promise<Object>} Updated file info
    */
-  async updateFile(fileId, fileName, content, metadata = {}) {
+  async updateFile(fileId, fileName, content, metadata = {}, etag = null) {
     try {
+      if (etag) {
+        return await this.makeAuthenticatedRequest(
+          `${this.legacyUploadUrl}/files/${fileId}?uploadType=media`,
+          {
+            method: 'PUT',
+            headers: {
+              'Content-Type': 'application/json',
+              'If-Match': etag
+            },
+            body: content
+          }
+        );
+      }
+
       // Update file content
       const response = await this.makeAuthenticatedRequest(
         `${this.uploadUrl}/files/${fileId}?uploadType=media`,
@@ -400,6 +609,9 @@ export class GoogleDriveStorage {
       return response;
     } catch (error) {
       log('error', 'Failed to update file', { fileId, fileName, error: error.message });
+      if (error.details?.status === 412) {
+        throw createError(`${fileName} was changed by another device`, 'WRITE_CONFLICT', { fileName });
+      }
       throw error;
     }
   }
@@ -407,12 +619,14 @@ export class GoogleDriveStorage {
   /**
    * Download file content from Google Drive
    * @param {string} fileId - File ID to download
+   * @param {string} [revisionId] - Revision to download instead of the current content
    * @returns {Promise<string>} File content
    */
-  async downloadFile(fileId) {
+  async downloadFile(fileId, revisionId = null) {
     try {
+      const path = revisionId ? `${fileId}/revisions/${revisionId}` : fileId;
       const response = await this.makeAuthenticatedRequest(
-        `${this.baseUrl}/files/${fileId}?alt=media`,
+        `${this.baseUrl}/files/${path}?alt=media`,
         { method: 'GET' }
       );
 
@@ -491,60 +705,7 @@ export class GoogleDriveStorage {
       } else {
         return await response.text();
       }
-    }, 3, 1000);
-  }
-
-  /**
-   * Prepare data for storage (encryption, compression, etc.)
-   * @param {Object} data - Data to prepare
-   * @param {Object} options - Preparation options
-   * @returns {Promise<string>} Prepared data
-   */
-  async prepareDataForStorage(data, options = {}) {
-    let processedData = JSON.stringify(data);
-
-    // Add compression if requested
-    if (options.compress) {
-      // Simple compression placeholder - in real implementation, use proper compression
-      log('info', 'Compression requested but not implemented');
-    }
-
-    // Add encryption if requested
-    if (options.encrypt) {
-      // Encryption placeholder - in real implementation, use proper encryption
-      log('info', 'Encryption requested but not implemented');
-    }
-
-    return processedData;
-  }
-
-  /**
-   * Process retrieved data (decryption, decompression, etc.)
-   * @param {string} content - Raw content
-   * @param {Object} options - Processing options
-   * @returns {Promise<Object>} Processed data
-   */
-  async processRetrievedData(content, options = {}) {
-    let processedContent = content;
-
-    // Handle decryption if needed
-    if (options.decrypt) {
-      // Decryption placeholder
-      log('info', 'Decryption requested but not implemented');
-    }
-
-    // Handle decompression if needed
-    if (options.decompress) {
-      // Decompression placeholder
-      log('info', 'Decompression requested but not implemented');
-    }
-
-    try {
-      return JSON.parse(processedContent);
-    } catch (error) {
-      log('warn', 'Failed to parse JSON content, returning as string', { error: error.message });
-      return processedContent;
-    }
+    }, 3, 1000, error => error.details?.status !== 412); // A changed file stays changed
   }
 
   /**
@@ -0,0 +1,442 @@
+// S3-compatible storage adapter for Tab Sync Extension
+// Stores sync files under a prefix in an AWS, MinIO or Cloudflare R2 bucket, using conditional writes to avoid lost updates
+
+import { log, createError, retryWithBackoff, generateChecksum } from '../utils.js';
+import { encryptionService, isEncryptionError } from '../encryption.js';
+import { StorageAdapter } from './storage-adapter.js';
+import { S3AuthService, getBucketUrl, parseS3Error } from '../auth/s3-auth.js';
+import { encodeRfc3986 } from '../auth/sigv4.js';
+import { findElements, readElement } from './xml.js';
+
+// Errors meaning the access keys themselves were rejected
+const AUTH_ERROR_CODES = ['InvalidAccessKeyId', 'SignatureDoesNotMatch', 'InvalidToken', 'ExpiredToken'];
+
+/**
+ * Parse a ListObjectsV2 response
+ * @param {string} xml - ListBucketResult XML
+ * @returns {Object} Objects with key, etag, size and modifiedTime, and the token for the next page
+ */
+export function parseListObjects(xml) {
+  return {
+    objects: findElements(xml, 'Contents').map(contents => ({
+      key: readElement(contents, 'Key'),
+      etag: readElement(contents, 'ETag'),
+      size: parseInt(readElement(contents, 'Size') || '0', 10),
+      modifiedTime: readElement(contents, 'LastModified')
+    })),
+    nextToken: readElement(xml, 'IsTruncated') === 'true' ? readElement(xml, 'NextContinuationToken') : null
+  };
+}
+
+/**
+ * S3-compatible storage adapter
+ */
+export class S3Storage extends StorageAdapter {
+  constructor() {
+    super();
+    this.provider = 's3';
+    this.authService = new S3AuthService();
+    this.bucketUrl = null;
+    this.bucket = null;
+    this.prefix = null;
+    // Not every S3 service supports conditional deletes
+    this.supportsConditionalDelete = false;
+    // Last ETag seen for each file, sent with If-Match so writes fail instead of overwriting newer data
+    this.etags = new Map();
+  }
+
+  /**
+   * Initialize the storage adapter
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    try {
+      // Ensure we have valid credentials
+      const isValid = await this.authService.areTokensValid();
+      if (!isValid) {
+        throw createError('No valid authentication tokens', 'NO_VALID_AUTH');
+      }
+
+      const credentials = await this.authService.getStoredTokens();
+      this.bucketUrl = getBucketUrl(credentials);
+      this.bucket = credentials.bucket;
+      this.prefix = credentials.prefix;
+      this.etags.clear();
+
+      log('info', 'S3 storage initialized', {
+        provider: this.provider,
+        host: new URL(this.bucketUrl).host,
+        bucket: this.bucket,
+        prefix: this.prefix
+      });
+    } catch (error) {
+      log('error', 'Failed to initialize S3 storage', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Store sync data in the bucket
+   * @param {string} fileName - File name to store
+   * @param {Object} data - Data to store
+   * @param {Object} options - Storage options
+   * @param {string|null} [options.version] - ETag the object must still have, or null to only create it;
+   *   defaults to the last ETag this adapter saw for the file
+   * @returns {Promise<Object>} Storage result
+   */
+  async store(fileName, data, options = {}) {
+    try {
+      const {
+        encrypt = null, // Defaults to the user's encryption setting
+        compress = null // Defaults to compressing large payloads
+      } = options;
+      const etag = options.version !== undefined ? options.version : this.etags.get(fileName);
+
+      const processedData = await this.prepareDataForStorage(data, {
+        encrypt: encrypt ?? await encryptionService.isEnabled(),
+        compress
+      });
+
+      const headers = { 'Content-Type': 'application/json' };
+      if (etag === null) {
+        headers['If-None-Match'] = '*';
+      } else if (etag) {
+        headers['If-Match'] = etag;
+      }
+
+      const response = await this.makeRequest('PUT', this.getObjectUrl(fileName), { headers, body: processedData });
+
+      // AWS answers 409 when a conditional write races another one
+      if (response.status === 412 || response.status === 409) {
+        this.etags.delete(fileName);
+        throw createError(`${fileName} was changed by another device`, 'WRITE_CONFLICT', { fileName });
+      }
+      if (!response.ok) {
+        throw await this.createResponseError(response);
+      }
+
+      this.rememberEtag(fileName, response);
+      log('info', 'Stored file in S3 bucket', { fileName, size: processedData.length });
+
+      return {
+        success: true,
+        fileName,
+        etag: this.etags.get(fileName) || null,
+        size: processedData.length,
+        timestamp: Date.now(),
+        checksum: await generateChecksum(JSON.stringify(data))
+      };
+    } catch (error) {
+      log('error', 'Failed to store data in S3 bucket', { fileName, error: error.message });
+      if (isEncryptionError(error) || error.code === 'WRITE_CONFLICT' || error.code === 'AUTH_FAILED') {
+        throw error;
+      }
+      throw createError('S3 storage failed', 'STORAGE_ERROR', { fileName, error });
+    }
+  }
+
+  /**
+   * Retrieve data from the bucket
+   * @param {string} fileName - File name to retrieve
+   * @param {Object} options - Retrieval options
+   * @returns {Promise<Object>} Retrieved data
+   */
+  async retrieve(fileName, options = {}) {
+    try {
+      const {
+        decrypt = false,
+        decompress = false,
+        validateChecksum = true
+      } = options;
+
+      const file = await this.readFile(fileName);
+      if (!file) {
+        throw createError(`File not found: ${fileName}`, 'FILE_NOT_FOUND', { fileName });
+      }
+
+      const processedData = await this.processRetrievedData(file.content, { decrypt, decompress });
+
+      if (validateChecksum && processedData.checksum) {
+        const calculatedChecksum = await generateChecksum(JSON.stringify(processedData.data));
+        if (calculatedChecksum !== processedData.checksum) {
+          log('warn', 'Checksum validation failed', { fileName, expected: processedData.checksum, actual: calculatedChecksum });
+        }
+      }
+
+      log('info', 'Retrieved data from S3 bucket', { fileName, size: file.content.length });
+
+      return {
+        success: true,
+        data: processedData.data || processedData,
+        metadata: {
+          fileName,
+          etag: file.etag,
+          modifiedTime: file.modifiedTime,
+          size: file.content.length,
+          checksum: processedData.checksum
+        }
+      };
+    } catch (error) {
+      log('error', 'Failed to retrieve data from S3 bucket', { fileName, error: error.message });
+      if (isEncryptionError(error) || error.code === 'AUTH_FAILED') {
+        throw error;
+      }
+      throw createError('S3 retrieval failed', 'RETRIEVAL_ERROR', { fileName, error });
+    }
+  }
+
+  /**
+   * List files under the sync prefix
+   * The pattern is sent as part of the prefix, so it matches the start of file names.
+   * @param {Object} options - List options
+   * @param {string} [options.pattern] - Start of the file name
+   * @returns {Promise<Object[]>} Array of file metadata
+   */
+  async listFiles(options = {}) {
+    try {
+      const { pattern = null } = options;
+      const objects = await this.listObjects(`${this.prefix}${pattern || ''}`);
+
+      const files = objects.map(object => {
+        const name = object.key.slice(this.prefix.length);
+        if (object.etag) {
+          this.etags.set(name, object.etag);
+        }
+        return {
+          id: object.key,
+          name,
+          size: object.size,
+          modifiedTime: object.modifiedTime,
+          etag: object.etag
+        };
+      });
+
+      log('info', 'Listed files from S3 bucket', { count: files.length, pattern: pattern || 'all' });
+      return files;
+    } catch (error) {
+      log('error', 'Failed to list files from S3 bucket', { error: error.message });
+      if (error.code === 'AUTH_FAILED') {
+        throw error;
+      }
+      throw createError('S3 list failed', 'LIST_ERROR', { error });
+    }
+  }
+
+  /**
+   * List every object under a prefix, one level deep
+   * @param {string} prefix - Key prefix
+   * @returns {Promise<Object[]>} Objects with key, etag, size and modifiedTime
+   */
+  async listObjects(prefix) {
+    const objects = [];
+    let continuationToken = null;
+
+    do {
+      const query = new URLSearchParams({ 'list-type': '2', delimiter: '/', prefix });
+      if (continuationToken) {
+        query.set('continuation-token', continuationToken);
+      }
+
+      const response = await this.makeRequest('GET', `${this.bucketUrl}?${query.toString().replace(/\+/g, '%20')}`);
+      if (!response.ok) {
+        throw await this.createResponseError(response);
+      }
+
+      const page = parseListObjects(await response.text());
+      objects.push(...page.objects);
+      continuationToken = page.nextToken;
+    } while (continuationToken);
+
+    return objects;
+  }
+
+  /**
+   * Delete a file from the bucket
+   * S3 reports success whether or not the object existed.
+   * @param {string} fileName - File name to delete
+   * @returns {Promise<Object>} Deletion result
+   */
+  async deleteFile(fileName) {
+    try {
+      const response = await this.makeRequest('DELETE', this.getObjectUrl(fileName));
+      this.etags.delete(fileName);
+
+      if (!response.ok && response.status !== 404) {
+        throw await this.createResponseError(response);
+      }
+
+      log('info', 'Deleted file from S3 bucket', { fileName });
+      return { success: true, fileName, timestamp: Date.now() };
+    } catch (error) {
+      log('error', 'Failed to delete file from S3 bucket', { fileName, error: error.message });
+      if (error.code === 'AUTH_FAILED') {
+        throw error;
+      }
+      throw createError('S3 deletion failed', 'DELETE_ERROR', { fileName, error });
+    }
+  }
+
+  /**
+   * Get storage usage information
+   * S3 has no quota, so only the size of the sync files is reported.
+   * @returns {Promise<Object>} Storage usage info
+   */
+  async getStorageInfo() {
+    try {
+      const objects = await this.listObjects(this.prefix);
+      const profile = await this.authService.getUserProfile();
+
+      return {
+        totalBytes: 0,
+        usedBytes: objects.reduce((total, object) => total + object.size, 0),
+        availableBytes: 0,
+        fileCount: objects.length,
+        user: profile.accessKeyId,
+        bucket: profile.bucket,
+        prefix: profile.prefix
+      };
+    } catch (error) {
+      log('error', 'Failed to get storage info from S3 bucket', { error: error.message });
+      if (error.code === 'AUTH_FAILED') {
+        throw error;
+      }
+      throw createError('S3 storage info failed', 'STORAGE_INFO_ERROR', { error });
+    }
+  }
+
+  /**
+   * Get the URL of a file under the sync prefix
+   * @param {string} fileName - File name
+   * @returns {string} Object URL
+   */
+  getObjectUrl(fileName) {
+    const key = `${this.prefix}${fileName}`;
+    return `${this.bucketUrl}${key.split('/').map(encodeRfc3986).join('/')}`;
+  }
+
+  /**
+   * Read a JSON file with the ETag its next conditional write must match
+   * @param {string} fileName - File name
+   * @returns {Promise<Object|null>} Data and version, or null if the file does not exist
+   */
+  async retrieveFile(fileName) {
+    const file = await this.readFile(fileName);
+    if (!file) {
+      return null;
+    }
+
+    // Without an ETag the next write cannot be conditional
+    return { data: await this.processRetrievedData(file.content), version: file.etag || undefined };
+  }
+
+  /**
+   * Download a file, remembering its ETag
+   * @param {string} fileName - File name
+   * @returns {Promise<Object|null>} Content, ETag and modified time, or null if the file does not exist
+   */
+  async readFile(fileName) {
+    const response = await this.makeRequest('GET', this.getObjectUrl(fileName));
+    if (response.status === 404) {
+      this.etags.delete(fileName);
+      return null;
+    }
+    if (!response.ok) {
+      throw await this.createResponseError(response);
+    }
+
+    this.rememberEtag(fileName, response);
+    return {
+      content: await response.text(),
+      etag: this.etags.get(fileName) || null,
+      modifiedTime: response.headers.get('Last-Modified')
+    };
+  }
+
+  /**
+   * Record the ETag a response reports for a file
+   * @param {string} fileName - File name
+   * @param {Response} response - Server response
+   */
+  rememberEtag(fileName, response) {
+    const etag = response.headers.get('ETag');
+    if (etag) {
+      this.etags.set(fileName, etag);
+    } else {
+      this.etags.delete(fileName);
+    }
+  }
+
+  /**
+   * Turn an unexpected response into an error
+   * @param {Response} response - Server response
+   * @returns {Promise<Object>} Error
+   */
+  async createResponseError(response) {
+    const { code, message } = parseS3Error(await response.text());
+    return createError(message || `S3 error: ${response.status}`, 'API_ERROR', { status: response.status, code });
+  }
+
+  /**
+   * Make a signed request to the bucket
+   * Network failures and server errors are retried, and requests are signed again with the
+   * server's time if it rejects this computer's clock. Other statuses are left to the caller.
+   * @param {string} method - HTTP method
+   * @param {string} url - Object or bucket URL
+   * @param {Object} options - Headers and body
+   * @returns {Promise<Response>} Server response
+   */
+  async makeRequest(method, url, options = {}) {
+    const send = () => retryWithBackoff(async () => {
+      const result = await this.authService.fetchSigned({ method, url, headers: options.headers, body: options.body });
+      if (result.status >= 500) {
+        throw createError(`S3 error: ${result.status}`, 'API_ERROR', { status: result.status });
+      }
+      return result;
+    }, 3, 1000);
+
+    let response = await send();
+    if (response.status !== 401 && response.status !== 403) {
+      return response;
+    }
+
+    let { code } = parseS3Error(await response.clone().text());
+    if (code === 'RequestTimeTooSkewed' && this.authService.learnClockOffset(response)) {
+      response = await send();
+      ({ code } = response.status === 403 ? parseS3Error(await response.clone().text()) : { code: null });
+    }
+
+    if (response.status === 401 || AUTH_ERROR_CODES.includes(code)) {
+      throw createError('The bucket rejected your access keys. Please connect again.', 'AUTH_FAILED', { status: response.status, code });
+    }
+    return response;
+  }
+
+  /**
+   * Test storage connectivity
+   * @returns {Promise<Object>} Test result
+   */
+  async testConnection() {
+    try {
+      if (!this.bucketUrl) {
+        await this.initialize();
+      }
+      const storageInfo = await this.getStorageInfo();
+
+      return {
+        success: true,
+        provider: this.provider,
+        host: new URL(this.bucketUrl).host,
+        bucket: storageInfo.bucket,
+        prefix: storageInfo.prefix,
+        fileCount: storageInfo.fileCount,
+        available: true
+      };
+    } catch (error) {
+      return {
+        success: false,
+        provider: this.provider,
+        error: error.message
+      };
+    }
+  }
+}
@@ -0,0 +1,469 @@
+// Base storage adapter for Tab Sync Extension
+// Keeps device snapshots, the device manifest, change logs and inboxes the same on every provider
+
+import { log, createError } from '../utils.js';
+import { encryptionService, parseEncryptedEnvelope, isEncryptionError } from '../encryption.js';
+import { compressString, decompressEnvelope, parseCompressedEnvelope, shouldCompress } from '../compression.js';
+import { CHANGE_LOG_VERSION } from '../delta-sync.js';
+
+// Read-modify-write updates start over this many times when another device wrote first
+const MAX_CONFLICT_RETRIES = 3;
+
+/**
+ * Base class for storage adapters
+ * Subclasses provide store, retrieve, deleteFile and retrieveFile. retrieveFile returns the
+ * file's version (a SHA, ETag or similar), and store and deleteFile given that version in
+ * options.version must fail with WRITE_CONFLICT if the file changed since; a null version
+ * means the file must not exist yet. Adapters that want stored files laid out differently
+ * override formatJson.
+ */
+export class StorageAdapter {
+  constructor() {
+    this.deviceSnapshotPrefix = 'device-';
+    this.manifestFileName = 'devices-manifest.json';
+    this.inboxPrefix = 'inbox-';
+    this.encryptionKeyFileName = 'encryption-key.json';
+    // Adapters whose deletes cannot be conditional keep emptied inboxes as empty files
+    this.supportsConditionalDelete = true;
+  }
+
+  /**
+   * Read a JSON file, change it and write it back only if nobody else wrote it in between
+   * @param {string} fileName - File name
+   * @param {Function} update - Receives the current data, or null when the file does not exist,
+   *   and returns the data to store, or null to delete the file
+   * @param {Object} options - Storage options for the write
+   * @returns {Promise<Object>} Storage result with the stored data
+   */
+  async modifyFile(fileName, update, options = {}) {
+    for (let attempt = 1; ; attempt++) {
+      const current = await this.retrieveFile(fileName);
+      const next = update(current ? current.data : null);
+      const version = current ? current.version : null;
+
+      try {
+        if (next === null) {
+          const result = current ? await this.deleteFile(fileName, { ...options, version }) : { success: true };
+          return { ...result, data: null };
+        }
+        const result = await this.store(fileName, next, { ...options, version });
+        return { ...result, data: next };
+      } catch (error) {
+        if (error.code !== 'WRITE_CONFLICT' || attempt >= MAX_CONFLICT_RETRIES) {
+          throw error;
+        }
+        log('info', 'File changed while updating it, trying again', { provider: this.provider, fileName, attempt });
+      }
+    }
+  }
+
+  /**
+   * Format data as JSON for storage
+   * @param {any} value - Value to format
+   * @returns {string} JSON text
+   */
+  formatJson(value) {
+    return JSON.stringify(value);
+  }
+
+  /**
+   * Prepare data for storage (encryption, compression, etc.)
+   * @param {Object} data - Data to prepare
+   * @param {Object} options - Preparation options
+   * @returns {Promise<string>} Prepared data
+   */
+  async prepareDataForStorage(data, options = {}) {
+    let processedData = this.formatJson(data);
+
+    // Compress before encrypting, since ciphertext does not compress
+    if (shouldCompress(processedData, options.compress)) {
+      const envelope = await compressString(processedData);
+      processedData = this.formatJson(envelope);
+    }
+
+    if (options.encrypt) {
+      const envelope = await encryptionService.encrypt(processedData);
+      processedData = this.formatJson(envelope);
+    }
+
+    return processedData;
+  }
+
+  /**
+   * Process retrieved data (decryption, decompression, etc.)
+   * @param {string} content - Raw content
+   * @param {Object} options - Processing options
+   * @returns {Promise<Object>} Processed data
+   */
+  async processRetrievedData(content, options = {}) {
+    let processedContent = content;
+
+    // Encrypted and compressed envelopes are detected even when not requested
+    const envelope = parseEncryptedEnvelope(processedContent);
+    if (envelope) {
+      processedContent = await encryptionService.decrypt(envelope);
+    } else if (options.decrypt) {
+      log('warn', 'Decryption requested but content is not encrypted');
+    }
+
+    const compressed = parseCompressedEnvelope(processedContent);
+    if (compressed) {
+      processedContent = await decompressEnvelope(compressed);
+    } else if (options.decompress) {
+      log('warn', 'Decompression requested but content is not compressed');
+    }
+
+    try {
+      return JSON.parse(processedContent);
+    } catch (error) {
+      log('warn', 'Failed to parse JSON content, returning as string', { error: error.message });
+      return processedContent;
+    }
+  }
+
+  /**
+   * Get the snapshot file name for a device
+   * @param {string} deviceId - Device ID
+   * @returns {string} Snapshot file name
+   */
+  getDeviceSnapshotFileName(deviceId) {
+    return `${this.deviceSnapshotPrefix}${deviceId}.json`;
+  }
+
+  /**
+   * Store a device snapshot and register it in the manifest
+   * @param {string} deviceId - Device ID owning the snapshot
+   * @param {SyncData} syncData - Snapshot data
+   * @param {Object} options - Storage options
+   * @returns {Promise<Object>} Storage result
+   */
+  async storeDeviceSnapshot(deviceId, syncData, options = {}) {
+    const fileName = this.getDeviceSnapshotFileName(deviceId);
+    const result = await this.store(fileName, syncData, {
+      commitMessage: `Update snapshot for ${deviceId} - ${new Date().toISOString()}`,
+      metadata: { description: `Tab Sync snapshot for device ${deviceId}` },
+      ...options
+    });
+
+    await this.updateManifest(deviceId, {
+      deviceName: syncData.metadata?.deviceName,
+      platform: syncData.metadata?.platform,
+      browserName: syncData.metadata?.browserName,
+      browserVersion: syncData.metadata?.browserVersion,
+      fileName,
+      tabCount: syncData.tabs?.length || 0,
+      timestamp: syncData.timestamp,
+      checksum: result.checksum,
+      changeCount: 0
+    });
+
+    return result;
+  }
+
+  /**
+   * Get the change log file name for a device
+   * @param {string} deviceId - Device ID
+   * @returns {string} Change log file name
+   */
+  getDeviceChangeLogFileName(deviceId) {
+    return `${this.deviceSnapshotPrefix}${deviceId}.changes.json`;
+  }
+
+  /**
+   * Append a delta entry to a device's change log
+   * @param {string} deviceId - Device ID owning the log
+   * @param {Object} entry - Change entry with sequence, timestamp and changes
+   * @param {Object} options - Options with the baseTimestamp of the current snapshot
+   * @returns {Promise<Object>} Storage result
+   */
+  async appendDeviceChanges(deviceId, entry, options = {}) {
+    const { baseTimestamp, tabCount, ...storeOptions } = options;
+    const fileName = this.getDeviceChangeLogFileName(deviceId);
+
+    const { data: changeLog, ...result } = await this.modifyFile(fileName, existing => {
+      // Entries against an older snapshot are superseded by the newer snapshot
+      const entries = existing?.baseTimestamp === baseTimestamp ? existing.entries : [];
+      return {
+        version: CHANGE_LOG_VERSION,
+        deviceId,
+        baseTimestamp,
+        entries: [...entries, entry]
+      };
+    }, {
+      commitMessage: `Append change ${entry.sequence} for ${deviceId}`,
+      metadata: { description: `Tab Sync change log for device ${deviceId}` },
+      ...storeOptions
+    });
+
+    // A device forgotten elsewhere has no snapshot these changes apply to
+    await this.updateManifest(deviceId, {
+      changeLogFileName: fileName,
+      changeCount: changeLog.entries.length,
+      lastChangeAt: entry.timestamp,
+      ...(tabCount !== undefined && { tabCount })
+    }, { requireEntry: true });
+
+    return { ...result, entryCount: changeLog.entries.length };
+  }
+
+  /**
+   * Retrieve a device's change log
+   * @param {string} deviceId - Device ID
+   * @param {Object} options - Retrieval options passed to retrieveFile
+   * @returns {Promise<Object|null>} Change log or null if none exists
+   */
+  async retrieveDeviceChangeLog(deviceId, options = {}) {
+    const file = await this.retrieveFile(this.getDeviceChangeLogFileName(deviceId), options);
+    return file ? file.data : null;
+  }
+
+  /**
+   * Retrieve snapshots for all devices listed in the manifest
+   * @param {Object} options - Retrieval options
+   * @returns {Promise<Object[]>} Array of { deviceId, data, metadata, changeLog, label }
+   */
+  async retrieveDeviceSnapshots(options = {}) {
+    const { excludeDeviceId = null } = options;
+    const manifest = await this.getManifest();
+    const snapshots = [];
+
+    for (const [deviceId, entry] of Object.entries(manifest.devices)) {
+      if (deviceId === excludeDeviceId) {
+        continue;
+      }
+
+      try {
+        const result = await this.retrieve(entry.fileName || this.getDeviceSnapshotFileName(deviceId));
+        const changeLog = entry.changeCount > 0 ? await this.retrieveDeviceChangeLog(deviceId) : null;
+        snapshots.push({ deviceId, data: result.data, metadata: result.metadata, changeLog, label: entry.label || null });
+      } catch (error) {
+        if (isEncryptionError(error)) {
+          throw error;
+        }
+        log('warn', 'Failed to retrieve device snapshot', { deviceId, error: error.message });
+      }
+    }
+
+    return snapshots;
+  }
+
+  /**
+   * Get the device manifest index
+   * @returns {Promise<DeviceManifest>} Manifest with a devices map keyed by device ID
+   */
+  async getManifest() {
+    const file = await this.retrieveFile(this.manifestFileName);
+    return this.normalizeManifest(file ? file.data : null);
+  }
+
+  /**
+   * Fill in the fields of a stored manifest
+   * @param {Object|null} data - Stored manifest
+   * @returns {DeviceManifest} Manifest
+   */
+  normalizeManifest(data) {
+    return {
+      version: 1,
+      updatedAt: null,
+      ...data,
+      devices: data?.devices || {}
+    };
+  }
+
+  /**
+   * Change the manifest without losing entries other devices write at the same time
+   * @param {Function} update - Changes the manifest it receives in place
+   * @param {string} commitMessage - Description of the change
+   * @returns {Promise<DeviceManifest>} Updated manifest
+   */
+  async modifyManifest(update, commitMessage) {
+    const result = await this.modifyFile(this.manifestFileName, data => {
+      const manifest = this.normalizeManifest(data);
+      update(manifest);
+      manifest.updatedAt = Date.now();
+      return manifest;
+    }, {
+      commitMessage,
+      metadata: { description: 'Tab Sync device manifest' }
+    });
+
+    return result.data;
+  }
+
+  /**
+   * Add or update a device entry in the manifest
+   * @param {string} deviceId - Device ID
+   * @param {Object} entry - Manifest entry fields
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.requireEntry=false] - Fail with DEVICE_NOT_REGISTERED instead of adding a missing device
+   * @returns {Promise<DeviceManifest>} Updated manifest
+   */
+  async updateManifest(deviceId, entry, options = {}) {
+    return await this.modifyManifest(manifest => {
+      if (options.requireEntry && !manifest.devices[deviceId]) {
+        throw createError(`Device ${deviceId} is not in the manifest`, 'DEVICE_NOT_REGISTERED', { deviceId });
+      }
+      manifest.devices[deviceId] = {
+        ...manifest.devices[deviceId],
+        ...entry,
+        deviceId,
+        lastSeen: Date.now()
+      };
+    }, `Update device manifest for ${deviceId}`);
+  }
+
+  /**
+   * Set the label shown for a device instead of the name it reports
+   * @param {string} deviceId - Device ID
+   * @param {string|null} label - New label, or null to show the reported name again
+   * @returns {Promise<DeviceManifest>} Updated manifest
+   */
+  async setDeviceLabel(deviceId, label) {
+    return await this.modifyManifest(manifest => {
+      const entry = manifest.devices[deviceId];
+      if (!entry) {
+        throw createError(`Unknown device: ${deviceId}`, 'DEVICE_NOT_FOUND', { deviceId });
+      }
+
+      if (label) {
+        entry.label = label;
+      } else {
+        delete entry.label;
+      }
+    }, `Rename device ${deviceId}`);
+  }
+
+  /**
+   * Delete a device's snapshot, change log and inbox and remove it from the manifest
+   * @param {string} deviceId - Device ID
+   * @returns {Promise<Object>} Result with the deleted file names
+   */
+  async forgetDevice(deviceId) {
+    const manifest = await this.getManifest();
+    const entry = manifest.devices[deviceId];
+    if (!entry) {
+      throw createError(`Unknown device: ${deviceId}`, 'DEVICE_NOT_FOUND', { deviceId });
+    }
+
+    const fileNames = [
+      entry.fileName || this.getDeviceSnapshotFileName(deviceId),
+      entry.changeLogFileName || this.getDeviceChangeLogFileName(deviceId),
+      this.getInboxFileName(deviceId)
+    ];
+    for (const fileName of fileNames) {
+      await this.deleteFile(fileName, { commitMessage: `Forget device ${deviceId}` });
+    }
+
+    await this.modifyManifest(updated => {
+      delete updated.devices[deviceId];
+    }, `Forget device ${deviceId}`);
+
+    return { success: true, deviceId, deletedFiles: fileNames, timestamp: Date.now() };
+  }
+
+  /**
+   * Retrieve the passphrase verifier published by the device that turned on encryption
+   * @returns {Promise<Object|null>} Verifier envelope, or null if none was published
+   */
+  async retrieveEncryptionKey() {
+    const file = await this.retrieveFile(this.encryptionKeyFileName);
+    return file?.data?.verifier || null;
+  }
+
+  /**
+   * Publish a passphrase verifier so other devices can check their passphrase against it
+   * It is stored unencrypted, since a device must read it before it has the key.
+   * @param {Object} verifier - Verifier envelope
+   * @returns {Promise<Object>} Storage result
+   */
+  async storeEncryptionKey(verifier) {
+    return await this.modifyFile(this.encryptionKeyFileName, () => ({ version: 1, verifier }), {
+      encrypt: false,
+      compress: false,
+      commitMessage: 'Update encryption passphrase check',
+      metadata: { description: 'Tab Sync encryption passphrase check' }
+    });
+  }
+
+  /**
+   * Get the inbox file name for a device
+   * @param {string} deviceId - Device ID
+   * @returns {string} Inbox file name
+   */
+  getInboxFileName(deviceId) {
+    return `${this.inboxPrefix}${deviceId}.json`;
+  }
+
+  /**
+   * Fill in the fields of a stored inbox
+   * @param {string} deviceId - Device ID owning the inbox
+   * @param {Object|null} data - Stored inbox
+   * @returns {Inbox} Inbox
+   */
+  normalizeInbox(deviceId, data) {
+    return {
+      version: 1,
+      ...data,
+      deviceId,
+      deliveries: data?.deliveries || []
+    };
+  }
+
+  /**
+   * Retrieve the tabs waiting in a device's inbox
+   * @param {string} deviceId - Device ID owning the inbox
+   * @returns {Promise<Inbox>} Inbox, empty if none exists
+   */
+  async retrieveInbox(deviceId) {
+    const file = await this.retrieveFile(this.getInboxFileName(deviceId));
+    return this.normalizeInbox(deviceId, file ? file.data : null);
+  }
+
+  /**
+   * Add a delivery to a device's inbox
+   * @param {string} deviceId - Device ID the delivery is for
+   * @param {Delivery} delivery - Delivery to add
+   * @returns {Promise<Object>} Storage result
+   */
+  async appendInboxDelivery(deviceId, delivery) {
+    const { data: inbox, ...result } = await this.modifyFile(this.getInboxFileName(deviceId), data => {
+      const current = this.normalizeInbox(deviceId, data);
+      current.deliveries = [...current.deliveries.filter(existing => existing.id !== delivery.id), delivery];
+      return current;
+    }, {
+      commitMessage: `Send ${delivery.tabs.length} tabs to ${deviceId}`,
+      metadata: { description: `Tab Sync inbox for device ${deviceId}` }
+    });
+
+    return { ...result, deliveryCount: inbox.deliveries.length };
+  }
+
+  /**
+   * Remove acknowledged deliveries from a device's inbox
+   * Deliveries sent while this one was read stay in the inbox.
+   * @param {string} deviceId - Device ID owning the inbox
+   * @param {string[]} deliveryIds - IDs of the deliveries to remove
+   * @returns {Promise<Object>} Result with the number of deliveries left
+   */
+  async removeInboxDeliveries(deviceId, deliveryIds) {
+    const fileName = this.getInboxFileName(deviceId);
+    const inbox = await this.retrieveInbox(deviceId);
+    if (!inbox.deliveries.some(delivery => deliveryIds.includes(delivery.id))) {
+      return { fileName, remaining: inbox.deliveries.length };
+    }
+
+    let remaining = 0;
+    await this.modifyFile(fileName, data => {
+      const current = this.normalizeInbox(deviceId, data);
+      const deliveries = current.deliveries.filter(delivery => !deliveryIds.includes(delivery.id));
+      remaining = deliveries.length;
+      // An empty inbox written in place of a delete still makes a racing delivery fail and retry
+      return deliveries.length === 0 && this.supportsConditionalDelete ? null : { ...current, deliveries };
+    }, {
+      commitMessage: `Acknowledge ${deliveryIds.length} deliveries on ${deviceId}`,
+      metadata: { description: `Tab Sync inbox for device ${deviceId}` }
+    });
+
+    return { fileName, remaining };
+  }
+}
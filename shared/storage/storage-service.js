@@ -1,8 +1,10 @@
 // Unified storage service for Tab Sync Extension
-// Provides consistent interface across Google Drive and GitHub storage
+// Provides consistent interface across Google Drive, GitHub, WebDAV and S3 storage
 
 import { GoogleDriveStorage } from './google-drive-storage.js';
 import { GitHubStorage } from './github-storage.js';
+import { WebDAVStorage } from './webdav-storage.js';
+import { S3Storage } from './s3-storage.js';
 import { log, createError, retryWithBackoff } from '../utils.js';
 import { errorHandler, ErrorCategory, ErrorSeverity, withErrorHandling } from '../error-handler.js';
 
@@ -13,7 +15,9 @@ export class StorageService {
   constructor() {
     this.providers = {
       'google-drive': new GoogleDriveStorage(),
-      'github': new GitHubStorage()
+      'github': new GitHubStorage(),
+      'webdav': new WebDAVStorage(),
+      's3': new S3Storage()
     };
     this.currentProvider = null;
     this.initialized = false;
@@ -21,7 +25,7 @@ export class StorageService {
 
   /**
    * Initialize the storage service
-   * @param {string} provider - Storage provider ('google-drive' or 'github')
+   * @param {string} provider - Storage provider ('google-drive', 'github', 'webdav' or 's3')
    * @returns {Promise<void>}
    */
   async initialize(provider) {
@@ -60,6 +64,10 @@ export class StorageService {
         await this.initialize('google-drive');
       } else if (authStatus.github && authStatus.github.authenticated) {
         await this.initialize('github');
+      } else if (authStatus.webdav && authStatus.webdav.authenticated) {
+        await this.initialize('webdav');
+      } else if (authStatus.s3 && authStatus.s3.authenticated) {
+        await this.initialize('s3');
       } else {
         throw createError('No authenticated storage provider available', 'NO_AUTH_PROVIDER');
       }
@@ -195,7 +203,7 @@ export class StorageService {
       this.ensureInitialized();
       
       const storageAdapter = this.providers[this.currentProvider];
-      const result = await storageAdapter.deleteFile(fileName, options.commitMessage);
+      const result = await storageAdapter.deleteFile(fileName, options);
 
       // Record the operation
       await this.recordOperation('delete', {
@@ -220,6 +228,362 @@ export class StorageService {
     })();
   }
 
+  /**
+   * Publish this device's snapshot and register it in the device manifest
+   * @param {string} deviceId - Device ID owning the snapshot
+   * @param {SyncData} syncData - Snapshot data
+   * @param {Object} options - Storage options
+   * @returns {Promise<Object>} Storage result
+   */
+  async storeDeviceSnapshot(deviceId, syncData, options = {}) {
+    return withErrorHandling(async () => {
+      this.ensureInitialized();
+
+      const storageAdapter = this.providers[this.currentProvider];
+      const result = await storageAdapter.storeDeviceSnapshot(deviceId, syncData, options);
+
+      await this.recordOperation('store_snapshot', {
+        fileName: result.fileName,
+        deviceId,
+        provider: this.currentProvider,
+        size: result.size,
+        timestamp: result.timestamp,
+        checksum: result.checksum
+      });
+
+      log('info', 'Device snapshot stored', {
+        deviceId,
+        provider: this.currentProvider,
+        size: result.size
+      });
+
+      return result;
+    }, {
+      category: ErrorCategory.STORAGE,
+      severity: ErrorSeverity.HIGH,
+      source: 'storage_service_store_snapshot',
+      context: { deviceId, provider: this.currentProvider },
+      recoverable: true,
+      userVisible: true
+    })();
+  }
+
+  /**
+   * Append a delta entry to this device's change log
+   * @param {string} deviceId - Device ID owning the log
+   * @param {Object} entry - Change entry with sequence, timestamp and changes
+   * @param {Object} options - Options with the baseTimestamp of the current snapshot
+   * @returns {Promise<Object>} Storage result
+   */
+  async appendDeviceChanges(deviceId, entry, options = {}) {
+    return withErrorHandling(async () => {
+      this.ensureInitialized();
+
+      const storageAdapter = this.providers[this.currentProvider];
+      const result = await storageAdapter.appendDeviceChanges(deviceId, entry, options);
+
+      await this.recordOperation('append_changes', {
+        fileName: result.fileName,
+        deviceId,
+        provider: this.currentProvider,
+        size: result.size,
+        sequence: entry.sequence,
+        timestamp: result.timestamp
+      });
+
+      log('info', 'Device changes appended', {
+        deviceId,
+        provider: this.currentProvider,
+        sequence: entry.sequence,
+        size: result.size
+      });
+
+      return result;
+    }, {
+      category: ErrorCategory.STORAGE,
+      severity: ErrorSeverity.HIGH,
+      source: 'storage_service_append_changes',
+      context: { deviceId, provider: this.currentProvider },
+      recoverable: true,
+      userVisible: true
+    })();
+  }
+
+  /**
+   * Retrieve snapshots for every device in the manifest
+   * @param {Object} options - Retrieval options
+   * @param {string} [options.excludeDeviceId] - Device ID to skip
+   * @returns {Promise<Object[]>} Array of { deviceId, data, metadata, changeLog, label }
+   */
+  async retrieveDeviceSnapshots(options = {}) {
+    return withErrorHandling(async () => {
+      this.ensureInitialized();
+
+      const storageAdapter = this.providers[this.currentProvider];
+      const snapshots = await storageAdapter.retrieveDeviceSnapshots(options);
+
+      await this.recordOperation('retrieve_snapshots', {
+        provider: this.currentProvider,
+        count: snapshots.length,
+        timestamp: Date.now()
+      });
+
+      log('info', 'Device snapshots retrieved', {
+        provider: this.currentProvider,
+        count: snapshots.length
+      });
+
+      return snapshots;
+    }, {
+      category: ErrorCategory.STORAGE,
+      severity: ErrorSeverity.HIGH,
+      source: 'storage_service_retrieve_snapshots',
+      context: { provider: this.currentProvider },
+      recoverable: true,
+      userVisible: true
+    })();
+  }
+
+  /**
+   * Set the label shown for a device in the device manifest
+   * @param {string} deviceId - Device ID
+   * @param {string|null} label - New label, or null to show the reported name again
+   * @returns {Promise<DeviceManifest>} Updated manifest
+   */
+  async setDeviceLabel(deviceId, label) {
+    return withErrorHandling(async () => {
+      this.ensureInitialized();
+
+      const storageAdapter = this.providers[this.currentProvider];
+      const manifest = await storageAdapter.setDeviceLabel(deviceId, label);
+
+      log('info', 'Device label updated', { deviceId, provider: this.currentProvider });
+
+      return manifest;
+    }, {
+      category: ErrorCategory.STORAGE,
+      severity: ErrorSeverity.MEDIUM,
+      source: 'storage_service_set_device_label',
+      context: { deviceId, provider: this.currentProvider },
+      recoverable: true,
+      userVisible: true
+    })();
+  }
+
+  /**
+   * Delete a device's synced files and remove it from the device manifest
+   * @param {string} deviceId - Device ID
+   * @returns {Promise<Object>} Result with the deleted file names
+   */
+  async forgetDevice(deviceId) {
+    return withErrorHandling(async () => {
+      this.ensureInitialized();
+
+      const storageAdapter = this.providers[this.currentProvider];
+      const result = await storageAdapter.forgetDevice(deviceId);
+
+      await this.recordOperation('forget_device', {
+        deviceId,
+        provider: this.currentProvider,
+        fileCount: result.deletedFiles.length,
+        timestamp: result.timestamp
+      });
+
+      log('info', 'Device forgotten', { deviceId, provider: this.currentProvider });
+
+      return result;
+    }, {
+      category: ErrorCategory.STORAGE,
+      severity: ErrorSeverity.HIGH,
+      source: 'storage_service_forget_device',
+      context: { deviceId, provider: this.currentProvider },
+      recoverable: true,
+      userVisible: true
+    })();
+  }
+
+  /**
+   * Send tabs to another device's inbox
+   * @param {string} deviceId - Device ID the delivery is for
+   * @param {Delivery} delivery - Delivery to add
+   * @returns {Promise<Object>} Storage result
+   */
+  async appendInboxDelivery(deviceId, delivery) {
+    return withErrorHandling(async () => {
+      this.ensureInitialized();
+
+      const storageAdapter = this.providers[this.currentProvider];
+      const result = await storageAdapter.appendInboxDelivery(deviceId, delivery);
+
+      await this.recordOperation('send_to_device', {
+        fileName: result.fileName,
+        deviceId,
+        provider: this.currentProvider,
+        tabCount: delivery.tabs.length,
+        timestamp: result.timestamp
+      });
+
+      log('info', 'Delivery added to device inbox', {
+        deviceId,
+        provider: this.currentProvider,
+        deliveryId: delivery.id
+      });
+
+      return result;
+    }, {
+      category: ErrorCategory.STORAGE,
+      severity: ErrorSeverity.MEDIUM,
+      source: 'storage_service_send_to_device',
+      context: { deviceId, provider: this.currentProvider },
+      recoverable: true,
+      userVisible: true
+    })();
+  }
+
+  /**
+   * Retrieve the deliveries waiting in a device's inbox
+   * @param {string} deviceId - Device ID owning the inbox
+   * @returns {Promise<Inbox>} Inbox, empty if none exists
+   */
+  async retrieveInbox(deviceId) {
+    this.ensureInitialized();
+    return await this.providers[this.currentProvider].retrieveInbox(deviceId);
+  }
+
+  /**
+   * Remove acknowledged deliveries from a device's inbox
+   * @param {string} deviceId - Device ID owning the inbox
+   * @param {string[]} deliveryIds - IDs of the deliveries to remove
+   * @returns {Promise<Object>} Result with the number of deliveries left
+   */
+  async removeInboxDeliveries(deviceId, deliveryIds) {
+    return withErrorHandling(async () => {
+      this.ensureInitialized();
+
+      const storageAdapter = this.providers[this.currentProvider];
+      const result = await storageAdapter.removeInboxDeliveries(deviceId, deliveryIds);
+
+      log('info', 'Deliveries acknowledged', {
+        deviceId,
+        provider: this.currentProvider,
+        count: deliveryIds.length,
+        remaining: result.remaining
+      });
+
+      return result;
+    }, {
+      category: ErrorCategory.STORAGE,
+      severity: ErrorSeverity.MEDIUM,
+      source: 'storage_service_acknowledge_deliveries',
+      context: { deviceId, provider: this.currentProvider },
+      recoverable: true,
+      userVisible: false
+    })();
+  }
+
+  /**
+   * Check whether the current provider keeps past revisions of synced files
+   * @returns {boolean} True if revisions can be listed and retrieved
+   */
+  supportsRevisions() {
+    return this.initialized &&
+      typeof this.providers[this.currentProvider].getDeviceRevisions === 'function';
+  }
+
+  /**
+   * List past revisions of a device's synced tabs, newest first
+   * @param {string} deviceId - Device ID
+   * @param {Object} options - History options
+   * @param {number} [options.limit] - Maximum number of revisions
+   * @returns {Promise<Object[]>} Revisions with id, timestamp, message and author
+   */
+  async getDeviceRevisions(deviceId, options = {}) {
+    this.ensureRevisionSupport();
+    return await this.providers[this.currentProvider].getDeviceRevisions(deviceId, options);
+  }
+
+  /**
+   * Retrieve a device's snapshot and change log as they were at a revision
+   * @param {string} deviceId - Device ID
+   * @param {string} revisionId - Provider-specific revision ID
+   * @returns {Promise<Object>} Object with deviceId, data, metadata and changeLog
+   */
+  async retrieveDeviceRevision(deviceId, revisionId) {
+    this.ensureRevisionSupport();
+    return await this.providers[this.currentProvider].retrieveDeviceRevision(deviceId, revisionId);
+  }
+
+  /**
+   * Check whether the current provider can pin revisions so they are never pruned
+   * @returns {boolean} True if revisions can be pinned
+   */
+  supportsRevisionPinning() {
+    return this.initialized &&
+      typeof this.providers[this.currentProvider].setRevisionKeepForever === 'function';
+  }
+
+  /**
+   * Pin or unpin a device revision
+   * @param {string} deviceId - Device ID
+   * @param {string} revisionId - Provider-specific revision ID
+   * @param {boolean} keepForever - Whether to keep the revision forever
+   * @returns {Promise<Object>} Result with the revision ID and keepForever
+   */
+  async setRevisionKeepForever(deviceId, revisionId, keepForever) {
+    this.ensureRevisionSupport();
+    if (!this.supportsRevisionPinning()) {
+      throw createError(
+        `${this.currentProvider} keeps every revision, so revisions cannot be pinned`,
+        'REVISION_PINNING_NOT_SUPPORTED',
+        { provider: this.currentProvider }
+      );
+    }
+    return await this.providers[this.currentProvider].setRevisionKeepForever(deviceId, revisionId, keepForever);
+  }
+
+  /**
+   * Ensure the current provider keeps revisions
+   * @throws {Error} If the provider has no revision history
+   */
+  ensureRevisionSupport() {
+    this.ensureInitialized();
+    if (!this.supportsRevisions()) {
+      throw createError(
+        `Revision history is not available for ${this.currentProvider}`,
+        'REVISIONS_NOT_SUPPORTED',
+        { provider: this.currentProvider }
+      );
+    }
+  }
+
+  /**
+   * Get the device manifest index for the current provider
+   * @returns {Promise<DeviceManifest>} Manifest with a devices map keyed by device ID
+   */
+  async getDeviceManifest() {
+    this.ensureInitialized();
+    return await this.providers[this.currentProvider].getManifest();
+  }
+
+  /**
+   * Get the passphrase verifier published for the current provider
+   * @returns {Promise<Object|null>} Verifier envelope, or null if none was published
+   */
+  async getEncryptionKey() {
+    this.ensureInitialized();
+    return await this.providers[this.currentProvider].retrieveEncryptionKey();
+  }
+
+  /**
+   * Publish the passphrase verifier for the current provider
+   * @param {Object} verifier - Verifier envelope
+   * @returns {Promise<Object>} Storage result
+   */
+  async publishEncryptionKey(verifier) {
+    this.ensureInitialized();
+    return await this.providers[this.currentProvider].storeEncryptionKey(verifier);
+  }
+
   /**
    * Get storage information and statistics
    * @returns {Promise<Object>} Storage information
@@ -231,7 +595,7 @@ export class StorageService {
       const storageAdapter = this.providers[this.currentProvider];
       let info;
 
-      if (this.currentProvider === 'google-drive') {
+      if (['google-drive', 'webdav', 's3'].includes(this.currentProvider)) {
         info = await storageAdapter.getStorageInfo();
       } else if (this.currentProvider === 'github') {
         info = await storageAdapter.getRepositoryInfo();
@@ -606,6 +970,13 @@ export class StorageService {
   isInitialized() {
     return this.initialized;
   }
+
+  /**
+   * Require the next operation to initialize the provider again, after its settings change
+   */
+  reset() {
+    this.initialized = false;
+  }
 }
 
 // Create singleton instance
@@ -0,0 +1,472 @@
+// WebDAV storage adapter for Tab Sync Extension
+// Stores sync files in a folder on a self-hosted WebDAV server such as Nextcloud, using ETags to avoid lost updates
+
+import { log, createError, retryWithBackoff, generateChecksum } from '../utils.js';
+import { encryptionService, isEncryptionError } from '../encryption.js';
+import { StorageAdapter } from './storage-adapter.js';
+import { WebDAVAuthService } from '../auth/webdav-auth.js';
+import { findElements, readElement } from './xml.js';
+
+const PROPFIND_BODY = '<?xml version="1.0" encoding="utf-8"?>' +
+  '<d:propfind xmlns:d="DAV:"><d:prop>' +
+  '<d:resourcetype/><d:getetag/><d:getcontentlength/><d:getlastmodified/>' +
+  '<d:quota-used-bytes/><d:quota-available-bytes/>' +
+  '</d:prop></d:propfind>';
+
+/**
+ * Parse a PROPFIND multistatus response
+ * Properties the server reports as missing (a non-200 propstat) are ignored.
+ * @param {string} xml - Multistatus XML
+ * @returns {Object[]} Entries with href, name, etag, size, modifiedTime, isCollection and quota
+ */
+export function parseMultistatus(xml) {
+  return findElements(xml, 'response').map(response => {
+    const found = findElements(response, 'propstat')
+      .filter(propstat => /\s200\s/.test(` ${readElement(propstat, 'status') || ''} `))
+      .map(propstat => findElements(propstat, 'prop')[0] || '')
+      .join('');
+
+    const href = readElement(response, 'href') || '';
+    const path = href.replace(/^[a-z]+:\/\/[^/]+/i, '').replace(/\/+$/, '');
+    const resourceType = findElements(found, 'resourcetype')[0] || '';
+    const size = readElement(found, 'getcontentlength');
+    const used = readElement(found, 'quota-used-bytes');
+    const available = readElement(found, 'quota-available-bytes');
+
+    return {
+      href,
+      name: decodeURIComponent(path.slice(path.lastIndexOf('/') + 1)),
+      etag: readElement(found, 'getetag'),
+      size: size ? parseInt(size, 10) : 0,
+      modifiedTime: readElement(found, 'getlastmodified'),
+      isCollection: /<(?:[\w-]+:)?collection\b/i.test(resourceType),
+      quotaUsed: used ? parseInt(used, 10) : null,
+      quotaAvailable: available ? parseInt(available, 10) : null
+    };
+  });
+}
+
+/**
+ * WebDAV storage adapter
+ */
+export class WebDAVStorage extends StorageAdapter {
+  constructor() {
+    super();
+    this.provider = 'webdav';
+    this.authService = new WebDAVAuthService();
+    this.serverUrl = null;
+    this.folderUrl = null;
+    // Last ETag seen for each file, sent with If-Match so writes fail instead of overwriting newer data
+    this.etags = new Map();
+  }
+
+  /**
+   * Initialize the storage adapter
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    try {
+      // Ensure we have valid authentication
+      const isValid = await this.authService.areTokensValid();
+      if (!isValid) {
+        throw createError('No valid authentication tokens', 'NO_VALID_AUTH');
+      }
+
+      const tokens = await this.authService.getStoredTokens();
+      this.serverUrl = tokens.serverUrl;
+      this.folderUrl = `${tokens.serverUrl}${tokens.folder.split('/').map(encodeURIComponent).join('/')}/`;
+      this.etags.clear();
+
+      await this.ensureFolder(tokens.folder);
+
+      log('info', 'WebDAV storage initialized', {
+        provider: this.provider,
+        host: new URL(this.serverUrl).host,
+        folder: tokens.folder
+      });
+    } catch (error) {
+      log('error', 'Failed to initialize WebDAV storage', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Store sync data on the WebDAV server
+   * @param {string} fileName - File name to store
+   * @param {Object} data - Data to store
+   * @param {Object} options - Storage options
+   * @param {string|null} [options.version] - ETag the file must still have, or null to only create it;
+   *   defaults to the last ETag this adapter saw for the file
+   * @returns {Promise<Object>} Storage result
+   */
+  async store(fileName, data, options = {}) {
+    try {
+      const {
+        encrypt = null, // Defaults to the user's encryption setting
+        compress = null // Defaults to compressing large payloads
+      } = options;
+      const etag = options.version !== undefined ? options.version : this.etags.get(fileName);
+
+      const processedData = await this.prepareDataForStorage(data, {
+        encrypt: encrypt ?? await encryptionService.isEnabled(),
+        compress
+      });
+
+      const headers = { 'Content-Type': 'application/json' };
+      if (etag === null) {
+        headers['If-None-Match'] = '*';
+      } else if (etag) {
+        headers['If-Match'] = etag;
+      }
+
+      const response = await this.makeRequest(this.getFileUrl(fileName), {
+        method: 'PUT',
+        headers,
+        body: processedData
+      });
+
+      if (response.status === 412) {
+        this.etags.delete(fileName);
+        throw createError(`${fileName} was changed by another device`, 'WRITE_CONFLICT', { fileName });
+      }
+      if (!response.ok) {
+        throw createError(`WebDAV error: ${response.status}`, 'API_ERROR', { status: response.status });
+      }
+
+      this.rememberEtag(fileName, response);
+      log('info', 'Stored file on WebDAV server', { fileName, size: processedData.length });
+
+      return {
+        success: true,
+        fileName,
+        etag: this.etags.get(fileName) || null,
+        size: processedData.length,
+        timestamp: Date.now(),
+        checksum: await generateChecksum(JSON.stringify(data))
+      };
+    } catch (error) {
+      log('error', 'Failed to store data on WebDAV server', { fileName, error: error.message });
+      if (isEncryptionError(error) || error.code === 'WRITE_CONFLICT' || error.code === 'AUTH_FAILED') {
+        throw error;
+      }
+      throw createError('WebDAV storage failed', 'STORAGE_ERROR', { fileName, error });
+    }
+  }
+
+  /**
+   * Retrieve data from the WebDAV server
+   * @param {string} fileName - File name to retrieve
+   * @param {Object} options - Retrieval options
+   * @returns {Promise<Object>} Retrieved data
+   */
+  async retrieve(fileName, options = {}) {
+    try {
+      const {
+        decrypt = false,
+        decompress = false,
+        validateChecksum = true
+      } = options;
+
+      const file = await this.readFile(fileName);
+      if (!file) {
+        throw createError(`File not found: ${fileName}`, 'FILE_NOT_FOUND', { fileName });
+      }
+
+      const processedData = await this.processRetrievedData(file.content, { decrypt, decompress });
+
+      if (validateChecksum && processedData.checksum) {
+        const calculatedChecksum = await generateChecksum(JSON.stringify(processedData.data));
+        if (calculatedChecksum !== processedData.checksum) {
+          log('warn', 'Checksum validation failed', { fileName, expected: processedData.checksum, actual: calculatedChecksum });
+        }
+      }
+
+      log('info', 'Retrieved data from WebDAV server', { fileName, size: file.content.length });
+
+      return {
+        success: true,
+        data: processedData.data || processedData,
+        metadata: {
+          fileName,
+          etag: file.etag,
+          modifiedTime: file.modifiedTime,
+          size: file.content.length,
+          checksum: processedData.checksum
+        }
+      };
+    } catch (error) {
+      log('error', 'Failed to retrieve data from WebDAV server', { fileName, error: error.message });
+      if (isEncryptionError(error) || error.code === 'AUTH_FAILED') {
+        throw error;
+      }
+      throw createError('WebDAV retrieval failed', 'RETRIEVAL_ERROR', { fileName, error });
+    }
+  }
+
+  /**
+   * List files in the sync folder
+   * @param {Object} options - List options
+   * @param {string} [options.pattern] - Text the file name must contain
+   * @returns {Promise<Object[]>} Array of file metadata
+   */
+  async listFiles(options = {}) {
+    try {
+      const { pattern = null } = options;
+
+      const entries = await this.propfind(this.folderUrl, '1');
+      const files = entries
+        .filter(entry => !entry.isCollection && (!pattern || entry.name.includes(pattern)))
+        .map(entry => {
+          if (entry.etag) {
+            this.etags.set(entry.name, entry.etag);
+          }
+          return {
+            id: entry.href,
+            name: entry.name,
+            size: entry.size,
+            modifiedTime: entry.modifiedTime,
+            etag: entry.etag
+          };
+        });
+
+      log('info', 'Listed files from WebDAV server', { count: files.length, pattern: pattern || 'all' });
+      return files;
+    } catch (error) {
+      log('error', 'Failed to list files from WebDAV server', { error: error.message });
+      throw createError('WebDAV list failed', 'LIST_ERROR', { error });
+    }
+  }
+
+  /**
+   * Delete a file from the WebDAV server
+   * @param {string} fileName - File name to delete
+   * @param {Object} [options] - Delete options
+   * @param {string} [options.version] - ETag the file must still have
+   * @returns {Promise<Object>} Deletion result
+   */
+  async deleteFile(fileName, options = {}) {
+    try {
+      const headers = options.version ? { 'If-Match': options.version } : {};
+      const response = await this.makeRequest(this.getFileUrl(fileName), { method: 'DELETE', headers });
+
+      if (response.status === 412) {
+        throw createError(`${fileName} was changed by another device`, 'WRITE_CONFLICT', { fileName });
+      }
+      this.etags.delete(fileName);
+
+      if (response.status === 404) {
+        log('warn', 'File not found for deletion', { fileName });
+        return { success: true, message: 'File not found' };
+      }
+      if (!response.ok) {
+        throw createError(`WebDAV error: ${response.status}`, 'API_ERROR', { status: response.status });
+      }
+
+      log('info', 'Deleted file from WebDAV server', { fileName });
+      return { success: true, fileName, timestamp: Date.now() };
+    } catch (error) {
+      log('error', 'Failed to delete file from WebDAV server', { fileName, error: error.message });
+      if (error.code === 'WRITE_CONFLICT' || error.code === 'AUTH_FAILED') {
+        throw error;
+      }
+      throw createError('WebDAV deletion failed', 'DELETE_ERROR', { fileName, error });
+    }
+  }
+
+  /**
+   * Get storage quota information
+   * @returns {Promise<Object>} Storage quota info, with zeros when the server does not report quota
+   */
+  async getStorageInfo() {
+    try {
+      const [folder] = await this.propfind(this.folderUrl, '0');
+      const usedBytes = folder?.quotaUsed || 0;
+      const availableBytes = folder?.quotaAvailable > 0 ? folder.quotaAvailable : 0;
+      const profile = await this.authService.getUserProfile();
+
+      return {
+        totalBytes: availableBytes ? usedBytes + availableBytes : 0,
+        usedBytes,
+        availableBytes,
+        user: `${profile.username}@${profile.server}`,
+        folder: profile.folder
+      };
+    } catch (error) {
+      log('error', 'Failed to get storage info from WebDAV server', { error: error.message });
+      if (error.code === 'AUTH_FAILED') {
+        throw error;
+      }
+      throw createError('WebDAV storage info failed', 'STORAGE_INFO_ERROR', { error });
+    }
+  }
+
+  /**
+   * Create the sync folder and any missing parent folders
+   * @param {string} folder - Folder path below the server URL
+   * @returns {Promise<void>}
+   */
+  async ensureFolder(folder) {
+    const response = await this.makeRequest(this.folderUrl, { method: 'PROPFIND', headers: { 'Depth': '0' } });
+    if (response.status === 207) {
+      return;
+    }
+    if (response.status !== 404) {
+      throw createError(`WebDAV error: ${response.status}`, 'API_ERROR', { status: response.status });
+    }
+
+    let url = this.serverUrl;
+    for (const segment of folder.split('/')) {
+      url = `${url}${encodeURIComponent(segment)}/`;
+      const created = await this.makeRequest(url, { method: 'MKCOL' });
+      // 405 means the folder is already there
+      if (!created.ok && created.status !== 405) {
+        throw createError(`Could not create folder ${folder} (${created.status})`, 'FOLDER_CREATE_ERROR', { status: created.status });
+      }
+    }
+    log('info', 'Created WebDAV sync folder', { folder });
+  }
+
+  /**
+   * Get the URL of a file in the sync folder
+   * @param {string} fileName - File name
+   * @returns {string} File URL
+   */
+  getFileUrl(fileName) {
+    return `${this.folderUrl}${encodeURIComponent(fileName)}`;
+  }
+
+  /**
+   * Read a JSON file with the ETag its next conditional write must match
+   * @param {string} fileName - File name
+   * @returns {Promise<Object|null>} Data and version, or null if the file does not exist
+   */
+  async retrieveFile(fileName) {
+    const file = await this.readFile(fileName);
+    if (!file) {
+      return null;
+    }
+
+    // Without an ETag the next write cannot be conditional
+    return { data: await this.processRetrievedData(file.content), version: file.etag || undefined };
+  }
+
+  /**
+   * Download a file, remembering its ETag
+   * @param {string} fileName - File name
+   * @returns {Promise<Object|null>} Content, ETag and modified time, or null if the file does not exist
+   */
+  async readFile(fileName) {
+    const response = await this.makeRequest(this.getFileUrl(fileName));
+    if (response.status === 404) {
+      this.etags.delete(fileName);
+      return null;
+    }
+    if (!response.ok) {
+      throw createError(`WebDAV error: ${response.status}`, 'API_ERROR', { status: response.status });
+    }
+
+    this.rememberEtag(fileName, response);
+    return {
+      content: await response.text(),
+      etag: this.etags.get(fileName) || null,
+      modifiedTime: response.headers.get('Last-Modified')
+    };
+  }
+
+  /**
+   * Record the ETag a response reports for a file
+   * Servers that leave it out of a response make the next write unconditional.
+   * @param {string} fileName - File name
+   * @param {Response} response - Server response
+   */
+  rememberEtag(fileName, response) {
+    const etag = response.headers.get('ETag');
+    if (etag) {
+      this.etags.set(fileName, etag);
+    } else {
+      this.etags.delete(fileName);
+    }
+  }
+
+  /**
+   * List a folder or read a resource's properties
+   * @param {string} url - Resource URL
+   * @param {string} depth - '0' for the resource itself, '1' to include its children
+   * @returns {Promise<Object[]>} Parsed multistatus entries, excluding the folder itself when listing
+   */
+  async propfind(url, depth) {
+    const response = await this.makeRequest(url, {
+      method: 'PROPFIND',
+      headers: { 'Depth': depth, 'Content-Type': 'application/xml; charset=utf-8' },
+      body: PROPFIND_BODY
+    });
+    if (response.status !== 207) {
+      throw createError(`WebDAV error: ${response.status}`, 'API_ERROR', { status: response.status });
+    }
+
+    const entries = parseMultistatus(await response.text());
+    if (depth === '0') {
+      return entries;
+    }
+    const folderPath = new URL(url).pathname.replace(/\/+$/, '');
+    return entries.filter(entry => decodeURIComponent(entry.href.replace(/^[a-z]+:\/\/[^/]+/i, '').replace(/\/+$/, '')) !== decodeURIComponent(folderPath));
+  }
+
+  /**
+   * Make an authenticated request to the WebDAV server
+   * Network failures and server errors are retried; other statuses are left to the caller.
+   * @param {string} url - Resource URL
+   * @param {Object} options - Request options
+   * @returns {Promise<Response>} Server response
+   */
+  async makeRequest(url, options = {}) {
+    const authorization = await this.authService.getAuthorizationHeader();
+
+    const response = await retryWithBackoff(async () => {
+      const result = await fetch(url, {
+        ...options,
+        headers: {
+          'Authorization': authorization,
+          ...options.headers
+        }
+      });
+      if (result.status >= 500) {
+        throw createError(`WebDAV error: ${result.status}`, 'API_ERROR', { status: result.status });
+      }
+      return result;
+    }, 3, 1000);
+
+    if (response.status === 401) {
+      throw createError('The WebDAV server rejected your password. Please sign in again.', 'AUTH_FAILED', { status: 401 });
+    }
+    return response;
+  }
+
+  /**
+   * Test storage connectivity
+   * @returns {Promise<Object>} Test result
+   */
+  async testConnection() {
+    try {
+      if (!this.folderUrl) {
+        await this.initialize();
+      }
+      const storageInfo = await this.getStorageInfo();
+
+      return {
+        success: true,
+        provider: this.provider,
+        host: new URL(this.serverUrl).host,
+        user: storageInfo.user,
+        folder: storageInfo.folder,
+        available: storageInfo.availableBytes > 0 || storageInfo.totalBytes === 0
+      };
+    } catch (error) {
+      return {
+        success: false,
+        provider: this.provider,
+        error: error.message
+      };
+    }
+  }
+}
@@ -0,0 +1,39 @@
+// XML helpers for storage adapters
+// Service workers have no DOMParser, so the few elements adapters need from WebDAV and S3 responses are read with patterns
+
+/**
+ * Decode the XML entities in element text
+ * @param {string} text - Escaped text
+ * @returns {string} Decoded text
+ */
+export function decodeXml(text) {
+  const named = { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'' };
+  return text.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      return String.fromCodePoint(entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+    }
+    return named[entity.toLowerCase()];
+  });
+}
+
+/**
+ * Find every element with a local name, whatever namespace prefix the server uses
+ * @param {string} xml - XML text
+ * @param {string} name - Local element name
+ * @returns {string[]} Inner XML of each element, empty for self-closing ones
+ */
+export function findElements(xml, name) {
+  const pattern = new RegExp(`<(?:[\\w-]+:)?${name}\\b[^>]*?(?:/>|>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>)`, 'gi');
+  return [...xml.matchAll(pattern)].map(match => match[1] || '');
+}
+
+/**
+ * Read the text of the first element with a local name
+ * @param {string} xml - XML text
+ * @param {string} name - Local element name
+ * @returns {string|null} Decoded text, or null when the element is missing
+ */
+export function readElement(xml, name) {
+  const [content] = findElements(xml, name);
+  return content === undefined ? null : decodeXml(content.trim());
+}
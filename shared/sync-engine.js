@@ -5,10 +5,16 @@ import { TabManager } from './tab-manager.js';
 import { tabSerializer } from './tab-serializer.js';
 import { storageService } from './storage/storage-service.js';
 import { authService } from './auth/auth-service.js';
-import { log, createError, getOrCreateDeviceId, getDeviceMetadata } from './utils.js';
+import { log, createError, getOrCreateDeviceId, getDeviceMetadata, generateDeviceId } from './utils.js';
 import { validateSyncData } from './validation.js';
 import { errorHandler, ErrorCategory, ErrorSeverity, withErrorHandling } from './error-handler.js';
 import { syncHistoryService, SyncStatus, SyncOperationType } from './sync-history-service.js';
+import { isEncryptionError } from './encryption.js';
+import { computeTabDelta, applyTabDelta, isDeltaEmpty, getDeltaSize, replayChangeLog, shouldWriteFullSnapshot, haveWindowLayoutsChanged } from './delta-sync.js';
+import { isSameTabGroup, matchTabGroups, getTabGroupKey } from './tab-groups.js';
+import { threeWayMergeTabs, toBaseTab } from './three-way-merge.js';
+import { tombstoneService, findTombstone, mergeTombstones, pruneTombstones, withoutTombstonedTabs } from './tombstones.js';
+import { sendToDevice } from './send-to-device.js';
 
 /**
  * Sync engine class
@@ -21,8 +27,12 @@ export class SyncEngine {
     this.syncHistory = []; // Legacy - will be replaced by syncHistoryService
     this.deviceId = null;
     this.lastSyncTime = null;
-    this.syncFileName = 'tab-sync-data.json';
+    this.syncFileName = 'tab-sync-data.json'; // Legacy shared file, read only for migration
     this.historyFileName = 'sync-history.json';
+    this.lastUploadKey = 'lastUploadState';
+    this.syncBaseKey = 'syncBase';
+    this.remoteApplyDepth = 0;
+    this.lastRemoteApplyAt = 0;
     this.currentOperationId = null;
   }
 
@@ -266,15 +276,16 @@ export class SyncEngine {
     try {
       log('info', 'Starting upload sync');
 
-      // Get current local tabs
+      // Get current local tabs and the windows they are in
       const localTabs = await this.tabManager.getCurrentTabs();
+      const windows = await this.tabManager.getWindowLayouts();
       
       // Create sync data package
       const syncData = await tabSerializer.createSyncData(localTabs, {
         syncId: syncResult.syncId,
         syncType: 'upload',
         deviceMetadata: await getDeviceMetadata()
-      });
+      }, { windows });
 
       if (options.dryRun) {
         syncResult.operations.push({
@@ -287,23 +298,38 @@ export class SyncEngine {
         return;
       }
 
-      // Store sync data
-      const storeResult = await storageService.store(this.syncFileName, syncData, {
+      // Publish this device's changes, or a full snapshot when one is due
+      const publishResult = await this.publishSyncData(syncData, {
+        forceSnapshot: options.forceOverwrite,
         commitMessage: `Upload sync from ${this.deviceId} - ${new Date().toISOString()}`
       });
 
+      if (publishResult.mode === 'skip') {
+        syncResult.operations.push({
+          type: 'upload',
+          action: 'skip',
+          reason: 'no_changes',
+          tabCount: localTabs.length,
+          timestamp: Date.now()
+        });
+        log('info', 'No tab changes since last upload, skipping');
+        return;
+      }
+
       syncResult.operations.push({
         type: 'upload',
-        action: 'store',
+        action: publishResult.mode === 'delta' ? 'delta' : 'store',
         tabCount: localTabs.length,
-        fileSize: storeResult.size,
-        checksum: storeResult.checksum,
+        changeCount: publishResult.changeCount,
+        fileSize: publishResult.storeResult.size,
+        checksum: publishResult.storeResult.checksum,
         timestamp: Date.now()
       });
 
       log('info', 'Upload sync completed', { 
+        mode: publishResult.mode,
         tabCount: localTabs.length,
-        fileSize: storeResult.size 
+        fileSize: publishResult.storeResult.size 
       });
 
     } catch (error) {
@@ -326,16 +352,18 @@ export class SyncEngine {
     try {
       log('info', 'Starting download sync');
 
-      // Retrieve sync data from storage
-      const retrieveResult = await storageService.retrieve(this.syncFileName);
-      const remoteSyncData = retrieveResult.data;
-
-      // Validate remote sync data
-      const validation = await tabSerializer.validateSyncData(remoteSyncData);
-      if (!validation.isValid) {
-        throw createError('Invalid remote sync data', 'INVALID_REMOTE_DATA', {
-          errors: validation.errors
+      // Retrieve and merge snapshots from the other devices
+      const remoteSyncData = await this.retrieveRemoteSyncData();
+      if (!remoteSyncData) {
+        // No remote data exists yet, this is not an error for first sync
+        log('info', 'No remote sync data found, skipping download');
+        syncResult.operations.push({
+          type: 'download',
+          action: 'skip',
+          reason: 'no_remote_data',
+          timestamp: Date.now()
         });
+        return;
       }
 
       if (options.dryRun) {
@@ -349,9 +377,14 @@ export class SyncEngine {
         return;
       }
 
-      // Apply remote tabs to local browser
-      const applyResult = await this.applyRemoteTabs(remoteSyncData.tabs, {
-        createNewWindow: false,
+      // Tabs closed here since the other devices saw them stay closed, unless everything is replaced
+      const remoteTabs = options.forceOverwrite
+        ? remoteSyncData.tabs
+        : withoutTombstonedTabs(remoteSyncData.tabs, await tombstoneService.getTombstones());
+
+      // Apply remote tabs to local browser, one window per remote window
+      const applyResult = await this.applyRemoteTabs(remoteTabs, {
+        windows: remoteSyncData.windows,
         closeExistingTabs: options.forceOverwrite
       });
 
@@ -372,18 +405,6 @@ export class SyncEngine {
       });
 
     } catch (error) {
-      if (error.message.includes('FILE_NOT_FOUND')) {
-        // No remote data exists yet, this is not an error for first sync
-        log('info', 'No remote sync data found, skipping download');
-        syncResult.operations.push({
-          type: 'download',
-          action: 'skip',
-          reason: 'no_remote_data',
-          timestamp: Date.now()
-        });
-        return;
-      }
-
       syncResult.errors.push({
         type: 'download_error',
         message: error.message,
@@ -405,31 +426,36 @@ export class SyncEngine {
 
       // Get local tabs
       const localTabs = await this.tabManager.getCurrentTabs();
+
+      // Tabs closed here since the last upload get tombstones before anything is merged;
+      // a dry run only previews them
+      const localTombstones = await this.recordClosedTabs(localTabs, { dryRun: options.dryRun });
       
-      // Try to get remote sync data
-      let remoteSyncData = null;
-      try {
-        const retrieveResult = await storageService.retrieve(this.syncFileName);
-        remoteSyncData = retrieveResult.data;
-      } catch (error) {
-        if (error.message.includes('FILE_NOT_FOUND')) {
-          log('info', 'No remote sync data found, performing initial upload');
-          await this.performUpload(syncResult, options);
-          return;
-        }
-        throw error;
+      // With a base from the last sync, each side's changes can be told apart
+      const remoteSnapshots = await this.retrieveRemoteDeviceSnapshots();
+      const syncBase = await this.getSyncBase();
+      if (syncBase && remoteSnapshots.length > 0) {
+        await this.performThreeWayMerge(syncResult, localTabs, remoteSnapshots, syncBase, { ...options, localTombstones });
+        return;
       }
 
-      // Validate remote sync data
-      const validation = await tabSerializer.validateSyncData(remoteSyncData);
-      if (!validation.isValid) {
-        log('warn', 'Invalid remote sync data, performing upload', {
-          errors: validation.errors
-        });
+      // Merge snapshots from the other devices
+      const mergedSyncData = remoteSnapshots.length > 0
+        ? this.mergeDeviceSnapshots(remoteSnapshots)
+        : await this.retrieveLegacySyncData();
+      if (!mergedSyncData) {
+        log('info', 'No remote sync data found, performing initial upload');
         await this.performUpload(syncResult, options);
+        await this.recordSyncBase(remoteSnapshots, options);
         return;
       }
 
+      // Tabs closed here are not reopened from devices that still list them
+      const remoteSyncData = {
+        ...mergedSyncData,
+        tabs: withoutTombstonedTabs(mergedSyncData.tabs, localTombstones)
+      };
+
       // Check for conflicts
       const conflicts = await this.detectConflicts(localTabs, remoteSyncData);
       
@@ -475,6 +501,8 @@ export class SyncEngine {
         }
       }
 
+      await this.recordSyncBase(remoteSnapshots, options);
+
     } catch (error) {
       syncResult.errors.push({
         type: 'bidirectional_error',
@@ -485,6 +513,440 @@ export class SyncEngine {
     }
   }
 
+  /**
+   * Merge local and remote tabs against the base stored at the last sync
+   * Tabs closed, opened, moved or edited on one side are carried over to the other;
+   * only edits both sides made to the same tab are reported as conflicts.
+   * @param {Object} syncResult - Sync result object to update
+   * @param {TabData[]} localTabs - Local tab data
+   * @param {SyncData[]} remoteSnapshots - Snapshots of the other devices
+   * @param {Object} syncBase - Base stored at the last sync
+   * @param {Object} options - Sync options
+   * @param {Tombstone[]} [options.localTombstones] - This device's tombstones, read from storage if not given
+   * @returns {Promise<void>}
+   */
+  async performThreeWayMerge(syncResult, localTabs, remoteSnapshots, syncBase, options = {}) {
+    try {
+      const input = {
+        baseTabs: syncBase.local,
+        localTabs,
+        remotes: remoteSnapshots.map(snapshot => ({
+          deviceId: snapshot.deviceId,
+          tabs: snapshot.tabs,
+          baseTabs: syncBase.devices[snapshot.deviceId]?.tabs || null
+        })),
+        tombstones: mergeTombstones(
+          options.localTombstones || await tombstoneService.getTombstones(),
+          ...remoteSnapshots.map(snapshot => snapshot.tombstones || [])
+        )
+      };
+
+      let merge = threeWayMergeTabs(input);
+      syncResult.conflicts = merge.conflicts;
+
+      if (options.dryRun) {
+        syncResult.operations.push({
+          type: 'three_way_merge',
+          action: 'dry_run',
+          tabCount: merge.tabs.length,
+          conflictCount: merge.conflicts.length,
+          timestamp: Date.now()
+        });
+        return;
+      }
+
+      if (merge.conflicts.length > 0 && options.showConflictUI !== false) {
+        const resolutionChoices = await this.showConflictResolutionUI(merge.conflicts, {
+          localTabs,
+          remoteSyncData: this.mergeDeviceSnapshots(remoteSnapshots),
+          syncResult
+        });
+        if (resolutionChoices) {
+          merge = threeWayMergeTabs(input, resolutionChoices);
+        }
+      }
+
+      const applyResult = await this.applyMergedTabs(merge.tabs, { exact: true });
+
+      // Publish what the browser ended up with rather than the planned merge
+      const mergedTabs = await this.tabManager.getCurrentTabs();
+      const syncData = await tabSerializer.createSyncData(mergedTabs, {
+        syncId: syncResult.syncId,
+        syncType: 'merge',
+        deviceMetadata: await getDeviceMetadata(),
+        mergeMetadata: {
+          conflictsResolved: merge.conflicts.length,
+          mergeStrategy: 'three_way'
+        }
+      }, { windows: await this.tabManager.getWindowLayouts() });
+
+      const publishResult = await this.publishSyncData(syncData, {
+        commitMessage: `Three-way merge from ${this.deviceId} - ${new Date().toISOString()}`
+      });
+
+      await this.saveSyncBase(mergedTabs, remoteSnapshots);
+
+      const { local, remote } = merge.changes;
+      syncResult.operations.push({
+        type: 'three_way_merge',
+        action: publishResult.mode,
+        local: { added: local.added.length, removed: local.removed.length, moved: local.moved.length, updated: local.updated.length },
+        remote: { added: remote.added.length, removed: remote.removed.length, moved: remote.moved.length, updated: remote.updated.length },
+        conflictCount: merge.conflicts.length,
+        created: applyResult.created.length,
+        closed: applyResult.closed.length,
+        tabCount: mergedTabs.length,
+        timestamp: Date.now()
+      });
+
+      log('info', 'Three-way merge completed', {
+        tabCount: mergedTabs.length,
+        remoteRemoved: remote.removed.length,
+        remoteAdded: remote.added.length,
+        conflicts: merge.conflicts.length
+      });
+
+    } catch (error) {
+      log('error', 'Three-way merge failed', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the base stored at the last bidirectional sync
+   * @returns {Promise<Object|null>} Base with local tabs and tabs per remote device, or null
+   */
+  async getSyncBase() {
+    try {
+      const result = await chrome.storage.local.get([this.syncBaseKey]);
+      return result[this.syncBaseKey] || null;
+    } catch (error) {
+      log('warn', 'Failed to load sync base', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Store local tabs and each remote device's tabs as the base for the next merge
+   * @param {TabData[]} localTabs - Local tabs after the sync
+   * @param {SyncData[]} remoteSnapshots - Snapshots of the other devices
+   * @returns {Promise<void>}
+   */
+  async saveSyncBase(localTabs, remoteSnapshots) {
+    try {
+      // Devices missing from this sync keep the base they had
+      const previous = await this.getSyncBase();
+      const devices = { ...(previous?.devices || {}) };
+      for (const snapshot of remoteSnapshots) {
+        devices[snapshot.deviceId] = {
+          timestamp: snapshot.timestamp,
+          tabs: snapshot.tabs.map(toBaseTab)
+        };
+      }
+
+      await chrome.storage.local.set({
+        [this.syncBaseKey]: {
+          timestamp: Date.now(),
+          local: localTabs.map(toBaseTab),
+          devices
+        }
+      });
+    } catch (error) {
+      log('warn', 'Failed to save sync base', { error: error.message });
+    }
+  }
+
+  /**
+   * Drop the base kept for a device that was removed from the device registry
+   * @param {string} deviceId - Device ID
+   * @returns {Promise<void>}
+   */
+  async forgetDeviceBase(deviceId) {
+    const syncBase = await this.getSyncBase();
+    if (!syncBase?.devices?.[deviceId]) {
+      return;
+    }
+
+    const devices = { ...syncBase.devices };
+    delete devices[deviceId];
+    await chrome.storage.local.set({ [this.syncBaseKey]: { ...syncBase, devices } });
+  }
+
+  /**
+   * Store the base after a sync that did not go through the three-way merge
+   * @param {SyncData[]} remoteSnapshots - Snapshots of the other devices
+   * @param {Object} options - Sync options
+   * @returns {Promise<void>}
+   */
+  async recordSyncBase(remoteSnapshots, options = {}) {
+    if (options.dryRun) {
+      return;
+    }
+    await this.saveSyncBase(await this.tabManager.getCurrentTabs(), remoteSnapshots);
+  }
+
+  /**
+   * Leave tombstones for tabs closed since the last upload
+   * @param {TabData[]} localTabs - Current local tabs
+   * @param {Object} options - Options
+   * @param {Object|null} [options.lastUpload] - Last upload state, read from storage if not given
+   * @param {DeviceMetadata} [options.device] - This device, read if not given
+   * @param {boolean} [options.dryRun] - Work out the tombstones without saving them
+   * @returns {Promise<Tombstone[]>} This device's tombstones
+   */
+  async recordClosedTabs(localTabs, options = {}) {
+    const lastUpload = options.lastUpload === undefined ? await this.getLastUploadState() : options.lastUpload;
+    const removedIds = new Set(lastUpload ? computeTabDelta(lastUpload.tabs, localTabs).removed : []);
+    const closedTabs = lastUpload ? lastUpload.tabs.filter(tab => removedIds.has(tab.id)) : [];
+
+    return tombstoneService.recordClosedTabs(closedTabs, localTabs, options.device || await getDeviceMetadata(), {
+      dryRun: options.dryRun
+    });
+  }
+
+  /**
+   * Publish local sync data as a delta against the last upload, or as a full snapshot
+   * @param {SyncData} syncData - Current local sync data
+   * @param {Object} options - Publish options
+   * @param {boolean} [options.forceSnapshot] - Always write a full snapshot
+   * @param {string} [options.commitMessage] - Commit message for the upload
+   * @returns {Promise<Object>} Result with mode ('snapshot', 'delta' or 'skip') and storeResult
+   */
+  async publishSyncData(syncData, options = {}) {
+    const { forceSnapshot = false, commitMessage } = options;
+    const lastUpload = await this.getLastUploadState();
+    syncData.tombstones = await this.recordClosedTabs(syncData.tabs, { lastUpload, device: syncData.metadata });
+
+    if (!forceSnapshot && lastUpload) {
+      const delta = computeTabDelta(lastUpload.tabs, syncData.tabs);
+      const windowsChanged = haveWindowLayoutsChanged(lastUpload.windows, syncData.windows);
+
+      if (isDeltaEmpty(delta) && !windowsChanged) {
+        return { mode: 'skip', changeCount: 0 };
+      }
+
+      if (!shouldWriteFullSnapshot(lastUpload, delta, syncData.tabs.length)) {
+        const entry = {
+          sequence: lastUpload.sequence + 1,
+          syncId: syncData.metadata?.syncId,
+          timestamp: syncData.timestamp,
+          changes: delta
+        };
+        if (windowsChanged) {
+          entry.windows = syncData.windows;
+        }
+        const closed = syncData.tombstones.filter(tombstone => delta.removed.includes(tombstone.id));
+        if (closed.length > 0) {
+          entry.tombstones = closed;
+        }
+
+        let storeResult;
+        try {
+          storeResult = await storageService.appendDeviceChanges(this.deviceId, entry, {
+            baseTimestamp: lastUpload.snapshotTimestamp,
+            tabCount: syncData.tabs.length,
+            commitMessage
+          });
+        } catch (error) {
+          if (error.code !== 'DEVICE_NOT_REGISTERED') {
+            throw error;
+          }
+          // Forgotten on another device while still in use: register again with a full snapshot
+          log('info', 'Device was forgotten elsewhere, uploading a full snapshot');
+          const snapshotResult = await this.storeFullSnapshot(syncData, { commitMessage });
+          return { mode: 'snapshot', changeCount: syncData.tabs.length, storeResult: snapshotResult };
+        }
+
+        // Keep the IDs the remote copy knows so later deltas stay replayable
+        await this.saveLastUploadState({
+          ...lastUpload,
+          tabs: applyTabDelta(lastUpload.tabs, delta),
+          windows: syncData.windows,
+          sequence: entry.sequence,
+          entryCount: lastUpload.entryCount + 1
+        });
+
+        log('info', 'Uploaded tab delta', { sequence: entry.sequence, changes: getDeltaSize(delta) });
+        return { mode: 'delta', changeCount: getDeltaSize(delta), storeResult };
+      }
+    }
+
+    const storeResult = await this.storeFullSnapshot(syncData, { commitMessage });
+    return { mode: 'snapshot', changeCount: syncData.tabs.length, storeResult };
+  }
+
+  /**
+   * Store a full device snapshot and reset the delta baseline
+   * @param {SyncData} syncData - Sync data to store
+   * @param {Object} options - Storage options
+   * @returns {Promise<Object>} Storage result
+   */
+  async storeFullSnapshot(syncData, options = {}) {
+    // The snapshot replaces the change log, so it carries every tombstone still kept
+    const snapshot = syncData.tombstones
+      ? syncData
+      : { ...syncData, tombstones: await tombstoneService.getTombstones() };
+    const storeResult = await storageService.storeDeviceSnapshot(this.deviceId, snapshot, options);
+
+    await this.saveLastUploadState({
+      snapshotTimestamp: syncData.timestamp,
+      tabs: syncData.tabs,
+      windows: syncData.windows,
+      sequence: 0,
+      entryCount: 0
+    });
+
+    return storeResult;
+  }
+
+  /**
+   * Get the state of the last upload from this device
+   * @returns {Promise<Object|null>} Last upload state or null
+   */
+  async getLastUploadState() {
+    try {
+      const result = await chrome.storage.local.get([this.lastUploadKey]);
+      return result[this.lastUploadKey] || null;
+    } catch (error) {
+      log('warn', 'Failed to load last upload state', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Save the state of the last upload from this device
+   * @param {Object} state - Upload state with snapshotTimestamp, tabs, sequence and entryCount
+   * @returns {Promise<void>}
+   */
+  async saveLastUploadState(state) {
+    try {
+      await chrome.storage.local.set({ [this.lastUploadKey]: state });
+    } catch (error) {
+      log('warn', 'Failed to save last upload state', { error: error.message });
+    }
+  }
+
+  /**
+   * Retrieve remote state as a single SyncData merged from all other devices' snapshots
+   * @returns {Promise<SyncData|null>} Merged remote data or null if none exists
+   */
+  async retrieveRemoteSyncData() {
+    const validSnapshots = await this.retrieveRemoteDeviceSnapshots();
+
+    if (validSnapshots.length === 0) {
+      return await this.retrieveLegacySyncData();
+    }
+
+    return this.mergeDeviceSnapshots(validSnapshots);
+  }
+
+  /**
+   * Retrieve the other devices' snapshots with their change logs replayed
+   * @returns {Promise<SyncData[]>} Valid device snapshots
+   */
+  async retrieveRemoteDeviceSnapshots() {
+    const snapshots = await storageService.retrieveDeviceSnapshots({
+      excludeDeviceId: this.deviceId
+    });
+
+    const retentionMs = await tombstoneService.getRetentionMs();
+    const validSnapshots = [];
+    for (const snapshot of snapshots) {
+      const validation = await tabSerializer.validateSyncData(snapshot.data);
+      if (validation.isValid) {
+        // The checksum covers the full snapshot, so changes are replayed after validation
+        const replayed = replayChangeLog(snapshot.data, snapshot.changeLog);
+        // A label set in the device registry replaces the name the device reports
+        const labelled = snapshot.label
+          ? { ...replayed, metadata: { ...replayed.metadata, deviceName: snapshot.label } }
+          : replayed;
+        validSnapshots.push(labelled.tombstones
+          ? { ...labelled, tombstones: pruneTombstones(labelled.tombstones, retentionMs) }
+          : labelled);
+      } else {
+        log('warn', 'Skipping invalid device snapshot', {
+          deviceId: snapshot.deviceId,
+          errors: validation.errors
+        });
+      }
+    }
+
+    // Devices that published a snapshot are the ones tabs can be sent to
+    await sendToDevice.rememberDevices(validSnapshots);
+
+    return validSnapshots;
+  }
+
+  /**
+   * Read the legacy shared sync file written before per-device snapshots
+   * @returns {Promise<SyncData|null>} Legacy sync data or null if absent or invalid
+   */
+  async retrieveLegacySyncData() {
+    try {
+      const retrieveResult = await storageService.retrieve(this.syncFileName);
+      const validation = await tabSerializer.validateSyncData(retrieveResult.data);
+      if (!validation.isValid) {
+        log('warn', 'Ignoring invalid legacy sync data', { errors: validation.errors });
+        return null;
+      }
+      return retrieveResult.data;
+    } catch (error) {
+      if (isEncryptionError(error)) {
+        throw error;
+      }
+      log('info', 'No legacy sync data found', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Merge several device snapshots into one SyncData, newest tab per URL wins
+   * Tabs another device closed after a snapshot was written are left out.
+   * @param {SyncData[]} snapshots - Validated device snapshots
+   * @returns {SyncData} Merged sync data
+   */
+  mergeDeviceSnapshots(snapshots) {
+    const ordered = [...snapshots].sort((a, b) => b.timestamp - a.timestamp);
+    const newest = ordered[0];
+    const tombstones = mergeTombstones(...ordered.map(snapshot => snapshot.tombstones || []));
+    const tabsByUrl = new Map();
+
+    for (const snapshot of ordered) {
+      for (const tab of snapshot.tabs) {
+        const tombstone = findTombstone(tab, tombstones);
+        if (tombstone && tombstone.deviceId !== snapshot.deviceId && tombstone.deletedAt > snapshot.timestamp) {
+          continue;
+        }
+        const existing = tabsByUrl.get(tab.url);
+        if (!existing || tab.timestamp > existing.timestamp) {
+          tabsByUrl.set(tab.url, tab);
+        }
+      }
+    }
+
+    return {
+      version: newest.version,
+      deviceId: newest.deviceId,
+      timestamp: newest.timestamp,
+      tabs: Array.from(tabsByUrl.values()),
+      // Window IDs are per device, so each layout keeps the device it came from
+      windows: ordered.flatMap(snapshot =>
+        (snapshot.windows || []).map(window => ({ ...window, deviceId: snapshot.deviceId }))
+      ),
+      tombstones,
+      metadata: {
+        ...newest.metadata,
+        tabCount: tabsByUrl.size,
+        sourceDevices: ordered.map(snapshot => ({
+          deviceId: snapshot.deviceId,
+          deviceName: snapshot.metadata?.deviceName,
+          timestamp: snapshot.timestamp,
+          tabCount: snapshot.tabs.length
+        }))
+      }
+    };
+  }
+
   /**
    * Perform simple merge when no conflicts exist
    * @param {Object} syncResult - Sync result object
@@ -675,7 +1137,7 @@ export class SyncEngine {
 
       // 2. Tab-level conflict detection
       const tabConflicts = await this.detectTabLevelConflicts(
-        localTabs, remoteTabs
+        localTabs, remoteTabs, remoteSyncData.tombstones
       );
       conflicts.push(...tabConflicts);
 
@@ -697,6 +1159,12 @@ export class SyncEngine {
       );
       conflicts.push(...windowConflicts);
 
+      // 6. Tab group conflicts
+      const groupConflicts = await this.detectTabGroupConflicts(
+        localTabs, remoteTabs
+      );
+      conflicts.push(...groupConflicts);
+
       // Assign severity levels to conflicts
       const prioritizedConflicts = this.prioritizeConflicts(conflicts);
 
@@ -796,10 +1264,34 @@ export class SyncEngine {
    * Detect tab-level conflicts
    * @param {TabData[]} localTabs - Local tab data
    * @param {TabData[]} remoteTabs - Remote tab data
+   * @param {Tombstone[]} [remoteTombstones] - Tabs closed on other devices
    * @returns {Promise<Object[]>} Tab-level conflicts
    */
-  async detectTabLevelConflicts(localTabs, remoteTabs) {
+  async detectTabLevelConflicts(localTabs, remoteTabs, remoteTombstones = []) {
     const conflicts = [];
+    const remoteIds = new Set(remoteTabs.map(tab => tab.id));
+
+    // Tabs still open here that another device closed, unless some device kept them open
+    for (const localTab of localTabs) {
+      const tombstone = findTombstone(localTab, remoteTombstones);
+      if (tombstone && !remoteIds.has(localTab.id)) {
+        const deviceName = tombstone.deviceName || 'another device';
+        conflicts.push({
+          id: `tab_closed_${this.hashUrl(`${localTab.url}|${tombstone.id}`)}`,
+          type: 'tab_metadata',
+          subtype: 'closed_remotely',
+          severity: 2,
+          description: `Tab "${localTab.title}" was closed on ${deviceName}`,
+          url: localTab.url,
+          details: {
+            localTab,
+            remoteTab: null,
+            tombstone
+          },
+          resolutionStrategies: ['remote_wins', 'local_wins']
+        });
+      }
+    }
     
     // Create URL-based maps for efficient lookup
     const localUrlMap = new Map(localTabs.map(tab => [tab.url, tab]));
@@ -1024,6 +1516,75 @@ export class SyncEngine {
     return conflicts;
   }
 
+  /**
+   * Detect tab group renames and membership changes
+   * @param {TabData[]} localTabs - Local tab data
+   * @param {TabData[]} remoteTabs - Remote tab data
+   * @returns {Promise<Object[]>} Tab group conflicts
+   */
+  async detectTabGroupConflicts(localTabs, remoteTabs) {
+    const conflicts = [];
+    const matches = matchTabGroups(localTabs, remoteTabs);
+
+    // Groups sharing tabs on both sides but with a different title or color were renamed
+    for (const { local, remote, sharedUrls } of matches) {
+      if (local.group.title !== remote.group.title || local.group.color !== remote.group.color) {
+        conflicts.push({
+          id: `group_renamed_${this.hashUrl(`${local.key}|${remote.key}`)}`,
+          type: 'structural',
+          subtype: 'group_renamed',
+          severity: 1,
+          description: `Tab group "${local.group.title || 'Untitled'}" is "${remote.group.title || 'Untitled'}" remotely`,
+          details: {
+            localGroup: local.group,
+            remoteGroup: remote.group,
+            sharedUrls
+          },
+          resolutionStrategies: ['local_group', 'remote_group', 'manual']
+        });
+      }
+    }
+
+    // Tabs whose group on one side doesn't correspond to their group on the other moved between groups
+    const remoteKeyForLocal = new Map(matches.map(match => [match.local.key, match.remote.key]));
+    const remoteUrlMap = new Map(remoteTabs.map(tab => [tab.url, tab]));
+    const movedTabs = [];
+
+    for (const localTab of localTabs) {
+      const remoteTab = remoteUrlMap.get(localTab.url);
+      if (!remoteTab || (!localTab.group && !remoteTab.group)) {
+        continue;
+      }
+
+      const localKey = getTabGroupKey(localTab);
+      const expectedRemoteKey = localKey ? remoteKeyForLocal.get(localKey) ?? null : null;
+      if (expectedRemoteKey !== getTabGroupKey(remoteTab)) {
+        movedTabs.push({
+          url: localTab.url,
+          title: localTab.title,
+          localGroup: localTab.group || null,
+          remoteGroup: remoteTab.group || null
+        });
+      }
+    }
+
+    if (movedTabs.length > 0) {
+      conflicts.push({
+        id: `group_membership_${Date.now()}`,
+        type: 'structural',
+        subtype: 'group_membership',
+        severity: 2,
+        description: `${movedTabs.length} tabs are in different groups locally and remotely`,
+        details: {
+          movedTabs
+        },
+        resolutionStrategies: ['local_groups', 'remote_groups', 'manual']
+      });
+    }
+
+    return conflicts;
+  }
+
   /**
    * Compare tab metadata to find differences
    * @param {TabData} localTab - Local tab
@@ -1290,41 +1851,65 @@ export class SyncEngine {
    * @returns {Promise<Object>} Apply result
    */
   async applyRemoteTabs(remoteTabs, options = {}) {
+    this.beginRemoteApply();
     try {
       const {
-        createNewWindow = false,
+        windows = [],
         closeExistingTabs = false
       } = options;
 
-      // Close existing tabs if requested
-      let closedTabs = [];
-      if (closeExistingTabs) {
-        const currentTabs = await this.tabManager.getCurrentTabs();
-        const tabIds = currentTabs.map(tab => tab.chromeTabId).filter(id => id);
-        if (tabIds.length > 0) {
-          await this.tabManager.closeTabs(tabIds);
-          closedTabs = tabIds;
-        }
-      }
+      // Remember the tabs to replace before restoring, since restored windows add tabs
+      const tabsToClose = closeExistingTabs
+        ? (await this.tabManager.getCurrentTabs()).map(tab => tab.chromeTabId).filter(id => id)
+        : [];
 
-      // Create tabs from remote data
-      const createdTabs = await this.tabManager.createTabs(remoteTabs, {
-        createNewWindow,
-        activateFirst: true
-      });
+      // Recreate each remote window with its own tabs
+      const restoreResult = await this.tabManager.restoreWindowLayout(remoteTabs, windows || []);
+
+      // Close old tabs last so the browser never runs out of windows mid-restore
+      if (tabsToClose.length > 0) {
+        await this.tabManager.closeTabs(tabsToClose);
+      }
 
       return {
-        created: createdTabs,
-        closed: closedTabs,
-        errors: []
+        created: restoreResult.created,
+        closed: tabsToClose,
+        windowMap: restoreResult.windowMap,
+        errors: restoreResult.errors
       };
 
     } catch (error) {
       log('error', 'Failed to apply remote tabs', { error: error.message });
       throw error;
+    } finally {
+      this.endRemoteApply();
     }
   }
 
+  /**
+   * Mark the start of browser changes made on behalf of remote data
+   */
+  beginRemoteApply() {
+    this.remoteApplyDepth++;
+  }
+
+  /**
+   * Mark the end of browser changes made on behalf of remote data
+   */
+  endRemoteApply() {
+    this.remoteApplyDepth = Math.max(0, this.remoteApplyDepth - 1);
+    this.lastRemoteApplyAt = Date.now();
+  }
+
+  /**
+   * Check whether tab events are likely caused by sync applying remote tabs
+   * @param {number} graceMs - Time after an apply during which late events are still attributed to it
+   * @returns {boolean} True while remote tabs are being applied
+   */
+  isApplyingRemoteTabs(graceMs = 2000) {
+    return this.remoteApplyDepth > 0 || Date.now() - this.lastRemoteApplyAt < graceMs;
+  }
+
   /**
    * Get sync status
    * @returns {Promise<Object>} Sync status
@@ -1503,12 +2088,9 @@ export class SyncEngine {
       throw error;
     }
   }
-}
 
-// Create singleton instance
-export const syncEngine = new SyncEngine();  /**
-   * 
-Advanced merge engine for conflict resolution
+  /**
+   * Advanced merge engine for conflict resolution
    * @param {Object} syncResult - Sync result object
    * @param {TabData[]} localTabs - Local tab data
    * @param {SyncData} remoteSyncData - Remote sync data
@@ -1568,9 +2150,12 @@ Advanced merge engine for conflict resolution
         localTabs, remoteTabs, mergeResult, options
       );
 
-      // 6. Apply merged tabs to browser if not dry run
+      // 6. Apply merged tabs to browser if not dry run, without reopening closed tabs
       if (!options.dryRun) {
-        const applyResult = await this.applyMergedTabs(finalMergedTabs, options);
+        const applyResult = await this.applyMergedTabs(finalMergedTabs, {
+          ...options,
+          tombstones: mergeTombstones(await tombstoneService.getTombstones(), remoteSyncData.tombstones || [])
+        });
         mergeResult.applyResult = applyResult;
       }
 
@@ -1585,9 +2170,9 @@ Advanced merge engine for conflict resolution
             unresolvedConflicts: mergeResult.unresolvedConflicts.length,
             mergeStrategy: 'advanced'
           }
-        });
+        }, { windows: await this.tabManager.getWindowLayouts() });
 
-        const storeResult = await storageService.store(this.syncFileName, syncData, {
+        const storeResult = await this.storeFullSnapshot(syncData, {
           commitMessage: `Advanced merge from ${this.deviceId} - ${new Date().toISOString()}`
         });
 
@@ -1709,6 +2294,10 @@ Advanced merge engine for conflict resolution
             await this.resolveDuplicateTabConflict(conflict, resolution, mergeResult);
             break;
 
+          case 'closed_remotely':
+            await this.resolveClosedTabConflict(conflict, resolution, mergeResult);
+            break;
+
           default:
             mergeResult.unresolvedConflicts.push(conflict);
             continue;
@@ -1842,6 +2431,41 @@ Advanced merge engine for conflict resolution
     }
   }
 
+  /**
+   * Resolve a conflict over a tab another device closed
+   * @param {Object} conflict - Closed tab conflict
+   * @param {string} resolution - 'remote_wins' closes the tab, 'local_wins' keeps it
+   * @param {Object} mergeResult - Merge result to update
+   * @returns {Promise<void>}
+   */
+  async resolveClosedTabConflict(conflict, resolution, mergeResult) {
+    const { localTab, tombstone } = conflict.details;
+
+    switch (resolution) {
+      case 'remote_wins':
+        mergeResult.mergeOperations.push({
+          type: 'tombstone_resolution',
+          strategy: 'remote_wins',
+          url: conflict.url,
+          closedTab: localTab,
+          closedOn: tombstone.deviceId
+        });
+        break;
+
+      case 'local_wins':
+        mergeResult.mergeOperations.push({
+          type: 'tombstone_resolution',
+          strategy: 'local_wins',
+          url: conflict.url,
+          preservedTab: localTab
+        });
+        break;
+
+      default:
+        throw new Error(`Unknown resolution strategy: ${resolution}`);
+    }
+  }
+
   /**
    * Resolve structural conflicts
    * @param {Object[]} conflicts - Structural conflicts
@@ -1873,6 +2497,15 @@ Advanced merge engine for conflict resolution
             await this.resolveWindowOrganizationConflict(conflict, resolution, mergeResult);
             break;
 
+          case 'group_renamed':
+          case 'group_membership':
+            await this.resolveTabGroupConflict(conflict, resolution, mergeResult);
+            if (resolution === 'manual') {
+              mergeResult.unresolvedConflicts.push(conflict);
+              continue;
+            }
+            break;
+
           default:
             mergeResult.unresolvedConflicts.push(conflict);
             continue;
@@ -1964,6 +2597,7 @@ Advanced merge engine for conflict resolution
     try {
       const mergedTabs = [];
       const processedUrls = new Set();
+      const closedTabs = new Set();
 
       // Apply merge operations to determine final tab set
       for (const operation of mergeResult.mergeOperations) {
@@ -1982,12 +2616,18 @@ Advanced merge engine for conflict resolution
             mergedTabs.push(...operation.keptTabs);
             processedUrls.add(operation.url);
             break;
+
+          case 'tombstone_resolution':
+            if (operation.closedTab) {
+              closedTabs.add(operation.closedTab.id);
+            }
+            break;
         }
       }
 
       // Add remaining tabs that weren't involved in conflicts
       const allTabs = [...localTabs, ...remoteTabs];
-      const remainingTabs = allTabs.filter(tab => !processedUrls.has(tab.url));
+      const remainingTabs = allTabs.filter(tab => !processedUrls.has(tab.url) && !closedTabs.has(tab.id));
       
       // Deduplicate remaining tabs (prefer newer timestamps)
       const urlMap = new Map();
@@ -2000,6 +2640,18 @@ Advanced merge engine for conflict resolution
 
       mergedTabs.push(...urlMap.values());
 
+      // Tab group resolutions override whichever side's tab was kept
+      for (const operation of mergeResult.mergeOperations) {
+        if (operation.type !== 'group_resolution') {
+          continue;
+        }
+        mergedTabs.forEach((tab, index) => {
+          if (operation.urls.includes(tab.url)) {
+            mergedTabs[index] = { ...tab, group: operation.group || null };
+          }
+        });
+      }
+
       // Sort tabs by window and index for consistent ordering
       const sortedTabs = mergedTabs.sort((a, b) => {
         if (a.windowId !== b.windowId) {
@@ -2033,12 +2685,16 @@ Advanced merge engine for conflict resolution
    * @returns {Promise<Object>} Apply result
    */
   async applyMergedTabs(mergedTabs, options = {}) {
+    this.beginRemoteApply();
     try {
       // Get current tabs to determine what needs to be changed
       const currentTabs = await this.tabManager.getCurrentTabs();
       
       // Calculate changes needed
-      const changes = this.calculateTabChanges(currentTabs, mergedTabs);
+      const changes = this.calculateTabChanges(currentTabs, mergedTabs, {
+        exact: options.exact,
+        tombstones: options.tombstones
+      });
       
       // Apply changes
       const applyResult = await this.tabManager.applyTabChanges(changes);
@@ -2055,6 +2711,8 @@ Advanced merge engine for conflict resolution
     } catch (error) {
       log('error', 'Failed to apply merged tabs', { error: error.message });
       throw error;
+    } finally {
+      this.endRemoteApply();
     }
   }
 
@@ -2112,36 +2770,37 @@ Advanced merge engine for conflict resolution
    * Calculate tab changes needed to reach target state
    * @param {TabData[]} currentTabs - Current browser tabs
    * @param {TabData[]} targetTabs - Target tab state
+   * @param {Object} options - Options
+   * @param {boolean} [options.exact=false] - Target lists every tab in local window coordinates,
+   *   so tabs pair up by ID, duplicates are kept apart and tabs are reordered
+   * @param {Tombstone[]} [options.tombstones] - Closed tabs, which are not created again
    * @returns {Object} Changes needed
    */
-  calculateTabChanges(currentTabs, targetTabs) {
+  calculateTabChanges(currentTabs, targetTabs, options = {}) {
     const changes = {
       tabsToCreate: [],
       tabsToClose: [],
-      tabsToUpdate: []
+      tabsToUpdate: [],
+      tabsToRegroup: []
     };
 
-    const currentUrlMap = new Map(currentTabs.map(tab => [tab.url, tab]));
-    const targetUrlMap = new Map(targetTabs.map(tab => [tab.url, tab]));
+    const { pairs, missing, extra } = options.exact
+      ? this.pairTabsById(currentTabs, targetTabs)
+      : this.pairTabsByUrl(currentTabs, targetTabs);
 
     // Find tabs to create (in target but not in current)
-    for (const [url, targetTab] of targetUrlMap) {
-      if (!currentUrlMap.has(url)) {
-        changes.tabsToCreate.push(targetTab);
-      }
-    }
+    changes.tabsToCreate.push(...withoutTombstonedTabs(missing, options.tombstones || []));
 
     // Find tabs to close (in current but not in target)
-    for (const [url, currentTab] of currentUrlMap) {
-      if (!targetUrlMap.has(url) && currentTab.chromeTabId) {
+    for (const currentTab of extra) {
+      if (currentTab.chromeTabId) {
         changes.tabsToClose.push(currentTab.chromeTabId);
       }
     }
 
     // Find tabs to update (different metadata)
-    for (const [url, targetTab] of targetUrlMap) {
-      const currentTab = currentUrlMap.get(url);
-      if (currentTab && currentTab.chromeTabId) {
+    for (const [targetTab, currentTab] of pairs) {
+      if (currentTab.chromeTabId) {
         const updateProperties = {};
         
         if (currentTab.pinned !== targetTab.pinned) {
@@ -2154,12 +2813,125 @@ Advanced merge engine for conflict resolution
             properties: updateProperties
           });
         }
+
+        // Pinned tabs can't be grouped
+        if (!targetTab.pinned && !isSameTabGroup(currentTab.group, targetTab.group)) {
+          changes.tabsToRegroup.push({
+            tabId: currentTab.chromeTabId,
+            windowId: currentTab.windowId,
+            group: targetTab.group || null,
+            sourceKey: getTabGroupKey(targetTab)
+          });
+        }
       }
     }
 
+    if (options.exact) {
+      changes.tabsToMove = this.calculateTabMoves(currentTabs, pairs);
+      // Tabs opened on another device go where the merge placed them among the local ones
+      changes.keepTabPositions = true;
+    }
+
     return changes;
   }
 
+  /**
+   * Pair target tabs with open tabs by URL, one tab per URL on each side
+   * @param {TabData[]} currentTabs - Current browser tabs
+   * @param {TabData[]} targetTabs - Target tab state
+   * @returns {Object} Pairs of [target, current], target tabs missing here and open tabs not in the target
+   */
+  pairTabsByUrl(currentTabs, targetTabs) {
+    const currentUrlMap = new Map(currentTabs.map(tab => [tab.url, tab]));
+    const targetUrlMap = new Map(targetTabs.map(tab => [tab.url, tab]));
+
+    return {
+      pairs: [...targetUrlMap].filter(([url]) => currentUrlMap.has(url)).map(([url, tab]) => [tab, currentUrlMap.get(url)]),
+      missing: [...targetUrlMap].filter(([url]) => !currentUrlMap.has(url)).map(([, tab]) => tab),
+      extra: [...currentUrlMap].filter(([url]) => !targetUrlMap.has(url)).map(([, tab]) => tab)
+    };
+  }
+
+  /**
+   * Pair target tabs with open tabs by logical ID, then by URL
+   * @param {TabData[]} currentTabs - Current browser tabs
+   * @param {TabData[]} targetTabs - Target tab state
+   * @returns {Object} Pairs of [target, current], target tabs missing here and open tabs not in the target
+   */
+  pairTabsById(currentTabs, targetTabs) {
+    const currentById = new Map(currentTabs.map(tab => [tab.id, tab]));
+    const claimed = new Set();
+    const pairs = [];
+    const unpaired = [];
+
+    for (const targetTab of targetTabs) {
+      const currentTab = currentById.get(targetTab.id);
+      if (currentTab && !claimed.has(currentTab)) {
+        pairs.push([targetTab, currentTab]);
+        claimed.add(currentTab);
+      } else {
+        unpaired.push(targetTab);
+      }
+    }
+
+    // Tabs from older versions carry IDs that change on every read
+    const missing = [];
+    for (const targetTab of unpaired) {
+      const currentTab = currentTabs.find(tab => !claimed.has(tab) && tab.url === targetTab.url);
+      if (currentTab) {
+        pairs.push([targetTab, currentTab]);
+        claimed.add(currentTab);
+      } else {
+        missing.push(targetTab);
+      }
+    }
+
+    return { pairs, missing, extra: currentTabs.filter(tab => !claimed.has(tab)) };
+  }
+
+  /**
+   * Calculate moves that put existing tabs in their target window and order
+   * Moves are listed in target order, so applying them one by one leaves each window ordered.
+   * @param {TabData[]} currentTabs - Current browser tabs
+   * @param {Array[]} pairs - Pairs of [target, current] with targets in local window coordinates
+   * @returns {Object[]} Moves with tabId, windowId and index
+   */
+  calculateTabMoves(currentTabs, pairs) {
+    const currentWindowIds = new Set(currentTabs.map(tab => tab.windowId));
+    const pairsByWindow = new Map();
+    for (const pair of pairs) {
+      const windowId = pair[0].windowId;
+      if (!pairsByWindow.has(windowId)) {
+        pairsByWindow.set(windowId, []);
+      }
+      pairsByWindow.get(windowId).push(pair);
+    }
+
+    const moves = [];
+    for (const [windowId, windowPairs] of pairsByWindow) {
+      if (!currentWindowIds.has(windowId)) {
+        continue;
+      }
+
+      // Tabs still to be created are appended after these, so only existing tabs are placed
+      const placed = windowPairs
+        .sort(([a], [b]) => a.index - b.index)
+        .map(([, currentTab]) => currentTab)
+        .filter(tab => tab.chromeTabId);
+      const currentOrder = currentTabs
+        .filter(tab => tab.windowId === windowId && placed.includes(tab))
+        .sort((a, b) => a.index - b.index);
+
+      if (placed.some((tab, index) => currentOrder[index] !== tab)) {
+        placed.forEach((tab, index) => {
+          moves.push({ tabId: tab.chromeTabId, windowId, index });
+        });
+      }
+    }
+
+    return moves;
+  }
+
   /**
    * Reassign tab indices for consistent ordering
    * @param {TabData[]} tabs - Tabs to reassign indices
@@ -2196,13 +2968,16 @@ Advanced merge engine for conflict resolution
       },
       tab_metadata: {
         modified: 'merge_metadata',
-        duplicate: 'keep_newest'
+        duplicate: 'keep_newest',
+        closed_remotely: 'remote_wins'
       },
       structural: {
         window_count: 'merge_windows',
         tab_order: 'local_order',
         pinned_status: 'keep_pinned',
-        window_organization: 'local_organization'
+        window_organization: 'local_organization',
+        group_renamed: 'local_group',
+        group_membership: 'local_groups'
       },
       device: {
         same_device_id: 'regenerate_device_id',
@@ -2396,6 +3171,40 @@ Advanced merge engine for conflict resolution
     }
   }
 
+  /**
+   * Resolve tab group rename or membership conflict
+   * @param {Object} conflict - Tab group conflict
+   * @param {string} resolution - Resolution strategy
+   * @param {Object} mergeResult - Merge result to update
+   * @returns {Promise<void>}
+   */
+  async resolveTabGroupConflict(conflict, resolution, mergeResult) {
+    // Manual leaves this device's groups as they are until the user picks a side
+    const useRemote = resolution === 'remote_group' || resolution === 'remote_groups';
+    if (!useRemote && !['local_group', 'local_groups', 'manual'].includes(resolution)) {
+      throw new Error(`Unknown tab group resolution: ${resolution}`);
+    }
+
+    if (conflict.subtype === 'group_renamed') {
+      mergeResult.mergeOperations.push({
+        type: 'group_resolution',
+        strategy: resolution,
+        urls: conflict.details.sharedUrls,
+        group: useRemote ? conflict.details.remoteGroup : conflict.details.localGroup
+      });
+      return;
+    }
+
+    for (const movedTab of conflict.details.movedTabs) {
+      mergeResult.mergeOperations.push({
+        type: 'group_resolution',
+        strategy: resolution,
+        urls: [movedTab.url],
+        group: useRemote ? movedTab.remoteGroup : movedTab.localGroup
+      });
+    }
+  }
+
   /**
    * Merge tab orders intelligently
    * @param {string[]} localOrder - Local tab order
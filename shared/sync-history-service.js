@@ -449,6 +449,31 @@ export class SyncHistoryService {
     };
   }
 
+  /**
+   * Count failed operations since the most recent successful one
+   * @param {Object} options - Filter options
+   * @param {string} [options.trigger] - Only count operations started by this trigger
+   * @returns {number} Number of consecutive failures
+   */
+  getConsecutiveFailures(options = {}) {
+    const { trigger = null } = options;
+
+    const finished = this.history
+      .filter(op => op.status === SyncStatus.COMPLETED || op.status === SyncStatus.FAILED)
+      .filter(op => !trigger || op.metadata?.trigger === trigger)
+      .sort((a, b) => b.startTime - a.startTime);
+
+    let failures = 0;
+    for (const operation of finished) {
+      if (operation.status !== SyncStatus.FAILED) {
+        break;
+      }
+      failures++;
+    }
+
+    return failures;
+  }
+
   /**
    * Get current sync statistics
    * @returns {Object} Sync statistics
@@ -0,0 +1,276 @@
+// Selective sync rules for Tab Sync Extension
+// Decides which tabs are uploaded, from the allow and deny lists set on the options page
+
+import { log, createError } from './utils.js';
+
+export const RULE_ACTIONS = ['include', 'exclude'];
+export const RULE_TYPES = ['domain', 'glob', 'regex', 'pinned', 'window'];
+
+/**
+ * Generate a rule ID
+ * @returns {string} Rule ID
+ */
+export function generateRuleId() {
+  const timestamp = Date.now().toString(36);
+  const random = Math.random().toString(36).substr(2, 8) || '0';
+  return `rule-${timestamp}-${random}`;
+}
+
+/**
+ * Turn a glob into a regular expression matching whole URLs
+ * '*' matches any run of characters and '?' matches one character.
+ * @param {string} glob - Glob pattern
+ * @returns {RegExp} Regular expression
+ */
+export function globToRegExp(glob) {
+  const source = glob
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\/]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Validate a sync rule
+ * @param {SyncRule} rule - Rule to validate
+ * @returns {ValidationResult} Validation result
+ */
+export function validateSyncRule(rule) {
+  const errors = [];
+
+  if (!rule || typeof rule !== 'object') {
+    return { isValid: false, errors: ['Rule must be an object'], warnings: [] };
+  }
+
+  if (!RULE_ACTIONS.includes(rule.action)) {
+    errors.push(`Rule action must be one of ${RULE_ACTIONS.join(', ')}`);
+  }
+
+  if (!RULE_TYPES.includes(rule.type)) {
+    errors.push(`Rule type must be one of ${RULE_TYPES.join(', ')}`);
+  } else if (rule.type === 'window') {
+    if (!Number.isInteger(Number(rule.value)) || rule.value === '' || rule.value === null) {
+      errors.push('Window rules need a window ID');
+    }
+  } else if (rule.type !== 'pinned') {
+    if (typeof rule.value !== 'string' || !rule.value.trim()) {
+      errors.push(`A ${rule.type} rule needs a value`);
+    } else if (rule.type === 'regex') {
+      try {
+        new RegExp(rule.value);
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+  }
+
+  return { isValid: errors.length === 0, errors, warnings: [] };
+}
+
+/**
+ * Build a matcher for a rule
+ * @param {SyncRule} rule - Valid rule
+ * @returns {Function} Function taking a tab and returning whether the rule matches it
+ */
+function createMatcher(rule) {
+  switch (rule.type) {
+    case 'domain': {
+      const domain = rule.value.trim().toLowerCase().replace(/^\*?\./, '');
+      return tab => {
+        const hostname = getHostname(tab.url);
+        return hostname === domain || hostname.endsWith(`.${domain}`);
+      };
+    }
+    case 'glob': {
+      const pattern = globToRegExp(rule.value.trim());
+      return tab => pattern.test(tab.url || '');
+    }
+    case 'regex': {
+      const pattern = new RegExp(rule.value, 'i');
+      return tab => pattern.test(tab.url || '');
+    }
+    case 'pinned':
+      return tab => Boolean(tab.pinned);
+    case 'window': {
+      const windowId = Number(rule.value);
+      return tab => tab.windowId === windowId;
+    }
+    default:
+      return () => false;
+  }
+}
+
+/**
+ * Get the lowercase hostname of a URL
+ * @param {string} url - URL
+ * @returns {string} Hostname, or an empty string if the URL cannot be parsed
+ */
+function getHostname(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Compile enabled rules, skipping invalid ones
+ * @param {SyncRule[]} rules - Rules
+ * @returns {Object[]} Compiled rules as { rule, matches }
+ */
+export function compileSyncRules(rules = []) {
+  const compiled = [];
+  for (const rule of rules) {
+    if (rule?.enabled === false) {
+      continue;
+    }
+
+    const validation = validateSyncRule(rule);
+    if (!validation.isValid) {
+      log('warn', 'Skipping invalid sync rule', { ruleId: rule?.id, errors: validation.errors });
+      continue;
+    }
+    compiled.push({ rule, matches: createMatcher(rule) });
+  }
+  return compiled;
+}
+
+/**
+ * Decide whether a tab is synced
+ * Deny rules win over allow rules. Once any allow rule exists, only tabs matching one are synced.
+ * @param {Object} tab - Tab with url, pinned and windowId
+ * @param {Object[]} compiled - Rules from compileSyncRules
+ * @returns {Object} Result with included, and the rule and reason when the tab is excluded
+ */
+export function evaluateTab(tab, compiled) {
+  const denied = compiled.find(entry => entry.rule.action === 'exclude' && entry.matches(tab));
+  if (denied) {
+    return { included: false, rule: denied.rule, reason: 'excluded' };
+  }
+
+  const allowRules = compiled.filter(entry => entry.rule.action === 'include');
+  if (allowRules.length > 0 && !allowRules.some(entry => entry.matches(tab))) {
+    return { included: false, rule: null, reason: 'not_included' };
+  }
+
+  return { included: true, rule: null, reason: null };
+}
+
+/**
+ * Split tabs into the ones synced and the ones the rules exclude
+ * @param {Object[]} tabs - Tabs with url, pinned and windowId
+ * @param {SyncRule[]} rules - Rules
+ * @returns {Object} Result with included tabs and excluded entries as { tab, rule, reason }
+ */
+export function applySyncRules(tabs, rules = []) {
+  const compiled = compileSyncRules(rules);
+  if (compiled.length === 0) {
+    return { included: tabs, excluded: [] };
+  }
+
+  const included = [];
+  const excluded = [];
+  for (const tab of tabs) {
+    const result = evaluateTab(tab, compiled);
+    if (result.included) {
+      included.push(tab);
+    } else {
+      excluded.push({ tab, rule: result.rule, reason: result.reason });
+    }
+  }
+  return { included, excluded };
+}
+
+/**
+ * Sync rules service
+ * Keeps the rules in the sync settings.
+ */
+export class SyncRulesService {
+  /**
+   * Get the saved rules
+   * @returns {Promise<SyncRule[]>} Rules, empty if none are saved
+   */
+  async getRules() {
+    try {
+      const storage = await chrome.storage.local.get(['syncSettings']);
+      return storage?.syncSettings?.syncRules || [];
+    } catch (error) {
+      log('warn', 'Failed to load sync rules', { error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Validate and save rules
+   * @param {SyncRule[]} rules - Rules
+   * @returns {Promise<SyncRule[]>} Saved rules
+   */
+  async saveRules(rules) {
+    if (!Array.isArray(rules)) {
+      throw createError('Sync rules must be an array', 'INVALID_SYNC_RULES');
+    }
+
+    const saved = rules.map(rule => ({
+      id: rule.id || generateRuleId(),
+      action: rule.action,
+      type: rule.type,
+      ...(rule.type !== 'pinned' && { value: rule.type === 'window' ? Number(rule.value) : String(rule.value).trim() }),
+      enabled: rule.enabled !== false
+    }));
+
+    saved.forEach((rule, index) => {
+      const validation = validateSyncRule(rule);
+      if (!validation.isValid) {
+        throw createError(`Rule ${index + 1}: ${validation.errors.join(', ')}`, 'INVALID_SYNC_RULES', { rule });
+      }
+    });
+
+    const storage = await chrome.storage.local.get(['syncSettings']);
+    await chrome.storage.local.set({
+      syncSettings: { ...(storage.syncSettings || {}), syncRules: saved }
+    });
+
+    log('info', 'Sync rules saved', { count: saved.length });
+    return saved;
+  }
+
+  /**
+   * Show which open tabs rules would exclude
+   * @param {SyncRule[]} [rules] - Rules to try, defaults to the saved rules
+   * @returns {Promise<Object>} Preview with the open windows, tab counts and the excluded tabs
+   */
+  async previewRules(rules = null) {
+    const windows = await chrome.windows.getAll({ populate: true });
+    const tabs = windows
+      .filter(window => !window.incognito)
+      .flatMap(window => window.tabs || []);
+    const result = applySyncRules(tabs, rules || await this.getRules());
+
+    return {
+      windows: windows
+        .filter(window => !window.incognito)
+        .map((window, index) => ({
+          id: window.id,
+          label: `Window ${index + 1}`,
+          tabCount: (window.tabs || []).length,
+          activeTitle: (window.tabs || []).find(tab => tab.active)?.title || ''
+        })),
+      totalCount: tabs.length,
+      includedCount: result.included.length,
+      excluded: result.excluded.map(({ tab, rule, reason }) => ({
+        url: tab.url,
+        title: tab.title || tab.url,
+        windowId: tab.windowId,
+        ruleId: rule?.id || null,
+        reason
+      }))
+    };
+  }
+}
+
+// Create singleton instance
+export const syncRulesService = new SyncRulesService();
@@ -0,0 +1,238 @@
+// Periodic sync scheduler for Tab Sync Extension
+// Uses chrome.alarms so scheduled syncs survive service worker suspension
+
+import { log } from './utils.js';
+import { syncHistoryService } from './sync-history-service.js';
+
+export const PERIODIC_SYNC_ALARM = 'tab-sync-periodic';
+export const DEFAULT_INTERVAL_MINUTES = 30;
+export const MIN_INTERVAL_MINUTES = 1;
+export const MAX_BACKOFF_MINUTES = 24 * 60;
+export const IDLE_DETECTION_SECONDS = 5 * 60;
+
+/**
+ * Alarm-backed periodic sync scheduler
+ */
+export class SyncScheduler {
+  constructor() {
+    this.stateKey = 'syncSchedulerState';
+    this.onTrigger = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Set the function that performs a scheduled sync
+   * @param {Function} onTrigger - Async function called when a sync is due
+   */
+  setTriggerHandler(onTrigger) {
+    this.onTrigger = onTrigger;
+  }
+
+  /**
+   * Create, update or clear the alarm to match the current settings
+   * @returns {Promise<Object>} Scheduler status
+   */
+  async configure() {
+    const settings = await this.getSettings();
+
+    if (!settings.enabled) {
+      await chrome.alarms.clear(PERIODIC_SYNC_ALARM);
+      log('info', 'Periodic sync disabled');
+      return await this.getStatus();
+    }
+
+    // Alarms persist across worker restarts; only replace one whose interval changed
+    const existing = await chrome.alarms.get(PERIODIC_SYNC_ALARM);
+    if (!existing || existing.periodInMinutes !== settings.intervalMinutes) {
+      await this.scheduleNext(settings);
+    }
+
+    return await this.getStatus();
+  }
+
+  /**
+   * Schedule the next run, delayed by backoff after repeated failures
+   * @param {Object} [settings] - Scheduler settings, loaded if omitted
+   * @returns {Promise<number>} Delay in minutes until the next run
+   */
+  async scheduleNext(settings = null) {
+    settings = settings || await this.getSettings();
+    if (!settings.enabled) {
+      return null;
+    }
+
+    const failures = await this.getConsecutiveFailures();
+    const delayInMinutes = this.calculateDelay(settings.intervalMinutes, failures);
+
+    // The period is a fallback in case the worker dies before rescheduling
+    await chrome.alarms.create(PERIODIC_SYNC_ALARM, {
+      delayInMinutes,
+      periodInMinutes: settings.intervalMinutes
+    });
+
+    log('info', 'Periodic sync scheduled', {
+      intervalMinutes: settings.intervalMinutes,
+      delayInMinutes,
+      consecutiveFailures: failures
+    });
+
+    return delayInMinutes;
+  }
+
+  /**
+   * Calculate the delay before the next run
+   * @param {number} intervalMinutes - Configured interval
+   * @param {number} failures - Consecutive failed syncs
+   * @returns {number} Delay in minutes
+   */
+  calculateDelay(intervalMinutes, failures) {
+    if (failures <= 0) {
+      return intervalMinutes;
+    }
+    return Math.min(intervalMinutes * Math.pow(2, failures), Math.max(MAX_BACKOFF_MINUTES, intervalMinutes));
+  }
+
+  /**
+   * Handle chrome.alarms.onAlarm
+   * @param {chrome.alarms.Alarm} alarm - Fired alarm
+   * @returns {Promise<void>}
+   */
+  async handleAlarm(alarm) {
+    if (alarm.name !== PERIODIC_SYNC_ALARM) {
+      return;
+    }
+
+    const idleState = await this.queryIdleState();
+    if (idleState !== 'active') {
+      // Nothing changes while the user is away; sync once they return
+      await this.saveState({ skippedWhileIdle: true });
+      log('info', 'Periodic sync deferred while idle', { idleState });
+      return;
+    }
+
+    await this.run();
+  }
+
+  /**
+   * Handle chrome.idle.onStateChanged
+   * @param {string} state - New idle state
+   * @returns {Promise<void>}
+   */
+  async handleIdleStateChange(state) {
+    if (state !== 'active') {
+      return;
+    }
+
+    const schedulerState = await this.getState();
+    if (schedulerState.skippedWhileIdle) {
+      log('info', 'Running periodic sync deferred while idle');
+      await this.run();
+    }
+  }
+
+  /**
+   * Run a scheduled sync and schedule the next one
+   * @returns {Promise<void>}
+   */
+  async run() {
+    if (this.isRunning || !this.onTrigger) {
+      return;
+    }
+
+    this.isRunning = true;
+    try {
+      await this.saveState({ skippedWhileIdle: false, lastRunAt: Date.now() });
+      await this.onTrigger();
+    } catch (error) {
+      log('error', 'Periodic sync failed', { error: error.message });
+    } finally {
+      this.isRunning = false;
+      await this.scheduleNext();
+    }
+  }
+
+  /**
+   * Query the idle state, treating a missing idle API as active
+   * @returns {Promise<string>} 'active', 'idle' or 'locked'
+   */
+  async queryIdleState() {
+    try {
+      return await chrome.idle.queryState(IDLE_DETECTION_SECONDS);
+    } catch (error) {
+      return 'active';
+    }
+  }
+
+  /**
+   * Get scheduler status for display
+   * @returns {Promise<Object>} Status with enabled flag and next run time
+   */
+  async getStatus() {
+    const settings = await this.getSettings();
+    const alarm = await chrome.alarms.get(PERIODIC_SYNC_ALARM);
+    const state = await this.getState();
+
+    return {
+      enabled: settings.enabled,
+      intervalMinutes: settings.intervalMinutes,
+      nextRunAt: alarm?.scheduledTime || null,
+      lastRunAt: state.lastRunAt || null,
+      skippedWhileIdle: state.skippedWhileIdle === true,
+      consecutiveFailures: await this.getConsecutiveFailures()
+    };
+  }
+
+  /**
+   * Count failed periodic syncs since the last successful one
+   * @returns {Promise<number>} Number of consecutive periodic failures
+   */
+  async getConsecutiveFailures() {
+    // The worker may have restarted, leaving the in-memory history empty
+    if (!syncHistoryService.initialized) {
+      await syncHistoryService.initialize();
+    }
+
+    // Manual and live syncs failing should not delay the schedule
+    return syncHistoryService.getConsecutiveFailures({ trigger: 'periodic' });
+  }
+
+  /**
+   * Read periodic sync settings saved by the options page
+   * @returns {Promise<Object>} Settings with enabled flag and interval in minutes
+   */
+  async getSettings() {
+    const storage = await chrome.storage.local.get(['syncSettings']);
+    const settings = storage.syncSettings || {};
+    const intervalMinutes = Math.max(
+      MIN_INTERVAL_MINUTES,
+      Number(settings.periodicSyncInterval) || DEFAULT_INTERVAL_MINUTES
+    );
+
+    return {
+      enabled: settings.periodicSyncEnabled === true,
+      intervalMinutes
+    };
+  }
+
+  /**
+   * Get persisted scheduler state
+   * @returns {Promise<Object>} Scheduler state
+   */
+  async getState() {
+    const storage = await chrome.storage.local.get([this.stateKey]);
+    return storage[this.stateKey] || {};
+  }
+
+  /**
+   * Merge updates into persisted scheduler state
+   * @param {Object} updates - State fields to update
+   * @returns {Promise<void>}
+   */
+  async saveState(updates) {
+    const state = await this.getState();
+    await chrome.storage.local.set({ [this.stateKey]: { ...state, ...updates } });
+  }
+}
+
+// Create singleton instance
+export const syncScheduler = new SyncScheduler();
@@ -0,0 +1,526 @@
+// Import and export formats for Tab Sync Extension
+// Reads and writes tab lists used by other tab managers: OneTab, Session Buddy, Netscape bookmarks and Markdown
+
+import { log, createError, getOrCreateDeviceId } from './utils.js';
+import { validateTabArray } from './validation.js';
+import { TabManager } from './tab-manager.js';
+import { syncEngine } from './sync-engine.js';
+import { tabSerializer } from './tab-serializer.js';
+import { sessionService } from './session-service.js';
+import { isSendableUrl } from './send-to-device.js';
+import { bookmarkService, buildBookmarkTree, readBookmarkFolder, isPinnedFolder, PINNED_FOLDER_TITLE } from './bookmarks.js';
+
+export const TAB_FORMATS = {
+  onetab: { label: 'OneTab', extension: 'txt', mimeType: 'text/plain' },
+  'session-buddy': { label: 'Session Buddy', extension: 'json', mimeType: 'application/json' },
+  netscape: { label: 'Netscape bookmarks', extension: 'html', mimeType: 'text/html' },
+  markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' }
+};
+
+export const IMPORT_DESTINATIONS = ['session', 'cloud'];
+
+const PINNED_MARKER = '📌';
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ' };
+
+/**
+ * Guess the format of an imported file from its contents
+ * @param {string} text - File contents
+ * @returns {string} Format key
+ */
+export function detectFormat(text) {
+  const trimmed = text.trim();
+
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    return 'session-buddy';
+  }
+  if (/<!DOCTYPE\s+NETSCAPE-Bookmark-file/i.test(trimmed) || /<a\s[^>]*href\s*=/i.test(trimmed)) {
+    return 'netscape';
+  }
+  if (/\[[^\]]*\]\([^)]+\)/.test(trimmed) || /^#{1,6}\s/m.test(trimmed)) {
+    return 'markdown';
+  }
+  return 'onetab';
+}
+
+/**
+ * Parse OneTab's plain text export, one "URL | Title" line per tab and a blank line between groups
+ * @param {string} text - File contents
+ * @returns {Object[]} Groups of { url, title, pinned } entries
+ */
+export function parseOneTab(text) {
+  const groups = [{ entries: [] }];
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line) {
+      if (groups[groups.length - 1].entries.length > 0) {
+        groups.push({ entries: [] });
+      }
+      continue;
+    }
+
+    const separator = line.indexOf(' | ');
+    const url = separator >= 0 ? line.substring(0, separator).trim() : line;
+    const title = separator >= 0 ? line.substring(separator + 3).trim() : '';
+    groups[groups.length - 1].entries.push({ url, title, pinned: false });
+  }
+
+  return groups;
+}
+
+/**
+ * Parse a Session Buddy JSON export
+ * Both session exports (sessions → windows → tabs) and collection exports
+ * (collections → folders → links) are read; every window or folder becomes a group.
+ * @param {string} text - File contents
+ * @returns {Object} Groups and the first session or collection name
+ */
+export function parseSessionBuddy(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw createError('The file is not valid JSON', 'INVALID_IMPORT', { error: error.message });
+  }
+
+  const containers = Array.isArray(data) ? data : (data.sessions || data.collections || [data]);
+  const groups = [];
+  let title = '';
+
+  for (const container of containers) {
+    title = title || container.name || container.title || '';
+    for (const window of container.windows || container.folders || []) {
+      groups.push({
+        title: window.title || '',
+        entries: (window.tabs || window.links || []).map(tab => ({
+          url: tab.url,
+          title: tab.title || '',
+          pinned: tab.pinned === true
+        }))
+      });
+    }
+  }
+
+  return { groups, title };
+}
+
+/**
+ * Parse a Netscape bookmark file, the HTML format every browser imports and exports
+ * @param {string} text - File contents
+ * @returns {Object} Folder tree with bookmarks as { title, url, dateAdded } and folders as { title, children }
+ */
+export function parseNetscapeBookmarks(text) {
+  const root = { title: '', children: [] };
+  const stack = [root];
+  let pending = null;
+  let opened = false;
+
+  const pattern = /<DT>\s*<H3\b[^>]*>([\s\S]*?)<\/H3>|<DT>\s*<A\b([^>]*)>([\s\S]*?)<\/A>|<DL\b[^>]*>|<\/DL>/gi;
+  for (const match of text.matchAll(pattern)) {
+    const current = stack[stack.length - 1];
+
+    if (match[1] !== undefined) {
+      pending = { title: decodeHtml(stripTags(match[1])), children: [] };
+      current.children.push(pending);
+    } else if (match[2] !== undefined) {
+      const href = readAttribute(match[2], 'HREF');
+      if (href) {
+        const addDate = parseInt(readAttribute(match[2], 'ADD_DATE'), 10);
+        current.children.push({
+          title: decodeHtml(stripTags(match[3])),
+          url: href,
+          ...(addDate > 0 && { dateAdded: addDate * 1000 })
+        });
+      }
+      pending = null;
+    } else if (match[0][1] !== '/') {
+      // The first list is the root; a list without a heading stays in its parent folder
+      if (pending) {
+        stack.push(pending);
+      } else if (opened) {
+        stack.push(current);
+      }
+      pending = null;
+      opened = true;
+    } else {
+      pending = null;
+      if (stack.length > 1) {
+        stack.pop();
+      }
+    }
+  }
+
+  // Browser exports wrap everything in a single folder such as "Bookmarks bar"
+  let folder = root;
+  while (folder.children.length === 1 && folder.children[0].children && !isPinnedFolder(folder.children[0])) {
+    folder = folder.children[0];
+  }
+  return folder;
+}
+
+/**
+ * Parse a Markdown link list
+ * Headings start a new group, and links marked with a pin are pinned tabs.
+ * @param {string} text - File contents
+ * @returns {Object[]} Groups of { url, title, pinned } entries
+ */
+export function parseMarkdown(text) {
+  const groups = [{ entries: [] }];
+  const linkPattern = /\[((?:\\.|[^\]\\])*)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    const heading = line.match(/^#{1,6}\s+(.*)$/);
+    if (heading) {
+      const group = groups[groups.length - 1];
+      if (group.entries.length > 0) {
+        groups.push({ title: heading[1].trim(), entries: [] });
+      } else {
+        group.title = heading[1].trim();
+      }
+      continue;
+    }
+
+    const pinned = line.replace(/^[-*+]\s+/, '').startsWith(PINNED_MARKER);
+    const links = [...line.matchAll(linkPattern)];
+    if (links.length > 0) {
+      for (const [, title, url] of links) {
+        groups[groups.length - 1].entries.push({ url, title: title.replace(/\\(.)/g, '$1'), pinned });
+      }
+      continue;
+    }
+
+    const bare = line.match(/^(?:[-*+]\s+)?(?:📌\s*)?<?(https?:\/\/[^\s>]+)>?$/);
+    if (bare) {
+      groups[groups.length - 1].entries.push({ url: bare[1], title: '', pinned });
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * Parse an imported file into tabs and windows
+ * @param {string} text - File contents
+ * @param {string} format - Format key, or 'auto' to detect it
+ * @param {string} deviceId - Device the tabs are created for
+ * @returns {Object} Format, suggested name, tabs, windows, skipped entry count and validation warnings
+ */
+export function parseTabs(text, format, deviceId) {
+  const resolved = !format || format === 'auto' ? detectFormat(text) : format;
+  if (!TAB_FORMATS[resolved]) {
+    throw createError(`Unknown import format: ${format}`, 'INVALID_IMPORT_FORMAT');
+  }
+
+  let folder;
+  let title = '';
+  if (resolved === 'netscape') {
+    folder = parseNetscapeBookmarks(text);
+    title = folder.title;
+  } else {
+    const parsed = resolved === 'session-buddy'
+      ? parseSessionBuddy(text)
+      : { groups: resolved === 'markdown' ? parseMarkdown(text) : parseOneTab(text) };
+    folder = groupsToFolder(parsed.groups);
+    title = parsed.title || '';
+  }
+
+  const { tabs, windows } = readBookmarkFolder(folder, deviceId);
+  if (tabs.length === 0) {
+    throw createError(`No web pages found in the ${TAB_FORMATS[resolved].label} file`, 'EMPTY_IMPORT', { format: resolved });
+  }
+
+  const validation = validateTabArray(tabs);
+  if (!validation.isValid) {
+    throw createError('The imported tabs are not valid', 'INVALID_IMPORT', { format: resolved, errors: validation.errors });
+  }
+
+  return {
+    format: resolved,
+    title,
+    tabs,
+    windows,
+    skippedCount: countBookmarks(folder) - tabs.length,
+    warnings: validation.warnings
+  };
+}
+
+/**
+ * Write tabs in one of the supported formats
+ * @param {TabData[]} tabs - Tabs
+ * @param {WindowLayout[]} windows - Window layouts, used for window order
+ * @param {string} format - Format key
+ * @param {Object} [options] - Export options
+ * @param {string} [options.name] - Name of the session or device being exported
+ * @returns {string} File contents
+ */
+export function formatTabs(tabs, windows, format, options = {}) {
+  const { name = 'Tab Sync' } = options;
+  const tree = buildBookmarkTree(tabs, windows);
+
+  // Pinned tabs sit in a subfolder of the bookmark tree; the other formats mark each tab instead
+  const groups = tree.map(window => ({
+    title: window.title,
+    entries: window.children.flatMap(child => (child.children
+      ? child.children.map(bookmark => ({ ...bookmark, pinned: true }))
+      : [{ ...child, pinned: false }]))
+  }));
+
+  switch (format) {
+    case 'onetab':
+      return groups
+        .map(group => group.entries.map(entry => `${entry.url} | ${entry.title.replace(/\s+/g, ' ')}`).join('\n'))
+        .join('\n\n') + '\n';
+
+    case 'session-buddy':
+      return JSON.stringify({
+        format: 'nxs.json.v1',
+        created: new Date().toISOString(),
+        sessions: [{
+          name,
+          type: 'saved',
+          windows: groups.map(group => ({
+            tabs: group.entries.map(entry => ({ url: entry.url, title: entry.title, pinned: entry.pinned }))
+          }))
+        }]
+      }, null, 2);
+
+    case 'netscape': {
+      const render = (nodes, depth) => nodes.map(node => {
+        const indent = '    '.repeat(depth);
+        return node.children
+          ? `${indent}<DT><H3>${encodeHtml(node.title)}</H3>\n${indent}<DL><p>\n${render(node.children, depth + 1)}${indent}</DL><p>\n`
+          : `${indent}<DT><A HREF="${encodeHtml(node.url)}">${encodeHtml(node.title)}</A>\n`;
+      }).join('');
+
+      return [
+        '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+        '<!-- This is an automatically generated file.',
+        '     It will be read and overwritten.',
+        '     DO NOT EDIT! -->',
+        '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+        `<TITLE>${encodeHtml(name)}</TITLE>`,
+        `<H1>${encodeHtml(name)}</H1>`,
+        '<DL><p>',
+        `    <DT><H3>${encodeHtml(name)}</H3>`,
+        '    <DL><p>',
+        render(tree, 2) + '    </DL><p>',
+        '</DL><p>',
+        ''
+      ].join('\n');
+    }
+
+    case 'markdown':
+      return [`# ${name}`, ...groups.map(group => [
+        '',
+        `## ${group.title}`,
+        '',
+        ...group.entries.map(entry => {
+          const title = entry.title.replace(/[[\]\\]/g, '\\$&').replace(/\s+/g, ' ');
+          const url = entry.url.replace(/\(/g, '%28').replace(/\)/g, '%29').replace(/\s/g, character => encodeURIComponent(character));
+          return `- ${entry.pinned ? `${PINNED_MARKER} ` : ''}[${title}](${url})`;
+        })
+      ].join('\n'))].join('\n') + '\n';
+
+    default:
+      throw createError(`Unknown export format: ${format}`, 'INVALID_EXPORT_FORMAT');
+  }
+}
+
+/**
+ * Turn parsed groups into a folder tree that readBookmarkFolder understands
+ * @param {Object[]} groups - Groups of { url, title, pinned } entries
+ * @returns {Object} Folder with one subfolder per group
+ */
+function groupsToFolder(groups) {
+  return {
+    title: '',
+    children: groups.map(group => {
+      const entries = group.entries.filter(entry => typeof entry.url === 'string');
+      const toBookmark = entry => ({ title: entry.title, url: entry.url });
+      const pinned = entries.filter(entry => entry.pinned).map(toBookmark);
+      const children = entries.filter(entry => !entry.pinned).map(toBookmark);
+
+      return {
+        title: group.title || '',
+        children: pinned.length > 0 ? [{ title: PINNED_FOLDER_TITLE, children: pinned }, ...children] : children
+      };
+    })
+  };
+}
+
+/**
+ * Count the bookmarks anywhere inside a folder
+ * @param {Object} folder - Folder node
+ * @returns {number} Bookmark count
+ */
+function countBookmarks(folder) {
+  return (folder.children || []).reduce((count, child) => count + (child.url ? 1 : countBookmarks(child)), 0);
+}
+
+function readAttribute(attributes, name) {
+  const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  return match ? decodeHtml(match[1] ?? match[2] ?? match[3]) : '';
+}
+
+function stripTags(html) {
+  return html.replace(/<[^>]*>/g, '').trim();
+}
+
+function decodeHtml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.substring(2), 16) : parseInt(code.substring(1), 10);
+      return point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+    }
+    return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+function encodeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Tab import and export service
+ */
+export class TabFormatService {
+  constructor() {
+    this.tabManager = new TabManager();
+  }
+
+  /**
+   * Import tabs from another tab manager's file
+   * 'session' saves them as a named session; 'cloud' opens them in new windows here and
+   * uploads them at once so every device receives them.
+   * @param {string} text - File contents
+   * @param {Object} [options] - Import options
+   * @param {string} [options.format='auto'] - Format key, or 'auto' to detect it
+   * @param {string} [options.destination='session'] - 'session' or 'cloud'
+   * @param {string} [options.name] - Session name, defaults to the name in the file
+   * @param {string} [options.fileName] - Name of the imported file, used when the file names no session
+   * @returns {Promise<Object>} Import result with counts, and the session when saved as one
+   */
+  async importTabs(text, options = {}) {
+    const { format = 'auto', destination = 'session', name = '', fileName = '' } = options;
+    if (!IMPORT_DESTINATIONS.includes(destination)) {
+      throw createError(`Unknown import destination: ${destination}`, 'INVALID_IMPORT_DESTINATION');
+    }
+    if (typeof text !== 'string' || !text.trim()) {
+      throw createError('The file is empty', 'EMPTY_IMPORT');
+    }
+
+    try {
+      const parsed = parseTabs(text, format, await getOrCreateDeviceId());
+      const result = {
+        success: true,
+        destination,
+        format: parsed.format,
+        tabCount: parsed.tabs.length,
+        windowCount: parsed.windows.length,
+        skippedCount: parsed.skippedCount,
+        warnings: parsed.warnings
+      };
+
+      if (destination === 'session') {
+        result.session = await sessionService.saveTabsAsSession(
+          (name || '').trim() || parsed.title || fileName.replace(/\.[^.]+$/, '').trim() || `${TAB_FORMATS[parsed.format].label} import`,
+          parsed.tabs,
+          { windows: parsed.windows, scope: 'import' }
+        );
+      } else {
+        Object.assign(result, await this.pushToCloud(parsed.tabs, parsed.windows, parsed.format));
+      }
+
+      log('info', 'Imported tabs', { format: parsed.format, destination, tabs: parsed.tabs.length, skipped: parsed.skippedCount });
+      return result;
+    } catch (error) {
+      log('error', 'Failed to import tabs', { format, destination, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Export a device's synced tabs or a saved session
+   * @param {string} format - Format key
+   * @param {Object} [options] - Export options
+   * @param {string} [options.sessionId] - Session to export
+   * @param {string} [options.deviceId] - Device to export when no session is given, defaults to this device
+   * @returns {Promise<Object>} File name, MIME type, contents and tab count
+   */
+  async exportTabs(format, options = {}) {
+    const { sessionId = null, deviceId = null } = options;
+    if (!TAB_FORMATS[format]) {
+      throw createError(`Unknown export format: ${format}`, 'INVALID_EXPORT_FORMAT');
+    }
+
+    try {
+      let source;
+      if (sessionId) {
+        const session = await sessionService.getSession(sessionId);
+        source = { name: session.name, tabs: session.tabs, windows: session.windows || [] };
+      } else {
+        const device = await bookmarkService.getDeviceTabs(deviceId);
+        source = { name: device.deviceName, tabs: device.tabs, windows: device.windows };
+      }
+
+      const content = formatTabs(source.tabs, source.windows, format, { name: source.name });
+      const { extension, mimeType } = TAB_FORMATS[format];
+      const slug = source.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'tabs';
+
+      log('info', 'Exported tabs', { format, sessionId, deviceId, tabs: source.tabs.length });
+      return {
+        fileName: `tab-sync-${slug}-${new Date().toISOString().split('T')[0]}.${extension}`,
+        mimeType,
+        content,
+        tabCount: source.tabs.filter(tab => isSendableUrl(tab.url)).length
+      };
+    } catch (error) {
+      log('error', 'Failed to export tabs', { format, sessionId, deviceId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Open imported tabs in new windows and upload them with the tabs already open
+   * @param {TabData[]} tabs - Imported tabs
+   * @param {WindowLayout[]} windows - Imported window layouts
+   * @param {string} format - Format the tabs came from
+   * @returns {Promise<Object>} Created tab count and restore errors
+   */
+  async pushToCloud(tabs, windows, format) {
+    if (syncEngine.isSyncing) {
+      throw createError('Wait for the running sync to finish before importing', 'SYNC_IN_PROGRESS');
+    }
+    if (!syncEngine.isInitialized) {
+      await syncEngine.initialize();
+    }
+
+    const before = await this.tabManager.createSnapshot();
+    const restored = await this.tabManager.restoreWindowLayout(tabs, windows);
+
+    // Publish the imported tabs themselves rather than re-reading tabs that may still be loading;
+    // the opened tabs adopted the imported IDs, so the next sync sees the same tabs
+    const opened = tabs
+      .filter(tab => restored.windowMap[`${tab.deviceId}:${tab.windowId}`] !== undefined)
+      .map(tab => ({ ...tab, windowId: restored.windowMap[`${tab.deviceId}:${tab.windowId}`] }));
+    const layouts = [
+      ...before.windows.map(({ tabs: windowTabs, tabCount, focused, ...layout }) => layout),
+      ...[...new Set(opened.map(tab => tab.windowId))].map(id => ({ id, type: 'normal', state: 'normal' }))
+    ];
+
+    const snapshot = await tabSerializer.createSyncData(
+      [...before.tabs, ...opened],
+      { syncType: 'import', importFormat: format },
+      { windows: layouts }
+    );
+    await syncEngine.storeFullSnapshot(snapshot, {
+      commitMessage: `Import ${opened.length} tabs from ${TAB_FORMATS[format].label}`
+    });
+
+    return { tabsCreated: restored.created.length, errors: restored.errors };
+  }
+}
+
+// Create singleton instance
+export const tabFormatService = new TabFormatService();
@@ -0,0 +1,156 @@
+// Tab group helpers for Tab Sync Extension
+// Groups are stored on each tab so snapshots and change logs carry them without a separate list
+
+import { log } from './utils.js';
+
+// chrome.tabGroups.TAB_GROUP_ID_NONE
+export const TAB_GROUP_ID_NONE = -1;
+
+export const TAB_GROUP_COLORS = ['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange'];
+
+/**
+ * Convert a Chrome tab group to the synced group format
+ * @param {chrome.tabGroups.TabGroup} group - Chrome tab group
+ * @returns {TabGroupData} Synced group data
+ */
+export function serializeTabGroup(group) {
+  return {
+    id: group.id,
+    title: group.title || '',
+    color: group.color || 'grey',
+    collapsed: group.collapsed === true
+  };
+}
+
+/**
+ * Load all tab groups, keyed by group ID
+ * @returns {Promise<Map<number, TabGroupData>>} Groups by ID, empty if the API is unavailable
+ */
+export async function getTabGroupMap() {
+  if (typeof chrome === 'undefined' || !chrome.tabGroups) {
+    return new Map();
+  }
+
+  try {
+    const groups = await chrome.tabGroups.query({});
+    return new Map(groups.map(group => [group.id, serializeTabGroup(group)]));
+  } catch (error) {
+    log('warn', 'Failed to query tab groups', { error: error.message });
+    return new Map();
+  }
+}
+
+/**
+ * Resolve the group of a Chrome tab
+ * @param {chrome.tabs.Tab} tab - Chrome tab
+ * @param {Map<number, TabGroupData>} [groupMap] - Preloaded groups, fetched individually if missing
+ * @returns {Promise<TabGroupData|null>} Group data or null if the tab is ungrouped
+ */
+export async function resolveTabGroup(tab, groupMap = null) {
+  if (typeof tab.groupId !== 'number' || tab.groupId === TAB_GROUP_ID_NONE) {
+    return null;
+  }
+
+  if (groupMap?.has(tab.groupId)) {
+    return groupMap.get(tab.groupId);
+  }
+
+  try {
+    return serializeTabGroup(await chrome.tabGroups.get(tab.groupId));
+  } catch (error) {
+    log('warn', 'Failed to read tab group', { groupId: tab.groupId, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Check whether two groups look the same to the user
+ * @param {TabGroupData|null} a - First group
+ * @param {TabGroupData|null} b - Second group
+ * @param {Object} options - Comparison options
+ * @param {boolean} [options.compareIds=false] - Also require the same group ID (only meaningful on one device)
+ * @returns {boolean} True if both are ungrouped or have the same title, color and collapsed state
+ */
+export function isSameTabGroup(a, b, options = {}) {
+  if (!a || !b) {
+    return !a && !b;
+  }
+
+  if (options.compareIds && a.id !== b.id) {
+    return false;
+  }
+
+  return a.title === b.title && a.color === b.color && a.collapsed === b.collapsed;
+}
+
+/**
+ * Collect the groups used by a tab list with their member URLs
+ * @param {TabData[]} tabs - Tab data
+ * @returns {Map<string, Object>} Groups keyed by window and group ID, each with group and urls
+ */
+export function collectTabGroups(tabs) {
+  const groups = new Map();
+
+  for (const tab of tabs) {
+    if (!tab.group) {
+      continue;
+    }
+
+    const key = getTabGroupKey(tab);
+    if (!groups.has(key)) {
+      groups.set(key, { key, group: tab.group, urls: new Set() });
+    }
+    groups.get(key).urls.add(tab.url);
+  }
+
+  return groups;
+}
+
+/**
+ * Get a key identifying a tab's group on the device that serialized it
+ * @param {TabData} tab - Tab data
+ * @returns {string|null} Group key or null if the tab is ungrouped
+ */
+export function getTabGroupKey(tab) {
+  return tab.group ? `${tab.windowId}:${tab.group.id}` : null;
+}
+
+/**
+ * Pair local groups with the remote groups sharing most of their tabs
+ * Group IDs differ between devices, so membership is the only reliable link
+ * @param {TabData[]} localTabs - Local tab data
+ * @param {TabData[]} remoteTabs - Remote tab data
+ * @returns {Object[]} Matches with local and remote group entries and the shared URLs
+ */
+export function matchTabGroups(localTabs, remoteTabs) {
+  const localGroups = collectTabGroups(localTabs);
+  const remoteGroups = collectTabGroups(remoteTabs);
+  const candidates = [];
+
+  for (const local of localGroups.values()) {
+    for (const remote of remoteGroups.values()) {
+      const sharedUrls = [...local.urls].filter(url => remote.urls.has(url));
+      if (sharedUrls.length > 0) {
+        candidates.push({ local, remote, sharedUrls });
+      }
+    }
+  }
+
+  // Greedily take the strongest overlaps so each group is matched at most once
+  candidates.sort((a, b) => b.sharedUrls.length - a.sharedUrls.length);
+
+  const matchedLocal = new Set();
+  const matchedRemote = new Set();
+  const matches = [];
+
+  for (const candidate of candidates) {
+    if (matchedLocal.has(candidate.local.key) || matchedRemote.has(candidate.remote.key)) {
+      continue;
+    }
+    matchedLocal.add(candidate.local.key);
+    matchedRemote.add(candidate.remote.key);
+    matches.push(candidate);
+  }
+
+  return matches;
+}
@@ -0,0 +1,245 @@
+// Logical tab identity for Tab Sync Extension
+// Gives each tab an ID that outlives Chrome tab IDs and follows the tab to other devices
+
+import { log } from './utils.js';
+
+const LOGICAL_TAB_ID_PATTERN = /^tab-[a-z0-9]+-[a-z0-9]+$/;
+
+/**
+ * Generate a new logical tab ID
+ * @returns {string} Logical tab ID
+ */
+export function generateLogicalTabId() {
+  const timestamp = Date.now().toString(36);
+  const random = Math.random().toString(36).substr(2, 8) || '0';
+  return `tab-${timestamp}-${random}`;
+}
+
+/**
+ * Check whether an ID is a logical tab ID rather than one derived from a Chrome tab ID
+ * Older versions serialized tabs with IDs that changed on every read
+ * @param {string} id - Tab ID
+ * @returns {boolean} True if the ID is stable
+ */
+export function isLogicalTabId(id) {
+  return typeof id === 'string' && LOGICAL_TAB_ID_PATTERN.test(id);
+}
+
+/**
+ * Tab identity service
+ * Chrome tab IDs are bound to logical IDs in session storage, which survives service worker restarts.
+ * The last known tabs are also kept in local storage so IDs can be re-attached by URL after the browser restarts.
+ */
+export class TabIdentityService {
+  constructor() {
+    this.sessionKey = 'tabIdentities';
+    this.indexKey = 'tabIdentityIndex';
+    this.tabIds = null;
+    this.lastIndex = null;
+    this.pending = Promise.resolve();
+  }
+
+  /**
+   * Get logical IDs for Chrome tabs, assigning new ones where needed
+   * @param {chrome.tabs.Tab[]} chromeTabs - Chrome tabs
+   * @param {Object} options - Options
+   * @param {boolean} [options.complete=false] - Whether these are all open tabs, which prunes closed ones
+   * @returns {Promise<Map<number, string>>} Logical ID by Chrome tab ID
+   */
+  resolveTabIds(chromeTabs, options = {}) {
+    return this.enqueue(() => this.assignTabIds(chromeTabs, options));
+  }
+
+  /**
+   * Get the logical ID of one Chrome tab
+   * @param {chrome.tabs.Tab} chromeTab - Chrome tab
+   * @returns {Promise<string>} Logical tab ID
+   */
+  async getTabId(chromeTab) {
+    const tabIds = await this.resolveTabIds([chromeTab]);
+    return tabIds.get(chromeTab.id);
+  }
+
+  /**
+   * Give a tab created from synced data the logical ID it had on its device
+   * @param {number} chromeTabId - Chrome tab ID of the created tab
+   * @param {string} logicalId - Logical ID from the synced tab
+   * @returns {Promise<void>}
+   */
+  adoptTabId(chromeTabId, logicalId) {
+    if (!isLogicalTabId(logicalId)) {
+      return Promise.resolve();
+    }
+
+    return this.enqueue(async () => {
+      await this.load();
+      // If the original tab is still open here, the next resolution gives the copy a new ID
+      this.tabIds.set(chromeTabId, logicalId);
+      await this.saveTabIds();
+    });
+  }
+
+  /**
+   * Assign logical IDs, re-attaching IDs of tabs that were open before a browser restart
+   * @param {chrome.tabs.Tab[]} chromeTabs - Chrome tabs
+   * @param {Object} options - Options
+   * @param {boolean} [options.complete=false] - Whether these are all open tabs
+   * @returns {Promise<Map<number, string>>} Logical ID by Chrome tab ID
+   */
+  async assignTabIds(chromeTabs, options = {}) {
+    const { complete = false } = options;
+    await this.load();
+
+    const tabIds = new Map();
+    const used = new Set();
+    const unassigned = [];
+    let changed = false;
+
+    for (const tab of chromeTabs) {
+      const logicalId = this.tabIds.get(tab.id);
+      if (logicalId && !used.has(logicalId)) {
+        tabIds.set(tab.id, logicalId);
+        used.add(logicalId);
+      } else {
+        unassigned.push(tab);
+      }
+    }
+
+    if (unassigned.length > 0) {
+      // IDs still bound to a Chrome tab belong to a tab that is open, or was until recently
+      const bound = new Set(this.tabIds.values());
+      const candidates = (await this.getIndex()).filter(entry => !bound.has(entry.id) && !used.has(entry.id));
+
+      for (const tab of unassigned) {
+        const sameUrl = candidates.filter(entry => entry.url === tab.url);
+        const match = sameUrl.find(entry => entry.index === tab.index) || sameUrl[0];
+        if (match) {
+          candidates.splice(candidates.indexOf(match), 1);
+        }
+
+        const logicalId = match ? match.id : generateLogicalTabId();
+        this.tabIds.set(tab.id, logicalId);
+        tabIds.set(tab.id, logicalId);
+        used.add(logicalId);
+        changed = true;
+      }
+    }
+
+    if (complete) {
+      for (const chromeTabId of [...this.tabIds.keys()]) {
+        if (!tabIds.has(chromeTabId)) {
+          this.tabIds.delete(chromeTabId);
+          changed = true;
+        }
+      }
+      await this.saveIndex(chromeTabs.map(tab => ({ id: tabIds.get(tab.id), url: tab.url, index: tab.index })));
+    }
+
+    if (changed) {
+      await this.saveTabIds();
+    }
+
+    return tabIds;
+  }
+
+  /**
+   * Load the Chrome-to-logical ID bindings
+   * @returns {Promise<void>}
+   */
+  async load() {
+    if (this.tabIds) {
+      return;
+    }
+
+    this.tabIds = new Map();
+    const sessionArea = this.getSessionArea();
+    if (!sessionArea) {
+      return;
+    }
+
+    try {
+      const result = await sessionArea.get([this.sessionKey]);
+      for (const [chromeTabId, logicalId] of Object.entries(result[this.sessionKey] || {})) {
+        this.tabIds.set(Number(chromeTabId), logicalId);
+      }
+    } catch (error) {
+      log('warn', 'Failed to load tab identities', { error: error.message });
+    }
+  }
+
+  /**
+   * Save the Chrome-to-logical ID bindings
+   * @returns {Promise<void>}
+   */
+  async saveTabIds() {
+    const sessionArea = this.getSessionArea();
+    if (!sessionArea) {
+      return;
+    }
+
+    try {
+      await sessionArea.set({ [this.sessionKey]: Object.fromEntries(this.tabIds) });
+    } catch (error) {
+      log('warn', 'Failed to save tab identities', { error: error.message });
+    }
+  }
+
+  /**
+   * Get the tabs known at the last complete resolution
+   * @returns {Promise<Object[]>} Entries with id, url and index
+   */
+  async getIndex() {
+    if (this.lastIndex) {
+      return this.lastIndex;
+    }
+
+    try {
+      const result = await chrome.storage.local.get([this.indexKey]);
+      this.lastIndex = result[this.indexKey] || [];
+    } catch (error) {
+      log('warn', 'Failed to load tab identity index', { error: error.message });
+      this.lastIndex = [];
+    }
+    return this.lastIndex;
+  }
+
+  /**
+   * Save the tabs known now, skipping the write when nothing changed
+   * @param {Object[]} entries - Entries with id, url and index
+   * @returns {Promise<void>}
+   */
+  async saveIndex(entries) {
+    if (this.lastIndex && JSON.stringify(this.lastIndex) === JSON.stringify(entries)) {
+      return;
+    }
+
+    this.lastIndex = entries;
+    try {
+      await chrome.storage.local.set({ [this.indexKey]: entries });
+    } catch (error) {
+      log('warn', 'Failed to save tab identity index', { error: error.message });
+    }
+  }
+
+  /**
+   * Get the storage area that lasts as long as the browser session
+   * @returns {chrome.storage.StorageArea|null} Session storage, or null where unavailable
+   */
+  getSessionArea() {
+    return chrome.storage.session || null;
+  }
+
+  /**
+   * Run identity updates one at a time so concurrent reads don't assign two IDs to one tab
+   * @param {Function} task - Async task
+   * @returns {Promise<*>} Task result
+   */
+  enqueue(task) {
+    const run = this.pending.then(task);
+    this.pending = run.catch(() => {});
+    return run;
+  }
+}
+
+// Create singleton instance
+export const tabIdentity = new TabIdentityService();
@@ -2,6 +2,8 @@
 
 import { log, createError, generateChecksum, getOrCreateDeviceId } from './utils.js';
 import { validateTabData, validateTabArray } from './validation.js';
+import { getTabGroupMap, resolveTabGroup, getTabGroupKey } from './tab-groups.js';
+import { tabIdentity } from './tab-identity.js';
 
 /**
  * Tab Manager class for Chrome tabs API integration
@@ -38,7 +40,9 @@ export class TabManager {
       }
 
       const tabs = await chrome.tabs.query({});
-      const tabData = await Promise.all(tabs.map(tab => this.serializeTab(tab)));
+      const groupMap = await getTabGroupMap();
+      const tabIds = await tabIdentity.resolveTabIds(tabs, { complete: true });
+      const tabData = await Promise.all(tabs.map(tab => this.serializeTab(tab, groupMap, tabIds.get(tab.id))));
       
       // Filter out invalid tabs and validate
       const validTabs = tabData.filter(tab => {
@@ -73,7 +77,8 @@ export class TabManager {
   async getTabsFromWindow(windowId) {
     try {
       const tabs = await chrome.tabs.query({ windowId });
-      const tabData = await Promise.all(tabs.map(tab => this.serializeTab(tab)));
+      const groupMap = await getTabGroupMap();
+      const tabData = await Promise.all(tabs.map(tab => this.serializeTab(tab, groupMap)));
       
       log('info', 'Retrieved tabs from window', { windowId, count: tabData.length });
       return tabData;
@@ -108,15 +113,17 @@ export class TabManager {
   /**
    * Serialize Chrome tab to TabData format
    * @param {chrome.tabs.Tab} tab - Chrome tab object
+   * @param {Map<number, TabGroupData>} [groupMap] - Preloaded tab groups
+   * @param {string} [tabId] - Preloaded logical tab ID
    * @returns {Promise<TabData>} Serialized tab data
    */
-  async serializeTab(tab) {
+  async serializeTab(tab, groupMap = null, tabId = null) {
     if (!this.deviceId) {
       await this.initialize();
     }
 
     return {
-      id: `tab_${tab.id}_${Date.now()}`,
+      id: tabId || await tabIdentity.getTabId(tab),
       url: tab.url || '',
       title: tab.title || 'Untitled',
       favicon: tab.favIconUrl || null,
@@ -126,6 +133,7 @@ export class TabManager {
       deviceId: this.deviceId,
       pinned: tab.pinned || false,
       active: tab.active || false,
+      group: await resolveTabGroup(tab, groupMap),
       chromeTabId: tab.id // Store original Chrome tab ID for reference
     };
   }
@@ -134,6 +142,7 @@ export class TabManager {
    * Create new tabs from tab data
    * @param {TabData[]} tabsData - Array of tab data to create
    * @param {Object} options - Creation options
+   * @param {boolean} [options.keepPositions=false] - Create each tab at its windowId and index when that window is open
    * @returns {Promise<chrome.tabs.Tab[]>} Created Chrome tabs
    */
   async createTabs(tabsData, options = {}) {
@@ -141,7 +150,8 @@ export class TabManager {
       const { 
         windowId = null, 
         createNewWindow = false,
-        activateFirst = true 
+        activateFirst = true,
+        keepPositions = false
       } = options;
 
       // Validate input
@@ -169,7 +179,15 @@ export class TabManager {
         }
       }
 
+      // Lower indices first, so each tab lands before the ones placed after it
+      let openWindowIds = new Set();
+      if (keepPositions) {
+        openWindowIds = new Set((await chrome.windows.getAll()).map(window => window.id));
+        tabsData = [...tabsData].sort((a, b) => a.index - b.index);
+      }
+
       const createdTabs = [];
+      const groupAssignments = [];
       
       for (let i = 0; i < tabsData.length; i++) {
         const tabData = tabsData[i];
@@ -181,9 +199,19 @@ export class TabManager {
             active: activateFirst && i === 0,
             pinned: tabData.pinned || false
           };
+          if (keepPositions && openWindowIds.has(tabData.windowId)) {
+            createProperties.windowId = tabData.windowId;
+            createProperties.index = tabData.index;
+          }
 
           const createdTab = await chrome.tabs.create(createProperties);
           createdTabs.push(createdTab);
+          await tabIdentity.adoptTabId(createdTab.id, tabData.id);
+
+          const groupAssignment = this.getGroupAssignment(tabData, createdTab);
+          if (groupAssignment) {
+            groupAssignments.push(groupAssignment);
+          }
           
           log('info', 'Created tab', { 
             url: tabData.url, 
@@ -200,6 +228,10 @@ export class TabManager {
         }
       }
 
+      if (groupAssignments.length > 0) {
+        await this.applyTabGroups(groupAssignments);
+      }
+
       log('info', 'Tab creation completed', { 
         requested: tabsData.length, 
         created: createdTabs.length 
@@ -273,15 +305,14 @@ export class TabManager {
     try {
       const windows = await chrome.windows.getAll({ populate: true });
       
+      const groupMap = await getTabGroupMap();
+      const tabIds = await tabIdentity.resolveTabIds(windows.flatMap(window => window.tabs || []));
       const windowData = await Promise.all(windows.map(async (window) => {
-        const tabs = await Promise.all(window.tabs.map(tab => this.serializeTab(tab)));
+        const tabs = await Promise.all(window.tabs.map(tab => this.serializeTab(tab, groupMap, tabIds.get(tab.id))));
         
         return {
-          id: window.id,
-          type: window.type,
-          state: window.state,
+          ...this.serializeWindow(window),
           focused: window.focused,
-          incognito: window.incognito,
           tabs: tabs,
           tabCount: tabs.length
         };
@@ -299,6 +330,177 @@ export class TabManager {
     }
   }
 
+  /**
+   * Get the layout of all normal and popup windows, without their tabs
+   * @returns {Promise<WindowLayout[]>} Window layouts
+   */
+  async getWindowLayouts() {
+    try {
+      const windows = await chrome.windows.getAll({ windowTypes: ['normal', 'popup'] });
+      return windows
+        .filter(window => !window.incognito)
+        .map(window => this.serializeWindow(window));
+    } catch (error) {
+      log('error', 'Failed to get window layouts', { error: error.message });
+      throw createError('Failed to retrieve window layouts', 'WINDOW_RETRIEVAL_ERROR', { error });
+    }
+  }
+
+  /**
+   * Serialize a Chrome window's state and bounds
+   * @param {chrome.windows.Window} window - Chrome window
+   * @returns {WindowLayout} Window layout
+   */
+  serializeWindow(window) {
+    return {
+      id: window.id,
+      type: window.type,
+      state: window.state,
+      incognito: window.incognito,
+      left: window.left,
+      top: window.top,
+      width: window.width,
+      height: window.height
+    };
+  }
+
+  /**
+   * Recreate the windows tabs were in on the device that serialized them
+   * Each source window becomes a fresh local window with its tab order, pinned tabs, active tab and bounds
+   * @param {TabData[]} tabsData - Tabs to restore
+   * @param {WindowLayout[]} windowLayouts - Layouts of the source windows
+   * @returns {Promise<Object>} Created tabs, source-to-local window ID map and errors
+   */
+  async restoreWindowLayout(tabsData, windowLayouts = []) {
+    try {
+      const validation = validateTabArray(tabsData);
+      if (!validation.isValid) {
+        throw createError('Invalid tab data provided', 'INVALID_TAB_DATA', {
+          errors: validation.errors
+        });
+      }
+
+      // Window IDs are only unique per device, so merged snapshots are split by device too
+      const tabsByWindow = new Map();
+      for (const tabData of tabsData) {
+        const key = `${tabData.deviceId}:${tabData.windowId}`;
+        if (!tabsByWindow.has(key)) {
+          tabsByWindow.set(key, []);
+        }
+        tabsByWindow.get(key).push(tabData);
+      }
+
+      const results = {
+        created: [],
+        windowMap: {},
+        errors: []
+      };
+
+      for (const [key, windowTabs] of tabsByWindow) {
+        const orderedTabs = [...windowTabs].sort((a, b) => a.index - b.index);
+        const { deviceId, windowId } = orderedTabs[0];
+        const layout = windowLayouts.find(candidate =>
+          candidate.id === windowId && (!candidate.deviceId || candidate.deviceId === deviceId)
+        );
+
+        try {
+          const restored = await this.restoreWindow(orderedTabs, layout);
+          results.created.push(...restored.tabs);
+          results.windowMap[key] = restored.windowId;
+        } catch (error) {
+          log('error', 'Failed to restore window', { windowKey: key, error: error.message });
+          results.errors.push({ operation: 'restore_window', windowKey: key, error: error.message });
+        }
+      }
+
+      log('info', 'Window layout restored', {
+        windows: Object.keys(results.windowMap).length,
+        tabs: results.created.length,
+        errors: results.errors.length
+      });
+
+      return results;
+    } catch (error) {
+      log('error', 'Failed to restore window layout', { error: error.message });
+      throw createError('Failed to restore window layout', 'WINDOW_RESTORE_ERROR', { error });
+    }
+  }
+
+  /**
+   * Create one window holding the given tabs
+   * @param {TabData[]} orderedTabs - Tabs of one source window, sorted by index
+   * @param {WindowLayout} [layout] - Source window state and bounds
+   * @returns {Promise<Object>} Local window ID and created tabs
+   */
+  async restoreWindow(orderedTabs, layout = null) {
+    const [firstTab, ...otherTabs] = orderedTabs;
+    const createData = {
+      url: firstTab.url,
+      type: layout?.type === 'popup' ? 'popup' : 'normal',
+      focused: false
+    };
+
+    // Chrome rejects bounds combined with a minimized, maximized or fullscreen state
+    if (layout?.state && layout.state !== 'normal') {
+      createData.state = layout.state;
+    } else if (layout) {
+      for (const bound of ['left', 'top', 'width', 'height']) {
+        if (typeof layout[bound] === 'number') {
+          createData[bound] = layout[bound];
+        }
+      }
+    }
+
+    const window = await chrome.windows.create(createData);
+    const createdTabs = [];
+    const groupAssignments = [];
+    let activeTabId = null;
+
+    const addCreatedTab = async (tabData, createdTab) => {
+      createdTabs.push(createdTab);
+      await tabIdentity.adoptTabId(createdTab.id, tabData.id);
+      if (tabData.active) {
+        activeTabId = createdTab.id;
+      }
+      const groupAssignment = this.getGroupAssignment(tabData, createdTab);
+      if (groupAssignment) {
+        groupAssignments.push(groupAssignment);
+      }
+    };
+
+    let firstCreated = window.tabs?.[0] || (await chrome.tabs.query({ windowId: window.id }))[0];
+    if (firstTab.pinned) {
+      firstCreated = await chrome.tabs.update(firstCreated.id, { pinned: true });
+    }
+    await addCreatedTab(firstTab, firstCreated);
+
+    for (let i = 0; i < otherTabs.length; i++) {
+      const tabData = otherTabs[i];
+      try {
+        const createdTab = await chrome.tabs.create({
+          url: tabData.url,
+          windowId: window.id,
+          index: i + 1,
+          active: false,
+          pinned: tabData.pinned || false
+        });
+        await addCreatedTab(tabData, createdTab);
+      } catch (error) {
+        log('error', 'Failed to create individual tab', { url: tabData.url, error: error.message });
+      }
+    }
+
+    if (activeTabId !== null && activeTabId !== firstCreated.id) {
+      await chrome.tabs.update(activeTabId, { active: true });
+    }
+
+    if (groupAssignments.length > 0) {
+      await this.applyTabGroups(groupAssignments);
+    }
+
+    return { windowId: window.id, tabs: createdTabs };
+  }
+
   /**
    * Apply tab changes (create, close, update) based on sync data
    * @param {Object} changes - Tab changes to apply
@@ -310,6 +512,9 @@ export class TabManager {
         tabsToCreate = [], 
         tabsToClose = [], 
         tabsToUpdate = [],
+        tabsToRegroup = [],
+        tabsToMove = [],
+        keepTabPositions = false,
         windowArrangement = null
       } = changes;
 
@@ -317,6 +522,8 @@ export class TabManager {
         created: [],
         closed: [],
         updated: [],
+        moved: [],
+        regrouped: [],
         errors: []
       };
 
@@ -330,10 +537,27 @@ export class TabManager {
         }
       }
 
-      // Create new tabs
+      // Reorder remaining tabs one at a time, since each move shifts the ones after it
+      for (const move of tabsToMove) {
+        try {
+          await this.moveTabs([move.tabId], { windowId: move.windowId, index: move.index });
+          results.moved.push(move.tabId);
+        } catch (error) {
+          results.errors.push({
+            operation: 'move',
+            tabId: move.tabId,
+            error: error.message
+          });
+        }
+      }
+
+      // Create new tabs without taking focus from what the user is doing
       if (tabsToCreate.length > 0) {
         try {
-          const createdTabs = await this.createTabs(tabsToCreate);
+          const createdTabs = await this.createTabs(tabsToCreate, {
+            activateFirst: false,
+            keepPositions: keepTabPositions
+          });
           results.created = createdTabs;
         } catch (error) {
           results.errors.push({ operation: 'create', error: error.message });
@@ -354,10 +578,21 @@ export class TabManager {
         }
       }
 
+      // Move existing tabs into their synced groups
+      if (tabsToRegroup.length > 0) {
+        try {
+          results.regrouped = await this.applyTabGroups(tabsToRegroup);
+        } catch (error) {
+          results.errors.push({ operation: 'regroup', error: error.message });
+        }
+      }
+
       log('info', 'Applied tab changes', {
         created: results.created.length,
         closed: results.closed.length,
         updated: results.updated.length,
+        moved: results.moved.length,
+        regrouped: results.regrouped.length,
         errors: results.errors.length
       });
 
@@ -368,6 +603,96 @@ export class TabManager {
     }
   }
 
+  /**
+   * Describe the group a newly created tab should join
+   * @param {TabData} tabData - Synced tab data
+   * @param {chrome.tabs.Tab} createdTab - Tab created from it
+   * @returns {Object|null} Group assignment or null if the tab stays ungrouped
+   */
+  getGroupAssignment(tabData, createdTab) {
+    // Pinned tabs can't be grouped
+    if (!tabData.group || tabData.pinned) {
+      return null;
+    }
+
+    return {
+      tabId: createdTab.id,
+      windowId: createdTab.windowId,
+      group: tabData.group,
+      sourceKey: getTabGroupKey(tabData)
+    };
+  }
+
+  /**
+   * Put tabs into the groups described by synced group data
+   * Tabs from the same source group share one local group, reusing an existing group with the same title and color
+   * @param {Object[]} assignments - Entries with tabId, windowId, group (null to ungroup) and sourceKey
+   * @returns {Promise<number[]>} IDs of the tabs that were grouped or ungrouped
+   */
+  async applyTabGroups(assignments) {
+    if (!chrome.tabGroups || assignments.length === 0) {
+      return [];
+    }
+
+    const applied = [];
+
+    const ungroupIds = assignments.filter(entry => !entry.group).map(entry => entry.tabId);
+    if (ungroupIds.length > 0) {
+      try {
+        await chrome.tabs.ungroup(ungroupIds);
+        applied.push(...ungroupIds);
+      } catch (error) {
+        log('error', 'Failed to ungroup tabs', { tabIds: ungroupIds, error: error.message });
+      }
+    }
+
+    const buckets = new Map();
+    for (const entry of assignments.filter(entry => entry.group)) {
+      const key = `${entry.windowId}|${entry.sourceKey || entry.group.title}`;
+      if (!buckets.has(key)) {
+        buckets.set(key, { windowId: entry.windowId, group: entry.group, tabIds: [] });
+      }
+      buckets.get(key).tabIds.push(entry.tabId);
+    }
+
+    const existingByWindow = new Map();
+
+    for (const { windowId, group, tabIds } of buckets.values()) {
+      try {
+        if (!existingByWindow.has(windowId)) {
+          existingByWindow.set(windowId, await chrome.tabGroups.query({ windowId }));
+        }
+
+        // Untitled groups can't be told apart, so only named groups are reused
+        const existing = group.title
+          ? existingByWindow.get(windowId).find(candidate =>
+            candidate.title === group.title && candidate.color === group.color)
+          : null;
+
+        const groupId = existing
+          ? await chrome.tabs.group({ groupId: existing.id, tabIds })
+          : await chrome.tabs.group({ tabIds, createProperties: { windowId } });
+
+        await chrome.tabGroups.update(groupId, {
+          title: group.title,
+          color: group.color,
+          collapsed: group.collapsed
+        });
+
+        if (!existing) {
+          existingByWindow.get(windowId).push({ id: groupId, title: group.title, color: group.color });
+        }
+
+        applied.push(...tabIds);
+        log('info', 'Applied tab group', { groupId, title: group.title, tabCount: tabIds.length });
+      } catch (error) {
+        log('error', 'Failed to apply tab group', { title: group.title, tabIds, error: error.message });
+      }
+    }
+
+    return applied;
+  }
+
   /**
    * Get tab statistics
    * @returns {Promise<Object>} Tab statistics
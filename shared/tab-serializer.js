@@ -2,6 +2,10 @@
 
 import { validateTabData, validateTabArray, validateSyncData } from './validation.js';
 import { log, createError, generateChecksum, getOrCreateDeviceId } from './utils.js';
+import { getTabGroupMap, resolveTabGroup, collectTabGroups } from './tab-groups.js';
+import { tabIdentity, generateLogicalTabId } from './tab-identity.js';
+import { applySyncRules, syncRulesService } from './sync-rules.js';
+import { rewriteUrl, redactionService } from './redaction.js';
 
 /**
  * Tab serialization service
@@ -41,12 +45,14 @@ export class TabSerializer {
       const {
         includeContent = false,
         includeHistory = false,
-        sanitizeUrl = true
+        sanitizeUrl = true,
+        groupMap = null,
+        tabId = null
       } = options;
 
       // Basic tab data
       const tabData = {
-        id: this.generateTabId(chromeTab.id),
+        id: tabId || await tabIdentity.getTabId(chromeTab),
         url: sanitizeUrl ? this.sanitizeUrl(chromeTab.url) : chromeTab.url,
         title: this.sanitizeTitle(chromeTab.title),
         favicon: chromeTab.favIconUrl || null,
@@ -56,6 +62,7 @@ export class TabSerializer {
         deviceId: this.deviceId,
         pinned: chromeTab.pinned || false,
         active: chromeTab.active || false,
+        group: await resolveTabGroup(chromeTab, groupMap),
         chromeTabId: chromeTab.id,
         
         // Additional metadata
@@ -108,10 +115,26 @@ export class TabSerializer {
     }
   }
 
+  /**
+   * Drop the tabs the selective sync rules keep off the cloud
+   * @param {Array} tabs - Chrome tabs or tab data
+   * @param {SyncRule[]} [rules] - Rules to apply, defaults to the saved rules
+   * @returns {Promise<Object>} Result with included tabs and excluded entries
+   */
+  async filterTabs(tabs, rules) {
+    const result = applySyncRules(tabs, rules || await syncRulesService.getRules());
+    if (result.excluded.length > 0) {
+      log('info', 'Sync rules excluded tabs', { total: tabs.length, excluded: result.excluded.length });
+    }
+    return result;
+  }
+
   /**
    * Serialize multiple tabs with batch processing
+   * Tabs excluded by the sync rules are skipped.
    * @param {chrome.tabs.Tab[]} chromeTabs - Array of Chrome tabs
    * @param {Object} options - Serialization options
+   * @param {SyncRule[]} [options.syncRules] - Rules to apply instead of the saved ones
    * @returns {Promise<TabData[]>} Array of serialized tab data
    */
   async serializeTabs(chromeTabs, options = {}) {
@@ -121,16 +144,22 @@ export class TabSerializer {
         continueOnError = true 
       } = options;
 
+      chromeTabs = (await this.filterTabs(chromeTabs, options.syncRules)).included;
+
       const results = [];
       const errors = [];
 
+      // Load groups and logical IDs once instead of once per tab
+      const groupMap = options.groupMap || await getTabGroupMap();
+      const tabIds = await tabIdentity.resolveTabIds(chromeTabs);
+
       // Process in batches to avoid overwhelming the system
       for (let i = 0; i < chromeTabs.length; i += batchSize) {
         const batch = chromeTabs.slice(i, i + batchSize);
         
         const batchPromises = batch.map(async (tab) => {
           try {
-            return await this.serializeTab(tab, options);
+            return await this.serializeTab(tab, { ...options, groupMap, tabId: tabIds.get(tab.id) });
           } catch (error) {
             if (continueOnError) {
               errors.push({ tabId: tab.id, url: tab.url, error: error.message });
@@ -272,14 +301,31 @@ export class TabSerializer {
    * Create sync data package from tabs
    * @param {TabData[]} tabs - Array of tab data
    * @param {Object} metadata - Additional metadata
+   * @param {Object} options - Package options
+   * @param {WindowLayout[]} [options.windows] - Layouts of the windows the tabs are in
+   * @param {SyncRule[]} [options.syncRules] - Rules to apply instead of the saved ones
    * @returns {Promise<SyncData>} Sync data package
    */
-  async createSyncData(tabs, metadata = {}) {
+  async createSyncData(tabs, metadata = {}, options = {}) {
     try {
       if (!this.deviceId) {
         await this.initialize();
       }
 
+      // Keep tabs excluded by the sync rules, and windows left empty by them, off the cloud
+      const originalCount = tabs.length;
+      const { included, excluded } = await this.filterTabs(tabs, options.syncRules);
+      if (excluded.length > 0) {
+        metadata = { ...metadata, excludedTabCount: excluded.length };
+      }
+
+      // Scrub secrets from what is left
+      const redaction = await redactionService.redactTabs(included);
+      tabs = redaction.tabs;
+      if (redaction.report.entries.length > 0) {
+        metadata = { ...metadata, redactedTabCount: redaction.report.entries.length };
+      }
+
       // Get device metadata
       const deviceMetadata = await this.getDeviceMetadata();
       
@@ -292,10 +338,17 @@ export class TabSerializer {
           ...deviceMetadata,
           ...metadata,
           tabCount: tabs.length,
+          groupCount: collectTabGroups(tabs).size,
           syncId: this.generateSyncId()
         }
       };
 
+      if (options.windows) {
+        syncData.windows = tabs.length < originalCount
+          ? options.windows.filter(window => tabs.some(tab => tab.windowId === window.id))
+          : options.windows;
+      }
+
       // Add checksum for integrity
       const dataString = JSON.stringify({ tabs, metadata: syncData.metadata });
       syncData.checksum = await generateChecksum(dataString);
@@ -310,6 +363,12 @@ export class TabSerializer {
         );
       }
 
+      await redactionService.saveReport({
+        ...redaction.report,
+        syncId: metadata.syncId || syncData.metadata.syncId,
+        syncType: syncData.metadata.syncType || null
+      });
+
       log('info', 'Created sync data package', {
         tabCount: tabs.length,
         deviceId: this.deviceId,
@@ -384,14 +443,11 @@ export class TabSerializer {
   }
 
   /**
-   * Generate unique tab ID
-   * @param {number} chromeTabId - Chrome tab ID
+   * Generate a new logical tab ID, for tabs that don't come from a Chrome tab
    * @returns {string} Unique tab ID
    */
-  generateTabId(chromeTabId) {
-    const timestamp = Date.now();
-    const random = Math.random().toString(36).substr(2, 6);
-    return `tab_${chromeTabId}_${timestamp}_${random}`;
+  generateTabId() {
+    return generateLogicalTabId();
   }
 
   /**
@@ -406,33 +462,19 @@ export class TabSerializer {
 
   /**
    * Sanitize URL for storage
+   * Removes tracking parameters, credentials and secrets. Hashing and excluding
+   * tabs happen in the redaction step of createSyncData.
    * @param {string} url - URL to sanitize
+   * @param {Object} [settings] - Redaction settings
    * @returns {string} Sanitized URL
    */
-  sanitizeUrl(url) {
+  sanitizeUrl(url, settings = {}) {
     if (!url || typeof url !== 'string') {
       return '';
     }
 
-    // Remove sensitive parameters
-    try {
-      const urlObj = new URL(url);
-      
-      // Remove common tracking parameters
-      const trackingParams = [
-        'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content',
-        'fbclid', 'gclid', 'msclkid', '_ga', 'mc_eid'
-      ];
-      
-      trackingParams.forEach(param => {
-        urlObj.searchParams.delete(param);
-      });
-
-      return urlObj.toString();
-    } catch (error) {
-      // If URL parsing fails, return original
-      return url;
-    }
+    // If URL parsing fails, the original is returned
+    return rewriteUrl(url, { ...settings, stripTracking: true });
   }
 
   /**
@@ -0,0 +1,511 @@
+// Three-way merge for Tab Sync Extension
+// Merges local and remote tabs against the state each side had at the last sync
+
+import { isSameTabGroup } from './tab-groups.js';
+import { isLogicalTabId } from './tab-identity.js';
+import { findTombstone } from './tombstones.js';
+
+// Tab fields either side can edit independently
+export const MERGE_FIELDS = ['title', 'pinned', 'group'];
+
+// Titles follow page loads, so only these count as someone working on a tab
+const DELIBERATE_FIELDS = ['pinned', 'group'];
+
+/**
+ * Reduce a tab to the fields kept in a merge base
+ * @param {TabData} tab - Tab data
+ * @returns {Object} Base tab
+ */
+export function toBaseTab(tab) {
+  return {
+    id: tab.id,
+    url: tab.url,
+    title: tab.title,
+    pinned: tab.pinned || false,
+    windowId: tab.windowId,
+    index: tab.index,
+    group: tab.group || null
+  };
+}
+
+/**
+ * Key tabs by logical ID, or by URL for tabs from older versions, numbering repeated URLs in window and index order
+ * @param {TabData[]} tabs - Tab data
+ * @returns {Map<string, TabData>} Tabs by merge key
+ */
+export function keyTabs(tabs) {
+  const ordered = [...tabs].sort((a, b) => (a.windowId - b.windowId) || (a.index - b.index));
+  const counts = new Map();
+  const keyed = new Map();
+
+  for (const tab of ordered) {
+    if (isLogicalTabId(tab.id) && !keyed.has(tab.id)) {
+      keyed.set(tab.id, tab);
+      continue;
+    }
+    const count = counts.get(tab.url) || 0;
+    counts.set(tab.url, count + 1);
+    keyed.set(count === 0 ? tab.url : `${tab.url}#${count}`, tab);
+  }
+
+  return keyed;
+}
+
+/**
+ * Match tabs that have no counterpart among reference tabs to a leftover reference tab with the same URL
+ * Tabs synced before logical IDs existed, or opened separately on two devices, only match by URL.
+ * @param {Map<string, Object>} byKey - Tabs by merge key
+ * @param {Map<string, Object>} referenceByKey - Reference tabs by merge key
+ * @param {Function} [canMatch] - Whether a tab may be matched by URL
+ * @returns {Map<string, string>} Reference key by merge key, for matched tabs only
+ */
+function matchKeysByUrl(byKey, referenceByKey, canMatch = () => true) {
+  const leftover = new Map();
+  for (const [key, tab] of referenceByKey) {
+    if (!byKey.has(key)) {
+      if (!leftover.has(tab.url)) {
+        leftover.set(tab.url, []);
+      }
+      leftover.get(tab.url).push(key);
+    }
+  }
+
+  const matches = new Map();
+  for (const [key, tab] of byKey) {
+    const candidates = leftover.get(tab.url);
+    if (candidates?.length && !referenceByKey.has(key) && canMatch(tab)) {
+      matches.set(key, candidates.shift());
+    }
+  }
+  return matches;
+}
+
+/**
+ * Re-key tabs with matched keys
+ * @param {Map<string, Object>} byKey - Tabs by merge key
+ * @param {Map<string, string>} matches - New key by merge key
+ * @returns {Map<string, Object>} Tabs by new merge key
+ */
+function renameKeys(byKey, matches) {
+  return new Map([...byKey].map(([key, tab]) => [matches.get(key) || key, tab]));
+}
+
+/**
+ * Key base tabs like the current tabs, so a base from before logical IDs still lines up
+ * @param {Object[]} baseTabs - Tabs at the last sync
+ * @param {Map<string, TabData>} currentByKey - Current tabs by merge key
+ * @returns {Map<string, Object>} Base tabs by merge key
+ */
+function keyBaseTabs(baseTabs, currentByKey) {
+  const baseByKey = keyTabs(baseTabs);
+  return renameKeys(baseByKey, matchKeysByUrl(baseByKey, currentByKey, tab => !isLogicalTabId(tab.id)));
+}
+
+/**
+ * Normalize a field value so missing and default values compare equal
+ * @param {string} field - Field name
+ * @param {*} value - Field value
+ * @returns {*} Normalized value
+ */
+function normalizeField(field, value) {
+  if (field === 'pinned') {
+    return value || false;
+  }
+  return value ?? null;
+}
+
+/**
+ * Check whether two values of a merge field are the same
+ * @param {string} field - Field name
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if equal
+ */
+function isSameField(field, a, b) {
+  return field === 'group' ? isSameTabGroup(a, b) : normalizeField(field, a) === normalizeField(field, b);
+}
+
+/**
+ * Check whether changed fields include one a user set on purpose
+ * @param {Object} fields - Changed fields
+ * @returns {boolean} True if a deliberate field changed
+ */
+function hasDeliberateEdit(fields) {
+  return DELIBERATE_FIELDS.some(field => field in fields);
+}
+
+/**
+ * Pair base windows with the current windows sharing most of their tabs
+ * Window IDs change when the browser restarts, so membership is the only reliable link
+ * @param {Map<string, Object>} baseByKey - Base tabs by merge key
+ * @param {Map<string, TabData>} currentByKey - Current tabs by merge key
+ * @returns {Map<number, number>} Current window ID by base window ID
+ */
+function matchWindows(baseByKey, currentByKey) {
+  const overlaps = new Map();
+  for (const [key, baseTab] of baseByKey) {
+    const currentTab = currentByKey.get(key);
+    if (currentTab) {
+      const pair = `${baseTab.windowId}:${currentTab.windowId}`;
+      const overlap = overlaps.get(pair) || { base: baseTab.windowId, current: currentTab.windowId, count: 0 };
+      overlap.count++;
+      overlaps.set(pair, overlap);
+    }
+  }
+
+  const windowMap = new Map();
+  const usedWindows = new Set();
+  for (const overlap of [...overlaps.values()].sort((a, b) => b.count - a.count)) {
+    if (!windowMap.has(overlap.base) && !usedWindows.has(overlap.current)) {
+      windowMap.set(overlap.base, overlap.current);
+      usedWindows.add(overlap.current);
+    }
+  }
+
+  return windowMap;
+}
+
+/**
+ * Find the positions of the longest increasing run in a list of numbers
+ * @param {number[]} values - Values
+ * @returns {Set<number>} Positions in the run
+ */
+function longestIncreasingRun(values) {
+  const tails = [];
+  const previous = new Array(values.length).fill(-1);
+
+  values.forEach((value, position) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (values[tails[middle]] < value) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    previous[position] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = position;
+  });
+
+  const run = new Set();
+  for (let position = tails[tails.length - 1] ?? -1; position !== -1; position = previous[position]) {
+    run.add(position);
+  }
+  return run;
+}
+
+/**
+ * Compute what one side changed since the base
+ * @param {Object[]} baseTabs - Tabs at the last sync
+ * @param {TabData[]} currentTabs - Current tabs
+ * @returns {Object} Maps keyed by merge key: added and moved hold current tabs, removed holds base tabs, updated holds changed fields
+ */
+export function diffAgainstBase(baseTabs, currentTabs) {
+  const currentByKey = keyTabs(currentTabs);
+  return diffKeyedTabs(keyBaseTabs(baseTabs, currentByKey), currentByKey);
+}
+
+/**
+ * Compute what one side changed between keyed base and current tabs
+ * @param {Map<string, Object>} baseByKey - Base tabs by merge key
+ * @param {Map<string, TabData>} currentByKey - Current tabs by merge key
+ * @returns {Object} Maps of added, removed, updated and moved tabs by merge key
+ */
+function diffKeyedTabs(baseByKey, currentByKey) {
+  const windowMap = matchWindows(baseByKey, currentByKey);
+  const diff = { added: new Map(), removed: new Map(), updated: new Map(), moved: new Map() };
+  const stayed = new Map();
+
+  for (const [key, tab] of currentByKey) {
+    const baseTab = baseByKey.get(key);
+    if (!baseTab) {
+      diff.added.set(key, tab);
+      continue;
+    }
+
+    const fields = {};
+    for (const field of MERGE_FIELDS) {
+      if (!isSameField(field, baseTab[field], tab[field])) {
+        fields[field] = normalizeField(field, tab[field]);
+      }
+    }
+    if (Object.keys(fields).length > 0) {
+      diff.updated.set(key, fields);
+    }
+
+    if (windowMap.get(baseTab.windowId) !== tab.windowId) {
+      diff.moved.set(key, tab);
+    } else {
+      if (!stayed.has(tab.windowId)) {
+        stayed.set(tab.windowId, []);
+      }
+      stayed.get(tab.windowId).push({ key, tab, baseIndex: baseTab.index });
+    }
+  }
+
+  for (const [key, baseTab] of baseByKey) {
+    if (!currentByKey.has(key)) {
+      diff.removed.set(key, baseTab);
+    }
+  }
+
+  // Within a window, the tabs that kept their relative order stayed put and the rest were moved
+  for (const entries of stayed.values()) {
+    entries.sort((a, b) => a.tab.index - b.tab.index);
+    const run = longestIncreasingRun(entries.map(entry => entry.baseIndex));
+    entries.forEach((entry, position) => {
+      if (!run.has(position)) {
+        diff.moved.set(entry.key, entry.tab);
+      }
+    });
+  }
+
+  return diff;
+}
+
+/**
+ * Combine the changes every remote device made since its own base
+ * @param {Object[]} remotes - Remote devices with deviceId, tabs and baseTabs
+ * @param {Map<string, Object>} localKeys - Local and base tabs by merge key
+ * @returns {Map<string, Object>} Remote changes by local merge key
+ */
+function collectRemoteChanges(remotes, localKeys) {
+  const changes = new Map();
+  const getChange = key => {
+    if (!changes.has(key)) {
+      changes.set(key, { key, fields: {}, removedBy: null, added: false, moved: false, tab: null, remote: null });
+    }
+    return changes.get(key);
+  };
+
+  for (const remote of remotes) {
+    // A device seen for the first time has only additions
+    const currentByKey = keyTabs(remote.tabs);
+    const baseByKey = keyBaseTabs(remote.baseTabs || [], currentByKey);
+
+    // Tabs that got their IDs separately on each device are the same tab if the URL matches
+    const matches = matchKeysByUrl(new Map([...currentByKey, ...baseByKey]), localKeys);
+    const keyed = renameKeys(currentByKey, matches);
+    const diff = diffKeyedTabs(renameKeys(baseByKey, matches), keyed);
+    const source = { deviceId: remote.deviceId, keyed };
+
+    for (const [key, tab] of diff.added) {
+      Object.assign(getChange(key), { added: true, tab, remote: source });
+    }
+    for (const [key, fields] of diff.updated) {
+      const change = getChange(key);
+      Object.assign(change.fields, fields);
+      Object.assign(change, { tab: keyed.get(key), remote: source });
+    }
+    for (const [key, tab] of diff.moved) {
+      Object.assign(getChange(key), { moved: true, tab, remote: source });
+    }
+    for (const key of diff.removed.keys()) {
+      getChange(key).removedBy = remote.deviceId;
+    }
+  }
+
+  // A tab one device closed while another kept working on it stays open
+  for (const change of changes.values()) {
+    if (change.removedBy && (change.added || change.moved || hasDeliberateEdit(change.fields))) {
+      change.removedBy = null;
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Find where a remote tab belongs locally, next to its nearest neighbour that exists on both sides
+ * @param {string} key - Merge key of the tab
+ * @param {Object} source - Remote device the tab came from, with its keyed tabs
+ * @param {Map<string, TabData>} merged - Merged tabs by merge key
+ * @returns {Object|null} Local windowId and a fractional index, or null without a neighbour
+ */
+function findLocalPosition(key, source, merged) {
+  const remoteTab = source.keyed.get(key);
+  const neighbours = [...source.keyed]
+    .filter(([, tab]) => tab.windowId === remoteTab.windowId)
+    .sort(([, a], [, b]) => a.index - b.index)
+    .map(([neighbourKey]) => neighbourKey);
+  const position = neighbours.indexOf(key);
+  const step = 1 / (neighbours.length + 1);
+
+  for (let distance = 1; distance < neighbours.length; distance++) {
+    const before = merged.get(neighbours[position - distance]);
+    if (before) {
+      return { windowId: before.windowId, index: before.index + distance * step };
+    }
+    const after = merged.get(neighbours[position + distance]);
+    if (after) {
+      return { windowId: after.windowId, index: after.index - distance * step };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build a conflict for a tab both sides changed
+ * @param {string} subtype - 'concurrent_edit', 'concurrent_move' or 'edit_delete'
+ * @param {string} key - Merge key
+ * @param {TabData|null} localTab - Local version, null if closed locally
+ * @param {TabData|null} remoteTab - Remote version, null if closed remotely
+ * @param {Object} extra - Field, deviceId and the tombstone of a closed tab
+ * @returns {Object} Conflict
+ */
+function createMergeConflict(subtype, key, localTab, remoteTab, extra = {}) {
+  const title = (localTab || remoteTab).title;
+  const descriptions = {
+    concurrent_edit: `Tab "${title}" changed ${extra.field} on both devices`,
+    concurrent_move: `Tab "${title}" was moved on both devices`,
+    edit_delete: localTab
+      ? `Tab "${title}" was closed on ${extra.tombstone?.deviceName || 'another device'} but changed here`
+      : `Tab "${title}" was closed here but changed on another device`
+  };
+
+  return {
+    id: `merge_${subtype}_${extra.field ? `${extra.field}_` : ''}${key}`,
+    type: 'tab_metadata',
+    subtype,
+    severity: subtype === 'edit_delete' ? 2 : 1,
+    description: descriptions[subtype],
+    url: (localTab || remoteTab).url,
+    details: { localTab, remoteTab, ...extra },
+    resolutionStrategies: ['local_wins', 'remote_wins']
+  };
+}
+
+/**
+ * Put merged tabs in window order with pinned tabs first and consecutive indices
+ * @param {TabData[]} tabs - Merged tabs with possibly fractional indices
+ * @returns {TabData[]} Ordered tabs
+ */
+function orderMergedTabs(tabs) {
+  const windows = new Map();
+  for (const tab of tabs) {
+    if (!windows.has(tab.windowId)) {
+      windows.set(tab.windowId, []);
+    }
+    windows.get(tab.windowId).push(tab);
+  }
+
+  return [...windows.values()].flatMap(windowTabs => windowTabs
+    .sort((a, b) => (Number(b.pinned || false) - Number(a.pinned || false)) || (a.index - b.index))
+    .map((tab, index) => ({ ...tab, index })));
+}
+
+/**
+ * Merge local and remote tabs against the base each side had at the last sync
+ * Changes are attributed to the side that made them; only edits both sides made to the same tab conflict.
+ * Conflicts default to the local version unless resolved with 'remote_wins'.
+ * @param {Object} input - Merge input
+ * @param {Object[]} input.baseTabs - Local tabs at the last sync
+ * @param {TabData[]} input.localTabs - Current local tabs
+ * @param {Object[]} input.remotes - Remote devices with deviceId, tabs and baseTabs (null if never synced)
+ * @param {Tombstone[]} [input.tombstones] - Tabs closed on any device
+ * @param {Object} [resolutions={}] - Strategies keyed by conflict ID
+ * @returns {Object} Result with merged tabs in local window coordinates, changes per side and conflicts
+ */
+export function threeWayMergeTabs({ baseTabs, localTabs, remotes, tombstones = [] }, resolutions = {}) {
+  const localByKey = keyTabs(localTabs);
+  const baseByKey = keyBaseTabs(baseTabs, localByKey);
+  const localDiff = diffKeyedTabs(baseByKey, localByKey);
+  const merged = new Map([...localByKey].map(([key, tab]) => [key, { ...tab }]));
+
+  const conflicts = [];
+  const remoteApplied = { added: [], removed: [], moved: [], updated: [] };
+  const remoteWins = conflict => {
+    conflicts.push(conflict);
+    return resolutions[conflict.id] === 'remote_wins';
+  };
+
+  for (const change of collectRemoteChanges(remotes, new Map([...localByKey, ...baseByKey])).values()) {
+    const { key } = change;
+    const localTab = localByKey.get(key);
+    const localFields = localDiff.updated.get(key) || {};
+
+    if (change.removedBy) {
+      // Already closed here, or opened here again since the last sync
+      if (!localTab || !baseByKey.has(key)) {
+        continue;
+      }
+      const localEdited = hasDeliberateEdit(localFields) || localDiff.moved.has(key);
+      if (localEdited && !remoteWins(createMergeConflict('edit_delete', key, localTab, null, {
+        deviceId: change.removedBy,
+        tombstone: findTombstone(localTab, tombstones)
+      }))) {
+        continue;
+      }
+      merged.delete(key);
+      remoteApplied.removed.push(localTab);
+      continue;
+    }
+
+    if (!localTab) {
+      // An edit to a tab this side never took is not a reason to open it
+      if (!change.added && (!localDiff.removed.has(key) ||
+          !remoteWins(createMergeConflict('edit_delete', key, null, change.tab, { deviceId: change.remote.deviceId })))) {
+        continue;
+      }
+      // A device that has not seen a tab closed elsewhere still lists it as new
+      if (change.added && findTombstone(change.tab, tombstones)) {
+        continue;
+      }
+      const position = findLocalPosition(key, change.remote, merged);
+      const tab = { ...change.tab, ...(position || {}) };
+      delete tab.chromeTabId;
+      merged.set(key, tab);
+      remoteApplied.added.push(tab);
+      continue;
+    }
+
+    const tab = merged.get(key);
+    const appliedFields = [];
+    for (const [field, value] of Object.entries(change.fields)) {
+      const editedHere = field in localFields && !isSameField(field, localFields[field], value);
+      if (editedHere && !DELIBERATE_FIELDS.includes(field)) {
+        continue;
+      }
+      if (editedHere && !remoteWins(createMergeConflict('concurrent_edit', key, localTab, change.tab, {
+        field,
+        deviceId: change.remote.deviceId
+      }))) {
+        continue;
+      }
+      tab[field] = value;
+      appliedFields.push(field);
+    }
+    if (appliedFields.length > 0) {
+      remoteApplied.updated.push({ url: tab.url, fields: appliedFields });
+    }
+
+    if (change.moved) {
+      if (localDiff.moved.has(key) &&
+          !remoteWins(createMergeConflict('concurrent_move', key, localTab, change.tab, { deviceId: change.remote.deviceId }))) {
+        continue;
+      }
+      const position = findLocalPosition(key, change.remote, merged);
+      if (position) {
+        Object.assign(tab, position);
+        remoteApplied.moved.push(tab);
+      }
+    }
+  }
+
+  return {
+    tabs: orderMergedTabs([...merged.values()]),
+    conflicts,
+    changes: {
+      local: {
+        added: [...localDiff.added.values()],
+        removed: [...localDiff.removed.values()],
+        moved: [...localDiff.moved.values()],
+        updated: [...localDiff.updated].map(([key, fields]) => ({ url: localByKey.get(key).url, fields: Object.keys(fields) }))
+      },
+      remote: remoteApplied
+    }
+  };
+}
@@ -0,0 +1,301 @@
+// Time machine for Tab Sync Extension
+// Browses past revisions of a device's synced tabs and restores them on demand
+
+import { log, createError } from './utils.js';
+import { storageService } from './storage/storage-service.js';
+import { tabSerializer } from './tab-serializer.js';
+import { replayChangeLog } from './delta-sync.js';
+import { syncEngine } from './sync-engine.js';
+import { TabManager } from './tab-manager.js';
+
+export const RESTORE_MODES = ['window', 'remote'];
+
+/**
+ * Compare revision tabs with open tabs by URL, counting duplicates
+ * @param {TabData[]} revisionTabs - Tabs in the revision
+ * @param {TabData[]} currentTabs - Tabs open in the browser
+ * @returns {Object} Diff with added, removed and unchangedCount
+ */
+export function diffTabsByUrl(revisionTabs, currentTabs) {
+  const openCounts = new Map();
+  for (const tab of currentTabs) {
+    openCounts.set(tab.url, (openCounts.get(tab.url) || 0) + 1);
+  }
+
+  const added = [];
+  let unchangedCount = 0;
+  for (const tab of revisionTabs) {
+    const count = openCounts.get(tab.url) || 0;
+    if (count > 0) {
+      openCounts.set(tab.url, count - 1);
+      unchangedCount++;
+    } else {
+      added.push(tab);
+    }
+  }
+
+  // Whatever is left open has no counterpart in the revision
+  const removed = [];
+  for (const tab of currentTabs) {
+    const count = openCounts.get(tab.url) || 0;
+    if (count > 0) {
+      openCounts.set(tab.url, count - 1);
+      removed.push(tab);
+    }
+  }
+
+  return { added, removed, unchangedCount };
+}
+
+/**
+ * Point-in-time restore service
+ */
+export class TimeMachine {
+  constructor() {
+    this.tabManager = new TabManager();
+  }
+
+  /**
+   * List devices whose history can be browsed
+   * @returns {Promise<Object>} Devices from the manifest and whether revisions are available
+   */
+  async listDevices() {
+    await this.ensureStorageReady();
+
+    if (!storageService.supportsRevisions()) {
+      return { supported: false, provider: storageService.getCurrentProvider(), devices: [] };
+    }
+
+    const manifest = await storageService.getDeviceManifest();
+    const currentDeviceId = await this.getCurrentDeviceId();
+    const devices = Object.values(manifest.devices)
+      .map(entry => ({
+        deviceId: entry.deviceId,
+        deviceName: entry.label || entry.deviceName || entry.deviceId,
+        lastSeen: entry.lastSeen,
+        isCurrent: entry.deviceId === currentDeviceId
+      }))
+      .sort((a, b) => (b.isCurrent - a.isCurrent) || ((b.lastSeen || 0) - (a.lastSeen || 0)));
+
+    return { supported: true, provider: storageService.getCurrentProvider(), devices };
+  }
+
+  /**
+   * List past revisions of a device's synced tabs, newest first
+   * @param {Object} options - History options
+   * @param {string} [options.deviceId] - Device to browse, defaults to this device
+   * @param {number} [options.limit=30] - Maximum number of revisions
+   * @returns {Promise<Object[]>} Revisions with id, timestamp, message and author
+   */
+  async listRevisions(options = {}) {
+    const { limit = 30 } = options;
+
+    try {
+      await this.ensureStorageReady();
+      const deviceId = options.deviceId || await this.getCurrentDeviceId();
+      return await storageService.getDeviceRevisions(deviceId, { limit });
+    } catch (error) {
+      log('error', 'Failed to list revisions', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Pin or unpin a revision so the storage provider never prunes it
+   * @param {string} revisionId - Revision ID
+   * @param {Object} options - Options
+   * @param {string} [options.deviceId] - Device the revision belongs to, defaults to this device
+   * @param {boolean} [options.keepForever=true] - Whether to keep the revision forever
+   * @returns {Promise<Object>} Result with the revision ID and keepForever
+   */
+  async keepRevision(revisionId, options = {}) {
+    const { keepForever = true } = options;
+
+    try {
+      await this.ensureStorageReady();
+      const deviceId = options.deviceId || await this.getCurrentDeviceId();
+      return await storageService.setRevisionKeepForever(deviceId, revisionId, keepForever);
+    } catch (error) {
+      log('error', 'Failed to update revision retention', { revisionId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a device's synced tabs as they were at a revision
+   * @param {string} revisionId - Revision ID
+   * @param {Object} options - Options
+   * @param {string} [options.deviceId] - Device to read, defaults to this device
+   * @returns {Promise<SyncData>} Sync data with the change log replayed
+   */
+  async getRevision(revisionId, options = {}) {
+    if (typeof revisionId !== 'string' || !revisionId) {
+      throw createError('Revision ID is required', 'INVALID_REVISION');
+    }
+
+    await this.ensureStorageReady();
+    const deviceId = options.deviceId || await this.getCurrentDeviceId();
+    const revision = await storageService.retrieveDeviceRevision(deviceId, revisionId);
+
+    const validation = await tabSerializer.validateSyncData(revision.data);
+    if (!validation.isValid) {
+      throw createError('Revision does not contain valid sync data', 'INVALID_REVISION', {
+        revisionId,
+        errors: validation.errors
+      });
+    }
+
+    return replayChangeLog(revision.data, revision.changeLog);
+  }
+
+  /**
+   * Compare a revision with the tabs open in this browser
+   * @param {string} revisionId - Revision ID
+   * @param {Object} options - Options
+   * @param {string} [options.deviceId] - Device to read, defaults to this device
+   * @returns {Promise<Object>} Revision summary and the diff against open tabs
+   */
+  async compareRevision(revisionId, options = {}) {
+    try {
+      const syncData = await this.getRevision(revisionId, options);
+      const currentTabs = await this.tabManager.getCurrentTabs();
+      const diff = diffTabsByUrl(syncData.tabs, currentTabs);
+
+      return {
+        revisionId,
+        deviceId: syncData.deviceId,
+        timestamp: syncData.timestamp,
+        tabCount: syncData.tabs.length,
+        windowCount: (syncData.windows || []).length,
+        added: diff.added.map(tab => ({ url: tab.url, title: tab.title })),
+        removed: diff.removed.map(tab => ({ url: tab.url, title: tab.title })),
+        unchangedCount: diff.unchangedCount
+      };
+    } catch (error) {
+      log('error', 'Failed to compare revision', { revisionId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Restore a revision
+   * 'window' opens the revision's tabs in one new window and leaves everything else alone.
+   * 'remote' replaces the open tabs with the revision and uploads it as this device's snapshot.
+   * @param {string} revisionId - Revision ID
+   * @param {Object} options - Restore options
+   * @param {string} [options.deviceId] - Device to read, defaults to this device
+   * @param {string} [options.mode='window'] - 'window' or 'remote'
+   * @returns {Promise<Object>} Restore result
+   */
+  async restoreRevision(revisionId, options = {}) {
+    const { mode = 'window' } = options;
+    if (!RESTORE_MODES.includes(mode)) {
+      throw createError(`Unknown restore mode: ${mode}`, 'INVALID_RESTORE_MODE');
+    }
+
+    try {
+      const syncData = await this.getRevision(revisionId, options);
+
+      if (mode === 'window') {
+        const result = await this.tabManager.restoreWindowLayout(this.flattenToOneWindow(syncData.tabs));
+        log('info', 'Revision opened in a new window', { revisionId, tabs: result.created.length });
+        return {
+          success: result.errors.length === 0,
+          mode,
+          revisionId,
+          tabsCreated: result.created.length,
+          errors: result.errors
+        };
+      }
+
+      if (syncEngine.isSyncing) {
+        throw createError('Wait for the running sync to finish before restoring', 'SYNC_IN_PROGRESS');
+      }
+      if (!syncEngine.isInitialized) {
+        await syncEngine.initialize();
+      }
+
+      const applyResult = await syncEngine.applyRemoteTabs(syncData.tabs, {
+        windows: syncData.windows,
+        closeExistingTabs: true
+      });
+
+      // Publish the revision itself rather than re-reading tabs that may still be loading
+      const deviceId = await this.getCurrentDeviceId();
+      const snapshot = await tabSerializer.createSyncData(
+        syncData.tabs.map(tab => ({ ...tab, deviceId })),
+        { syncType: 'restore', restoredRevision: revisionId },
+        { windows: syncData.windows }
+      );
+      await syncEngine.storeFullSnapshot(snapshot, {
+        commitMessage: `Restore revision ${revisionId.substring(0, 7)} on ${deviceId}`
+      });
+
+      log('info', 'Revision restored as the remote state', { revisionId, tabs: applyResult.created.length });
+      return {
+        success: applyResult.errors.length === 0,
+        mode,
+        revisionId,
+        tabsCreated: applyResult.created.length,
+        tabsClosed: applyResult.closed.length,
+        errors: applyResult.errors
+      };
+    } catch (error) {
+      log('error', 'Failed to restore revision', { revisionId, mode, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Put tabs from several windows into one, keeping window order then tab order
+   * @param {TabData[]} tabs - Tabs from the revision
+   * @returns {TabData[]} Tabs that restore into a single window
+   */
+  flattenToOneWindow(tabs) {
+    if (tabs.length === 0) {
+      return [];
+    }
+
+    const windowOrder = [...new Set(tabs.map(tab => tab.windowId))];
+    const ordered = [...tabs].sort((a, b) =>
+      (windowOrder.indexOf(a.windowId) - windowOrder.indexOf(b.windowId)) || (a.index - b.index)
+    );
+    const { deviceId, windowId } = ordered[0];
+    const activeTab = ordered.find(tab => tab.active && tab.windowId === windowId);
+
+    // Pinned tabs must stay in front, and only the first window's active tab stays active
+    const pinned = ordered.filter(tab => tab.pinned);
+    const unpinned = ordered.filter(tab => !tab.pinned);
+    return [...pinned, ...unpinned].map((tab, index) => ({
+      ...tab,
+      deviceId,
+      windowId,
+      index,
+      active: tab === activeTab
+    }));
+  }
+
+  /**
+   * Get the ID of this device
+   * @returns {Promise<string>} Device ID
+   */
+  async getCurrentDeviceId() {
+    if (!this.tabManager.deviceId) {
+      await this.tabManager.initialize();
+    }
+    return this.tabManager.deviceId;
+  }
+
+  /**
+   * Initialize storage with the authenticated provider if needed
+   * @returns {Promise<void>}
+   */
+  async ensureStorageReady() {
+    if (!storageService.isInitialized()) {
+      await storageService.autoInitialize();
+    }
+  }
+}
+
+// Create singleton instance
+export const timeMachine = new TimeMachine();
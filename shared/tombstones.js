@@ -0,0 +1,158 @@
+// Tab tombstones for Tab Sync Extension
+// Records when and where tabs were closed, so merges can tell a closed tab from one never opened
+
+import { log } from './utils.js';
+import { isLogicalTabId } from './tab-identity.js';
+
+export const DEFAULT_TOMBSTONE_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create a tombstone for a closed tab
+ * @param {TabData} tab - Tab that was closed
+ * @param {DeviceMetadata} device - Device the tab was closed on
+ * @param {number} [deletedAt] - Close timestamp
+ * @returns {Tombstone} Tombstone
+ */
+export function createTombstone(tab, device, deletedAt = Date.now()) {
+  return {
+    id: tab.id,
+    url: tab.url,
+    title: tab.title,
+    deletedAt,
+    deviceId: device.deviceId,
+    deviceName: device.deviceName
+  };
+}
+
+/**
+ * Find the tombstone recording that a tab was closed
+ * Tabs with a logical ID match by ID, since a tab opened again gets a new one.
+ * Tabs from older versions match by URL if they were last read before the close.
+ * @param {TabData} tab - Tab data
+ * @param {Tombstone[]} [tombstones] - Tombstones
+ * @returns {Tombstone|null} Matching tombstone or null
+ */
+export function findTombstone(tab, tombstones = []) {
+  if (isLogicalTabId(tab.id)) {
+    return tombstones.find(tombstone => tombstone.id === tab.id) || null;
+  }
+  return tombstones.find(tombstone => tombstone.url === tab.url && (tab.timestamp || 0) <= tombstone.deletedAt) || null;
+}
+
+/**
+ * Drop tabs that have a tombstone
+ * @param {TabData[]} tabs - Tab data
+ * @param {Tombstone[]} tombstones - Tombstones
+ * @returns {TabData[]} Tabs that were not closed
+ */
+export function withoutTombstonedTabs(tabs, tombstones) {
+  return tabs.filter(tab => !findTombstone(tab, tombstones));
+}
+
+/**
+ * Combine tombstone lists, keeping the earliest close of each tab
+ * @param {...Tombstone[]} lists - Tombstone lists
+ * @returns {Tombstone[]} Combined tombstones, oldest first
+ */
+export function mergeTombstones(...lists) {
+  const byId = new Map();
+  for (const tombstone of lists.flat()) {
+    const existing = byId.get(tombstone.id);
+    if (!existing || tombstone.deletedAt < existing.deletedAt) {
+      byId.set(tombstone.id, tombstone);
+    }
+  }
+  return [...byId.values()].sort((a, b) => a.deletedAt - b.deletedAt);
+}
+
+/**
+ * Drop tombstones older than the retention period
+ * @param {Tombstone[]} tombstones - Tombstones
+ * @param {number} retentionMs - Retention period in milliseconds
+ * @param {number} [now] - Current timestamp
+ * @returns {Tombstone[]} Tombstones still kept
+ */
+export function pruneTombstones(tombstones, retentionMs, now = Date.now()) {
+  return tombstones.filter(tombstone => now - tombstone.deletedAt < retentionMs);
+}
+
+/**
+ * Tombstone service
+ * Keeps the tombstones of tabs closed on this device until the retention period set on the options page ends.
+ */
+export class TombstoneService {
+  constructor() {
+    this.storageKey = 'tabTombstones';
+  }
+
+  /**
+   * Get the retention period from the sync settings
+   * @returns {Promise<number>} Retention period in milliseconds
+   */
+  async getRetentionMs() {
+    const storage = await chrome.storage.local.get(['syncSettings']);
+    const days = Number(storage.syncSettings?.tombstoneRetentionDays) || DEFAULT_TOMBSTONE_RETENTION_DAYS;
+    return days * DAY_MS;
+  }
+
+  /**
+   * Get this device's tombstones, dropping expired ones
+   * @returns {Promise<Tombstone[]>} Tombstones
+   */
+  async getTombstones() {
+    try {
+      const result = await chrome.storage.local.get([this.storageKey]);
+      const stored = result[this.storageKey] || [];
+      const tombstones = pruneTombstones(stored, await this.getRetentionMs());
+
+      if (tombstones.length !== stored.length) {
+        await this.saveTombstones(tombstones);
+        log('info', 'Expired tab tombstones removed', { count: stored.length - tombstones.length });
+      }
+      return tombstones;
+    } catch (error) {
+      log('warn', 'Failed to load tab tombstones', { error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Record tabs closed on this device and forget tombstones of tabs open again
+   * @param {TabData[]} closedTabs - Tabs closed since the last upload
+   * @param {TabData[]} openTabs - Tabs open now
+   * @param {DeviceMetadata} device - This device
+   * @param {Object} options - Options
+   * @param {boolean} [options.dryRun] - Work out the tombstones without saving them
+   * @returns {Promise<Tombstone[]>} Tombstones now kept
+   */
+  async recordClosedTabs(closedTabs, openTabs, device, options = {}) {
+    const existing = await this.getTombstones();
+    // Restoring a session or revision reopens tabs under their old IDs
+    const openIds = new Set(openTabs.map(tab => tab.id));
+    const kept = existing.filter(tombstone => !openIds.has(tombstone.id));
+    const tombstones = mergeTombstones(kept, closedTabs.map(tab => createTombstone(tab, device)));
+
+    if (!options.dryRun && JSON.stringify(tombstones) !== JSON.stringify(existing)) {
+      await this.saveTombstones(tombstones);
+    }
+    return tombstones;
+  }
+
+  /**
+   * Save this device's tombstones
+   * @param {Tombstone[]} tombstones - Tombstones
+   * @returns {Promise<void>}
+   */
+  async saveTombstones(tombstones) {
+    try {
+      await chrome.storage.local.set({ [this.storageKey]: tombstones });
+    } catch (error) {
+      log('warn', 'Failed to save tab tombstones', { error: error.message });
+    }
+  }
+}
+
+// Create singleton instance
+export const tombstoneService = new TombstoneService();
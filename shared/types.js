@@ -3,7 +3,7 @@
 
 /**
  * @typedef {Object} TabData
- * @property {string} id - Unique tab identifier
+ * @property {string} id - Logical tab identifier, kept across restarts and shared with copies of the tab on other devices
  * @property {string} url - Tab URL
  * @property {string} title - Tab title
  * @property {string} [favicon] - Tab favicon URL (optional)
@@ -13,6 +13,27 @@
  * @property {string} deviceId - Device that created/modified this tab
  * @property {boolean} [pinned] - Whether tab is pinned (optional)
  * @property {boolean} [active] - Whether tab is currently active (optional)
+ * @property {TabGroupData|null} [group] - Tab group the tab belongs to (optional)
+ */
+
+/**
+ * @typedef {Object} TabGroupData
+ * @property {number} id - Chrome tab group ID, only meaningful on the device that created it
+ * @property {string} title - Group title
+ * @property {string} color - Group color (grey, blue, red, yellow, green, pink, purple, cyan, orange)
+ * @property {boolean} collapsed - Whether the group is collapsed
+ */
+
+/**
+ * @typedef {Object} WindowLayout
+ * @property {number} id - Chrome window ID on the device that created it
+ * @property {string} type - Window type (normal or popup)
+ * @property {string} state - Window state (normal, minimized, maximized or fullscreen)
+ * @property {number} [left] - Left edge in pixels (optional)
+ * @property {number} [top] - Top edge in pixels (optional)
+ * @property {number} [width] - Width in pixels (optional)
+ * @property {number} [height] - Height in pixels (optional)
+ * @property {string} [deviceId] - Source device, set when snapshots from several devices are merged (optional)
  */
 
 /**
@@ -32,9 +53,79 @@
  * @property {number} timestamp - Sync creation timestamp
  * @property {TabData[]} tabs - Array of tab data
  * @property {DeviceMetadata} metadata - Device metadata
+ * @property {WindowLayout[]} [windows] - Layouts of the windows referenced by tab windowIds (optional)
+ * @property {Tombstone[]} [tombstones] - Tabs closed within the retention period (optional)
  * @property {string} [checksum] - Data integrity checksum (optional)
  */
 
+/**
+ * @typedef {Object} Tombstone
+ * @property {string} id - ID of the closed tab
+ * @property {string} url - URL of the closed tab
+ * @property {string} title - Title of the closed tab
+ * @property {number} deletedAt - Close timestamp
+ * @property {string} deviceId - Device the tab was closed on
+ * @property {string} deviceName - Human-readable name of that device
+ */
+
+/**
+ * @typedef {Object} Delivery
+ * @property {string} id - Delivery identifier
+ * @property {string} fromDeviceId - Device that sent the tabs
+ * @property {string} fromDeviceName - Human-readable name of that device
+ * @property {number} sentAt - Send timestamp
+ * @property {boolean} newWindow - Whether the tabs were sent as a window and open in a new one
+ * @property {Object[]} tabs - Tabs to open, as { url, title, pinned }
+ */
+
+/**
+ * @typedef {Object} Inbox
+ * @property {number} version - Inbox format version
+ * @property {string} deviceId - Device the deliveries are for
+ * @property {Delivery[]} deliveries - Deliveries not yet opened, oldest first
+ */
+
+/**
+ * @typedef {Object} DeviceManifestEntry
+ * @property {string} deviceId - Device that owns the snapshot
+ * @property {string} [deviceName] - Human-readable device name (optional)
+ * @property {string} [label] - Name set in the device registry, shown instead of deviceName (optional)
+ * @property {string} [platform] - Operating system platform (optional)
+ * @property {string} [browserName] - Browser name (optional)
+ * @property {string} [browserVersion] - Browser version (optional)
+ * @property {string} fileName - Snapshot file name in storage
+ * @property {number} tabCount - Number of tabs in the snapshot
+ * @property {number} timestamp - Snapshot creation timestamp
+ * @property {string} [checksum] - Snapshot checksum (optional)
+ * @property {number} lastSeen - Last time the device published a snapshot
+ * @property {string} [changeLogFileName] - Change log file name in storage (optional)
+ * @property {number} [changeCount] - Number of change log entries since the snapshot (optional)
+ * @property {number} [lastChangeAt] - Timestamp of the latest change log entry (optional)
+ */
+
+/**
+ * @typedef {Object} DeviceManifest
+ * @property {number} version - Manifest format version
+ * @property {Object<string, DeviceManifestEntry>} devices - Entries keyed by device ID
+ * @property {number|null} updatedAt - Last manifest update timestamp
+ */
+
+/**
+ * @typedef {Object} TabDelta
+ * @property {TabData[]} added - Tabs opened since the previous upload
+ * @property {string[]} removed - IDs of tabs closed since the previous upload
+ * @property {Object[]} moved - Tabs with a new windowId or index, as { id, windowId, index }
+ * @property {Object[]} updated - Tabs with a changed url, title, pinned state or group
+ */
+
+/**
+ * @typedef {Object} ChangeLog
+ * @property {number} version - Change log format version
+ * @property {string} deviceId - Device that owns the log
+ * @property {number} baseTimestamp - Timestamp of the snapshot the entries apply to
+ * @property {Object[]} entries - Entries as { sequence, syncId, timestamp, changes: TabDelta, windows?, tombstones? }
+ */
+
 /**
  * @typedef {Object} ConflictItem
  * @property {'duplicate'|'modified'|'deleted'|'structural'} type - Type of conflict
@@ -66,18 +157,27 @@
  * @property {Object} [details] - Additional sync details (optional)
  */
 
+/**
+ * @typedef {Object} SyncRule
+ * @property {string} id - Rule identifier
+ * @property {'include'|'exclude'} action - Whether matching tabs are synced or kept local
+ * @property {'domain'|'glob'|'regex'|'pinned'|'window'} type - What the rule matches on
+ * @property {string|number} [value] - Domain, URL pattern or window ID; unused by pinned rules (optional)
+ * @property {boolean} enabled - Whether the rule is applied
+ */
+
 /**
  * @typedef {Object} AuthTokens
- * @property {string} accessToken - OAuth access token
+ * @property {string} accessToken - OAuth access token, or the WebDAV password
  * @property {string} [refreshToken] - OAuth refresh token (optional)
  * @property {number} expiresAt - Token expiration timestamp
  * @property {string[]} scopes - Granted OAuth scopes
- * @property {string} provider - Authentication provider ('google'|'github')
+ * @property {string} provider - Authentication provider ('google'|'github'|'webdav')
  */
 
 /**
  * @typedef {Object} StorageConfig
- * @property {string} provider - Storage provider ('google'|'github')
+ * @property {string} provider - Storage provider ('google'|'github'|'webdav'|'s3')
  * @property {string} [fileName] - Storage file name (optional)
  * @property {string} [repositoryName] - GitHub repository name (optional)
  * @property {boolean} encrypted - Whether data should be encrypted
@@ -106,11 +206,19 @@
 // Export type definitions for use in other modules
 export const Types = {
   TabData: 'TabData',
+  TabGroupData: 'TabGroupData',
+  WindowLayout: 'WindowLayout',
   DeviceMetadata: 'DeviceMetadata',
   SyncData: 'SyncData',
+  DeviceManifest: 'DeviceManifest',
+  Delivery: 'Delivery',
+  Inbox: 'Inbox',
+  TabDelta: 'TabDelta',
+  ChangeLog: 'ChangeLog',
   ConflictData: 'ConflictData',
   ConflictItem: 'ConflictItem',
   SyncHistoryEntry: 'SyncHistoryEntry',
+  SyncRule: 'SyncRule',
   AuthTokens: 'AuthTokens',
   StorageConfig: 'StorageConfig',
   ExtensionSettings: 'ExtensionSettings',
@@ -295,6 +295,49 @@ function simpleHash(str) {
   return Math.abs(hash).toString(16);
 }
 
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64 string
+ */
+export function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 into bytes
+ * @param {string} base64 - Base64 string
+ * @returns {Uint8Array} Decoded bytes
+ */
+export function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Check whether a URL is safe to send credentials to
+ * HTTPS is required, except for a server running on this computer.
+ * @param {string} value - URL to check
+ * @returns {boolean} Whether the URL is allowed
+ */
+export function isSecureEndpointUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' ||
+      (url.protocol === 'http:' && ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname));
+  } catch {
+    return false;
+  }
+}
+
 /**
  * Debounce function to limit rapid function calls
  * @param {Function} func - Function to debounce
@@ -318,9 +361,10 @@ export function debounce(func, wait) {
  * @param {Function} fn - Function to retry
  * @param {number} maxRetries - Maximum number of retries
  * @param {number} baseDelay - Base delay in milliseconds
+ * @param {Function} [shouldRetry] - Receives the error and returns false to fail at once
  * @returns {Promise} Promise that resolves with function result
  */
-export async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
+export async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000, shouldRetry = () => true) {
   let lastError;
   
   for (let attempt = 0; attempt <= maxRetries; attempt++) {
@@ -329,7 +373,7 @@ export async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
     } catch (error) {
       lastError = error;
       
-      if (attempt === maxRetries) {
+      if (attempt === maxRetries || !shouldRetry(error)) {
         throw error;
       }
       
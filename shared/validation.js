@@ -62,6 +62,14 @@ export function validateTabData(data) {
     warnings.push('TabData.active should be a boolean if provided');
   }
 
+  if (data.group !== undefined && data.group !== null) {
+    if (typeof data.group !== 'object' || typeof data.group.id !== 'number') {
+      errors.push('TabData.group must be an object with a numeric id if provided');
+    } else if (typeof data.group.title !== 'string' || typeof data.group.color !== 'string') {
+      warnings.push('TabData.group should have a string title and color');
+    }
+  }
+
   return {
     isValid: errors.length === 0,
     errors,
@@ -117,6 +125,22 @@ export function validateSyncData(data) {
     }
   }
 
+  if (data.windows !== undefined) {
+    if (!Array.isArray(data.windows)) {
+      errors.push('SyncData.windows must be an array if provided');
+    } else if (data.windows.some(window => !window || typeof window.id !== 'number')) {
+      errors.push('SyncData.windows entries must have a numeric id');
+    }
+  }
+
+  if (data.tombstones !== undefined) {
+    if (!Array.isArray(data.tombstones)) {
+      errors.push('SyncData.tombstones must be an array if provided');
+    } else if (data.tombstones.some(tombstone => !tombstone || typeof tombstone.deletedAt !== 'number')) {
+      errors.push('SyncData.tombstones entries must have a numeric deletedAt');
+    }
+  }
+
   // Optional checksum validation
   if (data.checksum !== undefined && typeof data.checksum !== 'string') {
     warnings.push('SyncData.checksum should be a string if provided');
@@ -302,7 +326,7 @@ export function validateAuthTokens(data) {
     errors.push('AuthTokens.scopes must be an array');
   }
 
-  const validProviders = ['google', 'github'];
+  const validProviders = ['google', 'github', 'webdav'];
   if (!validProviders.includes(data.provider)) {
     errors.push(`AuthTokens.provider must be one of: ${validProviders.join(', ')}`);
   }
@@ -0,0 +1,221 @@
+// Tests for exporting synced tabs to bookmarks and importing bookmark folders as sessions
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const { bookmarks, localStore } = vi.hoisted(() => {
+  const bookmarks = { nodes: {}, nextId: 10 };
+  const localStore = {};
+
+  const toTree = id => {
+    const node = bookmarks.nodes[id];
+    const parent = bookmarks.nodes[node.parentId];
+    return {
+      id,
+      parentId: node.parentId,
+      title: node.title,
+      index: parent ? parent.children.indexOf(id) : 0,
+      dateAdded: 1000,
+      ...(node.url ? { url: node.url } : { children: node.children.map(toTree) })
+    };
+  };
+  const detach = id => {
+    const parent = bookmarks.nodes[bookmarks.nodes[id].parentId];
+    parent.children.splice(parent.children.indexOf(id), 1);
+  };
+  const find = id => {
+    if (!bookmarks.nodes[id]) throw new Error(`Can't find bookmark for id.`);
+    return bookmarks.nodes[id];
+  };
+
+  global.navigator = { userAgent: 'Mozilla/5.0 Chrome/120.0.0.0', platform: 'Linux x86_64' };
+
+  global.chrome = {
+    identity: { getRedirectURL: () => 'https://test.chromiumapp.org/' },
+    storage: {
+      local: {
+        get: keys => Promise.resolve(Object.fromEntries(
+          [].concat(keys).filter(key => key in localStore).map(key => [key, localStore[key]])
+        )),
+        set: items => {
+          Object.assign(localStore, items);
+          return Promise.resolve();
+        },
+        remove: () => Promise.resolve()
+      }
+    },
+    runtime: {
+      getManifest: () => ({ version: '1.0.0' }),
+      getURL: path => `chrome-extension://test/${path}`
+    },
+    bookmarks: {
+      getTree: async () => [toTree('0')],
+      getSubTree: async id => [toTree(find(id).id)],
+      create: async ({ parentId = '2', index, title, url }) => {
+        const id = String(bookmarks.nextId++);
+        bookmarks.nodes[id] = { id, parentId, title, url, children: url ? undefined : [] };
+        const siblings = find(parentId).children;
+        siblings.splice(index ?? siblings.length, 0, id);
+        return toTree(id);
+      },
+      update: async (id, changes) => {
+        Object.assign(find(id), changes);
+        return toTree(id);
+      },
+      move: async (id, { parentId, index }) => {
+        detach(id);
+        find(id).parentId = parentId;
+        find(parentId).children.splice(index, 0, id);
+        return toTree(id);
+      },
+      remove: async id => {
+        detach(id);
+        delete bookmarks.nodes[id];
+      },
+      removeTree: async id => {
+        detach(id);
+        delete bookmarks.nodes[id];
+      }
+    }
+  };
+
+  return { bookmarks, localStore };
+});
+
+import { BookmarkService, buildBookmarkTree, readBookmarkFolder, PINNED_FOLDER_TITLE } from '../shared/bookmarks.js';
+import { sessionService } from '../shared/session-service.js';
+import { syncEngine } from '../shared/sync-engine.js';
+
+function createTab(url, windowId, index, pinned = false) {
+  return { id: `tab-${windowId}-${index}`, url, title: url.replace('https://', ''), windowId, index, pinned, timestamp: 1000, deviceId: 'laptop' };
+}
+
+// Titles of a folder's children, with subfolders as nested arrays
+function outline(id) {
+  const node = bookmarks.nodes[id];
+  return node.children.map(childId => {
+    const child = bookmarks.nodes[childId];
+    return child.url ? child.title : { [child.title]: outline(childId) };
+  });
+}
+
+describe('BookmarkService', () => {
+  let service;
+  let tabs;
+
+  beforeEach(() => {
+    for (const key of Object.keys(localStore)) delete localStore[key];
+    localStore.deviceId = 'laptop';
+    localStore.deviceName = 'Laptop';
+    bookmarks.nodes = {
+      0: { id: '0', title: '', children: ['1', '2'] },
+      1: { id: '1', parentId: '0', title: 'Bookmarks bar', children: [] },
+      2: { id: '2', parentId: '0', title: 'Other bookmarks', children: [] }
+    };
+
+    tabs = [
+      createTab('https://mail.example/', 1, 0, true),
+      createTab('https://a.example/', 1, 1),
+      createTab('chrome://newtab/', 1, 2),
+      createTab('https://b.example/', 7, 0)
+    ];
+    service = new BookmarkService();
+    vi.spyOn(service.tabManager, 'createSnapshot').mockImplementation(async () => ({ tabs, windows: [{ id: 1 }, { id: 7 }] }));
+  });
+
+  it('should build one subfolder per window with pinned tabs in a marked subfolder', () => {
+    expect(buildBookmarkTree(tabs, [{ id: 7 }, { id: 1 }])).toEqual([
+      { title: 'Window 1', children: [{ title: 'b.example/', url: 'https://b.example/' }] },
+      {
+        title: 'Window 2',
+        children: [
+          { title: PINNED_FOLDER_TITLE, children: [{ title: 'mail.example/', url: 'https://mail.example/' }] },
+          { title: 'a.example/', url: 'https://a.example/' }
+        ]
+      }
+    ]);
+  });
+
+  it('should export this device and update the same folder in place on re-export', async () => {
+    const first = await service.exportDevice();
+
+    expect(first).toMatchObject({ deviceId: 'laptop', deviceName: 'Laptop', tabCount: 3, windowCount: 2, created: 6 });
+    expect(outline('2')).toEqual([{ 'Tab Sync': [{ Laptop: [
+      { 'Window 1': [{ [PINNED_FOLDER_TITLE]: ['mail.example/'] }, 'a.example/'] },
+      { 'Window 2': ['b.example/'] }
+    ] }] }]);
+    const aId = bookmarks.nodes[first.folderId].children
+      .flatMap(windowId => bookmarks.nodes[windowId].children)
+      .find(id => bookmarks.nodes[id].url === 'https://a.example/');
+
+    tabs = [
+      createTab('https://c.example/', 1, 0),
+      { ...createTab('https://a.example/', 1, 1), title: 'A renamed' },
+      createTab('https://b.example/', 7, 0)
+    ];
+    const second = await service.exportDevice();
+
+    expect(second.folderId).toBe(first.folderId);
+    expect(second).toMatchObject({ created: 1, updated: 1, removed: 1 });
+    expect(outline(first.folderId)).toEqual([{ 'Window 1': ['c.example/', 'A renamed'] }, { 'Window 2': ['b.example/'] }]);
+    expect(bookmarks.nodes[aId].title).toBe('A renamed');
+  });
+
+  it('should export another device from its synced snapshot and recreate a deleted folder', async () => {
+    syncEngine.isInitialized = true;
+    vi.spyOn(syncEngine, 'retrieveRemoteDeviceSnapshots').mockResolvedValue([{
+      deviceId: 'desktop',
+      tabs: [createTab('https://desk.example/', 3, 0)],
+      metadata: { deviceName: 'Office PC' }
+    }]);
+
+    const first = await service.exportDevice('desktop');
+    await chrome.bookmarks.removeTree(first.folderId);
+    const second = await service.exportDevice('desktop');
+
+    expect(second.folderId).not.toBe(first.folderId);
+    expect(outline(second.folderId)).toEqual([{ 'Window 1': ['desk.example/'] }]);
+    await expect(service.exportDevice('phone')).rejects.toMatchObject({ code: 'DEVICE_NOT_FOUND' });
+  });
+
+  it('should import a bookmark folder as a session with windows and pinned tabs', async () => {
+    const saved = vi.spyOn(sessionService, 'saveTabsAsSession').mockImplementation(async (name, sessionTabs, options) => ({
+      name,
+      tabCount: sessionTabs.length,
+      scope: options.scope
+    }));
+    const folder = await chrome.bookmarks.create({ title: 'Research' });
+    await chrome.bookmarks.create({ parentId: folder.id, title: 'Loose', url: 'https://loose.example/' });
+    const work = await chrome.bookmarks.create({ parentId: folder.id, title: 'Work' });
+    await chrome.bookmarks.create({ parentId: work.id, title: 'Docs', url: 'https://docs.example/' });
+    const pinned = await chrome.bookmarks.create({ parentId: work.id, title: 'Pinned' });
+    await chrome.bookmarks.create({ parentId: pinned.id, title: 'Chat', url: 'https://chat.example/' });
+    await chrome.bookmarks.create({ parentId: work.id, title: 'Script', url: 'javascript:void(0)' });
+
+    const result = await service.importFolder(folder.id);
+
+    expect(result).toEqual({ name: 'Research', tabCount: 3, scope: 'bookmarks' });
+    const [, sessionTabs, options] = saved.mock.calls[0];
+    expect(sessionTabs.map(tab => [tab.url, tab.windowId, tab.index, tab.pinned])).toEqual([
+      ['https://loose.example/', 1, 0, false],
+      ['https://chat.example/', 2, 0, true],
+      ['https://docs.example/', 2, 1, false]
+    ]);
+    expect(options.windows.map(window => window.id)).toEqual([1, 2]);
+
+    const folders = await service.listFolders();
+    expect(folders.find(entry => entry.id === folder.id)).toMatchObject({ path: 'Other bookmarks / Research', bookmarkCount: 4 });
+  });
+
+  it('should read loose bookmarks and pinned folders at the top level into one window', () => {
+    const { tabs: read, windows } = readBookmarkFolder({
+      title: 'Flat',
+      children: [
+        { title: 'A', url: 'https://a.example/' },
+        { title: '📌 Pinned', children: [{ title: 'P', url: 'https://p.example/' }] }
+      ]
+    }, 'laptop');
+
+    expect(windows).toHaveLength(1);
+    expect(read.map(tab => [tab.url, tab.index, tab.pinned])).toEqual([['https://p.example/', 0, true], ['https://a.example/', 1, false]]);
+  });
+});
@@ -0,0 +1,138 @@
+// Tests for compression of sync payloads
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const { localStore, sessionStore } = vi.hoisted(() => {
+  const localStore = {};
+  const sessionStore = {};
+
+  const createArea = store => ({
+    get: keys => Promise.resolve(Object.fromEntries(
+      keys.filter(key => key in store).map(key => [key, store[key]])
+    )),
+    set: items => {
+      Object.assign(store, items);
+      return Promise.resolve();
+    },
+    remove: key => {
+      delete store[key];
+      return Promise.resolve();
+    }
+  });
+
+  global.chrome = {
+    identity: { getRedirectURL: () => 'https://test.chromiumapp.org/' },
+    storage: {
+      local: createArea(localStore),
+      session: createArea(sessionStore)
+    },
+    runtime: {
+      getManifest: () => ({ version: '1.0.0' }),
+      getURL: path => `chrome-extension://test/${path}`
+    }
+  };
+
+  return { localStore, sessionStore };
+});
+
+import {
+  compressString,
+  decompressEnvelope,
+  parseCompressedEnvelope,
+  shouldCompress,
+  COMPRESSION_THRESHOLD
+} from '../shared/compression.js';
+import { parseEncryptedEnvelope, EncryptionService } from '../shared/encryption.js';
+import { GitHubStorage } from '../shared/storage/github-storage.js';
+import { GoogleDriveStorage } from '../shared/storage/google-drive-storage.js';
+
+function createSyncData(tabCount) {
+  return {
+    version: '1.0.0',
+    deviceId: 'device-1',
+    timestamp: 1000,
+    tabs: Array.from({ length: tabCount }, (_, index) => ({
+      id: `tab_${index}`,
+      url: `https://example.com/page/${index}`,
+      title: `Example page ${index}`,
+      windowId: 1,
+      index,
+      pinned: false,
+      active: index === 0,
+      timestamp: 1000
+    }))
+  };
+}
+
+describe('Compression envelope', () => {
+  it('should round-trip text including non-Latin characters', async () => {
+    const text = JSON.stringify({ title: 'Résumé — 日本語 🚀' });
+    const envelope = await compressString(text);
+
+    expect(envelope).toMatchObject({ format: 'tab-sync-compressed', version: 1, algorithm: 'gzip' });
+    expect(await decompressEnvelope(envelope)).toBe(text);
+  });
+
+  it('should shrink large tab lists', async () => {
+    const text = JSON.stringify(createSyncData(300), null, 2);
+    const envelope = await compressString(text);
+
+    expect(JSON.stringify(envelope).length).toBeLessThan(text.length / 4);
+  });
+
+  it('should report corrupted data', async () => {
+    await expect(decompressEnvelope({
+      format: 'tab-sync-compressed',
+      version: 1,
+      algorithm: 'gzip',
+      data: btoa('not gzip')
+    })).rejects.toMatchObject({ code: 'DECOMPRESSION_FAILED' });
+  });
+
+  it('should compress automatically only above the size threshold', () => {
+    expect(shouldCompress('x'.repeat(COMPRESSION_THRESHOLD))).toBe(true);
+    expect(shouldCompress('small')).toBe(false);
+    expect(shouldCompress('small', true)).toBe(true);
+    expect(shouldCompress('x'.repeat(COMPRESSION_THRESHOLD), false)).toBe(false);
+  });
+});
+
+describe('Storage adapter compression', () => {
+  beforeEach(() => {
+    for (const key of Object.keys(localStore)) delete localStore[key];
+    for (const key of Object.keys(sessionStore)) delete sessionStore[key];
+  });
+
+  it.each([
+    ['GitHubStorage', GitHubStorage],
+    ['GoogleDriveStorage', GoogleDriveStorage]
+  ])('%s should compress large payloads and detect them on read', async (name, Adapter) => {
+    const storage = new Adapter();
+    const data = createSyncData(300);
+
+    const stored = await storage.prepareDataForStorage(data, {});
+    expect(parseCompressedEnvelope(stored)).not.toBeNull();
+
+    expect(await storage.processRetrievedData(stored)).toEqual(data);
+  });
+
+  it('should keep small payloads as plain JSON', async () => {
+    const storage = new GitHubStorage();
+    const data = createSyncData(2);
+
+    const stored = await storage.prepareDataForStorage(data, {});
+    expect(JSON.parse(stored)).toEqual(data);
+  });
+
+  it('should compress before encrypting and reverse the order on read', async () => {
+    await new EncryptionService().setupPassphrase('correct horse');
+    const storage = new GoogleDriveStorage();
+    const data = createSyncData(300);
+
+    const stored = await storage.prepareDataForStorage(data, { encrypt: true, compress: true });
+    expect(parseEncryptedEnvelope(stored)).not.toBeNull();
+    expect(stored.length).toBeLessThan(JSON.stringify(data).length / 2);
+
+    expect(await storage.processRetrievedData(stored)).toEqual(data);
+  });
+});
@@ -0,0 +1,263 @@
+// Tests for delta sync change logs
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const { localStore } = vi.hoisted(() => {
+  const localStore = {};
+
+  global.chrome = {
+    identity: { getRedirectURL: () => 'https://test.chromiumapp.org/' },
+    storage: {
+      local: {
+        get: keys => Promise.resolve(Object.fromEntries(
+          keys.filter(key => key in localStore).map(key => [key, localStore[key]])
+        )),
+        set: items => {
+          Object.assign(localStore, items);
+          return Promise.resolve();
+        },
+        remove: key => {
+          delete localStore[key];
+          return Promise.resolve();
+        }
+      }
+    },
+    runtime: {
+      getManifest: () => ({ version: '1.0.0' }),
+      getURL: path => `chrome-extension://test/${path}`
+    }
+  };
+
+  return { localStore };
+});
+
+import {
+  computeTabDelta,
+  applyTabDelta,
+  isDeltaEmpty,
+  replayChangeLog,
+  shouldWriteFullSnapshot,
+  SNAPSHOT_MAX_ENTRIES
+} from '../shared/delta-sync.js';
+import { GitHubStorage } from '../shared/storage/github-storage.js';
+import { storageService } from '../shared/storage/storage-service.js';
+import { SyncEngine } from '../shared/sync-engine.js';
+
+function createTab(id, overrides = {}) {
+  return {
+    id: `tab_${id}`,
+    url: `https://example.com/${id}`,
+    title: `Page ${id}`,
+    windowId: 1,
+    index: id,
+    pinned: false,
+    active: false,
+    timestamp: 100,
+    ...overrides
+  };
+}
+
+function createSyncData(tabs, timestamp = 1000) {
+  return {
+    version: '1.0.0',
+    deviceId: 'laptop',
+    timestamp,
+    tabs,
+    metadata: { deviceId: 'laptop', syncId: `sync_${timestamp}` }
+  };
+}
+
+describe('Tab deltas', () => {
+  const previous = [createTab(0), createTab(1), createTab(2)];
+
+  it('should detect added, removed, moved and updated tabs', () => {
+    const current = [
+      createTab(0, { title: 'Renamed' }),
+      createTab(2, { index: 1, pinned: true }),
+      createTab(3, { index: 2 })
+    ];
+
+    const delta = computeTabDelta(previous, current);
+
+    expect(delta.added.map(tab => tab.id)).toEqual(['tab_3']);
+    expect(delta.removed).toEqual(['tab_1']);
+    expect(delta.moved).toEqual([{ id: 'tab_2', windowId: 1, index: 1 }]);
+    expect(delta.updated).toEqual([
+      { id: 'tab_0', timestamp: 100, title: 'Renamed' },
+      { id: 'tab_2', timestamp: 100, pinned: true }
+    ]);
+  });
+
+  it('should rebuild the current tabs by applying the delta', () => {
+    const current = [
+      createTab(2, { index: 0, windowId: 2 }),
+      createTab(0, { url: 'https://example.com/navigated' }),
+      createTab(4, { index: 1 })
+    ];
+
+    const rebuilt = applyTabDelta(previous, computeTabDelta(previous, current));
+
+    expect(rebuilt).toEqual([current[1], current[2], current[0]]);
+  });
+
+  it('should match re-serialized tabs by Chrome tab ID', () => {
+    const before = [createTab(0, { id: 'tab_7_100', chromeTabId: 7 })];
+    const after = [createTab(0, { id: 'tab_7_200', chromeTabId: 7, title: 'Renamed' })];
+
+    const delta = computeTabDelta(before, after);
+
+    expect(delta.added).toEqual([]);
+    expect(delta.removed).toEqual([]);
+    expect(delta.updated).toEqual([{ id: 'tab_7_100', timestamp: 100, title: 'Renamed' }]);
+  });
+
+  it('should report an empty delta when nothing changed', () => {
+    expect(isDeltaEmpty(computeTabDelta(previous, previous))).toBe(true);
+  });
+});
+
+describe('Change log replay', () => {
+  it('should replay entries in sequence order on top of the snapshot', () => {
+    const snapshot = createSyncData([createTab(0)], 1000);
+    const changeLog = {
+      baseTimestamp: 1000,
+      entries: [
+        { sequence: 2, timestamp: 3000, changes: { added: [], removed: ['tab_1'], moved: [], updated: [] } },
+        { sequence: 1, timestamp: 2000, changes: { added: [createTab(1)], removed: [], moved: [], updated: [] } }
+      ]
+    };
+
+    const replayed = replayChangeLog(snapshot, changeLog);
+
+    expect(replayed.tabs.map(tab => tab.id)).toEqual(['tab_0']);
+    expect(replayed.timestamp).toBe(3000);
+    expect(replayed.metadata.replayedChanges).toBe(2);
+  });
+
+  it('should ignore entries written against an older snapshot', () => {
+    const snapshot = createSyncData([createTab(0)], 5000);
+    const changeLog = {
+      baseTimestamp: 1000,
+      entries: [{ sequence: 1, timestamp: 2000, changes: { added: [], removed: ['tab_0'], moved: [], updated: [] } }]
+    };
+
+    expect(replayChangeLog(snapshot, changeLog)).toBe(snapshot);
+  });
+
+  it('should write a full snapshot periodically or when most tabs changed', () => {
+    const smallDelta = { added: [createTab(9)], removed: [], moved: [], updated: [] };
+    const lastUpload = { snapshotTimestamp: Date.now(), entryCount: 1 };
+
+    expect(shouldWriteFullSnapshot(null, smallDelta, 10)).toBe(true);
+    expect(shouldWriteFullSnapshot(lastUpload, smallDelta, 10)).toBe(false);
+    expect(shouldWriteFullSnapshot({ ...lastUpload, entryCount: SNAPSHOT_MAX_ENTRIES }, smallDelta, 10)).toBe(true);
+    expect(shouldWriteFullSnapshot({ ...lastUpload, snapshotTimestamp: 0 }, smallDelta, 10)).toBe(true);
+    expect(shouldWriteFullSnapshot(lastUpload, smallDelta, 1)).toBe(true);
+  });
+});
+
+describe('Change log storage', () => {
+  let storage;
+  let files;
+
+  beforeEach(() => {
+    storage = new GitHubStorage();
+    files = {};
+
+    vi.spyOn(storage, 'getFile').mockImplementation(async fileName =>
+      files[fileName] ? { sha: 'sha' } : null
+    );
+    vi.spyOn(storage, 'store').mockImplementation(async (fileName, data) => {
+      files[fileName] = JSON.parse(JSON.stringify(data));
+      return { success: true, fileName, size: 1, checksum: 'checksum', timestamp: Date.now() };
+    });
+    vi.spyOn(storage, 'retrieve').mockImplementation(async fileName => {
+      return { success: true, data: files[fileName], metadata: { fileName } };
+    });
+  });
+
+  it('should append entries and attach the log to retrieved snapshots', async () => {
+    await storage.storeDeviceSnapshot('laptop', createSyncData([createTab(0)], 1000));
+    await storage.appendDeviceChanges('laptop', { sequence: 1, timestamp: 2000, changes: {} }, { baseTimestamp: 1000 });
+    await storage.appendDeviceChanges('laptop', { sequence: 2, timestamp: 3000, changes: {} }, { baseTimestamp: 1000 });
+
+    expect(files['devices/laptop.changes.json'].entries).toHaveLength(2);
+
+    const [snapshot] = await storage.retrieveDeviceSnapshots();
+    expect(snapshot.changeLog.entries.map(entry => entry.sequence)).toEqual([1, 2]);
+  });
+
+  it('should start a fresh log after a new snapshot', async () => {
+    await storage.storeDeviceSnapshot('laptop', createSyncData([createTab(0)], 1000));
+    await storage.appendDeviceChanges('laptop', { sequence: 1, timestamp: 2000, changes: {} }, { baseTimestamp: 1000 });
+    await storage.storeDeviceSnapshot('laptop', createSyncData([createTab(0)], 5000));
+    await storage.appendDeviceChanges('laptop', { sequence: 1, timestamp: 6000, changes: {} }, { baseTimestamp: 5000 });
+
+    expect(files['devices/laptop.changes.json']).toMatchObject({ baseTimestamp: 5000, entries: [{ timestamp: 6000 }] });
+  });
+
+  it('should refuse changes from a device missing from the manifest', async () => {
+    await expect(storage.appendDeviceChanges('phone', { sequence: 1, timestamp: 2000, changes: {} }, { baseTimestamp: 1000 }))
+      .rejects.toMatchObject({ code: 'DEVICE_NOT_REGISTERED' });
+  });
+});
+
+describe('SyncEngine.publishSyncData', () => {
+  let engine;
+  let now;
+
+  beforeEach(() => {
+    for (const key of Object.keys(localStore)) delete localStore[key];
+    vi.restoreAllMocks();
+
+    now = Date.now();
+    engine = new SyncEngine();
+    engine.deviceId = 'laptop';
+
+    vi.spyOn(storageService, 'storeDeviceSnapshot').mockResolvedValue({ size: 100, checksum: 'a' });
+    vi.spyOn(storageService, 'appendDeviceChanges').mockResolvedValue({ size: 10, checksum: 'b' });
+  });
+
+  it('should write a full snapshot on the first upload', async () => {
+    const result = await engine.publishSyncData(createSyncData([createTab(0), createTab(1)], now));
+
+    expect(result.mode).toBe('snapshot');
+    expect(storageService.storeDeviceSnapshot).toHaveBeenCalledOnce();
+    expect(localStore.lastUploadState).toMatchObject({ snapshotTimestamp: now, sequence: 0 });
+  });
+
+  it('should upload only the changed tabs afterwards', async () => {
+    const tabs = [createTab(0), createTab(1), createTab(2)];
+    await engine.publishSyncData(createSyncData(tabs, now));
+
+    const result = await engine.publishSyncData(createSyncData([...tabs, createTab(3)], now + 1000));
+
+    expect(result.mode).toBe('delta');
+    expect(storageService.appendDeviceChanges).toHaveBeenCalledWith(
+      'laptop',
+      expect.objectContaining({ sequence: 1, changes: expect.objectContaining({ added: [createTab(3)] }) }),
+      expect.objectContaining({ baseTimestamp: now })
+    );
+    expect(localStore.lastUploadState.entryCount).toBe(1);
+  });
+
+  it('should skip the upload when nothing changed', async () => {
+    const tabs = [createTab(0), createTab(1)];
+    await engine.publishSyncData(createSyncData(tabs, now));
+
+    const result = await engine.publishSyncData(createSyncData(tabs, now + 1000));
+
+    expect(result.mode).toBe('skip');
+    expect(storageService.appendDeviceChanges).not.toHaveBeenCalled();
+  });
+
+  it('should write a full snapshot when forced', async () => {
+    const tabs = [createTab(0), createTab(1), createTab(2)];
+    await engine.publishSyncData(createSyncData(tabs, now));
+
+    const result = await engine.publishSyncData(createSyncData([...tabs, createTab(3)], now + 1000), { forceSnapshot: true });
+
+    expect(result.mode).toBe('snapshot');
+    expect(storageService.storeDeviceSnapshot).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,163 @@
+// Tests for the registry of synced devices kept in cloud storage
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const { localStore } = vi.hoisted(() => {
+  const localStore = {};
+
+  global.navigator = { userAgent: 'Mozilla/5.0 Chrome/120.0.0.0', platform: 'Linux x86_64' };
+
+  global.chrome = {
+    identity: { getRedirectURL: () => 'https://test.chromiumapp.org/' },
+    storage: {
+      local: {
+        get: keys => Promise.resolve(Object.fromEntries(
+          [].concat(keys).filter(key => key in localStore).map(key => [key, structuredClone(localStore[key])])
+        )),
+        set: items => {
+          Object.assign(localStore, structuredClone(items));
+          return Promise.resolve();
+        },
+        remove: () => Promise.resolve()
+      }
+    },
+    runtime: {
+      getManifest: () => ({ version: '1.0.0' }),
+      getURL: path => `chrome-extension://test/${path}`
+    }
+  };
+
+  return { localStore };
+});
+
+import { DeviceRegistry } from '../shared/device-registry.js';
+import { storageService } from '../shared/storage/storage-service.js';
+import { GitHubStorage } from '../shared/storage/github-storage.js';
+import { syncEngine } from '../shared/sync-engine.js';
+
+function createSyncData(deviceId, deviceName, timestamp, tabCount = 1) {
+  const tabs = Array.from({ length: tabCount }, (_, index) => ({
+    id: `tab-${deviceId}-${index}`,
+    url: `https://${deviceId}.example/${index}`,
+    title: `Tab ${index}`,
+    windowId: 1,
+    index,
+    timestamp,
+    deviceId
+  }));
+  const metadata = {
+    deviceId,
+    deviceName,
+    browserName: 'Chrome',
+    browserVersion: '120.0.0.0',
+    platform: 'Linux x86_64',
+    lastSeen: timestamp
+  };
+  return { version: '1.0.0', deviceId, timestamp, tabs, metadata };
+}
+
+describe('DeviceRegistry', () => {
+  let registry;
+  let github;
+  let files;
+
+  beforeEach(async () => {
+    for (const key of Object.keys(localStore)) delete localStore[key];
+    localStore.deviceId = 'laptop';
+
+    files = {};
+    github = new GitHubStorage();
+    github.getFile = vi.fn(fileName => Promise.resolve(files[fileName] ? { sha: 'sha' } : null));
+    github.retrieve = vi.fn(fileName => Promise.resolve({ data: structuredClone(files[fileName]) }));
+    github.store = vi.fn((fileName, data) => {
+      files[fileName] = structuredClone(data);
+      return Promise.resolve({ fileName, size: 10, checksum: 'c', timestamp: Date.now() });
+    });
+    github.deleteFile = vi.fn(fileName => {
+      delete files[fileName];
+      return Promise.resolve({ success: true, fileName });
+    });
+
+    storageService.providers = { github };
+    storageService.currentProvider = 'github';
+    storageService.initialized = true;
+    vi.spyOn(storageService, 'recordOperation').mockResolvedValue();
+
+    await github.storeDeviceSnapshot('laptop', createSyncData('laptop', 'Laptop', 1000, 2));
+    await github.storeDeviceSnapshot('desktop', createSyncData('desktop', 'Desktop', 2000, 3));
+    registry = new DeviceRegistry();
+  });
+
+  it('should list every synced device with its platform, browser and tab count', async () => {
+    const devices = await registry.listDevices();
+
+    expect(devices.map(device => device.deviceId)).toEqual(['laptop', 'desktop']);
+    expect(devices[1]).toMatchObject({
+      deviceName: 'Desktop',
+      platform: 'Linux x86_64',
+      browserName: 'Chrome',
+      browserVersion: '120.0.0.0',
+      tabCount: 3,
+      isCurrent: false
+    });
+    expect(devices[1].lastSeen).toEqual(expect.any(Number));
+  });
+
+  it('should keep a label through the device\'s next sync and show it in synced snapshots', async () => {
+    const result = await registry.renameDevice('desktop', '  Office PC ');
+    expect(result).toMatchObject({ label: 'Office PC', deviceName: 'Office PC' });
+
+    await github.storeDeviceSnapshot('desktop', createSyncData('desktop', 'Desktop', 3000, 3));
+
+    const [, desktop] = await registry.listDevices();
+    expect(desktop).toMatchObject({ deviceName: 'Office PC', reportedName: 'Desktop', label: 'Office PC' });
+
+    syncEngine.deviceId = 'laptop';
+    const [snapshot] = await syncEngine.retrieveRemoteDeviceSnapshots();
+    expect(snapshot.metadata.deviceName).toBe('Office PC');
+
+    await registry.renameDevice('desktop', '');
+    expect((await registry.listDevices())[1].deviceName).toBe('Desktop');
+  });
+
+  it('should delete a forgotten device\'s files and sync base', async () => {
+    files['inbox/desktop.json'] = { version: 1, deviceId: 'desktop', deliveries: [] };
+    localStore.syncBase = { timestamp: 1, local: [], devices: { desktop: { timestamp: 1, tabs: [] } } };
+    localStore.knownDevices = [{ deviceId: 'desktop', deviceName: 'Desktop' }];
+
+    const result = await registry.forgetDevice('desktop');
+
+    expect(result.deletedFiles).toEqual(['devices/desktop.json', 'devices/desktop.changes.json', 'inbox/desktop.json']);
+    expect(files['devices/desktop.json']).toBeUndefined();
+    expect(files['inbox/desktop.json']).toBeUndefined();
+    expect(Object.keys(files['devices/manifest.json'].devices)).toEqual(['laptop']);
+    expect(localStore.syncBase.devices).toEqual({});
+    expect(localStore.knownDevices).toEqual([]);
+  });
+
+  it('should register a forgotten device again with a full snapshot when it keeps syncing', async () => {
+    await registry.renameDevice('desktop', 'Office PC');
+    await registry.forgetDevice('desktop');
+
+    // The desktop still has its last upload, so its next sync would only send changes
+    const previous = createSyncData('desktop', 'Desktop', 2000, 3);
+    localStore.lastUploadState = { snapshotTimestamp: 2000, tabs: previous.tabs, sequence: 0, entryCount: 0 };
+    const next = createSyncData('desktop', 'Desktop', 3000, 3);
+    next.tabs[0] = { ...next.tabs[0], title: 'Edited' };
+    syncEngine.deviceId = 'desktop';
+
+    const result = await syncEngine.publishSyncData(next);
+
+    expect(result.mode).toBe('snapshot');
+    expect(files['devices/desktop.json'].timestamp).toBe(3000);
+    expect(files['devices/manifest.json'].devices.desktop).toMatchObject({ fileName: 'devices/desktop.json', changeCount: 0 });
+    expect(files['devices/manifest.json'].devices.desktop.label).toBeUndefined();
+    expect(localStore.lastUploadState.snapshotTimestamp).toBe(3000);
+  });
+
+  it('should refuse to forget this device or a device it does not know', async () => {
+    await expect(registry.forgetDevice('laptop')).rejects.toMatchObject({ code: 'CANNOT_FORGET_CURRENT_DEVICE' });
+    await expect(registry.forgetDevice('phone')).rejects.toMatchObject({ code: 'DEVICE_NOT_FOUND' });
+    await expect(registry.renameDevice('desktop', 'x'.repeat(101))).rejects.toMatchObject({ code: 'INVALID_DEVICE_LABEL' });
+  });
+});
@@ -0,0 +1,150 @@
+// Tests for per-device snapshot storage and merging
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+vi.hoisted(() => {
+  global.chrome = {
+    identity: { getRedirectURL: () => 'https://test.chromiumapp.org/' },
+    storage: {
+      local: {
+        get: () => Promise.resolve({}),
+        set: () => Promise.resolve(),
+        remove: () => Promise.resolve()
+      }
+    },
+    runtime: {
+      getManifest: () => ({ version: '1.0.0' }),
+      getURL: path => `chrome-extension://test/${path}`
+    }
+  };
+});
+
+import { GitHubStorage } from '../shared/storage/github-storage.js';
+import { GoogleDriveStorage } from '../shared/storage/google-drive-storage.js';
+import { SyncEngine } from '../shared/sync-engine.js';
+
+function createSnapshot(deviceId, timestamp, tabs) {
+  return {
+    version: '1.0.0',
+    deviceId,
+    timestamp,
+    tabs: tabs.map((tab, index) => ({
+      id: `${deviceId}_${index}`,
+      title: tab.url,
+      windowId: 1,
+      index,
+      deviceId,
+      ...tab
+    })),
+    metadata: { deviceId, deviceName: `Device ${deviceId}` }
+  };
+}
+
+describe('Device snapshot storage', () => {
+  let storage;
+  let files;
+
+  beforeEach(() => {
+    storage = new GitHubStorage();
+    files = {};
+
+    vi.spyOn(storage, 'getFile').mockImplementation(async fileName =>
+      files[fileName] ? { sha: 'sha' } : null
+    );
+    vi.spyOn(storage, 'store').mockImplementation(async (fileName, data) => {
+      files[fileName] = JSON.parse(JSON.stringify(data));
+      return { success: true, fileName, size: 1, checksum: 'checksum', timestamp: Date.now() };
+    });
+    vi.spyOn(storage, 'retrieve').mockImplementation(async fileName => {
+      if (!files[fileName]) {
+        throw new Error(`File not found: ${fileName}`);
+      }
+      return { success: true, data: files[fileName], metadata: { fileName } };
+    });
+  });
+
+  it('should key snapshot files by device ID', () => {
+    expect(storage.getDeviceSnapshotFileName('abc')).toBe('devices/abc.json');
+    expect(new GoogleDriveStorage().getDeviceSnapshotFileName('abc')).toBe('device-abc.json');
+  });
+
+  it('should register each device in the manifest', async () => {
+    await storage.storeDeviceSnapshot('laptop', createSnapshot('laptop', 100, [{ url: 'https://a.com', timestamp: 100 }]));
+    await storage.storeDeviceSnapshot('desktop', createSnapshot('desktop', 200, [{ url: 'https://b.com', timestamp: 200 }]));
+
+    const manifest = await storage.getManifest();
+    expect(Object.keys(manifest.devices)).toEqual(['laptop', 'desktop']);
+    expect(manifest.devices.laptop).toMatchObject({
+      deviceId: 'laptop',
+      fileName: 'devices/laptop.json',
+      tabCount: 1
+    });
+  });
+
+  it('should not overwrite other devices when a device uploads', async () => {
+    await storage.storeDeviceSnapshot('laptop', createSnapshot('laptop', 100, [{ url: 'https://a.com', timestamp: 100 }]));
+    await storage.storeDeviceSnapshot('desktop', createSnapshot('desktop', 200, [{ url: 'https://b.com', timestamp: 200 }]));
+
+    const snapshots = await storage.retrieveDeviceSnapshots();
+    expect(snapshots.map(snapshot => snapshot.deviceId)).toEqual(['laptop', 'desktop']);
+    expect(snapshots[0].data.tabs[0].url).toBe('https://a.com');
+  });
+
+  it('should exclude the requested device and skip unreadable snapshots', async () => {
+    await storage.storeDeviceSnapshot('laptop', createSnapshot('laptop', 100, []));
+    await storage.storeDeviceSnapshot('desktop', createSnapshot('desktop', 200, []));
+    await storage.updateManifest('ghost', { fileName: 'devices/ghost.json' });
+
+    const snapshots = await storage.retrieveDeviceSnapshots({ excludeDeviceId: 'laptop' });
+    expect(snapshots.map(snapshot => snapshot.deviceId)).toEqual(['desktop']);
+  });
+
+  it('should re-read the manifest when another device wrote it first', async () => {
+    await storage.storeDeviceSnapshot('laptop', createSnapshot('laptop', 100, []));
+    const store = storage.store.getMockImplementation();
+    storage.store.mockImplementationOnce(async () => {
+      // The desktop registers itself between this device's read and write
+      files['devices/manifest.json'].devices.desktop = { deviceId: 'desktop', fileName: 'devices/desktop.json' };
+      throw { code: 'WRITE_CONFLICT' };
+    }).mockImplementation(store);
+
+    await storage.updateManifest('laptop', { tabCount: 5 });
+
+    const manifest = await storage.getManifest();
+    expect(Object.keys(manifest.devices)).toEqual(['laptop', 'desktop']);
+    expect(manifest.devices.laptop.tabCount).toBe(5);
+    expect(storage.store).toHaveBeenLastCalledWith('devices/manifest.json', expect.any(Object), expect.objectContaining({ version: 'sha' }));
+  });
+
+  it('should report a stale SHA as a write conflict', async () => {
+    storage.store.mockRestore();
+    vi.spyOn(storage, 'prepareDataForStorage').mockResolvedValue('{}');
+    vi.spyOn(storage, 'makeAuthenticatedRequest').mockRejectedValue({ code: 'API_ERROR', details: { status: 409 } });
+
+    await expect(storage.store('devices/manifest.json', {}, { version: 'old-sha' }))
+      .rejects.toMatchObject({ code: 'WRITE_CONFLICT' });
+    expect(storage.getFile).not.toHaveBeenCalled();
+  });
+});
+
+describe('SyncEngine.mergeDeviceSnapshots', () => {
+  it('should union tabs across devices keeping the newest per URL', () => {
+    const engine = new SyncEngine();
+    const merged = engine.mergeDeviceSnapshots([
+      createSnapshot('laptop', 100, [
+        { url: 'https://a.com', title: 'Old A', timestamp: 50 },
+        { url: 'https://b.com', timestamp: 60 }
+      ]),
+      createSnapshot('desktop', 200, [
+        { url: 'https://a.com', title: 'New A', timestamp: 150 },
+        { url: 'https://c.com', timestamp: 160 }
+      ])
+    ]);
+
+    expect(merged.deviceId).toBe('desktop');
+    expect(merged.timestamp).toBe(200);
+    expect(merged.tabs.map(tab => tab.url).sort()).toEqual(['https://a.com', 'https://b.com', 'https://c.com']);
+    expect(merged.tabs.find(tab => tab.url === 'https://a.com').title).toBe('New A');
+    expect(merged.metadata.sourceDevices.map(device => device.deviceId)).toEqual(['desktop', 'laptop']);
+  });
+});
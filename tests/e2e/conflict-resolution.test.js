@@ -161,12 +161,13 @@ describe('End-to-End Conflict Resolution', () => {
       // Remote data also modified after last sync
       remoteSyncData.timestamp = Date.now() - 500;
 
-      const mockRetrieve = vi.spyOn(storageService, 'retrieve').mockResolvedValue({
+      const mockRetrieve = vi.spyOn(storageService, 'retrieveDeviceSnapshots').mockResolvedValue([{
+        deviceId: 'remote-device-456',
         data: remoteSyncData,
         metadata: { size: 1024 }
-      });
+      }]);
 
-      const mockStore = vi.spyOn(storageService, 'store').mockResolvedValue({
+      const mockStore = vi.spyOn(storageService, 'storeDeviceSnapshot').mockResolvedValue({
         success: true,
         size: 1024,
         checksum: 'conflict_checksum',
@@ -199,10 +200,11 @@ describe('End-to-End Conflict Resolution', () => {
       // Remote data is recent
       remoteSyncData.timestamp = Date.now() - 1000;
 
-      const mockRetrieve = vi.spyOn(storageService, 'retrieve').mockResolvedValue({
+      const mockRetrieve = vi.spyOn(storageService, 'retrieveDeviceSnapshots').mockResolvedValue([{
+        deviceId: 'remote-device-456',
         data: remoteSyncData,
         metadata: { size: 1024 }
-      });
+      }]);
 
       // Trigger bidirectional sync
       const syncResult = await syncEngine.triggerSync({
@@ -233,12 +235,13 @@ describe('End-to-End Conflict Resolution', () => {
 
       remoteSyncData.tabs[1] = conflictingTab;
 
-      const mockRetrieve = vi.spyOn(storageService, 'retrieve').mockResolvedValue({
+      const mockRetrieve = vi.spyOn(storageService, 'retrieveDeviceSnapshots').mockResolvedValue([{
+        deviceId: 'remote-device-456',
         data: remoteSyncData,
         metadata: { size: 1024 }
-      });
+      }]);
 
-      const mockStore = vi.spyOn(storageService, 'store').mockResolvedValue({
+      const mockStore = vi.spyOn(storageService, 'storeDeviceSnapshot').mockResolvedValue({
         success: true,
         size: 1024,
         checksum: 'metadata_conflict_checksum',
@@ -273,10 +276,11 @@ describe('End-to-End Conflict Resolution', () => {
         deviceId: 'another-remote-device'
       });
 
-      const mockRetrieve = vi.spyOn(storageService, 'retrieve').mockResolvedValue({
+      const mockRetrieve = vi.spyOn(storageService, 'retrieveDeviceSnapshots').mockResolvedValue([{
+        deviceId: 'remote-device-456',
         data: remoteSyncData,
         metadata: { size: 1024 }
-      });
+      }]);
 
       // Trigger bidirectional sync
       const syncResult = await syncEngine.triggerSync({
@@ -305,10 +309,11 @@ describe('End-to-End Conflict Resolution', () => {
       remoteSyncData.tabs[0].windowId = 1;
       remoteSyncData.tabs[1].windowId = 2; // Different window
 
-      const mockRetrieve = vi.spyOn(storageService, 'retrieve').mockResolvedValue({
+      const mockRetrieve = vi.spyOn(storageService, 'retrieveDeviceSnapshots').mockResolvedValue([{
+        deviceId: 'remote-device-456',
         data: remoteSyncData,
         metadata: { size: 1024 }
-      });
+      }]);
 
       // Trigger bidirectional sync
       const syncResult = await syncEngine.triggerSync({
@@ -348,10 +353,11 @@ describe('End-to-End Conflict Resolution', () => {
         }
       ];
 
-      const mockRetrieve = vi.spyOn(storageService, 'retrieve').mockResolvedValue({
+      const mockRetrieve = vi.spyOn(storageService, 'retrieveDeviceSnapshots').mockResolvedValue([{
+        deviceId: 'remote-device-456',
         data: remoteSyncData,
         metadata: { size: 1024 }
-      });
+      }]);
 
       // Trigger bidirectional sync
       const syncResult = await syncEngine.triggerSync({
@@ -373,10 +379,11 @@ describe('End-to-End Conflict Resolution', () => {
       remoteSyncData.tabs[1].title = 'Conflicting Title';
       remoteSyncData.tabs[1].timestamp = Date.now() + 1000;
 
-      const mockRetrieve = vi.spyOn(storageService, 'retrieve').mockResolvedValue({
+      const mockRetrieve = vi.spyOn(storageService, 'retrieveDeviceSnapshots').mockResolvedValue([{
+        deviceId: 'remote-device-456',
         data: remoteSyncData,
         metadata: { size: 1024 }
-      });
+      }]);
 
       // Mock window creation
       chrome.windows.create.mockResolvedValue({ id: 123 });
@@ -440,12 +447,13 @@ describe('End-to-End Conflict Resolution', () => {
         ]
       };
 
-      const mockRetrieve = vi.spyOn(storageService, 'retrieve').mockResolvedValue({
+      const mockRetrieve = vi.spyOn(storageService, 'retrieveDeviceSnapshots').mockResolvedValue([{
+        deviceId: 'remote-device-456',
         data: conflictingRemoteData,
         metadata: { size: 1024 }
-      });
+      }]);
 
-      const mockStore = vi.spyOn(storageService, 'store').mockResolvedValue({
+      const mockStore = vi.spyOn(storageService, 'storeDeviceSnapshot').mockResolvedValue({
         success: true,
         size: 1024,
         checksum: 'user_resolution_checksum',
@@ -542,10 +550,11 @@ describe('End-to-End Conflict Resolution', () => {
         timestamp: Date.now()
       });
 
-      const mockRetrieve = vi.spyOn(storageService, 'retrieve').mockResolvedValue({
+      const mockRetrieve = vi.spyOn(storageService, 'retrieveDeviceSnapshots').mockResolvedValue([{
+        deviceId: 'remote-device-456',
         data: multiDeviceData,
         metadata: { size: 2048 }
-      });
+      }]);
 
       // Trigger bidirectional sync
       const syncResult = await syncEngine.triggerSync({
@@ -573,10 +582,11 @@ describe('End-to-End Conflict Resolution', () => {
       remoteSyncData.tabs[1].pinned = false;
       remoteSyncData.tabs[1].index = 5; // Not pinned, higher index
 
-      const mockRetrieve = vi.spyOn(storageService, 'retrieve').mockResolvedValue({
+      const mockRetrieve = vi.spyOn(storageService, 'retrieveDeviceSnapshots').mockResolvedValue([{
+        deviceId: 'remote-device-456',
         data: remoteSyncData,
         metadata: { size: 1024 }
-      });
+      }]);
 
       // Trigger bidirectional sync
       const syncResult = await syncEngine.triggerSync({
@@ -600,10 +610,11 @@ describe('End-to-End Conflict Resolution', () => {
       remoteSyncData.tabs[0].active = false;
       remoteSyncData.tabs[1].active = true; // Different active tab
 
-      const mockRetrieve = vi.spyOn(storageService, 'retrieve').mockResolvedValue({
+      const mockRetrieve = vi.spyOn(storageService, 'retrieveDeviceSnapshots').mockResolvedValue([{
+        deviceId: 'remote-device-456',
         data: remoteSyncData,
         metadata: { size: 1024 }
-      });
+      }]);
 
       // Trigger bidirectional sync
       const syncResult = await syncEngine.triggerSync({
@@ -660,10 +671,11 @@ describe('End-to-End Conflict Resolution', () => {
         tabs: manyRemoteTabs
       };
 
-      const mockRetrieve = vi.spyOn(storageService, 'retrieve').mockResolvedValue({
+      const mockRetrieve = vi.spyOn(storageService, 'retrieveDeviceSnapshots').mockResolvedValue([{
+        deviceId: 'remote-device-456',
         data: conflictingRemoteData,
         metadata: { size: 10240 }
-      });
+      }]);
 
       const startTime = Date.now();
 
@@ -710,10 +722,11 @@ describe('End-to-End Conflict Resolution', () => {
         ]
       };
 
-      const mockRetrieve = vi.spyOn(storageService, 'retrieve').mockResolvedValue({
+      const mockRetrieve = vi.spyOn(storageService, 'retrieveDeviceSnapshots').mockResolvedValue([{
+        deviceId: 'remote-device-456',
         data: criticalConflictData,
         metadata: { size: 1024 }
-      });
+      }]);
 
       // Trigger bidirectional sync
       const syncResult = await syncEngine.triggerSync({
@@ -735,12 +748,13 @@ describe('End-to-End Conflict Resolution', () => {
       remoteSyncData.tabs[1].title = 'Conflicting Remote Title';
       remoteSyncData.tabs[1].timestamp = Date.now() + 1000;
 
-      const mockRetrieve = vi.spyOn(storageService, 'retrieve').mockResolvedValue({
+      const mockRetrieve = vi.spyOn(storageService, 'retrieveDeviceSnapshots').mockResolvedValue([{
+        deviceId: 'remote-device-456',
         data: remoteSyncData,
         metadata: { size: 1024 }
-      });
+      }]);
 
-      const mockStore = vi.spyOn(storageService, 'store').mockResolvedValue({
+      const mockStore = vi.spyOn(storageService, 'storeDeviceSnapshot').mockResolvedValue({
         success: true,
         size: 1024,
         checksum: 'conflict_history_checksum',
@@ -771,12 +785,13 @@ describe('End-to-End Conflict Resolution', () => {
       remoteSyncData.tabs[1].title = 'Remote Title';
       remoteSyncData.tabs[1].timestamp = Date.now() - 1000; // Older than local
 
-      const mockRetrieve = vi.spyOn(storageService, 'retrieve').mockResolvedValue({
+      const mockRetrieve = vi.spyOn(storageService, 'retrieveDeviceSnapshots').mockResolvedValue([{
+        deviceId: 'remote-device-456',
         data: remoteSyncData,
         metadata: { size: 1024 }
-      });
+      }]);
 
-      const mockStore = vi.spyOn(storageService, 'store').mockResolvedValue({
+      const mockStore = vi.spyOn(storageService, 'storeDeviceSnapshot').mockResolvedValue({
         success: true,
         size: 1024,
         checksum: 'strategy_tracking_checksum',
@@ -158,7 +158,7 @@ describe('End-to-End Sync Workflows', () => {
   describe('Complete Upload Sync Workflow', () => {
     it('should successfully upload local tabs to cloud storage', async () => {
       // Mock storage service to simulate successful upload
-      const mockStore = vi.spyOn(storageService, 'store').mockResolvedValue({
+      const mockStore = vi.spyOn(storageService, 'storeDeviceSnapshot').mockResolvedValue({
         success: true,
         size: 1024,
         checksum: 'mock_checksum',
@@ -180,7 +180,7 @@ describe('End-to-End Sync Workflows', () => {
 
       // Verify storage was called with correct data
       expect(mockStore).toHaveBeenCalledWith(
-        'tab-sync-data.json',
+        'test-device-123',
         expect.objectContaining({
           deviceId: 'test-device-123',
           tabs: expect.arrayContaining([
@@ -206,7 +206,7 @@ describe('End-to-End Sync Workflows', () => {
 
     it('should handle upload failures gracefully', async () => {
       // Mock storage service to simulate failure
-      const mockStore = vi.spyOn(storageService, 'store').mockRejectedValue(
+      const mockStore = vi.spyOn(storageService, 'storeDeviceSnapshot').mockRejectedValue(
         new Error('Storage quota exceeded')
       );
 
@@ -227,10 +227,11 @@ describe('End-to-End Sync Workflows', () => {
   describe('Complete Download Sync Workflow', () => {
     it('should successfully download and apply remote tabs', async () => {
       // Mock storage service to return remote data
-      const mockRetrieve = vi.spyOn(storageService, 'retrieve').mockResolvedValue({
+      const mockRetrieve = vi.spyOn(storageService, 'retrieveDeviceSnapshots').mockResolvedValue([{
+        deviceId: 'remote-device-456',
         data: mockStorageData,
         metadata: { size: 1024 }
-      });
+      }]);
 
       // Trigger download sync
       const syncResult = await syncEngine.triggerSync({
@@ -245,7 +246,7 @@ describe('End-to-End Sync Workflows', () => {
       expect(syncResult.operations[0].type).toBe('download');
 
       // Verify storage was queried
-      expect(mockRetrieve).toHaveBeenCalledWith('tab-sync-data.json');
+      expect(mockRetrieve).toHaveBeenCalledWith({ excludeDeviceId: 'test-device-123' });
 
       // Verify tabs were created
       expect(chrome.tabs.create).toHaveBeenCalledWith({
@@ -258,7 +259,8 @@ describe('End-to-End Sync Workflows', () => {
 
     it('should handle missing remote data gracefully', async () => {
       // Mock storage service to simulate no remote data
-      const mockRetrieve = vi.spyOn(storageService, 'retrieve').mockRejectedValue(
+      const mockRetrieve = vi.spyOn(storageService, 'retrieveDeviceSnapshots').mockResolvedValue([]);
+      vi.spyOn(storageService, 'retrieve').mockRejectedValue(
         new Error('FILE_NOT_FOUND')
       );
 
@@ -294,12 +296,13 @@ describe('End-to-End Sync Workflows', () => {
         ]
       };
 
-      const mockRetrieve = vi.spyOn(storageService, 'retrieve').mockResolvedValue({
+      const mockRetrieve = vi.spyOn(storageService, 'retrieveDeviceSnapshots').mockResolvedValue([{
+        deviceId: 'remote-device-456',
         data: conflictingRemoteData,
         metadata: { size: 1024 }
-      });
+      }]);
 
-      const mockStore = vi.spyOn(storageService, 'store').mockResolvedValue({
+      const mockStore = vi.spyOn(storageService, 'storeDeviceSnapshot').mockResolvedValue({
         success: true,
         size: 1024,
         checksum: 'mock_checksum',
@@ -338,12 +341,13 @@ describe('End-to-End Sync Workflows', () => {
         ]
       };
 
-      const mockRetrieve = vi.spyOn(storageService, 'retrieve').mockResolvedValue({
+      const mockRetrieve = vi.spyOn(storageService, 'retrieveDeviceSnapshots').mockResolvedValue([{
+        deviceId: 'remote-device-456',
         data: nonConflictingRemoteData,
         metadata: { size: 1024 }
-      });
+      }]);
 
-      const mockStore = vi.spyOn(storageService, 'store').mockResolvedValue({
+      const mockStore = vi.spyOn(storageService, 'storeDeviceSnapshot').mockResolvedValue({
         success: true,
         size: 1024,
         checksum: 'mock_checksum',
@@ -392,10 +396,11 @@ describe('End-to-End Sync Workflows', () => {
         ]
       };
 
-      const mockRetrieve = vi.spyOn(storageService, 'retrieve').mockResolvedValue({
+      const mockRetrieve = vi.spyOn(storageService, 'retrieveDeviceSnapshots').mockResolvedValue([{
+        deviceId: 'remote-device-456',
         data: multiDeviceData,
         metadata: { size: 2048 }
-      });
+      }]);
 
       // Trigger download sync
       const syncResult = await syncEngine.triggerSync({
@@ -417,7 +422,7 @@ describe('End-to-End Sync Workflows', () => {
     });
 
     it('should maintain device-specific metadata', async () => {
-      const mockStore = vi.spyOn(storageService, 'store').mockResolvedValue({
+      const mockStore = vi.spyOn(storageService, 'storeDeviceSnapshot').mockResolvedValue({
         success: true,
         size: 1024,
         checksum: 'mock_checksum',
@@ -432,7 +437,7 @@ describe('End-to-End Sync Workflows', () => {
 
       // Verify device metadata was included
       expect(mockStore).toHaveBeenCalledWith(
-        'tab-sync-data.json',
+        'test-device-123',
         expect.objectContaining({
           deviceId: 'test-device-123',
           metadata: expect.objectContaining({
@@ -461,7 +466,7 @@ describe('End-to-End Sync Workflows', () => {
 
       chrome.tabs.query.mockResolvedValue(largeMockTabs);
 
-      const mockStore = vi.spyOn(storageService, 'store').mockResolvedValue({
+      const mockStore = vi.spyOn(storageService, 'storeDeviceSnapshot').mockResolvedValue({
         success: true,
         size: 10240,
         checksum: 'large_checksum',
@@ -487,7 +492,7 @@ describe('End-to-End Sync Workflows', () => {
 
       // Verify all tabs were processed
       expect(mockStore).toHaveBeenCalledWith(
-        'tab-sync-data.json',
+        'test-device-123',
         expect.objectContaining({
           tabs: expect.arrayContaining(
             largeMockTabs.map(tab => expect.objectContaining({
@@ -502,7 +507,7 @@ describe('End-to-End Sync Workflows', () => {
 
     it('should handle network failures with retry logic', async () => {
       let attemptCount = 0;
-      const mockStore = vi.spyOn(storageService, 'store').mockImplementation(() => {
+      const mockStore = vi.spyOn(storageService, 'storeDeviceSnapshot').mockImplementation(() => {
         attemptCount++;
         if (attemptCount < 3) {
           return Promise.reject(new Error('Network timeout'));
@@ -529,7 +534,7 @@ describe('End-to-End Sync Workflows', () => {
     it('should maintain data integrity during sync operations', async () => {
       const originalTabs = [...mockTabs];
       
-      const mockStore = vi.spyOn(storageService, 'store').mockResolvedValue({
+      const mockStore = vi.spyOn(storageService, 'storeDeviceSnapshot').mockResolvedValue({
         success: true,
         size: 1024,
         checksum: 'integrity_checksum',
@@ -598,12 +603,13 @@ describe('End-to-End Sync Workflows', () => {
         timestamp: 'invalid_timestamp'
       };
 
-      const mockRetrieve = vi.spyOn(storageService, 'retrieve').mockResolvedValue({
+      const mockRetrieve = vi.spyOn(storageService, 'retrieveDeviceSnapshots').mockResolvedValue([{
+        deviceId: 'remote-device-456',
         data: corruptedData,
         metadata: { size: 512 }
-      });
+      }]);
 
-      const mockStore = vi.spyOn(storageService, 'store').mockResolvedValue({
+      const mockStore = vi.spyOn(storageService, 'storeDeviceSnapshot').mockResolvedValue({
         success: true,
         size: 1024,
         checksum: 'recovery_checksum',
@@ -622,7 +628,7 @@ describe('End-to-End Sync Workflows', () => {
     });
 
     it('should maintain sync history during failures', async () => {
-      const mockStore = vi.spyOn(storageService, 'store').mockRejectedValue(
+      const mockStore = vi.spyOn(storageService, 'storeDeviceSnapshot').mockRejectedValue(
         new Error('Critical storage failure')
       );
 
@@ -649,7 +655,7 @@ describe('End-to-End Sync Workflows', () => {
 
   describe('Concurrent Sync Operations', () => {
     it('should prevent concurrent sync operations', async () => {
-      const mockStore = vi.spyOn(storageService, 'store').mockImplementation(() => 
+      const mockStore = vi.spyOn(storageService, 'storeDeviceSnapshot').mockImplementation(() => 
         new Promise(resolve => setTimeout(() => resolve({
           success: true,
           size: 1024,
@@ -685,7 +691,7 @@ describe('End-to-End Sync Workflows', () => {
 
   describe('Dry Run Operations', () => {
     it('should perform dry run without making actual changes', async () => {
-      const mockStore = vi.spyOn(storageService, 'store');
+      const mockStore = vi.spyOn(storageService, 'storeDeviceSnapshot');
       const mockTabCreate = chrome.tabs.create;
 
       // Trigger dry run upload
@@ -706,10 +712,11 @@ describe('End-to-End Sync Workflows', () => {
     });
 
     it('should show what would happen in dry run mode', async () => {
-      const mockRetrieve = vi.spyOn(storageService, 'retrieve').mockResolvedValue({
+      const mockRetrieve = vi.spyOn(storageService, 'retrieveDeviceSnapshots').mockResolvedValue([{
+        deviceId: 'remote-device-456',
         data: mockStorageData,
         metadata: { size: 1024 }
-      });
+      }]);
 
       // Trigger dry run download
       const syncResult = await syncEngine.triggerSync({
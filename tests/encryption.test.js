@@ -0,0 +1,221 @@
+// Tests for passphrase-based encryption of sync payloads
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const { localStore, sessionStore } = vi.hoisted(() => {
+  const localStore = {};
+  const sessionStore = {};
+
+  const createArea = store => ({
+    get: keys => Promise.resolve(Object.fromEntries(
+      keys.filter(key => key in store).map(key => [key, store[key]])
+    )),
+    set: items => {
+      Object.assign(store, items);
+      return Promise.resolve();
+    },
+    remove: key => {
+      delete store[key];
+      return Promise.resolve();
+    }
+  });
+
+  global.chrome = {
+    identity: { getRedirectURL: () => 'https://test.chromiumapp.org/' },
+    storage: {
+      local: createArea(localStore),
+      session: createArea(sessionStore)
+    },
+    runtime: {
+      getManifest: () => ({ version: '1.0.0' }),
+      getURL: path => `chrome-extension://test/${path}`
+    }
+  };
+
+  return { localStore, sessionStore };
+});
+
+import {
+  encryptString,
+  decryptEnvelope,
+  parseEncryptedEnvelope,
+  EncryptionService
+} from '../shared/encryption.js';
+import { GitHubStorage } from '../shared/storage/github-storage.js';
+import { GoogleDriveStorage } from '../shared/storage/google-drive-storage.js';
+
+const syncData = {
+  version: '1.0.0',
+  deviceId: 'device-1',
+  timestamp: 1000,
+  tabs: [{ id: 'tab_1', url: 'https://internal.example.com/secret', title: 'Secret' }]
+};
+
+describe('Encryption envelope', () => {
+  it('should round-trip plaintext with the same passphrase', async () => {
+    const envelope = await encryptString('hello world', 'correct horse');
+
+    expect(envelope).toMatchObject({ format: 'tab-sync-encrypted', version: 1, algorithm: 'AES-GCM' });
+    expect(envelope.kdf.salt).toBeTruthy();
+    expect(envelope.iv).toBeTruthy();
+    expect(await decryptEnvelope(envelope, 'correct horse')).toBe('hello world');
+  });
+
+  it('should reject a wrong passphrase with a clear error', async () => {
+    const envelope = await encryptString('hello world', 'correct horse');
+
+    await expect(decryptEnvelope(envelope, 'wrong passphrase')).rejects.toMatchObject({
+      code: 'DECRYPTION_FAILED'
+    });
+  });
+
+  it('should reject unknown envelope versions', async () => {
+    const envelope = await encryptString('hello world', 'correct horse');
+
+    await expect(decryptEnvelope({ ...envelope, version: 99 }, 'correct horse')).rejects.toMatchObject({
+      code: 'UNSUPPORTED_ENCRYPTION_VERSION'
+    });
+  });
+
+  it('should reject iteration counts and algorithms it did not write', async () => {
+    const envelope = await encryptString('hello world', 'correct horse');
+
+    for (const kdf of [
+      { ...envelope.kdf, iterations: 1e10 },
+      { ...envelope.kdf, iterations: 1 },
+      { ...envelope.kdf, iterations: '310000' },
+      { ...envelope.kdf, name: 'scrypt' },
+      { ...envelope.kdf, hash: 'SHA-1' },
+      { ...envelope.kdf, salt: '' }
+    ]) {
+      await expect(decryptEnvelope({ ...envelope, kdf }, 'correct horse')).rejects.toMatchObject({
+        code: 'INVALID_ENCRYPTION_PARAMETERS'
+      });
+    }
+  });
+
+  it('should only detect envelopes in stored content', async () => {
+    const envelope = await encryptString('hello world', 'correct horse');
+
+    expect(parseEncryptedEnvelope(JSON.stringify(envelope))).toEqual(envelope);
+    expect(parseEncryptedEnvelope(JSON.stringify(syncData))).toBeNull();
+    expect(parseEncryptedEnvelope('not json')).toBeNull();
+  });
+});
+
+describe('EncryptionService', () => {
+  let service;
+
+  beforeEach(() => {
+    for (const key of Object.keys(localStore)) delete localStore[key];
+    for (const key of Object.keys(sessionStore)) delete sessionStore[key];
+    service = new EncryptionService();
+  });
+
+  it('should enable and unlock encryption on setup', async () => {
+    const status = await service.setupPassphrase('correct horse');
+
+    expect(status).toMatchObject({ enabled: true, unlocked: true });
+    expect(JSON.stringify(localStore)).not.toContain('correct horse');
+  });
+
+  it('should require a passphrase of at least 8 characters', async () => {
+    await expect(service.setupPassphrase('short')).rejects.toMatchObject({ code: 'INVALID_PASSPHRASE' });
+  });
+
+  it('should unlock with the right passphrase and reject the wrong one', async () => {
+    await service.setupPassphrase('correct horse');
+    await service.lock();
+
+    expect(await service.getStatus()).toMatchObject({ enabled: true, unlocked: false });
+    await expect(service.unlock('wrong passphrase')).rejects.toMatchObject({ code: 'WRONG_PASSPHRASE' });
+
+    const status = await service.unlock('correct horse');
+    expect(status.unlocked).toBe(true);
+  });
+
+  it('should join the passphrase another device published a verifier for', async () => {
+    await service.setupPassphrase('correct horse');
+    const verifier = await service.getVerifier();
+    const envelope = await service.encrypt('from the first device');
+
+    // The second device starts with nothing stored
+    for (const key of Object.keys(localStore)) delete localStore[key];
+    for (const key of Object.keys(sessionStore)) delete sessionStore[key];
+    const second = new EncryptionService();
+
+    await expect(second.unlock('correct horse')).rejects.toMatchObject({ code: 'ENCRYPTION_NOT_ENABLED' });
+    await expect(second.join('correct horse', null)).rejects.toMatchObject({ code: 'ENCRYPTION_NOT_ENABLED' });
+    await expect(second.join('wrong passphrase', verifier)).rejects.toMatchObject({ code: 'WRONG_PASSPHRASE' });
+    expect(await second.isEnabled()).toBe(false);
+
+    const status = await second.join('correct horse', verifier);
+    expect(status).toMatchObject({ enabled: true, unlocked: true });
+    expect(localStore.encryptionSettings.kdf).toEqual(verifier.kdf);
+    expect(await second.decrypt(envelope)).toBe('from the first device');
+    expect((await second.encrypt('reply')).kdf.salt).toBe(verifier.kdf.salt);
+  });
+
+  it('should refuse to encrypt while locked', async () => {
+    await service.setupPassphrase('correct horse');
+    await service.lock();
+
+    await expect(service.encrypt('data')).rejects.toMatchObject({ code: 'ENCRYPTION_LOCKED' });
+  });
+
+  it('should reuse the setup salt and derive the key only once', async () => {
+    await service.setupPassphrase('correct horse');
+    const deriveKey = vi.spyOn(crypto.subtle, 'deriveKey');
+
+    const first = await service.encrypt('one');
+    const second = await service.encrypt('two');
+
+    expect(first.kdf).toEqual(localStore.encryptionSettings.kdf);
+    expect(second.kdf.salt).toBe(first.kdf.salt);
+    expect(second.iv).not.toBe(first.iv);
+    expect(await service.decrypt(second)).toBe('two');
+    expect(deriveKey).not.toHaveBeenCalled();
+    deriveKey.mockRestore();
+  });
+
+  it('should disable encryption using the unlocked passphrase', async () => {
+    await service.setupPassphrase('correct horse');
+
+    const status = await service.disable();
+    expect(status).toMatchObject({ enabled: false, unlocked: false });
+  });
+});
+
+describe('Storage adapter encryption', () => {
+  beforeEach(async () => {
+    for (const key of Object.keys(localStore)) delete localStore[key];
+    for (const key of Object.keys(sessionStore)) delete sessionStore[key];
+    await new EncryptionService().setupPassphrase('correct horse');
+  });
+
+  it.each([
+    ['GitHubStorage', GitHubStorage],
+    ['GoogleDriveStorage', GoogleDriveStorage]
+  ])('%s should encrypt on write and decrypt on read', async (name, Adapter) => {
+    const storage = new Adapter();
+
+    const stored = await storage.prepareDataForStorage(syncData, { encrypt: true });
+    expect(stored).not.toContain('internal.example.com');
+    expect(parseEncryptedEnvelope(stored)).not.toBeNull();
+
+    expect(await storage.processRetrievedData(stored)).toEqual(syncData);
+  });
+
+  it('should still read plain JSON written before encryption was enabled', async () => {
+    const storage = new GitHubStorage();
+
+    expect(await storage.processRetrievedData(JSON.stringify(syncData))).toEqual(syncData);
+  });
+
+  it('should surface a wrong passphrase when reading', async () => {
+    const storage = new GitHubStorage();
+    const stored = JSON.stringify(await encryptString(JSON.stringify(syncData), 'another passphrase'));
+
+    await expect(storage.processRetrievedData(stored)).rejects.toMatchObject({ code: 'DECRYPTION_FAILED' });
+  });
+});
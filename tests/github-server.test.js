@@ -0,0 +1,172 @@
+// Tests for GitHub Enterprise Server hosts and the configurable sync repository
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const { localStore, grantedOrigins } = vi.hoisted(() => {
+  const localStore = {};
+  const grantedOrigins = new Set();
+
+  global.navigator = { userAgent: 'Mozilla/5.0 Chrome/120.0.0.0', platform: 'Linux x86_64' };
+
+  global.chrome = {
+    identity: { getRedirectURL: () => 'https://test.chromiumapp.org/' },
+    permissions: {
+      contains: ({ origins }) => Promise.resolve(origins.every(origin => grantedOrigins.has(origin)))
+    },
+    storage: {
+      local: {
+        get: keys => Promise.resolve(Object.fromEntries(
+          [].concat(keys).filter(key => key in localStore).map(key => [key, localStore[key]])
+        )),
+        set: items => {
+          Object.assign(localStore, items);
+          return Promise.resolve();
+        },
+        remove: keys => {
+          for (const key of [].concat(keys)) delete localStore[key];
+          return Promise.resolve();
+        }
+      }
+    },
+    runtime: {
+      getManifest: () => ({ version: '1.0.0' }),
+      getURL: path => `chrome-extension://test/${path}`
+    }
+  };
+
+  return { localStore, grantedOrigins };
+});
+
+import { normalizeGitHubServer, getGitHubServer, getGitHubServerOrigins, saveGitHubServer } from '../shared/auth/github-server.js';
+import { GitHubAuthService } from '../shared/auth/github-auth.js';
+import { GitHubStorage } from '../shared/storage/github-storage.js';
+
+function jsonResponse(body, status = 200) {
+  return { ok: status >= 200 && status < 300, status, json: async () => body, headers: { get: () => null } };
+}
+
+const enterprise = { webUrl: 'https://github.example.com/', clientId: 'Iv1.enterprise', owner: 'tabs-team', branch: 'sync' };
+
+describe('GitHub server settings', () => {
+  beforeEach(() => {
+    for (const key of Object.keys(localStore)) delete localStore[key];
+    grantedOrigins.clear();
+  });
+
+  it('should default to github.com and derive the Enterprise API address', () => {
+    expect(normalizeGitHubServer()).toEqual({
+      webUrl: 'https://github.com',
+      apiUrl: 'https://api.github.com',
+      clientId: '',
+      owner: '',
+      repository: 'tab-sync-data',
+      branch: ''
+    });
+
+    const server = normalizeGitHubServer(enterprise);
+    expect(server).toMatchObject({ webUrl: 'https://github.example.com', apiUrl: 'https://github.example.com/api/v3', branch: 'sync' });
+    expect(getGitHubServerOrigins(server)).toEqual(['https://github.example.com/*']);
+    expect(getGitHubServerOrigins(normalizeGitHubServer({ ...enterprise, apiUrl: 'https://api.github.example.com' })))
+      .toEqual(['https://github.example.com/*', 'https://api.github.example.com/*']);
+    expect(getGitHubServerOrigins(normalizeGitHubServer())).toEqual([]);
+  });
+
+  it('should reject addresses and names GitHub would not accept', () => {
+    for (const [settings, field] of [
+      [{ webUrl: 'http://github.example.com' }, 'webUrl'],
+      [{ apiUrl: 'ftp://github.example.com' }, 'apiUrl'],
+      [{ owner: 'tabs team' }, 'owner'],
+      [{ repository: 'tabs/sync' }, 'repository'],
+      [{ branch: '../main' }, 'branch']
+    ]) {
+      expect(() => normalizeGitHubServer(settings)).toThrow(expect.objectContaining({ code: 'INVALID_GITHUB_SERVER', details: { field } }));
+    }
+  });
+
+  it('should only save a server whose hosts have been allowed', async () => {
+    await expect(saveGitHubServer(enterprise)).rejects.toMatchObject({ code: 'HOST_PERMISSION_REQUIRED' });
+    expect(localStore).not.toHaveProperty('syncSettings');
+
+    grantedOrigins.add('https://github.example.com/*');
+    localStore.syncSettings = { autoMerge: true };
+    const result = await saveGitHubServer(enterprise);
+
+    expect(result.hostChanged).toBe(true);
+    expect(localStore.syncSettings).toMatchObject({ autoMerge: true, githubServer: { webUrl: 'https://github.example.com', owner: 'tabs-team' } });
+    expect((await saveGitHubServer({ ...enterprise, repository: 'tabs' })).hostChanged).toBe(false);
+
+    localStore.syncSettings.githubServer.webUrl = 'http://insecure.example.com';
+    expect(await getGitHubServer()).toMatchObject({ webUrl: 'https://github.com' });
+  });
+});
+
+describe('GitHub Enterprise requests', () => {
+  beforeEach(() => {
+    for (const key of Object.keys(localStore)) delete localStore[key];
+    grantedOrigins.clear();
+    localStore.syncSettings = { githubServer: normalizeGitHubServer(enterprise) };
+    localStore.authProvider = 'github';
+    localStore.authTokens = { accessToken: 'ghe_1', refreshToken: null, expiresAt: Date.now() + 3600000, scopes: ['repo'], provider: 'github' };
+    global.fetch = vi.fn();
+  });
+
+  it('should sign in against the Enterprise host with its own client ID', async () => {
+    const service = new GitHubAuthService();
+    const server = await service.getServerConfig();
+    const authUrl = new URL(service.buildAuthUrl({ state: 's', codeChallenge: 'c', codeChallengeMethod: 'S256' }, server));
+
+    expect(authUrl.origin + authUrl.pathname).toBe('https://github.example.com/login/oauth/authorize');
+    expect(authUrl.searchParams.get('client_id')).toBe('Iv1.enterprise');
+
+    fetch.mockResolvedValue(jsonResponse({ device_code: 'd', user_code: 'U', verification_uri: 'https://github.example.com/login/device', expires_in: 900 }));
+    await service.startDeviceFlow();
+    expect(fetch.mock.calls[0][0]).toBe('https://github.example.com/login/device/code');
+
+    fetch.mockResolvedValue(jsonResponse({ login: 'octocat' }));
+    await service.testTokenValidity('ghe_1');
+    expect(fetch.mock.calls[1][0]).toBe('https://github.example.com/api/v3/user');
+  });
+
+  it('should create the repository in the configured organization and use the configured branch', async () => {
+    fetch.mockImplementation(async (url, options = {}) => {
+      if (url.endsWith('/user')) return jsonResponse({ login: 'octocat' });
+      if (url.endsWith('/repos/tabs-team/tab-sync-data')) return jsonResponse({ message: 'Not Found' }, 404);
+      if (url.endsWith('/orgs/tabs-team/repos') && options.method === 'POST') {
+        return jsonResponse({ name: 'tab-sync-data', html_url: 'https://github.example.com/tabs-team/tab-sync-data', default_branch: 'main' }, 201);
+      }
+      throw new Error(`Unexpected request ${url}`);
+    });
+
+    const storage = new GitHubStorage();
+    await storage.initialize();
+
+    expect(storage).toMatchObject({
+      baseUrl: 'https://github.example.com/api/v3',
+      repoFullName: 'tabs-team/tab-sync-data',
+      defaultBranch: 'sync'
+    });
+    expect(JSON.parse(fetch.mock.calls.find(([url]) => url.endsWith('/orgs/tabs-team/repos'))[1].body)).toMatchObject({ private: true });
+  });
+
+  it('should report a host that has not been allowed when testing the connection', async () => {
+    const storage = new GitHubStorage();
+
+    expect(await storage.testConnection()).toMatchObject({ success: false, error: 'Access to github.example.com has not been allowed' });
+    expect(fetch).not.toHaveBeenCalled();
+
+    grantedOrigins.add('https://github.example.com/*');
+    vi.spyOn(storage, 'initialize').mockImplementation(async () => {
+      await storage.loadServerSettings();
+      storage.repoFullName = 'tabs-team/tab-sync-data';
+    });
+    vi.spyOn(storage, 'makeAuthenticatedRequest').mockResolvedValue({ full_name: 'tabs-team/tab-sync-data', private: true, owner: { login: 'tabs-team' } });
+
+    expect(await storage.testConnection()).toMatchObject({
+      success: true,
+      host: 'github.example.com',
+      repository: 'tabs-team/tab-sync-data',
+      private: true
+    });
+    expect(storage.makeAuthenticatedRequest).toHaveBeenCalledWith('https://github.example.com/api/v3/repos/tabs-team/tab-sync-data');
+  });
+});
@@ -0,0 +1,157 @@
+// Tests for event-driven live sync
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+const { sessionStore, alarms } = vi.hoisted(() => {
+  const sessionStore = {};
+  const alarms = new Map();
+
+  global.chrome = {
+    storage: {
+      session: {
+        get: keys => Promise.resolve(Object.fromEntries(
+          keys.filter(key => key in sessionStore).map(key => [key, structuredClone(sessionStore[key])])
+        )),
+        set: items => {
+          Object.assign(sessionStore, structuredClone(items));
+          return Promise.resolve();
+        },
+        remove: key => {
+          delete sessionStore[key];
+          return Promise.resolve();
+        }
+      }
+    },
+    alarms: {
+      create: (name, info) => {
+        alarms.set(name, { name, scheduledTime: info.when });
+        return Promise.resolve();
+      },
+      clear: name => Promise.resolve(alarms.delete(name))
+    }
+  };
+
+  return { sessionStore, alarms };
+});
+
+import { LiveSyncMonitor, MAX_FLUSH_DELAY, LIVE_SYNC_FLUSH_ALARM } from '../shared/live-sync.js';
+
+describe('LiveSyncMonitor', () => {
+  let monitor;
+  let onFlush;
+  let applyingRemoteTabs;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    for (const key of Object.keys(sessionStore)) delete sessionStore[key];
+    alarms.clear();
+    monitor = new LiveSyncMonitor();
+    onFlush = vi.fn().mockResolvedValue();
+    applyingRemoteTabs = false;
+    monitor.start({ onFlush, quietPeriod: 1000, shouldIgnore: () => applyingRemoteTabs });
+  });
+
+  afterEach(() => {
+    monitor.stop();
+    vi.useRealTimers();
+  });
+
+  it('should debounce events into one flush after the quiet period', async () => {
+    monitor.handleTabCreated({ id: 1 });
+    await vi.advanceTimersByTimeAsync(500);
+    monitor.handleTabUpdated(1, { title: 'Loaded' }, { id: 1 });
+    monitor.handleTabMoved(2);
+    await vi.advanceTimersByTimeAsync(900);
+
+    expect(onFlush).not.toHaveBeenCalled();
+
+    await vi.advanceTimersByTimeAsync(200);
+
+    expect(onFlush).toHaveBeenCalledOnce();
+    expect(onFlush.mock.calls[0][0].map(change => change.type)).toEqual(['created', 'updated', 'moved']);
+  });
+
+  it('should collapse repeated events for the same tab', async () => {
+    monitor.handleTabUpdated(1, { title: 'A' }, { id: 1 });
+    monitor.handleTabUpdated(1, { title: 'B' }, { id: 1 });
+    await vi.advanceTimersByTimeAsync(1000);
+
+    expect(onFlush.mock.calls[0][0]).toHaveLength(1);
+  });
+
+  it('should ignore updates that do not affect synced properties', async () => {
+    monitor.handleTabUpdated(1, { status: 'loading' }, { id: 1 });
+    monitor.handleTabUpdated(1, { favIconUrl: 'https://example.com/icon.png' }, { id: 1 });
+    await vi.advanceTimersByTimeAsync(1000);
+
+    expect(onFlush).not.toHaveBeenCalled();
+  });
+
+  it('should ignore events caused by sync applying remote tabs', async () => {
+    applyingRemoteTabs = true;
+    monitor.handleTabCreated({ id: 5 });
+    monitor.handleTabRemoved(6);
+    applyingRemoteTabs = false;
+
+    // The tab opened by sync finishes loading after the apply completed
+    monitor.handleTabUpdated(5, { title: 'Remote page' }, { id: 5 });
+    await vi.advanceTimersByTimeAsync(1000);
+
+    expect(onFlush).not.toHaveBeenCalled();
+  });
+
+  it('should ignore incognito tabs', async () => {
+    monitor.handleTabCreated({ id: 1, incognito: true });
+    await vi.advanceTimersByTimeAsync(1000);
+
+    expect(onFlush).not.toHaveBeenCalled();
+  });
+
+  it('should flush during constant activity once the maximum delay is reached', async () => {
+    for (let elapsed = 0; elapsed < MAX_FLUSH_DELAY; elapsed += 500) {
+      monitor.handleTabMoved(1);
+      await vi.advanceTimersByTimeAsync(500);
+    }
+
+    expect(onFlush).toHaveBeenCalled();
+  });
+
+  it('should drop pending changes when stopped', async () => {
+    monitor.handleTabCreated({ id: 1 });
+    monitor.stop();
+    await vi.advanceTimersByTimeAsync(1000);
+
+    expect(onFlush).not.toHaveBeenCalled();
+    expect(monitor.getStatus()).toMatchObject({ enabled: false, pendingChanges: 0 });
+  });
+
+  it('should save pending changes with a backup alarm until they are flushed', async () => {
+    monitor.handleTabCreated({ id: 1 });
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(sessionStore.liveSyncPending.changes).toEqual([expect.objectContaining({ type: 'created', targetId: 1 })]);
+    expect(alarms.get(LIVE_SYNC_FLUSH_ALARM).scheduledTime).toBeGreaterThanOrEqual(Date.now() + 1000);
+
+    await vi.advanceTimersByTimeAsync(1000);
+
+    expect(onFlush).toHaveBeenCalledOnce();
+    expect(sessionStore.liveSyncPending).toBeUndefined();
+    expect(alarms.has(LIVE_SYNC_FLUSH_ALARM)).toBe(false);
+  });
+
+  it('should flush changes saved before the service worker was suspended', async () => {
+    monitor.handleTabCreated({ id: 1 });
+    monitor.handleTabMoved(2);
+    await vi.advanceTimersByTimeAsync(0);
+
+    // A new worker starts when the alarm fires; its timers and memory are empty
+    const restarted = new LiveSyncMonitor();
+    const restartedFlush = vi.fn().mockResolvedValue();
+    restarted.start({ onFlush: restartedFlush, quietPeriod: 1000 });
+    await restarted.handleAlarm({ name: LIVE_SYNC_FLUSH_ALARM });
+
+    expect(restartedFlush).toHaveBeenCalledOnce();
+    expect(restartedFlush.mock.calls[0][0].map(change => change.type)).toEqual(['created', 'moved']);
+    restarted.stop();
+  });
+});
@@ -0,0 +1,278 @@
+// Tests for the PKCE authorization code flow, state checks and token refresh of the auth providers,
+// and GitHub's device flow and personal access token sign-in
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createHash } from 'node:crypto';
+
+const { localStore } = vi.hoisted(() => {
+  const localStore = {};
+
+  global.navigator = { userAgent: 'Mozilla/5.0 Chrome/120.0.0.0', platform: 'Linux x86_64' };
+
+  global.chrome = {
+    identity: { getRedirectURL: () => 'https://test.chromiumapp.org/' },
+    storage: {
+      local: {
+        get: keys => Promise.resolve(Object.fromEntries(
+          [].concat(keys).filter(key => key in localStore).map(key => [key, localStore[key]])
+        )),
+        set: items => {
+          Object.assign(localStore, items);
+          return Promise.resolve();
+        },
+        remove: keys => {
+          for (const key of [].concat(keys)) delete localStore[key];
+          return Promise.resolve();
+        }
+      }
+    },
+    runtime: {
+      getManifest: () => ({ version: '1.0.0' }),
+      getURL: path => `chrome-extension://test/${path}`
+    }
+  };
+
+  return { localStore };
+});
+
+import { createAuthRequest, getTokenEndpoint, readAuthorizationResponse } from '../shared/auth/oauth.js';
+import { GoogleAuthService } from '../shared/auth/google-auth.js';
+import { GitHubAuthService } from '../shared/auth/github-auth.js';
+
+function jsonResponse(body, status = 200, headers = {}) {
+  return { ok: status >= 200 && status < 300, status, json: async () => body, headers: { get: name => headers[name] ?? null } };
+}
+
+// Form fields of the nth fetch call
+function sentForm(call = 0) {
+  return Object.fromEntries(new URLSearchParams(global.fetch.mock.calls[call][1].body));
+}
+
+describe('PKCE helpers', () => {
+  beforeEach(() => {
+    for (const key of Object.keys(localStore)) delete localStore[key];
+  });
+
+  it('should create a fresh verifier with its S256 challenge for every request', async () => {
+    const first = await createAuthRequest();
+    const second = await createAuthRequest();
+
+    expect(first.codeVerifier).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(first.codeChallenge).toBe(createHash('sha256').update(first.codeVerifier).digest('base64url'));
+    expect(first.codeChallengeMethod).toBe('S256');
+    expect(second.codeVerifier).not.toBe(first.codeVerifier);
+    expect(second.state).not.toBe(first.state);
+  });
+
+  it('should only accept a redirect carrying the state of the pending request', () => {
+    expect(readAuthorizationResponse('https://test.chromiumapp.org/?code=abc&state=s1', 's1')).toBe('abc');
+
+    for (const [url, state, code] of [
+      ['https://test.chromiumapp.org/?code=abc&state=forged', 's1', 'OAUTH_INVALID_STATE'],
+      ['https://test.chromiumapp.org/?code=abc', 's1', 'OAUTH_INVALID_STATE'],
+      ['https://test.chromiumapp.org/?code=abc&state=s1', undefined, 'OAUTH_INVALID_STATE'],
+      ['https://test.chromiumapp.org/?state=s1', 's1', 'OAUTH_NO_CODE'],
+      ['https://test.chromiumapp.org/?error=access_denied&state=s1', 's1', 'OAUTH_ERROR']
+    ]) {
+      expect(() => readAuthorizationResponse(url, state)).toThrow(expect.objectContaining({ code }));
+    }
+  });
+
+  it('should use a configured token proxy only when it is an HTTPS or localhost URL', async () => {
+    const fallback = 'https://oauth2.googleapis.com/token';
+    expect(await getTokenEndpoint('google', fallback)).toBe(fallback);
+
+    localStore.syncSettings = { googleTokenEndpoint: 'https://auth.team.example/google/token' };
+    expect(await getTokenEndpoint('google', fallback)).toBe('https://auth.team.example/google/token');
+
+    localStore.syncSettings = { googleTokenEndpoint: 'http://auth.team.example/token', githubTokenEndpoint: 'http://localhost:8080/token' };
+    expect(await getTokenEndpoint('google', fallback)).toBe(fallback);
+    expect(await getTokenEndpoint('github', 'https://github.com/login/oauth/access_token')).toBe('http://localhost:8080/token');
+
+    localStore.syncSettings = { googleTokenEndpoint: 'http://[::1]:8080/token' };
+    expect(await getTokenEndpoint('google', fallback)).toBe('http://[::1]:8080/token');
+  });
+});
+
+describe('GoogleAuthService', () => {
+  let service;
+
+  beforeEach(() => {
+    for (const key of Object.keys(localStore)) delete localStore[key];
+    global.fetch = vi.fn();
+    service = new GoogleAuthService();
+  });
+
+  it('should send the code challenge and state, then exchange the code with its verifier and no secret', async () => {
+    localStore.syncSettings = { googleTokenEndpoint: 'https://auth.team.example/token' };
+    chrome.identity.launchWebAuthFlow = vi.fn(({ url }, callback) => {
+      const params = new URL(url).searchParams;
+      expect(params.get('code_challenge_method')).toBe('S256');
+      expect(params.get('code_challenge')).toBe(service.pendingRequest.codeChallenge);
+      callback(`https://test.chromiumapp.org/?code=auth-code&state=${params.get('state')}`);
+    });
+    fetch.mockResolvedValue(jsonResponse({ access_token: 'access-1', refresh_token: 'refresh-1', expires_in: 3600 }));
+
+    const tokens = await service.authenticate();
+
+    expect(tokens).toMatchObject({ accessToken: 'access-1', refreshToken: 'refresh-1', provider: 'google' });
+    expect(fetch.mock.calls[0][0]).toBe('https://auth.team.example/token');
+    const form = sentForm();
+    expect(form).toMatchObject({ code: 'auth-code', grant_type: 'authorization_code' });
+    expect(form.code_verifier).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(form).not.toHaveProperty('client_secret');
+    expect(service.pendingRequest).toBeNull();
+  });
+
+  it('should share one refresh between concurrent callers and keep the refresh token', async () => {
+    localStore.authTokens = { accessToken: 'old', refreshToken: 'refresh-1', expiresAt: 1, scopes: [], provider: 'google' };
+    fetch.mockResolvedValue(jsonResponse({ access_token: 'new', expires_in: 3600 }));
+
+    const [first, second] = await Promise.all([service.refreshTokens(), service.refreshTokens()]);
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(sentForm()).toEqual({ client_id: expect.any(String), refresh_token: 'refresh-1', grant_type: 'refresh_token' });
+    expect(first).toBe(second);
+    expect(localStore.authTokens).toMatchObject({ accessToken: 'new', refreshToken: 'refresh-1' });
+  });
+
+  it('should sign out when the refresh token is no longer accepted', async () => {
+    localStore.authTokens = { accessToken: 'old', refreshToken: 'revoked', expiresAt: 1, scopes: [], provider: 'google' };
+    localStore.isAuthenticated = true;
+    localStore.authProvider = 'google';
+    fetch.mockResolvedValue(jsonResponse({ error: 'invalid_grant', error_description: 'Token has been expired or revoked.' }, 400));
+
+    await expect(service.refreshTokens()).rejects.toMatchObject({ code: 'REAUTH_REQUIRED' });
+    expect(localStore).not.toHaveProperty('authTokens');
+    expect(localStore).not.toHaveProperty('isAuthenticated');
+  });
+});
+
+describe('GitHubAuthService', () => {
+  let service;
+
+  beforeEach(() => {
+    for (const key of Object.keys(localStore)) delete localStore[key];
+    global.fetch = vi.fn();
+    service = new GitHubAuthService();
+  });
+
+  it('should reject error responses GitHub sends with a 200 status', async () => {
+    fetch.mockResolvedValue(jsonResponse({ error: 'incorrect_client_credentials', error_description: 'The client_id and/or client_secret passed are incorrect.' }));
+
+    await expect(service.exchangeCodeForTokens('code', 'verifier')).rejects.toMatchObject({
+      code: 'TOKEN_EXCHANGE_ERROR',
+      details: { status: 200, error: 'incorrect_client_credentials' }
+    });
+    expect(fetch.mock.calls[0][0]).toBe('https://github.com/login/oauth/access_token');
+    expect(sentForm()).toMatchObject({ code: 'code', code_verifier: 'verifier' });
+  });
+
+  it('should store and rotate the refresh token of expiring tokens', async () => {
+    await service.validateAndStoreTokens({ access_token: 'ghu_1', refresh_token: 'ghr_1', expires_in: 28800, scope: '' });
+    expect(localStore.authTokens).toMatchObject({ refreshToken: 'ghr_1', expiresAt: expect.any(Number) });
+    expect(localStore.authTokens.expiresAt).toBeLessThan(Date.now() + 28801 * 1000);
+
+    fetch.mockResolvedValue(jsonResponse({ access_token: 'ghu_2', refresh_token: 'ghr_2', expires_in: 28800 }));
+    const refreshed = await service.refreshTokens();
+
+    expect(sentForm()).toMatchObject({ grant_type: 'refresh_token', refresh_token: 'ghr_1' });
+    expect(refreshed).toMatchObject({ accessToken: 'ghu_2', refreshToken: 'ghr_2' });
+  });
+
+  it('should re-authenticate when the token has no refresh token', async () => {
+    await service.validateAndStoreTokens({ access_token: 'gho_1', scope: 'repo' });
+    const authenticate = vi.spyOn(service, 'authenticate').mockResolvedValue({ accessToken: 'gho_2' });
+
+    expect(await service.refreshTokens()).toEqual({ accessToken: 'gho_2' });
+    expect(authenticate).toHaveBeenCalled();
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
+
+describe('GitHub sign-in without the browser flow', () => {
+  let service;
+
+  beforeEach(() => {
+    for (const key of Object.keys(localStore)) delete localStore[key];
+    global.fetch = vi.fn();
+    service = new GitHubAuthService();
+  });
+
+  it('should poll the device code until the user approves it', async () => {
+    fetch.mockResolvedValueOnce(jsonResponse({
+      device_code: 'dev-1', user_code: 'WDJB-MJHT', verification_uri: 'https://github.com/login/device', expires_in: 900, interval: 5
+    }));
+    const flow = await service.startDeviceFlow();
+
+    expect(flow).toMatchObject({ deviceCode: 'dev-1', userCode: 'WDJB-MJHT', interval: 5 });
+    expect(fetch.mock.calls[0][0]).toBe('https://github.com/login/device/code');
+
+    fetch
+      .mockResolvedValueOnce(jsonResponse({ error: 'authorization_pending' }))
+      .mockResolvedValueOnce(jsonResponse({ error: 'slow_down', interval: 10 }))
+      .mockResolvedValueOnce(jsonResponse({ access_token: 'gho_device', token_type: 'bearer', scope: 'repo,user:email' }))
+      .mockResolvedValueOnce(jsonResponse({ login: 'octocat' }));
+
+    expect(await service.pollDeviceFlow('dev-1')).toEqual({ status: 'pending' });
+    expect(await service.pollDeviceFlow('dev-1')).toEqual({ status: 'pending', slowDown: true });
+    const result = await service.pollDeviceFlow('dev-1');
+
+    expect(sentForm(1)).toMatchObject({ device_code: 'dev-1', grant_type: 'urn:ietf:params:oauth:grant-type:device_code' });
+    expect(result.status).toBe('complete');
+    expect(fetch.mock.calls[4][1].headers.Authorization).toBe('Bearer gho_device');
+    expect(localStore.authTokens).toMatchObject({ accessToken: 'gho_device', method: 'device', scopes: ['repo', 'user:email'] });
+    expect(localStore).toMatchObject({ isAuthenticated: true, authProvider: 'github' });
+  });
+
+  it('should stop polling when the code expires or the user declines', async () => {
+    fetch.mockResolvedValueOnce(jsonResponse({ error: 'expired_token' }));
+    await expect(service.pollDeviceFlow('dev-1')).rejects.toMatchObject({ code: 'DEVICE_CODE_EXPIRED' });
+
+    fetch.mockResolvedValueOnce(jsonResponse({ error: 'access_denied' }));
+    await expect(service.pollDeviceFlow('dev-1')).rejects.toMatchObject({ code: 'ACCESS_DENIED' });
+    expect(localStore).not.toHaveProperty('authTokens');
+  });
+
+  it('should store a personal access token with its expiry and repository', async () => {
+    fetch
+      .mockResolvedValueOnce(jsonResponse({ login: 'octocat' }, 200, { 'github-authentication-token-expiration': '2030-01-31 12:00:00 UTC' }))
+      .mockResolvedValueOnce(jsonResponse({ full_name: 'octo-org/tabs', private: true }));
+
+    const result = await service.signInWithToken(' github_pat_1 ', 'https://github.com/octo-org/tabs.git');
+
+    expect(result).toMatchObject({ repository: 'octo-org/tabs', private: true });
+    expect(fetch.mock.calls[1][0]).toBe('https://api.github.com/repos/octo-org/tabs');
+    expect(localStore.authTokens).toMatchObject({
+      accessToken: 'github_pat_1',
+      refreshToken: null,
+      expiresAt: Date.UTC(2030, 0, 31, 12),
+      scopes: [],
+      method: 'token'
+    });
+    expect(localStore.githubRepository).toBe('octo-org/tabs');
+
+    // A token cannot be renewed without the user
+    localStore.authTokens.expiresAt = 1;
+    const authenticate = vi.spyOn(service, 'authenticate');
+    await expect(service.refreshTokens()).rejects.toMatchObject({ code: 'REAUTH_REQUIRED' });
+    expect(authenticate).not.toHaveBeenCalled();
+
+    // Signing in another way forgets the repository
+    await service.validateAndStoreTokens({ access_token: 'gho_1', scope: 'repo' });
+    expect(localStore).not.toHaveProperty('githubRepository');
+  });
+
+  it('should reject a token that cannot reach the repository', async () => {
+    await expect(service.signInWithToken('github_pat_1', 'tabs')).rejects.toMatchObject({ code: 'INVALID_REPOSITORY' });
+
+    fetch
+      .mockResolvedValueOnce(jsonResponse({ login: 'octocat' }))
+      .mockResolvedValueOnce(jsonResponse({ message: 'Not Found' }, 404));
+    await expect(service.signInWithToken('github_pat_1', 'octo-org/tabs')).rejects.toMatchObject({ code: 'REPO_ACCESS_DENIED' });
+
+    fetch.mockResolvedValueOnce(jsonResponse({ message: 'Bad credentials' }, 401));
+    await expect(service.signInWithToken('github_pat_bad', 'octo-org/tabs')).rejects.toMatchObject({ code: 'TOKEN_VALIDATION_FAILED' });
+    expect(localStore).not.toHaveProperty('authTokens');
+  });
+});
@@ -0,0 +1,194 @@
+// Tests for sending tabs to a specific device through its inbox
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const { browser, localStore } = vi.hoisted(() => {
+  const browser = { tabs: [], menus: [], nextTabId: 500, nextWindowId: 50 };
+  const localStore = {};
+
+  global.navigator = { userAgent: 'Mozilla/5.0 Chrome/120.0.0.0', platform: 'Linux x86_64' };
+
+  global.chrome = {
+    identity: { getRedirectURL: () => 'https://test.chromiumapp.org/' },
+    storage: {
+      local: {
+        get: keys => Promise.resolve(Object.fromEntries(
+          [].concat(keys).filter(key => key in localStore).map(key => [key, localStore[key]])
+        )),
+        set: items => {
+          Object.assign(localStore, items);
+          return Promise.resolve();
+        },
+        remove: () => Promise.resolve()
+      }
+    },
+    runtime: {
+      getManifest: () => ({ version: '1.0.0' }),
+      getURL: path => `chrome-extension://test/${path}`
+    },
+    windows: {
+      create: () => Promise.resolve({ id: browser.nextWindowId++ })
+    },
+    tabs: {
+      query: query => Promise.resolve(browser.tabs.filter(tab => !query.windowId || tab.windowId === query.windowId)),
+      create: properties => {
+        const tab = { id: browser.nextTabId++, groupId: -1, ...properties };
+        browser.tabs.push(tab);
+        return Promise.resolve(tab);
+      }
+    },
+    contextMenus: {
+      removeAll: () => {
+        browser.menus = [];
+        return Promise.resolve();
+      },
+      create: (properties, callback) => {
+        // Chrome reports duplicate IDs through runtime.lastError
+        if (browser.menus.some(menu => menu.id === properties.id)) {
+          global.chrome.runtime.lastError = { message: `Cannot create item with duplicate id ${properties.id}` };
+        } else {
+          browser.menus.push(properties);
+        }
+        setTimeout(() => {
+          callback?.();
+          delete global.chrome.runtime.lastError;
+        });
+      }
+    }
+  };
+
+  return { browser, localStore };
+});
+
+import { SendToDeviceService, SEND_MENU_IDS } from '../shared/send-to-device.js';
+import { storageService } from '../shared/storage/storage-service.js';
+import { GitHubStorage } from '../shared/storage/github-storage.js';
+
+function createInboxStorage() {
+  const files = {};
+  const storage = new GitHubStorage();
+  storage.getFile = vi.fn(fileName => Promise.resolve(files[fileName] ? { sha: 'sha' } : null));
+  storage.retrieve = vi.fn(fileName => Promise.resolve({ data: structuredClone(files[fileName]) }));
+  storage.store = vi.fn((fileName, data) => {
+    files[fileName] = structuredClone(data);
+    return Promise.resolve({ fileName, size: 10, timestamp: Date.now() });
+  });
+  storage.deleteFile = vi.fn(fileName => {
+    delete files[fileName];
+    return Promise.resolve({ success: true, fileName });
+  });
+  return { storage, files };
+}
+
+describe('SendToDeviceService', () => {
+  let service;
+  let files;
+
+  beforeEach(() => {
+    for (const key of Object.keys(localStore)) delete localStore[key];
+    localStore.deviceId = 'laptop';
+    browser.tabs = [];
+    browser.menus = [];
+
+    const inboxStorage = createInboxStorage();
+    files = inboxStorage.files;
+    storageService.providers = { github: inboxStorage.storage };
+    storageService.currentProvider = 'github';
+    storageService.initialized = true;
+    vi.spyOn(storageService, 'recordOperation').mockResolvedValue();
+
+    service = new SendToDeviceService();
+  });
+
+  it('should put sent web pages in the target device inbox', async () => {
+    const result = await service.sendTabs('desktop', [
+      { url: 'https://a.example/', title: 'A', pinned: true },
+      { url: 'chrome://settings/', title: 'Settings' }
+    ]);
+
+    expect(result).toMatchObject({ success: true, targetDeviceId: 'desktop', tabCount: 1 });
+    expect(files['inbox/desktop.json'].deliveries).toEqual([expect.objectContaining({
+      id: result.deliveryId,
+      fromDeviceId: 'laptop',
+      newWindow: false,
+      tabs: [{ url: 'https://a.example/', title: 'A', pinned: true }]
+    })]);
+  });
+
+  it('should scrub secrets from sent tabs and keep a report', async () => {
+    const result = await service.sendTabs('desktop', [
+      { url: 'https://app.example/?api_key=s3cr3t-value', title: 'https://app.example/?api_key=s3cr3t-value' },
+      { url: 'http://localhost:3000/', title: 'Dev server' }
+    ]);
+
+    expect(result.tabCount).toBe(1);
+    expect(files['inbox/desktop.json'].deliveries[0].tabs).toEqual([
+      { url: 'https://app.example/', title: 'https://app.example/', pinned: false }
+    ]);
+    expect(localStore.redactionReports[0]).toMatchObject({ syncId: result.deliveryId, syncType: 'send', redactedCount: 1, excludedCount: 1 });
+
+    await expect(service.sendTabs('desktop', [{ url: 'http://localhost:3000/' }]))
+      .rejects.toMatchObject({ code: 'NOTHING_TO_SEND' });
+  });
+
+  it('should refuse to send to this device or to send nothing', async () => {
+    await expect(service.sendTabs('laptop', [{ url: 'https://a.example/' }]))
+      .rejects.toMatchObject({ code: 'INVALID_TARGET_DEVICE' });
+    await expect(service.sendTabs('desktop', [{ url: 'about:blank' }]))
+      .rejects.toMatchObject({ code: 'NOTHING_TO_SEND' });
+  });
+
+  it('should open deliveries as new tabs and remove them from the inbox', async () => {
+    files['inbox/laptop.json'] = {
+      version: 1,
+      deviceId: 'laptop',
+      deliveries: [
+        { id: 'delivery-1', fromDeviceId: 'desktop', fromDeviceName: 'Desktop', sentAt: 1, newWindow: false, tabs: [{ url: 'https://a.example/', title: 'A' }] },
+        { id: 'delivery-2', fromDeviceId: 'phone', fromDeviceName: 'Phone', sentAt: 2, newWindow: true, tabs: [{ url: 'https://b.example/', title: 'B' }, { url: 'https://c.example/', title: 'C' }] }
+      ]
+    };
+
+    const result = await service.receiveDeliveries();
+
+    expect(result.tabsOpened).toBe(3);
+    expect(result.deliveries.map(delivery => [delivery.fromDeviceName, delivery.tabCount])).toEqual([['Desktop', 1], ['Phone', 2]]);
+    expect(browser.tabs.map(tab => tab.url)).toEqual(['https://a.example/', 'https://b.example/', 'https://c.example/']);
+    expect(browser.tabs[1].windowId).toBe(50);
+    expect(files['inbox/laptop.json']).toBeUndefined();
+  });
+
+  it('should keep deliveries that arrived while the inbox was being emptied', async () => {
+    const delivery = id => ({ id, fromDeviceId: 'desktop', sentAt: 1, newWindow: false, tabs: [{ url: `https://${id}.example/`, title: id }] });
+    files['inbox/laptop.json'] = { version: 1, deviceId: 'laptop', deliveries: [delivery('first')] };
+    vi.spyOn(service.tabManager, 'createTabs').mockImplementation(async tabs => {
+      files['inbox/laptop.json'].deliveries.push(delivery('second'));
+      return tabs;
+    });
+
+    await service.receiveDeliveries();
+
+    expect(files['inbox/laptop.json'].deliveries.map(kept => kept.id)).toEqual(['second']);
+  });
+
+  it('should list devices from snapshot metadata and offer them in the context menu', async () => {
+    const devices = await service.rememberDevices([
+      { deviceId: 'desktop', timestamp: 1000, metadata: { deviceName: 'Desktop', platform: 'Linux', lastSeen: 1000 } },
+      { deviceId: 'phone', timestamp: 2000, metadata: { deviceName: 'Phone', platform: 'Android', lastSeen: 2000 } }
+    ]);
+    expect(devices.map(device => device.deviceName)).toEqual(['Phone', 'Desktop']);
+    expect(await service.getKnownDevices()).toEqual(devices);
+
+    await service.updateContextMenus(devices);
+    expect(browser.menus.filter(menu => menu.parentId === SEND_MENU_IDS.window).map(menu => menu.id))
+      .toEqual(['send-window:phone', 'send-window:desktop']);
+
+    await Promise.all([service.updateContextMenus(devices), service.updateContextMenus(devices.slice(1))]);
+    expect(browser.menus.filter(menu => menu.parentId === SEND_MENU_IDS.window).map(menu => menu.id))
+      .toEqual(['send-window:desktop']);
+
+    browser.tabs = [{ id: 1, windowId: 3, url: 'https://a.example/', title: 'A' }, { id: 2, windowId: 3, url: 'https://b.example/', title: 'B' }];
+    const result = await service.handleContextMenuClick({ menuItemId: 'send-window:phone' }, browser.tabs[0]);
+    expect(result.tabCount).toBe(2);
+    expect(files['inbox/phone.json'].deliveries[0].newWindow).toBe(true);
+  });
+});
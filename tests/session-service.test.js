@@ -0,0 +1,200 @@
+// Tests for saving, listing, restoring and deleting named sessions
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const { browser, localStore } = vi.hoisted(() => {
+  const browser = { windows: [], createdWindows: [], nextWindowId: 50, nextTabId: 500 };
+  const localStore = {};
+
+  global.navigator = { userAgent: 'Mozilla/5.0 Chrome/120.0.0.0', platform: 'Linux x86_64' };
+
+  global.chrome = {
+    identity: { getRedirectURL: () => 'https://test.chromiumapp.org/' },
+    storage: {
+      local: {
+        get: keys => Promise.resolve(Object.fromEntries(
+          keys.filter(key => key in localStore).map(key => [key, localStore[key]])
+        )),
+        set: items => {
+          Object.assign(localStore, items);
+          return Promise.resolve();
+        },
+        remove: () => Promise.resolve()
+      }
+    },
+    runtime: {
+      getManifest: () => ({ version: '1.0.0' }),
+      getURL: path => `chrome-extension://test/${path}`
+    },
+    windows: {
+      getAll: () => Promise.resolve(browser.windows),
+      getLastFocused: () => Promise.resolve(browser.windows.find(window => window.focused)),
+      create: createData => {
+        const id = browser.nextWindowId++;
+        browser.createdWindows.push({ id, ...createData });
+        return Promise.resolve({ id, tabs: [{ id: browser.nextTabId++, windowId: id, url: createData.url }] });
+      }
+    },
+    tabs: {
+      query: () => Promise.resolve(browser.windows.flatMap(window => window.tabs)),
+      create: properties => Promise.resolve({ id: browser.nextTabId++, ...properties }),
+      update: (tabId, properties) => Promise.resolve({ id: tabId, ...properties })
+    }
+  };
+
+  return { browser, localStore };
+});
+
+import { SessionService, SESSION_FORMAT } from '../shared/session-service.js';
+import { storageService } from '../shared/storage/storage-service.js';
+import { redactionService } from '../shared/redaction.js';
+
+function chromeTab(id, windowId, index, url) {
+  return { id, windowId, index, url, title: url, pinned: false, active: index === 0, groupId: -1 };
+}
+
+describe('SessionService', () => {
+  let service;
+  let files;
+
+  beforeEach(() => {
+    for (const key of Object.keys(localStore)) delete localStore[key];
+    localStore.deviceId = 'laptop';
+    localStore.deviceName = 'Work Laptop';
+    vi.restoreAllMocks();
+
+    browser.createdWindows = [];
+    browser.windows = [
+      {
+        id: 1, type: 'normal', state: 'normal', focused: true, incognito: false, width: 800, height: 600,
+        tabs: [chromeTab(11, 1, 0, 'https://a.example/'), chromeTab(12, 1, 1, 'https://b.example/')]
+      },
+      {
+        id: 2, type: 'normal', state: 'maximized', focused: false, incognito: false,
+        tabs: [chromeTab(21, 2, 0, 'https://c.example/')]
+      }
+    ];
+
+    files = new Map();
+    vi.spyOn(storageService, 'isInitialized').mockReturnValue(true);
+    vi.spyOn(storageService, 'store').mockImplementation((fileName, data) => {
+      files.set(fileName, structuredClone(data));
+      return Promise.resolve({ success: true });
+    });
+    vi.spyOn(storageService, 'retrieve').mockImplementation(fileName => Promise.resolve({
+      data: structuredClone(files.get(fileName)),
+      metadata: {}
+    }));
+    vi.spyOn(storageService, 'listFiles').mockImplementation(() => Promise.resolve(
+      [...files.keys(), 'laptop.json', 'manifest.json'].map(name => ({ name }))
+    ));
+    vi.spyOn(storageService, 'deleteFile').mockImplementation(fileName => {
+      files.delete(fileName);
+      return Promise.resolve({ success: true, timestamp: 1 });
+    });
+
+    service = new SessionService();
+  });
+
+  it('should save only the focused window when scope is window', async () => {
+    const summary = await service.saveSession('  Research  ', { scope: 'window' });
+
+    expect(summary).toMatchObject({ name: 'Research', scope: 'window', tabCount: 2, windowCount: 1, deviceName: 'Work Laptop' });
+    expect(summary.fileName).toBe(`session-${summary.id}.json`);
+
+    const saved = files.get(summary.fileName);
+    expect(saved.format).toBe(SESSION_FORMAT);
+    expect(saved.tabs.map(tab => tab.url)).toEqual(['https://a.example/', 'https://b.example/']);
+    expect(saved.windows).toEqual([
+      { id: 1, type: 'normal', state: 'normal', incognito: false, left: undefined, top: undefined, width: 800, height: 600 }
+    ]);
+  });
+
+  it('should save every window when scope is all', async () => {
+    const summary = await service.saveSession('Everything');
+
+    expect(summary).toMatchObject({ scope: 'all', tabCount: 3, windowCount: 2 });
+  });
+
+  it('should scrub secrets from saved and imported sessions and keep a report', async () => {
+    browser.windows[0].tabs[1].url = 'https://b.example/callback#access_token=s3cr3t-value';
+    browser.windows[1].tabs[0].url = 'http://192.168.0.1/admin';
+
+    const summary = await service.saveSession('Secrets');
+
+    const saved = files.get(summary.fileName);
+    expect(saved.tabs.map(tab => tab.url)).toEqual(['https://a.example/', 'https://b.example/callback']);
+    expect(saved.windows.map(window => window.id)).toEqual([1]);
+    expect(JSON.stringify(saved)).not.toContain('s3cr3t-value');
+
+    const [report] = await redactionService.getReports();
+    expect(report).toMatchObject({ syncId: summary.id, syncType: 'session', redactedCount: 1, excludedCount: 1 });
+
+    const imported = await service.saveTabsAsSession('Imported', [
+      { id: 'tab_1', url: 'https://files.example/report.pdf?X-Amz-Signature=abc', title: 'Report', windowId: 1, index: 0 }
+    ]);
+    expect(files.get(imported.fileName).tabs[0].url).toBe('https://files.example/report.pdf');
+  });
+
+  it('should list sessions newest first and skip other sync files', async () => {
+    const older = await service.saveSession('Older', { scope: 'window', windowId: 2 });
+    files.get(older.fileName).createdAt -= 1000;
+    localStore.sessionIndex = {};
+    const newer = await service.saveSession('Newer');
+
+    const sessions = await service.listSessions();
+
+    expect(sessions.map(session => session.name)).toEqual(['Newer', 'Older']);
+    expect(Object.keys(localStore.sessionIndex)).toEqual(expect.arrayContaining([older.fileName, newer.fileName]));
+  });
+
+  it('should read each session file only once', async () => {
+    await service.saveSession('Cached');
+    localStore.sessionIndex = {};
+
+    await service.listSessions();
+    await service.listSessions();
+
+    expect(storageService.retrieve).toHaveBeenCalledOnce();
+  });
+
+  it('should keep unreadable sessions out of the index', async () => {
+    files.set('session-abc-broken.json', { not: 'a session' });
+
+    const sessions = await service.listSessions();
+
+    expect(sessions).toEqual([expect.objectContaining({ id: 'abc-broken', unreadable: true })]);
+    expect(localStore.sessionIndex).toEqual({});
+  });
+
+  it('should restore a session into new windows with their layout', async () => {
+    const summary = await service.saveSession('Everything');
+
+    const result = await service.restoreSession(summary.id);
+
+    expect(result).toMatchObject({ success: true, name: 'Everything', tabsCreated: 3, windowsCreated: 2 });
+    expect(browser.createdWindows.map(window => window.url)).toEqual(['https://a.example/', 'https://c.example/']);
+    expect(browser.createdWindows[1].state).toBe('maximized');
+  });
+
+  it('should delete the session file and its index entry', async () => {
+    const summary = await service.saveSession('Temporary');
+
+    await service.deleteSession(summary.id);
+
+    expect(storageService.deleteFile).toHaveBeenCalledWith(summary.fileName, expect.any(Object));
+    expect(localStore.sessionIndex).toEqual({});
+  });
+
+  it('should reject invalid names, scopes and IDs', async () => {
+    await expect(service.saveSession('   ')).rejects.toMatchObject({ code: 'INVALID_SESSION_NAME' });
+    await expect(service.saveSession('x'.repeat(101))).rejects.toMatchObject({ code: 'INVALID_SESSION_NAME' });
+    await expect(service.saveSession('Name', { scope: 'tab' })).rejects.toMatchObject({ code: 'INVALID_SESSION_SCOPE' });
+    await expect(service.restoreSession('../laptop')).rejects.toMatchObject({ code: 'INVALID_SESSION_ID' });
+  });
+
+  it('should refuse to save an empty window', async () => {
+    await expect(service.saveSession('Empty', { scope: 'window', windowId: 99 })).rejects.toMatchObject({ code: 'EMPTY_SESSION' });
+    expect(storageService.store).not.toHaveBeenCalled();
+  });
+});
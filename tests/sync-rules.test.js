@@ -0,0 +1,150 @@
+// Tests for the selective sync rules applied before upload
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const { browser, localStore } = vi.hoisted(() => {
+  const browser = { windows: [] };
+  const localStore = {};
+
+  global.navigator = { userAgent: 'Mozilla/5.0 Chrome/120.0.0.0', platform: 'Linux x86_64' };
+
+  global.chrome = {
+    identity: { getRedirectURL: () => 'https://test.chromiumapp.org/' },
+    storage: {
+      local: {
+        get: keys => Promise.resolve(Object.fromEntries(
+          [].concat(keys).filter(key => key in localStore).map(key => [key, localStore[key]])
+        )),
+        set: items => {
+          Object.assign(localStore, items);
+          return Promise.resolve();
+        },
+        remove: () => Promise.resolve()
+      }
+    },
+    runtime: {
+      getManifest: () => ({ version: '1.0.0' }),
+      getURL: path => `chrome-extension://test/${path}`
+    },
+    windows: {
+      getAll: () => Promise.resolve(browser.windows)
+    }
+  };
+
+  return { browser, localStore };
+});
+
+import { applySyncRules, globToRegExp, validateSyncRule, SyncRulesService } from '../shared/sync-rules.js';
+import { tabSerializer } from '../shared/tab-serializer.js';
+import { generateLogicalTabId } from '../shared/tab-identity.js';
+
+function createTab(url, overrides = {}) {
+  return {
+    id: generateLogicalTabId(),
+    url,
+    title: url,
+    windowId: 1,
+    index: 0,
+    timestamp: 1000,
+    deviceId: 'laptop',
+    pinned: false,
+    active: false,
+    ...overrides
+  };
+}
+
+const urls = tabs => tabs.map(tab => tab.url);
+
+describe('sync rules', () => {
+  const tabs = [
+    createTab('https://bank.example.com/accounts'),
+    createTab('https://mail.example.com/inbox', { pinned: true }),
+    createTab('https://news.test/today', { windowId: 2 }),
+    createTab('https://example.com/admin/users', { windowId: 2 })
+  ];
+
+  it('should match domains with their subdomains and globs against the whole URL', () => {
+    const domain = applySyncRules(tabs, [{ id: 'r1', action: 'exclude', type: 'domain', value: 'example.com' }]);
+    expect(urls(domain.included)).toEqual(['https://news.test/today']);
+    expect(domain.excluded[0]).toMatchObject({ rule: { id: 'r1' }, reason: 'excluded' });
+
+    const glob = applySyncRules(tabs, [{ id: 'r2', action: 'exclude', type: 'glob', value: 'https://*.example.com/*' }]);
+    expect(urls(glob.excluded.map(entry => entry.tab))).toEqual(['https://bank.example.com/accounts', 'https://mail.example.com/inbox']);
+
+    expect(globToRegExp('https://example.com/?dmin/*').test('https://example.com/admin/users')).toBe(true);
+    expect(globToRegExp('https://example.com/*').test('https://example.com.evil.test/')).toBe(false);
+  });
+
+  it('should only sync tabs matching an include rule, with exclude rules winning', () => {
+    const result = applySyncRules(tabs, [
+      { id: 'pinned', action: 'include', type: 'pinned' },
+      { id: 'window', action: 'include', type: 'window', value: 2 },
+      { id: 'admin', action: 'exclude', type: 'regex', value: '/ADMIN/' }
+    ]);
+
+    expect(urls(result.included)).toEqual(['https://mail.example.com/inbox', 'https://news.test/today']);
+    expect(result.excluded.map(entry => entry.reason)).toEqual(['not_included', 'excluded']);
+  });
+
+  it('should skip disabled and invalid rules', () => {
+    const result = applySyncRules(tabs, [
+      { id: 'off', action: 'exclude', type: 'domain', value: 'example.com', enabled: false },
+      { id: 'bad', action: 'exclude', type: 'regex', value: '(' }
+    ]);
+
+    expect(result.included).toEqual(tabs);
+    expect(validateSyncRule({ action: 'exclude', type: 'regex', value: '(' }).isValid).toBe(false);
+    expect(validateSyncRule({ action: 'block', type: 'domain', value: 'a.test' }).isValid).toBe(false);
+    expect(validateSyncRule({ action: 'include', type: 'pinned' }).isValid).toBe(true);
+  });
+});
+
+describe('SyncRulesService', () => {
+  let service;
+
+  beforeEach(() => {
+    for (const key of Object.keys(localStore)) delete localStore[key];
+    localStore.deviceId = 'laptop';
+    localStore.syncSettings = { includeIncognito: false };
+    browser.windows = [
+      { id: 1, incognito: false, tabs: [{ id: 11, windowId: 1, url: 'https://bank.example.com/', title: 'Bank', active: true }] },
+      { id: 2, incognito: false, tabs: [{ id: 21, windowId: 2, url: 'https://news.test/', title: 'News', active: true }] },
+      { id: 3, incognito: true, tabs: [{ id: 31, windowId: 3, url: 'https://private.test/', title: 'Private' }] }
+    ];
+    service = new SyncRulesService();
+  });
+
+  it('should save valid rules into the sync settings and reject invalid ones', async () => {
+    const saved = await service.saveRules([{ action: 'exclude', type: 'window', value: '2' }]);
+
+    expect(saved).toEqual([{ id: expect.stringMatching(/^rule-/), action: 'exclude', type: 'window', value: 2, enabled: true }]);
+    expect(localStore.syncSettings).toEqual({ includeIncognito: false, syncRules: saved });
+    expect(await service.getRules()).toEqual(saved);
+
+    await expect(service.saveRules([{ action: 'exclude', type: 'glob', value: ' ' }]))
+      .rejects.toMatchObject({ code: 'INVALID_SYNC_RULES' });
+  });
+
+  it('should preview which open tabs would not be synced', async () => {
+    const preview = await service.previewRules([{ id: 'bank', action: 'exclude', type: 'domain', value: 'example.com' }]);
+
+    expect(preview).toMatchObject({ totalCount: 2, includedCount: 1 });
+    expect(preview.windows.map(window => window.label)).toEqual(['Window 1', 'Window 2']);
+    expect(preview.excluded).toEqual([
+      { url: 'https://bank.example.com/', title: 'Bank', windowId: 1, ruleId: 'bank', reason: 'excluded' }
+    ]);
+  });
+
+  it('should keep excluded tabs and their empty windows out of uploaded sync data', async () => {
+    localStore.syncSettings.syncRules = [{ id: 'window', action: 'exclude', type: 'window', value: 2, enabled: true }];
+    const syncData = await tabSerializer.createSyncData(
+      [createTab('https://a.test/'), createTab('https://b.test/', { windowId: 2 })],
+      {},
+      { windows: [{ id: 1, type: 'normal', state: 'normal' }, { id: 2, type: 'normal', state: 'normal' }] }
+    );
+
+    expect(urls(syncData.tabs)).toEqual(['https://a.test/']);
+    expect(syncData.windows.map(window => window.id)).toEqual([1]);
+    expect(syncData.metadata).toMatchObject({ tabCount: 1, excludedTabCount: 1 });
+  });
+});
@@ -0,0 +1,181 @@
+// Tests for the alarm-backed periodic sync scheduler
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const { localStore, alarms, idle } = vi.hoisted(() => {
+  const localStore = {};
+  const alarms = new Map();
+  const idle = { state: 'active' };
+
+  global.chrome = {
+    storage: {
+      local: {
+        get: keys => Promise.resolve(Object.fromEntries(
+          keys.filter(key => key in localStore).map(key => [key, localStore[key]])
+        )),
+        set: items => {
+          Object.assign(localStore, items);
+          return Promise.resolve();
+        },
+        remove: key => {
+          delete localStore[key];
+          return Promise.resolve();
+        }
+      }
+    },
+    alarms: {
+      create: (name, info) => {
+        alarms.set(name, {
+          name,
+          periodInMinutes: info.periodInMinutes,
+          delayInMinutes: info.delayInMinutes,
+          scheduledTime: Date.now() + info.delayInMinutes * 60000
+        });
+        return Promise.resolve();
+      },
+      get: name => Promise.resolve(alarms.get(name)),
+      clear: name => Promise.resolve(alarms.delete(name))
+    },
+    idle: {
+      queryState: () => Promise.resolve(idle.state)
+    },
+    runtime: {
+      getManifest: () => ({ version: '1.0.0' })
+    }
+  };
+
+  return { localStore, alarms, idle };
+});
+
+import { SyncScheduler, PERIODIC_SYNC_ALARM, MAX_BACKOFF_MINUTES } from '../shared/sync-scheduler.js';
+import { syncHistoryService, SyncStatus } from '../shared/sync-history-service.js';
+
+function setSettings(settings) {
+  localStore.syncSettings = settings;
+}
+
+function finishedOperation(status, startTime) {
+  return { id: `op_${startTime}`, status, startTime, metadata: { trigger: 'periodic' } };
+}
+
+describe('SyncScheduler', () => {
+  let scheduler;
+  let onTrigger;
+
+  beforeEach(() => {
+    for (const key of Object.keys(localStore)) delete localStore[key];
+    alarms.clear();
+    idle.state = 'active';
+    syncHistoryService.history = [];
+    syncHistoryService.initialized = false;
+
+    scheduler = new SyncScheduler();
+    onTrigger = vi.fn().mockResolvedValue();
+    scheduler.setTriggerHandler(onTrigger);
+  });
+
+  it('should create an alarm when periodic sync is enabled', async () => {
+    setSettings({ periodicSyncEnabled: true, periodicSyncInterval: 15 });
+
+    await scheduler.configure();
+
+    expect(alarms.get(PERIODIC_SYNC_ALARM)).toMatchObject({ periodInMinutes: 15, delayInMinutes: 15 });
+  });
+
+  it('should clear the alarm when periodic sync is disabled', async () => {
+    setSettings({ periodicSyncEnabled: true, periodicSyncInterval: 15 });
+    await scheduler.configure();
+
+    setSettings({ periodicSyncEnabled: false, periodicSyncInterval: 15 });
+    await scheduler.configure();
+
+    expect(alarms.has(PERIODIC_SYNC_ALARM)).toBe(false);
+  });
+
+  it('should keep an existing alarm unless the interval changed', async () => {
+    setSettings({ periodicSyncEnabled: true, periodicSyncInterval: 15 });
+    await scheduler.configure();
+    const scheduledTime = alarms.get(PERIODIC_SYNC_ALARM).scheduledTime;
+
+    await scheduler.configure();
+    expect(alarms.get(PERIODIC_SYNC_ALARM).scheduledTime).toBe(scheduledTime);
+
+    setSettings({ periodicSyncEnabled: true, periodicSyncInterval: 60 });
+    await scheduler.configure();
+    expect(alarms.get(PERIODIC_SYNC_ALARM).periodInMinutes).toBe(60);
+  });
+
+  it('should back off exponentially after consecutive failures', async () => {
+    setSettings({ periodicSyncEnabled: true, periodicSyncInterval: 15 });
+    syncHistoryService.history = [
+      finishedOperation(SyncStatus.COMPLETED, 1),
+      finishedOperation(SyncStatus.FAILED, 2),
+      finishedOperation(SyncStatus.FAILED, 3)
+    ];
+
+    await scheduler.scheduleNext();
+
+    expect(alarms.get(PERIODIC_SYNC_ALARM).delayInMinutes).toBe(60);
+    expect(scheduler.calculateDelay(15, 20)).toBe(MAX_BACKOFF_MINUTES);
+  });
+
+  it('should load saved history and only back off after periodic failures', async () => {
+    setSettings({ periodicSyncEnabled: true, periodicSyncInterval: 15 });
+    const now = Date.now();
+    localStore.syncHistory = [
+      finishedOperation(SyncStatus.FAILED, now - 3000),
+      { ...finishedOperation(SyncStatus.FAILED, now - 2000), metadata: { trigger: 'manual' } },
+      { ...finishedOperation(SyncStatus.FAILED, now - 1000), metadata: { trigger: 'live' } }
+    ];
+
+    await scheduler.scheduleNext();
+
+    expect(alarms.get(PERIODIC_SYNC_ALARM).delayInMinutes).toBe(30);
+    expect((await scheduler.getStatus()).consecutiveFailures).toBe(1);
+  });
+
+  it('should sync and reschedule when the alarm fires while active', async () => {
+    setSettings({ periodicSyncEnabled: true, periodicSyncInterval: 15 });
+
+    await scheduler.handleAlarm({ name: PERIODIC_SYNC_ALARM });
+
+    expect(onTrigger).toHaveBeenCalledOnce();
+    expect(alarms.has(PERIODIC_SYNC_ALARM)).toBe(true);
+    expect(localStore.syncSchedulerState.lastRunAt).toBeTruthy();
+  });
+
+  it('should defer the sync while idle and run it when the user returns', async () => {
+    setSettings({ periodicSyncEnabled: true, periodicSyncInterval: 15 });
+    idle.state = 'locked';
+
+    await scheduler.handleAlarm({ name: PERIODIC_SYNC_ALARM });
+    expect(onTrigger).not.toHaveBeenCalled();
+
+    await scheduler.handleIdleStateChange('active');
+    expect(onTrigger).toHaveBeenCalledOnce();
+
+    await scheduler.handleIdleStateChange('active');
+    expect(onTrigger).toHaveBeenCalledOnce();
+  });
+
+  it('should ignore unrelated alarms', async () => {
+    await scheduler.handleAlarm({ name: 'something-else' });
+
+    expect(onTrigger).not.toHaveBeenCalled();
+  });
+});
+
+describe('SyncHistoryService.getConsecutiveFailures', () => {
+  it('should count failures since the last success', () => {
+    syncHistoryService.history = [
+      finishedOperation(SyncStatus.FAILED, 1),
+      finishedOperation(SyncStatus.COMPLETED, 2),
+      finishedOperation(SyncStatus.FAILED, 3),
+      { id: 'op_active', status: SyncStatus.IN_PROGRESS, startTime: 4 },
+      finishedOperation(SyncStatus.FAILED, 5)
+    ];
+
+    expect(syncHistoryService.getConsecutiveFailures()).toBe(2);
+    expect(syncHistoryService.getConsecutiveFailures({ trigger: 'manual' })).toBe(0);
+  });
+});
@@ -0,0 +1,234 @@
+// Tests for importing and exporting OneTab, Session Buddy, Netscape bookmark and Markdown files
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const { localStore } = vi.hoisted(() => {
+  const localStore = {};
+
+  global.navigator = { userAgent: 'Mozilla/5.0 Chrome/120.0.0.0', platform: 'Linux x86_64' };
+
+  global.chrome = {
+    identity: { getRedirectURL: () => 'https://test.chromiumapp.org/' },
+    storage: {
+      local: {
+        get: keys => Promise.resolve(Object.fromEntries(
+          [].concat(keys).filter(key => key in localStore).map(key => [key, localStore[key]])
+        )),
+        set: items => {
+          Object.assign(localStore, items);
+          return Promise.resolve();
+        },
+        remove: () => Promise.resolve()
+      }
+    },
+    runtime: {
+      getManifest: () => ({ version: '1.0.0' }),
+      getURL: path => `chrome-extension://test/${path}`
+    }
+  };
+
+  return { localStore };
+});
+
+import { detectFormat, parseTabs, formatTabs, TabFormatService } from '../shared/tab-formats.js';
+import { sessionService } from '../shared/session-service.js';
+import { syncEngine } from '../shared/sync-engine.js';
+
+function createTab(url, windowId, index, overrides = {}) {
+  return { id: `tab-${windowId}-${index}`, url, title: url.replace('https://', ''), windowId, index, pinned: false, timestamp: 1000, deviceId: 'laptop', ...overrides };
+}
+
+const summary = parsed => parsed.tabs.map(tab => [tab.url, tab.title, tab.windowId, tab.index, tab.pinned]);
+
+describe('tab formats', () => {
+  const tabs = [
+    createTab('https://mail.example/', 1, 0, { pinned: true, title: 'Mail & [Inbox]' }),
+    createTab('https://a.example/wiki/Foo_(bar)', 1, 1, { title: 'Foo <bar>' }),
+    createTab('chrome://settings/', 1, 2),
+    createTab('https://b.example/?q=1&r=2', 4, 0)
+  ];
+  const windows = [{ id: 1 }, { id: 4 }];
+
+  it('should parse OneTab groups and skip lines that are not web pages', () => {
+    const parsed = parseTabs([
+      'https://a.example/ | A | with a pipe',
+      'https://b.example/',
+      '',
+      '',
+      'javascript:alert(1) | Script',
+      'https://c.example/ | C'
+    ].join('\r\n'), 'auto', 'laptop');
+
+    expect(parsed.format).toBe('onetab');
+    expect(summary(parsed)).toEqual([
+      ['https://a.example/', 'A | with a pipe', 1, 0, false],
+      ['https://b.example/', 'https://b.example/', 1, 1, false],
+      ['https://c.example/', 'C', 2, 0, false]
+    ]);
+    expect(parsed.skippedCount).toBe(1);
+    expect(parsed.tabs[0]).toMatchObject({ deviceId: 'laptop', id: expect.any(String) });
+  });
+
+  it('should read Session Buddy session and collection exports', () => {
+    const sessions = parseTabs(JSON.stringify({
+      format: 'nxs.json.v1',
+      sessions: [{
+        name: 'Research',
+        windows: [
+          { tabs: [{ url: 'https://b.example/', title: 'B' }, { url: 'https://p.example/', title: 'P', pinned: true }] },
+          { tabs: [{ url: 'https://c.example/', title: 'C' }] }
+        ]
+      }]
+    }), 'auto', 'laptop');
+
+    expect(sessions).toMatchObject({ format: 'session-buddy', title: 'Research' });
+    expect(summary(sessions)).toEqual([
+      ['https://p.example/', 'P', 1, 0, true],
+      ['https://b.example/', 'B', 1, 1, false],
+      ['https://c.example/', 'C', 2, 0, false]
+    ]);
+
+    const collections = parseTabs(JSON.stringify({
+      collections: [{ title: 'Reading', folders: [{ title: 'Later', links: [{ url: 'https://r.example/', title: 'R' }] }] }]
+    }), 'session-buddy', 'laptop');
+    expect(collections.title).toBe('Reading');
+    expect(summary(collections)).toEqual([['https://r.example/', 'R', 1, 0, false]]);
+
+    expect(() => parseTabs('{ not json', 'auto', 'laptop')).toThrow(expect.objectContaining({ code: 'INVALID_IMPORT' }));
+  });
+
+  it('should read a browser bookmark export, unwrapping the single top folder', () => {
+    const parsed = parseTabs(`<!DOCTYPE NETSCAPE-Bookmark-file-1>
+<TITLE>Bookmarks</TITLE>
+<DL><p>
+    <DT><H3 PERSONAL_TOOLBAR_FOLDER="true">Bookmarks bar</H3>
+    <DL><p>
+        <DT><A HREF="https://loose.example/?a=1&amp;b=2" ADD_DATE="1700000000">Loose &amp; free</A>
+        <DT><H3>Work</H3>
+        <DL><p>
+            <DT><A HREF='https://docs.example/'>Docs &#x1F4C4;</A>
+            <DT><H3>Pinned</H3>
+            <DL><p>
+                <DT><A HREF="https://chat.example/">Chat</A>
+            </DL><p>
+            <DT><H3>Deeper</H3>
+            <DL><p>
+                <DT><A HREF="https://deep.example/">Deep</A>
+            </DL><p>
+        </DL><p>
+    </DL><p>
+</DL><p>`, 'auto', 'laptop');
+
+    expect(parsed).toMatchObject({ format: 'netscape', title: 'Bookmarks bar' });
+    expect(summary(parsed)).toEqual([
+      ['https://loose.example/?a=1&b=2', 'Loose & free', 1, 0, false],
+      ['https://chat.example/', 'Chat', 2, 0, true],
+      ['https://docs.example/', 'Docs 📄', 2, 1, false],
+      ['https://deep.example/', 'Deep', 2, 2, false]
+    ]);
+    expect(parsed.tabs[0].timestamp).toBe(1700000000000);
+  });
+
+  it('should write every format so that it reads back as the same windows and pinned tabs', () => {
+    const expected = [
+      ['https://mail.example/', 'Mail & [Inbox]', 1, 0, true],
+      ['https://a.example/wiki/Foo_(bar)', 'Foo <bar>', 1, 1, false],
+      ['https://b.example/?q=1&r=2', 'b.example/?q=1&r=2', 2, 0, false]
+    ];
+
+    for (const format of ['session-buddy', 'netscape', 'markdown']) {
+      const content = formatTabs(tabs, windows, format, { name: 'Laptop' });
+      expect(detectFormat(content)).toBe(format);
+      const parsed = parseTabs(content, 'auto', 'laptop');
+      expect(summary(parsed).map(([url, ...rest]) => [decodeURI(url), ...rest])).toEqual(expected);
+    }
+
+    // OneTab has no pinned tabs
+    const oneTab = formatTabs(tabs, windows, 'onetab');
+    expect(oneTab).toBe('https://mail.example/ | Mail & [Inbox]\nhttps://a.example/wiki/Foo_(bar) | Foo <bar>\n\nhttps://b.example/?q=1&r=2 | b.example/?q=1&r=2\n');
+    expect(summary(parseTabs(oneTab, 'onetab', 'laptop')).map(entry => entry[4])).toEqual([false, false, false]);
+
+    expect(formatTabs(tabs, windows, 'markdown', { name: 'Laptop' })).toContain('- 📌 [Mail & \\[Inbox\\]](https://mail.example/)');
+    expect(() => formatTabs(tabs, windows, 'csv')).toThrow(expect.objectContaining({ code: 'INVALID_EXPORT_FORMAT' }));
+  });
+});
+
+describe('TabFormatService', () => {
+  let service;
+
+  beforeEach(() => {
+    vi.restoreAllMocks();
+    for (const key of Object.keys(localStore)) delete localStore[key];
+    localStore.deviceId = 'laptop';
+    localStore.deviceName = 'Laptop';
+    service = new TabFormatService();
+  });
+
+  it('should save an import as a session named after the file', async () => {
+    const saved = vi.spyOn(sessionService, 'saveTabsAsSession').mockImplementation(async (name, sessionTabs, options) => ({
+      name,
+      tabCount: sessionTabs.length,
+      scope: options.scope
+    }));
+
+    const result = await service.importTabs('https://a.example/ | A\nhttps://a.example/ | A again\n', { fileName: 'onetab export.txt' });
+
+    expect(result).toMatchObject({
+      destination: 'session',
+      format: 'onetab',
+      tabCount: 2,
+      session: { name: 'onetab export', tabCount: 2, scope: 'import' }
+    });
+    expect(result.warnings).toEqual([expect.stringContaining('Duplicate URL')]);
+    expect(saved.mock.calls[0][2].windows).toEqual([{ id: 1, type: 'normal', state: 'normal' }]);
+
+    await expect(service.importTabs('chrome://newtab/ | New tab')).rejects.toMatchObject({ code: 'EMPTY_IMPORT' });
+    await expect(service.importTabs('https://a.example/', { destination: 'printer' })).rejects.toMatchObject({ code: 'INVALID_IMPORT_DESTINATION' });
+  });
+
+  it('should open a cloud import and upload it with the tabs already open', async () => {
+    syncEngine.isInitialized = true;
+    syncEngine.isSyncing = false;
+    vi.spyOn(service.tabManager, 'createSnapshot').mockResolvedValue({
+      tabs: [createTab('https://open.example/', 3, 0)],
+      windows: [{ id: 3, type: 'normal', state: 'maximized', focused: true, tabCount: 1, tabs: [] }]
+    });
+    vi.spyOn(service.tabManager, 'restoreWindowLayout').mockResolvedValue({
+      created: [{ id: 101 }, { id: 102 }],
+      windowMap: { 'laptop:1': 55 },
+      errors: []
+    });
+    const stored = vi.spyOn(syncEngine, 'storeFullSnapshot').mockResolvedValue({});
+
+    const result = await service.importTabs('- [A](https://a.example/)\n- 📌 <https://p.example/>\n', { destination: 'cloud' });
+
+    expect(result).toMatchObject({ destination: 'cloud', format: 'markdown', tabCount: 2, tabsCreated: 2, errors: [] });
+    const [snapshot, options] = stored.mock.calls[0];
+    expect(snapshot.tabs.map(tab => [tab.url, tab.windowId, tab.pinned])).toEqual([
+      ['https://open.example/', 3, false],
+      ['https://p.example/', 55, true],
+      ['https://a.example/', 55, false]
+    ]);
+    expect(snapshot.windows).toEqual([
+      { id: 3, type: 'normal', state: 'maximized' },
+      { id: 55, type: 'normal', state: 'normal' }
+    ]);
+    expect(snapshot.metadata).toMatchObject({ syncType: 'import', importFormat: 'markdown' });
+    expect(options.commitMessage).toBe('Import 2 tabs from Markdown');
+  });
+
+  it('should export a saved session as a download', async () => {
+    vi.spyOn(sessionService, 'getSession').mockResolvedValue({
+      name: 'Trip Planning!',
+      tabs: [createTab('https://maps.example/', 1, 0), createTab('chrome://newtab/', 1, 1)],
+      windows: [{ id: 1 }]
+    });
+
+    const file = await service.exportTabs('netscape', { sessionId: 'trip' });
+
+    expect(file).toMatchObject({ mimeType: 'text/html', tabCount: 1 });
+    expect(file.fileName).toMatch(/^tab-sync-trip-planning-\d{4}-\d{2}-\d{2}\.html$/);
+    expect(file.content).toContain('<DT><A HREF="https://maps.example/">maps.example/</A>');
+    await expect(service.exportTabs('pdf')).rejects.toMatchObject({ code: 'INVALID_EXPORT_FORMAT' });
+  });
+});
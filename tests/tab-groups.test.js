@@ -0,0 +1,243 @@
+// Tests for tab group capture, recreation and conflict detection
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const { browser } = vi.hoisted(() => {
+  const browser = { tabs: [], groups: [], nextTabId: 100, nextGroupId: 10 };
+
+  global.chrome = {
+    identity: { getRedirectURL: () => 'https://test.chromiumapp.org/' },
+    storage: {
+      local: {
+        get: () => Promise.resolve({ deviceId: 'device-a' }),
+        set: () => Promise.resolve(),
+        remove: () => Promise.resolve()
+      }
+    },
+    runtime: {
+      getManifest: () => ({ version: '1.0.0' }),
+      getURL: path => `chrome-extension://test/${path}`
+    },
+    tabs: {
+      query: () => Promise.resolve(browser.tabs),
+      create: properties => {
+        const tab = { id: browser.nextTabId++, windowId: properties.windowId ?? 1, groupId: -1, ...properties };
+        browser.tabs.push(tab);
+        return Promise.resolve(tab);
+      },
+      group: ({ groupId, tabIds, createProperties }) => {
+        if (groupId === undefined) {
+          groupId = browser.nextGroupId++;
+          browser.groups.push({ id: groupId, windowId: createProperties.windowId, title: '', color: 'grey', collapsed: false });
+        }
+        browser.tabs.filter(tab => tabIds.includes(tab.id)).forEach(tab => { tab.groupId = groupId; });
+        return Promise.resolve(groupId);
+      },
+      ungroup: tabIds => {
+        browser.tabs.filter(tab => tabIds.includes(tab.id)).forEach(tab => { tab.groupId = -1; });
+        return Promise.resolve();
+      }
+    },
+    tabGroups: {
+      query: ({ windowId } = {}) => Promise.resolve(
+        browser.groups.filter(group => windowId === undefined || group.windowId === windowId)
+      ),
+      get: groupId => Promise.resolve(browser.groups.find(group => group.id === groupId)),
+      update: (groupId, properties) => {
+        Object.assign(browser.groups.find(group => group.id === groupId), properties);
+        return Promise.resolve();
+      }
+    }
+  };
+
+  return { browser };
+});
+
+import { TabManager } from '../shared/tab-manager.js';
+import { SyncEngine } from '../shared/sync-engine.js';
+import { computeTabDelta, applyTabDelta } from '../shared/delta-sync.js';
+import { matchTabGroups } from '../shared/tab-groups.js';
+
+function createTab(url, group = null, overrides = {}) {
+  return {
+    id: `tab_${url}`,
+    url,
+    title: url,
+    windowId: 1,
+    index: 0,
+    timestamp: Date.now(),
+    deviceId: 'device-a',
+    pinned: false,
+    group,
+    ...overrides
+  };
+}
+
+const work = { id: 1, title: 'Work', color: 'blue', collapsed: false };
+const research = { id: 2, title: 'Research', color: 'green', collapsed: false };
+
+describe('TabManager tab groups', () => {
+  let tabManager;
+
+  beforeEach(() => {
+    browser.tabs = [];
+    browser.groups = [];
+    tabManager = new TabManager();
+  });
+
+  it('should capture group title, color and collapsed state', async () => {
+    browser.groups = [{ id: 7, windowId: 1, title: 'Work', color: 'blue', collapsed: true }];
+    browser.tabs = [
+      { id: 1, windowId: 1, index: 0, url: 'https://a.example/', title: 'A', groupId: 7 },
+      { id: 2, windowId: 1, index: 1, url: 'https://b.example/', title: 'B', groupId: -1 }
+    ];
+
+    const tabs = await tabManager.getCurrentTabs();
+
+    expect(tabs[0].group).toEqual({ id: 7, title: 'Work', color: 'blue', collapsed: true });
+    expect(tabs[1].group).toBeNull();
+  });
+
+  it('should recreate groups for created tabs', async () => {
+    await tabManager.createTabs([
+      createTab('https://a.example/', work),
+      createTab('https://b.example/', work),
+      createTab('https://c.example/', null)
+    ], { windowId: 1 });
+
+    expect(browser.groups).toHaveLength(1);
+    expect(browser.groups[0]).toMatchObject({ title: 'Work', color: 'blue', collapsed: false });
+    expect(browser.tabs.map(tab => tab.groupId)).toEqual([10, 10, -1]);
+  });
+
+  it('should add tabs to an existing group with the same title and color', async () => {
+    browser.groups = [{ id: 3, windowId: 1, title: 'Work', color: 'blue', collapsed: false }];
+
+    await tabManager.createTabs([createTab('https://a.example/', work)], { windowId: 1 });
+
+    expect(browser.groups).toHaveLength(1);
+    expect(browser.tabs[0].groupId).toBe(3);
+  });
+
+  it('should regroup and ungroup existing tabs when applying changes', async () => {
+    browser.groups = [{ id: 3, windowId: 1, title: 'Old', color: 'red', collapsed: false }];
+    browser.tabs = [
+      { id: 1, windowId: 1, url: 'https://a.example/', groupId: -1 },
+      { id: 2, windowId: 1, url: 'https://b.example/', groupId: 3 }
+    ];
+
+    const results = await tabManager.applyTabChanges({
+      tabsToRegroup: [
+        { tabId: 1, windowId: 1, group: research, sourceKey: '1:2' },
+        { tabId: 2, windowId: 1, group: null, sourceKey: null }
+      ]
+    });
+
+    expect(results.regrouped).toEqual(expect.arrayContaining([1, 2]));
+    expect(browser.tabs[1].groupId).toBe(-1);
+    expect(browser.groups.find(group => group.id === browser.tabs[0].groupId).title).toBe('Research');
+  });
+});
+
+describe('Tab group sync', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = new SyncEngine();
+  });
+
+  it('should match groups across devices by shared tabs', () => {
+    const local = [createTab('https://a.example/', work), createTab('https://b.example/', work)];
+    const remote = [
+      createTab('https://a.example/', { ...work, id: 40, title: 'Job' }),
+      createTab('https://b.example/', { ...work, id: 40, title: 'Job' })
+    ];
+
+    const matches = matchTabGroups(local, remote);
+
+    expect(matches).toHaveLength(1);
+    expect(matches[0].sharedUrls).toEqual(['https://a.example/', 'https://b.example/']);
+  });
+
+  it('should detect renamed groups', async () => {
+    const local = [createTab('https://a.example/', work)];
+    const remote = [createTab('https://a.example/', { ...work, id: 40, title: 'Job' })];
+
+    const conflicts = await engine.detectTabGroupConflicts(local, remote);
+
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0]).toMatchObject({ type: 'structural', subtype: 'group_renamed' });
+  });
+
+  it('should detect tabs that moved between groups', async () => {
+    const local = [
+      createTab('https://a.example/', work),
+      createTab('https://b.example/', work),
+      createTab('https://c.example/', null)
+    ];
+    const remote = [
+      createTab('https://a.example/', { ...work, id: 40 }),
+      createTab('https://b.example/', { ...research, id: 41 }),
+      createTab('https://c.example/', { ...work, id: 40 })
+    ];
+
+    const conflicts = await engine.detectTabGroupConflicts(local, remote);
+    const membership = conflicts.find(conflict => conflict.subtype === 'group_membership');
+
+    expect(membership.details.movedTabs.map(tab => tab.url)).toEqual(['https://b.example/', 'https://c.example/']);
+  });
+
+  it('should not report conflicts when only group IDs differ', async () => {
+    const local = [createTab('https://a.example/', work)];
+    const remote = [createTab('https://a.example/', { ...work, id: 99 })];
+
+    expect(await engine.detectTabGroupConflicts(local, remote)).toEqual([]);
+  });
+
+  it('should apply the chosen side of a group conflict to merged tabs', async () => {
+    const local = [createTab('https://a.example/', work)];
+    const remote = [createTab('https://a.example/', { ...work, id: 40, title: 'Job' }, { timestamp: 1 })];
+    const [conflict] = await engine.detectTabGroupConflicts(local, remote);
+    const mergeResult = { mergeOperations: [], appliedResolutions: [], unresolvedConflicts: [] };
+
+    await engine.resolveStructuralConflicts([conflict], local, remote, { [conflict.id]: 'remote_group' }, mergeResult);
+    const merged = await engine.performIntelligentMerge(local, remote, mergeResult);
+
+    expect(merged[0].group.title).toBe('Job');
+    expect(local[0].group.title).toBe('Work');
+  });
+
+  it('should keep local groups and the open conflict when resolved manually', async () => {
+    const local = [createTab('https://a.example/', work)];
+    const remote = [createTab('https://a.example/', { ...work, id: 40, title: 'Job' }, { timestamp: Date.now() + 1000 })];
+    const [conflict] = await engine.detectTabGroupConflicts(local, remote);
+    const mergeResult = { mergeOperations: [], appliedResolutions: [], unresolvedConflicts: [] };
+
+    await engine.resolveStructuralConflicts([conflict], local, remote, { [conflict.id]: 'manual' }, mergeResult);
+    const merged = await engine.performIntelligentMerge(local, remote, mergeResult);
+
+    expect(mergeResult.unresolvedConflicts).toEqual([conflict]);
+    expect(mergeResult.appliedResolutions).toEqual([]);
+    expect(merged[0].group.title).toBe('Work');
+  });
+
+  it('should regroup existing tabs whose group changed', () => {
+    const current = [createTab('https://a.example/', null, { chromeTabId: 5 })];
+    const target = [createTab('https://a.example/', work)];
+
+    const changes = engine.calculateTabChanges(current, target);
+
+    expect(changes.tabsToRegroup).toEqual([{ tabId: 5, windowId: 1, group: work, sourceKey: '1:1' }]);
+  });
+
+  it('should carry group changes in deltas', () => {
+    const previous = [createTab('https://a.example/', work, { chromeTabId: 5 })];
+    const current = [createTab('https://a.example/', { ...work, title: 'Renamed' }, { chromeTabId: 5 })];
+
+    const delta = computeTabDelta(previous, current);
+
+    expect(delta.updated).toHaveLength(1);
+    expect(applyTabDelta(previous, delta)[0].group.title).toBe('Renamed');
+    expect(computeTabDelta(previous, previous).updated).toEqual([]);
+  });
+});
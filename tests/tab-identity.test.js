@@ -0,0 +1,204 @@
+// Tests for logical tab IDs that survive restarts and follow tabs across devices
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const { browser, localStore, sessionStore } = vi.hoisted(() => {
+  const browser = { tabs: [], nextTabId: 500, nextWindowId: 50 };
+  const localStore = {};
+  const sessionStore = {};
+
+  const createArea = store => ({
+    get: keys => Promise.resolve(Object.fromEntries(
+      [].concat(keys).filter(key => key in store).map(key => [key, structuredClone(store[key])])
+    )),
+    set: items => {
+      Object.assign(store, structuredClone(items));
+      return Promise.resolve();
+    },
+    remove: () => Promise.resolve()
+  });
+
+  global.navigator = { userAgent: 'Mozilla/5.0 Chrome/120.0.0.0', platform: 'Linux x86_64' };
+
+  global.chrome = {
+    identity: { getRedirectURL: () => 'https://test.chromiumapp.org/' },
+    storage: { local: createArea(localStore), session: createArea(sessionStore) },
+    runtime: {
+      getManifest: () => ({ version: '1.0.0' }),
+      getURL: path => `chrome-extension://test/${path}`
+    },
+    windows: {
+      create: createData => {
+        const id = browser.nextWindowId++;
+        const tab = { id: browser.nextTabId++, windowId: id, index: 0, url: createData.url, groupId: -1 };
+        browser.tabs.push(tab);
+        return Promise.resolve({ id, tabs: [tab] });
+      }
+    },
+    tabs: {
+      query: () => Promise.resolve(browser.tabs),
+      create: properties => {
+        const tab = { id: browser.nextTabId++, groupId: -1, ...properties };
+        browser.tabs.push(tab);
+        return Promise.resolve(tab);
+      },
+      update: (tabId, properties) => Promise.resolve({ id: tabId, ...properties })
+    }
+  };
+
+  return { browser, localStore, sessionStore };
+});
+
+import { TabIdentityService, isLogicalTabId, generateLogicalTabId, tabIdentity } from '../shared/tab-identity.js';
+import { TabManager } from '../shared/tab-manager.js';
+import { computeTabDelta } from '../shared/delta-sync.js';
+import { threeWayMergeTabs } from '../shared/three-way-merge.js';
+
+function chromeTab(id, url, index, windowId = 1) {
+  return { id, windowId, index, url, title: url, groupId: -1 };
+}
+
+function clear(store) {
+  for (const key of Object.keys(store)) delete store[key];
+}
+
+describe('TabIdentityService', () => {
+  let service;
+
+  beforeEach(() => {
+    clear(localStore);
+    clear(sessionStore);
+    service = new TabIdentityService();
+  });
+
+  it('should keep the same ID for a tab across reads and service worker restarts', async () => {
+    const tabs = [chromeTab(1, 'https://a.example/', 0)];
+
+    const first = await service.resolveTabIds(tabs, { complete: true });
+    const again = await service.resolveTabIds(tabs, { complete: true });
+    const afterRestart = await new TabIdentityService().resolveTabIds(tabs, { complete: true });
+
+    expect(isLogicalTabId(first.get(1))).toBe(true);
+    expect(again.get(1)).toBe(first.get(1));
+    expect(afterRestart.get(1)).toBe(first.get(1));
+  });
+
+  it('should re-attach IDs by URL and position after the browser restarts', async () => {
+    const before = await service.resolveTabIds([
+      chromeTab(1, 'https://a.example/', 0),
+      chromeTab(2, 'https://dup.example/', 1),
+      chromeTab(3, 'https://dup.example/', 2)
+    ], { complete: true });
+
+    // Chrome hands out new tab IDs and session storage starts empty
+    clear(sessionStore);
+    const after = await new TabIdentityService().resolveTabIds([
+      chromeTab(10, 'https://dup.example/', 2),
+      chromeTab(11, 'https://a.example/', 0),
+      chromeTab(12, 'https://dup.example/', 1),
+      chromeTab(13, 'https://new.example/', 3)
+    ], { complete: true });
+
+    expect(after.get(11)).toBe(before.get(1));
+    expect(after.get(12)).toBe(before.get(2));
+    expect(after.get(10)).toBe(before.get(3));
+    expect([...before.values()]).not.toContain(after.get(13));
+  });
+
+  it('should not hand the ID of an open tab to a new tab with the same URL', async () => {
+    const first = await service.resolveTabIds([chromeTab(1, 'https://a.example/', 0)], { complete: true });
+    const both = await service.resolveTabIds([
+      chromeTab(1, 'https://a.example/', 0),
+      chromeTab(2, 'https://a.example/', 1)
+    ], { complete: true });
+
+    expect(both.get(1)).toBe(first.get(1));
+    expect(both.get(2)).not.toBe(first.get(1));
+  });
+
+  it('should adopt the ID of a synced tab and split it again if the original is still open', async () => {
+    const remoteId = generateLogicalTabId();
+    await service.adoptTabId(7, remoteId);
+    expect((await service.resolveTabIds([chromeTab(7, 'https://a.example/', 0)])).get(7)).toBe(remoteId);
+
+    await service.adoptTabId(8, remoteId);
+    const ids = await service.resolveTabIds([
+      chromeTab(7, 'https://a.example/', 0),
+      chromeTab(8, 'https://a.example/', 1)
+    ], { complete: true });
+
+    expect(ids.get(7)).toBe(remoteId);
+    expect(ids.get(8)).not.toBe(remoteId);
+  });
+
+  it('should ignore IDs from older versions', async () => {
+    await service.adoptTabId(7, 'tab_7_1700000000000');
+
+    const ids = await service.resolveTabIds([chromeTab(7, 'https://a.example/', 0)]);
+
+    expect(isLogicalTabId(ids.get(7))).toBe(true);
+  });
+});
+
+describe('Logical IDs in sync', () => {
+  beforeEach(() => {
+    clear(localStore);
+    clear(sessionStore);
+    localStore.deviceId = 'laptop';
+    browser.tabs = [];
+    tabIdentity.tabIds = null;
+    tabIdentity.lastIndex = null;
+  });
+
+  it('should serialize tabs with the same ID on every read and restore them with it', async () => {
+    browser.tabs = [chromeTab(1, 'https://a.example/', 0)];
+    const tabManager = new TabManager();
+
+    const [first] = await tabManager.getCurrentTabs();
+    const [second] = await tabManager.getCurrentTabs();
+    expect(second.id).toBe(first.id);
+
+    const remoteTab = { ...first, id: generateLogicalTabId(), url: 'https://b.example/', deviceId: 'desktop', windowId: 3 };
+    await tabManager.restoreWindowLayout([remoteTab]);
+
+    const restored = (await tabManager.getCurrentTabs()).find(tab => tab.url === 'https://b.example/');
+    expect(restored.id).toBe(remoteTab.id);
+  });
+
+  it('should match tabs in deltas by logical ID when their Chrome tab ID changed', () => {
+    const id = generateLogicalTabId();
+    const tab = { id, url: 'https://a.example/', title: 'A', windowId: 1, index: 0, timestamp: 1 };
+
+    const delta = computeTabDelta([{ ...tab, chromeTabId: 1 }], [{ ...tab, chromeTabId: 99, title: 'B' }]);
+
+    expect(delta.added).toEqual([]);
+    expect(delta.removed).toEqual([]);
+    expect(delta.updated).toEqual([{ id, timestamp: 1, title: 'B' }]);
+  });
+
+  it('should close only the copy of a duplicate URL that the other device closed', () => {
+    const [first, second] = [generateLogicalTabId(), generateLogicalTabId()];
+    const tab = (id, windowId, index) => ({ id, url: 'https://dup.example/', title: 'Dup', windowId, index });
+
+    const result = threeWayMergeTabs({
+      baseTabs: [tab(first, 1, 0), tab(second, 1, 1)],
+      localTabs: [tab(first, 1, 0), tab(second, 1, 1)],
+      remotes: [{ deviceId: 'desktop', tabs: [tab(second, 4, 0)], baseTabs: [tab(first, 4, 0), tab(second, 4, 1)] }]
+    });
+
+    expect(result.tabs.map(merged => merged.id)).toEqual([second]);
+  });
+
+  it('should not duplicate a tab both devices opened separately', () => {
+    const local = { id: generateLogicalTabId(), url: 'https://a.example/', title: 'A', windowId: 1, index: 0 };
+    const remote = { id: generateLogicalTabId(), url: 'https://a.example/', title: 'A', windowId: 4, index: 0 };
+
+    const result = threeWayMergeTabs({
+      baseTabs: [],
+      localTabs: [local],
+      remotes: [{ deviceId: 'desktop', tabs: [remote], baseTabs: [] }]
+    });
+
+    expect(result.tabs.map(merged => merged.id)).toEqual([local.id]);
+  });
+});
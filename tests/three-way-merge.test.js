@@ -0,0 +1,291 @@
+// Tests for merging local and remote tabs against the base from the last sync
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const { browser, localStore } = vi.hoisted(() => {
+  const browser = { tabs: [], windows: [], calls: [], nextTabId: 500 };
+  const localStore = {};
+
+  global.navigator = { userAgent: 'Mozilla/5.0 Chrome/120.0.0.0', platform: 'Linux x86_64' };
+
+  global.chrome = {
+    identity: { getRedirectURL: () => 'https://test.chromiumapp.org/' },
+    storage: {
+      local: {
+        get: keys => Promise.resolve(Object.fromEntries(
+          [].concat(keys).filter(key => key in localStore).map(key => [key, localStore[key]])
+        )),
+        set: items => {
+          Object.assign(localStore, items);
+          return Promise.resolve();
+        },
+        remove: () => Promise.resolve()
+      }
+    },
+    runtime: {
+      getManifest: () => ({ version: '1.0.0' }),
+      getURL: path => `chrome-extension://test/${path}`
+    },
+    windows: {
+      getAll: () => Promise.resolve(browser.windows)
+    },
+    tabs: {
+      query: () => Promise.resolve(browser.tabs),
+      create: properties => {
+        const tab = { id: browser.nextTabId++, windowId: 1, index: browser.tabs.length, groupId: -1, ...properties };
+        browser.tabs.push(tab);
+        return Promise.resolve(tab);
+      },
+      remove: tabIds => {
+        browser.calls.push(['tabs.remove', tabIds]);
+        browser.tabs = browser.tabs.filter(tab => !tabIds.includes(tab.id));
+        return Promise.resolve();
+      },
+      move: (tabIds, properties) => {
+        browser.calls.push(['tabs.move', tabIds, properties]);
+        return Promise.resolve({ id: tabIds[0], ...properties });
+      }
+    }
+  };
+
+  return { browser, localStore };
+});
+
+import { threeWayMergeTabs, diffAgainstBase } from '../shared/three-way-merge.js';
+import { SyncEngine } from '../shared/sync-engine.js';
+
+function createTab(url, windowId, index, overrides = {}) {
+  return {
+    id: `tab_${url}`,
+    url,
+    title: url,
+    windowId,
+    index,
+    timestamp: 1000,
+    deviceId: 'laptop',
+    pinned: false,
+    active: false,
+    ...overrides
+  };
+}
+
+function urls(tabs) {
+  return tabs.map(tab => tab.url);
+}
+
+describe('diffAgainstBase', () => {
+  it('should report only the tab that changed order as moved', () => {
+    const base = [createTab('a', 1, 0), createTab('b', 1, 1), createTab('c', 1, 2), createTab('d', 1, 3)];
+    const current = [createTab('b', 1, 0), createTab('c', 1, 1), createTab('a', 1, 2), createTab('d', 1, 3)];
+
+    const diff = diffAgainstBase(base, current);
+
+    expect([...diff.moved.keys()]).toEqual(['a']);
+  });
+
+  it('should follow windows whose IDs changed after a restart', () => {
+    const base = [createTab('a', 1, 0), createTab('b', 1, 1), createTab('c', 2, 0)];
+    const current = [createTab('a', 7, 0), createTab('b', 7, 1), createTab('c', 8, 0)];
+
+    const diff = diffAgainstBase(base, current);
+
+    expect(diff.moved.size).toBe(0);
+    expect(diff.added.size).toBe(0);
+  });
+
+  it('should tell repeated URLs apart', () => {
+    const base = [createTab('a', 1, 0), createTab('a', 1, 1)];
+    const current = [createTab('a', 1, 0)];
+
+    const diff = diffAgainstBase(base, current);
+
+    expect([...diff.removed.keys()]).toEqual(['a#1']);
+  });
+});
+
+describe('threeWayMergeTabs', () => {
+  const base = [createTab('a', 1, 0), createTab('b', 1, 1), createTab('c', 1, 2)];
+  const remoteBase = [createTab('a', 9, 0), createTab('b', 9, 1), createTab('c', 9, 2)];
+
+  function merge(localTabs, remoteTabs, resolutions) {
+    return threeWayMergeTabs({
+      baseTabs: base,
+      localTabs,
+      remotes: [{ deviceId: 'desktop', tabs: remoteTabs, baseTabs: remoteBase }]
+    }, resolutions);
+  }
+
+  it('should keep a tab closed on one side closed', () => {
+    const closedHere = merge([createTab('a', 1, 0), createTab('c', 1, 1)], remoteBase);
+    const closedThere = merge(base, [createTab('a', 9, 0), createTab('c', 9, 1)]);
+
+    expect(urls(closedHere.tabs)).toEqual(['a', 'c']);
+    expect(urls(closedThere.tabs)).toEqual(['a', 'c']);
+    expect(urls(closedThere.changes.remote.removed)).toEqual(['b']);
+    expect(closedHere.conflicts).toEqual([]);
+  });
+
+  it('should place tabs opened remotely next to their remote neighbours', () => {
+    const result = merge(base, [createTab('a', 9, 0), createTab('new', 9, 1), createTab('b', 9, 2), createTab('c', 9, 3)]);
+
+    expect(urls(result.tabs)).toEqual(['a', 'new', 'b', 'c']);
+    expect(result.tabs[1]).toMatchObject({ windowId: 1, index: 1 });
+    expect(urls(result.changes.remote.added)).toEqual(['new']);
+  });
+
+  it('should apply moves and edits made on one side', () => {
+    const result = merge(
+      [createTab('a', 1, 0, { title: 'Renamed here' }), createTab('b', 1, 1), createTab('c', 1, 2)],
+      [createTab('c', 9, 0), createTab('a', 9, 1), createTab('b', 9, 2, { pinned: true })]
+    );
+
+    expect(result.conflicts).toEqual([]);
+    expect(urls(result.tabs)).toEqual(['b', 'c', 'a']);
+    expect(result.tabs[0].pinned).toBe(true);
+    expect(result.tabs[2].title).toBe('Renamed here');
+  });
+
+  it('should report edits both sides made to the same field', () => {
+    const mine = { id: 1, title: 'Mine', color: 'blue', collapsed: false };
+    const theirs = { id: 5, title: 'Theirs', color: 'red', collapsed: false };
+    const localTabs = [createTab('a', 1, 0, { group: mine }), createTab('b', 1, 1), createTab('c', 1, 2)];
+    const remoteTabs = [createTab('a', 9, 0, { group: theirs }), createTab('b', 9, 1), createTab('c', 9, 2)];
+
+    const result = merge(localTabs, remoteTabs);
+    expect(result.conflicts).toEqual([expect.objectContaining({ subtype: 'concurrent_edit', url: 'a' })]);
+    expect(result.tabs[0].group.title).toBe('Mine');
+
+    const resolved = merge(localTabs, remoteTabs, { [result.conflicts[0].id]: 'remote_wins' });
+    expect(resolved.tabs[0].group.title).toBe('Theirs');
+  });
+
+  it('should keep the local title without a conflict when both pages changed it', () => {
+    const result = merge(
+      [createTab('a', 1, 0, { title: 'Mine' }), createTab('b', 1, 1), createTab('c', 1, 2)],
+      [createTab('a', 9, 0, { title: 'Theirs' }), createTab('b', 9, 1), createTab('c', 9, 2)]
+    );
+
+    expect(result.conflicts).toEqual([]);
+    expect(result.tabs[0].title).toBe('Mine');
+  });
+
+  it('should report a tab closed on one side and edited on the other', () => {
+    const result = merge(
+      [createTab('a', 1, 0), createTab('c', 1, 1)],
+      [createTab('a', 9, 0), createTab('b', 9, 1, { pinned: true }), createTab('c', 9, 2)]
+    );
+
+    expect(result.conflicts).toEqual([expect.objectContaining({ subtype: 'edit_delete', url: 'b' })]);
+    expect(urls(result.tabs)).toEqual(['a', 'c']);
+  });
+
+  it('should take every tab of a device it has no base for', () => {
+    const result = threeWayMergeTabs({
+      baseTabs: base,
+      localTabs: base,
+      remotes: [{ deviceId: 'phone', tabs: [createTab('p', 3, 0)], baseTabs: null }]
+    });
+
+    expect(urls(result.tabs)).toEqual(['a', 'b', 'c', 'p']);
+  });
+});
+
+describe('SyncEngine three-way sync', () => {
+  let engine;
+
+  beforeEach(() => {
+    for (const key of Object.keys(localStore)) delete localStore[key];
+    localStore.deviceId = 'laptop';
+    vi.restoreAllMocks();
+
+    browser.windows = [{ id: 1, type: 'normal', state: 'normal', tabs: [] }];
+    browser.calls = [];
+    browser.tabs = [
+      { id: 11, windowId: 1, index: 0, url: 'https://a.example/', title: 'A', groupId: -1 },
+      { id: 12, windowId: 1, index: 1, url: 'https://b.example/', title: 'B', groupId: -1 }
+    ];
+
+    engine = new SyncEngine();
+    engine.deviceId = 'laptop';
+    vi.spyOn(engine, 'publishSyncData').mockResolvedValue({ mode: 'delta', changeCount: 1 });
+  });
+
+  function remoteSnapshot(tabs) {
+    const metadata = {
+      deviceId: 'desktop',
+      deviceName: 'Desktop',
+      browserName: 'Chrome',
+      browserVersion: '120',
+      platform: 'Linux',
+      lastSeen: 2000
+    };
+    return { version: '1.0.0', deviceId: 'desktop', timestamp: 2000, tabs, windows: [], metadata };
+  }
+
+  it('should close a tab the other device closed instead of reopening it', async () => {
+    localStore.syncBase = {
+      timestamp: 1000,
+      local: [createTab('https://a.example/', 1, 0), createTab('https://b.example/', 1, 1)],
+      devices: {
+        desktop: { timestamp: 1000, tabs: [createTab('https://a.example/', 4, 0), createTab('https://b.example/', 4, 1)] }
+      }
+    };
+    vi.spyOn(engine, 'retrieveRemoteDeviceSnapshots').mockResolvedValue([
+      remoteSnapshot([createTab('https://a.example/', 4, 0, { deviceId: 'desktop' })])
+    ]);
+    const syncResult = { syncId: 'sync-1', operations: [], conflicts: [], errors: [] };
+
+    await engine.performBidirectionalSync(syncResult, { showConflictUI: false });
+
+    expect(browser.calls).toContainEqual(['tabs.remove', [12]]);
+    expect(urls(browser.tabs)).toEqual(['https://a.example/']);
+    expect(syncResult.operations[0]).toMatchObject({ type: 'three_way_merge', remote: { removed: 1 } });
+    expect(urls(localStore.syncBase.local)).toEqual(['https://a.example/']);
+    expect(urls(localStore.syncBase.devices.desktop.tabs)).toEqual(['https://a.example/']);
+  });
+
+  it('should open a tab added on the other device at its merged position without focusing it', async () => {
+    const created = vi.spyOn(chrome.tabs, 'create');
+    localStore.syncBase = {
+      timestamp: 1000,
+      local: [createTab('https://a.example/', 1, 0), createTab('https://b.example/', 1, 1)],
+      devices: {
+        desktop: { timestamp: 1000, tabs: [createTab('https://a.example/', 4, 0), createTab('https://b.example/', 4, 1)] }
+      }
+    };
+    vi.spyOn(engine, 'retrieveRemoteDeviceSnapshots').mockResolvedValue([
+      remoteSnapshot([
+        createTab('https://a.example/', 4, 0, { deviceId: 'desktop' }),
+        createTab('https://c.example/', 4, 1, { deviceId: 'desktop' }),
+        createTab('https://b.example/', 4, 2, { deviceId: 'desktop' })
+      ])
+    ]);
+
+    await engine.performBidirectionalSync({ syncId: 'sync-1', operations: [], conflicts: [], errors: [] }, { showConflictUI: false });
+
+    expect(created).toHaveBeenCalledOnce();
+    expect(created).toHaveBeenCalledWith(expect.objectContaining({ url: 'https://c.example/', windowId: 1, index: 1, active: false }));
+  });
+
+  it('should record a base after a sync without one', async () => {
+    vi.spyOn(engine, 'retrieveRemoteDeviceSnapshots').mockResolvedValue([]);
+    vi.spyOn(engine, 'retrieveLegacySyncData').mockResolvedValue(null);
+    vi.spyOn(engine, 'performUpload').mockResolvedValue();
+
+    await engine.performBidirectionalSync({ syncId: 'sync-1', operations: [], conflicts: [], errors: [] });
+
+    expect(urls(localStore.syncBase.local)).toEqual(['https://a.example/', 'https://b.example/']);
+    expect(localStore.syncBase.devices).toEqual({});
+  });
+
+  it('should reorder existing tabs only when the target is exact', () => {
+    const current = [createTab('a', 1, 0, { chromeTabId: 1 }), createTab('b', 1, 1, { chromeTabId: 2 })];
+    const target = [createTab('b', 1, 0), createTab('a', 1, 1)];
+
+    expect(engine.calculateTabChanges(current, target).tabsToMove).toBeUndefined();
+    expect(engine.calculateTabChanges(current, target, { exact: true }).tabsToMove).toEqual([
+      { tabId: 2, windowId: 1, index: 0 },
+      { tabId: 1, windowId: 1, index: 1 }
+    ]);
+  });
+});
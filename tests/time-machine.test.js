@@ -0,0 +1,288 @@
+// Tests for browsing and restoring past revisions of synced tabs
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const { browser, localStore } = vi.hoisted(() => {
+  const browser = { windows: [], tabs: [], createdWindows: [], nextWindowId: 50, nextTabId: 500 };
+  const localStore = {};
+
+  global.navigator = { userAgent: 'Mozilla/5.0 Chrome/120.0.0.0', platform: 'Linux x86_64' };
+
+  global.chrome = {
+    identity: { getRedirectURL: () => 'https://test.chromiumapp.org/' },
+    storage: {
+      local: {
+        get: keys => Promise.resolve(Object.fromEntries(
+          [].concat(keys).filter(key => key in localStore).map(key => [key, localStore[key]])
+        )),
+        set: items => {
+          Object.assign(localStore, items);
+          return Promise.resolve();
+        },
+        remove: () => Promise.resolve()
+      }
+    },
+    runtime: {
+      getManifest: () => ({ version: '1.0.0' }),
+      getURL: path => `chrome-extension://test/${path}`
+    },
+    windows: {
+      getAll: () => Promise.resolve(browser.windows),
+      create: createData => {
+        const id = browser.nextWindowId++;
+        browser.createdWindows.push({ id, ...createData });
+        return Promise.resolve({ id, tabs: [{ id: browser.nextTabId++, windowId: id, url: createData.url }] });
+      }
+    },
+    tabs: {
+      query: () => Promise.resolve(browser.tabs),
+      create: properties => Promise.resolve({ id: browser.nextTabId++, ...properties }),
+      update: (tabId, properties) => Promise.resolve({ id: tabId, ...properties }),
+      remove: () => Promise.resolve()
+    }
+  };
+
+  return { browser, localStore };
+});
+
+import { TimeMachine, diffTabsByUrl } from '../shared/time-machine.js';
+import { storageService } from '../shared/storage/storage-service.js';
+import { syncEngine } from '../shared/sync-engine.js';
+
+function createTab(url, windowId, index, overrides = {}) {
+  return {
+    id: `tab_${url}`,
+    url,
+    title: url,
+    windowId,
+    index,
+    timestamp: 1000,
+    deviceId: 'laptop',
+    pinned: false,
+    active: false,
+    ...overrides
+  };
+}
+
+function createSyncData(timestamp, tabs, windows = []) {
+  const metadata = {
+    deviceId: 'laptop',
+    deviceName: 'Laptop',
+    browserName: 'Chrome',
+    browserVersion: '120',
+    platform: 'Linux',
+    lastSeen: timestamp
+  };
+  return { version: '1.0.0', deviceId: 'laptop', timestamp, tabs, windows, metadata };
+}
+
+describe('GitHubStorage revisions', () => {
+  let github;
+
+  beforeEach(() => {
+    vi.restoreAllMocks();
+    github = storageService.providers.github;
+  });
+
+  it('should merge snapshot and change log commits, newest first', async () => {
+    vi.spyOn(github, 'getCommitHistory').mockImplementation(async ({ path }) => (
+      path === 'devices/laptop.json'
+        ? [{ sha: 'c3', message: 'Snapshot', author: 'me', date: '2026-01-03T00:00:00Z' },
+          { sha: 'c1', message: 'Snapshot', author: 'me', date: '2026-01-01T00:00:00Z' }]
+        : [{ sha: 'c2', message: 'Append change 1', author: 'me', date: '2026-01-02T00:00:00Z' }]
+    ));
+
+    const revisions = await github.getDeviceRevisions('laptop', { limit: 2 });
+
+    expect(revisions.map(revision => revision.id)).toEqual(['c3', 'c2']);
+    expect(revisions[1]).toMatchObject({ message: 'Append change 1', timestamp: Date.parse('2026-01-02T00:00:00Z') });
+  });
+
+  it('should read the snapshot and change log at the requested commit', async () => {
+    const files = {
+      'c2:devices/laptop.json': createSyncData(1000, []),
+      'c2:devices/laptop.changes.json': { baseTimestamp: 1000, entries: [] }
+    };
+    vi.spyOn(github, 'getFile').mockImplementation(async (fileName, ref) => files[`${ref}:${fileName}`] ? {} : null);
+    vi.spyOn(github, 'retrieve').mockImplementation(async (fileName, { ref }) => ({ data: files[`${ref}:${fileName}`], metadata: {} }));
+
+    const revision = await github.retrieveDeviceRevision('laptop', 'c2');
+
+    expect(revision.data.timestamp).toBe(1000);
+    expect(revision.changeLog).toEqual({ baseTimestamp: 1000, entries: [] });
+    expect(github.retrieve).toHaveBeenCalledWith('devices/laptop.json', { ref: 'c2' });
+  });
+});
+
+describe('GoogleDriveStorage revisions', () => {
+  let drive;
+  let requests;
+
+  beforeEach(() => {
+    vi.restoreAllMocks();
+    drive = storageService.providers['google-drive'];
+    requests = [];
+
+    vi.spyOn(drive, 'findFile').mockImplementation(async fileName => ({ id: `id-${fileName}` }));
+    vi.spyOn(drive, 'makeAuthenticatedRequest').mockImplementation(async (url, options = {}) => {
+      requests.push({ url, ...options });
+      if (url.includes('id-device-laptop.json/revisions?')) {
+        return { revisions: [
+          { id: 's1', modifiedTime: '2026-01-01T00:00:00Z', keepForever: true },
+          { id: 's2', modifiedTime: '2026-01-04T00:00:00Z' }
+        ] };
+      }
+      if (url.includes('id-device-laptop.changes.json/revisions?')) {
+        return { revisions: [
+          { id: 'l1', modifiedTime: '2026-01-02T00:00:00Z', keepForever: true },
+          { id: 'l2', modifiedTime: '2026-01-03T00:00:00Z' }
+        ] };
+      }
+      if (url.endsWith('revisions/s1?alt=media')) {
+        return createSyncData(1000, []);
+      }
+      if (url.endsWith('revisions/l2?alt=media')) {
+        return { baseTimestamp: 1000, entries: [] };
+      }
+      return {};
+    });
+  });
+
+  it('should pair each snapshot revision with the change log current at the time', async () => {
+    const revisions = await drive.getDeviceRevisions('laptop');
+
+    expect(revisions.map(revision => revision.id)).toEqual(['s2:l2', 's1:l2', 's1:l1', 's1:']);
+    expect(revisions.map(revision => revision.keepForever)).toEqual([false, false, true, true]);
+    expect(revisions[0].message).toBe('Snapshot updated');
+  });
+
+  it('should download the snapshot and change log revisions', async () => {
+    const revision = await drive.retrieveDeviceRevision('laptop', 's1:l2');
+
+    expect(revision.data.timestamp).toBe(1000);
+    expect(revision.changeLog).toEqual({ baseTimestamp: 1000, entries: [] });
+    expect(revision.metadata.revisionId).toBe('s1');
+  });
+
+  it('should pin both file revisions', async () => {
+    await drive.setRevisionKeepForever('laptop', 's2:l2', true);
+
+    const patches = requests.filter(request => request.method === 'PATCH');
+    expect(patches.map(request => request.url)).toEqual([
+      'https://www.googleapis.com/drive/v3/files/id-device-laptop.json/revisions/s2',
+      'https://www.googleapis.com/drive/v3/files/id-device-laptop.changes.json/revisions/l2'
+    ]);
+    expect(JSON.parse(patches[0].body)).toEqual({ keepForever: true });
+  });
+
+  it('should reject malformed revision IDs', async () => {
+    await expect(drive.retrieveDeviceRevision('laptop', 'c2')).rejects.toMatchObject({ code: 'INVALID_REVISION' });
+  });
+});
+
+describe('TimeMachine', () => {
+  let timeMachine;
+  let revisionData;
+
+  beforeEach(() => {
+    for (const key of Object.keys(localStore)) delete localStore[key];
+    localStore.deviceId = 'laptop';
+    vi.restoreAllMocks();
+
+    browser.windows = [];
+    browser.tabs = [];
+    browser.createdWindows = [];
+
+    storageService.initialized = true;
+    storageService.currentProvider = 'github';
+
+    revisionData = {
+      data: createSyncData(1000, [
+        createTab('https://a.example/', 1, 0, { active: true }),
+        createTab('https://b.example/', 2, 0, { pinned: true })
+      ], [{ id: 1, type: 'normal', state: 'normal' }, { id: 2, type: 'normal', state: 'maximized' }]),
+      changeLog: {
+        baseTimestamp: 1000,
+        entries: [{
+          sequence: 1,
+          timestamp: 2000,
+          changes: { added: [createTab('https://c.example/', 1, 1)], removed: [], updated: [] }
+        }]
+      }
+    };
+    vi.spyOn(storageService.providers.github, 'retrieveDeviceRevision').mockImplementation(async deviceId => ({
+      deviceId,
+      ...structuredClone(revisionData)
+    }));
+
+    timeMachine = new TimeMachine();
+  });
+
+  it('should replay the change log stored with the revision', async () => {
+    const syncData = await timeMachine.getRevision('c2');
+
+    expect(syncData.timestamp).toBe(2000);
+    expect(syncData.tabs.map(tab => tab.url).sort()).toEqual(['https://a.example/', 'https://b.example/', 'https://c.example/']);
+  });
+
+  it('should compare a revision with the open tabs', async () => {
+    browser.tabs = [
+      { id: 1, windowId: 1, index: 0, url: 'https://a.example/', title: 'A', groupId: -1 },
+      { id: 2, windowId: 1, index: 1, url: 'https://new.example/', title: 'New', groupId: -1 }
+    ];
+
+    const diff = await timeMachine.compareRevision('c2');
+
+    expect(diff.added.map(tab => tab.url).sort()).toEqual(['https://b.example/', 'https://c.example/']);
+    expect(diff.removed.map(tab => tab.url)).toEqual(['https://new.example/']);
+    expect(diff.unchangedCount).toBe(1);
+  });
+
+  it('should count duplicate URLs separately', () => {
+    const diff = diffTabsByUrl(
+      [createTab('https://a.example/', 1, 0), createTab('https://a.example/', 1, 1)],
+      [createTab('https://a.example/', 1, 0)]
+    );
+
+    expect(diff.added).toHaveLength(1);
+    expect(diff.unchangedCount).toBe(1);
+  });
+
+  it('should open a revision in one new window with pinned tabs first', async () => {
+    const result = await timeMachine.restoreRevision('c2', { mode: 'window' });
+
+    expect(result).toMatchObject({ success: true, tabsCreated: 3 });
+    expect(browser.createdWindows).toHaveLength(1);
+    expect(browser.createdWindows[0].url).toBe('https://b.example/');
+  });
+
+  it('should replace open tabs and publish the revision as a full snapshot', async () => {
+    syncEngine.isInitialized = true;
+    syncEngine.deviceId = 'laptop';
+    const apply = vi.spyOn(syncEngine, 'applyRemoteTabs').mockResolvedValue({ created: [1, 2, 3], closed: [9], errors: [] });
+    const store = vi.spyOn(syncEngine, 'storeFullSnapshot').mockResolvedValue({ success: true });
+
+    const result = await timeMachine.restoreRevision('c2', { mode: 'remote' });
+
+    expect(apply).toHaveBeenCalledWith(expect.any(Array), expect.objectContaining({ closeExistingTabs: true }));
+    const [snapshot, options] = store.mock.calls[0];
+    expect(snapshot.tabs).toHaveLength(3);
+    expect(snapshot.metadata.restoredRevision).toBe('c2');
+    expect(options.commitMessage).toContain('Restore revision c2');
+    expect(result).toMatchObject({ success: true, tabsCreated: 3, tabsClosed: 1 });
+  });
+
+  it('should reject unknown restore modes', async () => {
+    await expect(timeMachine.restoreRevision('c2', { mode: 'merge' })).rejects.toMatchObject({ code: 'INVALID_RESTORE_MODE' });
+  });
+
+  it('should only pin revisions on providers that prune them', async () => {
+    await expect(timeMachine.keepRevision('c2')).rejects.toMatchObject({ code: 'REVISION_PINNING_NOT_SUPPORTED' });
+
+    storageService.currentProvider = 'google-drive';
+    const pin = vi.spyOn(storageService.providers['google-drive'], 'setRevisionKeepForever').mockResolvedValue({});
+
+    await timeMachine.keepRevision('s1:l1', { keepForever: false });
+    expect(pin).toHaveBeenCalledWith('laptop', 's1:l1', false);
+  });
+});
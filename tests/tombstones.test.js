@@ -0,0 +1,250 @@
+// Tests for tombstones of closed tabs
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const { localStore } = vi.hoisted(() => {
+  const localStore = {};
+
+  global.navigator = { userAgent: 'Mozilla/5.0 Chrome/120.0.0.0', platform: 'Linux x86_64' };
+
+  global.chrome = {
+    identity: { getRedirectURL: () => 'https://test.chromiumapp.org/' },
+    storage: {
+      local: {
+        get: keys => Promise.resolve(Object.fromEntries(
+          [].concat(keys).filter(key => key in localStore).map(key => [key, localStore[key]])
+        )),
+        set: items => {
+          Object.assign(localStore, items);
+          return Promise.resolve();
+        },
+        remove: () => Promise.resolve()
+      }
+    },
+    runtime: {
+      getManifest: () => ({ version: '1.0.0' }),
+      getURL: path => `chrome-extension://test/${path}`
+    }
+  };
+
+  return { localStore };
+});
+
+import { TombstoneService, createTombstone, findTombstone, mergeTombstones, pruneTombstones } from '../shared/tombstones.js';
+import { generateLogicalTabId } from '../shared/tab-identity.js';
+import { replayChangeLog } from '../shared/delta-sync.js';
+import { threeWayMergeTabs } from '../shared/three-way-merge.js';
+import { storageService } from '../shared/storage/storage-service.js';
+import { SyncEngine } from '../shared/sync-engine.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const desktop = { deviceId: 'desktop', deviceName: 'Desktop' };
+
+function createTab(url, overrides = {}) {
+  return {
+    id: generateLogicalTabId(),
+    url,
+    title: url,
+    windowId: 1,
+    index: 0,
+    timestamp: 1000,
+    deviceId: 'laptop',
+    pinned: false,
+    active: false,
+    ...overrides
+  };
+}
+
+function createSyncData(deviceId, timestamp, tabs, tombstones) {
+  const metadata = {
+    deviceId,
+    deviceName: deviceId,
+    browserName: 'Chrome',
+    browserVersion: '120',
+    platform: 'Linux',
+    lastSeen: timestamp
+  };
+  return { version: '1.0.0', deviceId, timestamp, tabs, metadata, ...(tombstones ? { tombstones } : {}) };
+}
+
+function clearStore() {
+  for (const key of Object.keys(localStore)) delete localStore[key];
+}
+
+describe('Tombstone helpers', () => {
+  it('should match tabs by logical ID, and older tabs by URL only if read before the close', () => {
+    const tab = createTab('https://a.example/');
+    const tombstone = createTombstone(tab, desktop, 5000);
+
+    expect(findTombstone(tab, [tombstone])).toBe(tombstone);
+    expect(findTombstone(createTab('https://a.example/'), [tombstone])).toBeNull();
+    expect(findTombstone({ id: 'tab_1_100', url: 'https://a.example/', timestamp: 4000 }, [tombstone])).toBe(tombstone);
+    expect(findTombstone({ id: 'tab_1_100', url: 'https://a.example/', timestamp: 6000 }, [tombstone])).toBeNull();
+  });
+
+  it('should keep the earliest close of a tab and drop expired tombstones', () => {
+    const tab = createTab('https://a.example/');
+    const merged = mergeTombstones(
+      [createTombstone(tab, desktop, 3000)],
+      [createTombstone(tab, { deviceId: 'phone', deviceName: 'Phone' }, 2000)]
+    );
+
+    expect(merged).toEqual([expect.objectContaining({ deviceId: 'phone', deletedAt: 2000 })]);
+    expect(pruneTombstones(merged, DAY, 2000 + DAY)).toEqual([]);
+    expect(pruneTombstones(merged, DAY, 1000 + DAY)).toHaveLength(1);
+  });
+});
+
+describe('TombstoneService', () => {
+  let service;
+
+  beforeEach(() => {
+    clearStore();
+    service = new TombstoneService();
+  });
+
+  it('should record closed tabs and forget them once they are open again', async () => {
+    const tab = createTab('https://a.example/');
+
+    const recorded = await service.recordClosedTabs([tab], [], desktop);
+    expect(recorded).toEqual([expect.objectContaining({ id: tab.id, deviceName: 'Desktop' })]);
+
+    expect(await service.recordClosedTabs([], [tab], desktop)).toEqual([]);
+    expect(localStore.tabTombstones).toEqual([]);
+  });
+
+  it('should remove tombstones older than the configured retention', async () => {
+    localStore.syncSettings = { tombstoneRetentionDays: 7 };
+    localStore.tabTombstones = [
+      createTombstone(createTab('https://old.example/'), desktop, Date.now() - 8 * DAY),
+      createTombstone(createTab('https://new.example/'), desktop, Date.now() - 6 * DAY)
+    ];
+
+    const tombstones = await service.getTombstones();
+
+    expect(tombstones.map(tombstone => tombstone.url)).toEqual(['https://new.example/']);
+    expect(localStore.tabTombstones).toHaveLength(1);
+  });
+});
+
+describe('Tombstones in sync data', () => {
+  let engine;
+
+  beforeEach(() => {
+    clearStore();
+    vi.restoreAllMocks();
+    engine = new SyncEngine();
+    engine.deviceId = 'laptop';
+  });
+
+  it('should publish tombstones for closed tabs in the change log and replay them', async () => {
+    const kept = [createTab('https://a.example/'), createTab('https://c.example/', { index: 2 })];
+    const closed = createTab('https://b.example/', { index: 1 });
+    localStore.lastUploadState = { snapshotTimestamp: Date.now(), tabs: [...kept, closed], sequence: 0, entryCount: 0 };
+    vi.spyOn(storageService, 'appendDeviceChanges').mockResolvedValue({ size: 10, checksum: 'b' });
+
+    await engine.publishSyncData(createSyncData('laptop', Date.now(), kept));
+
+    const [, entry] = storageService.appendDeviceChanges.mock.calls[0];
+    expect(entry.changes.removed).toEqual([closed.id]);
+    expect(entry.tombstones).toEqual([expect.objectContaining({ id: closed.id, deviceId: 'laptop' })]);
+
+    const snapshot = createSyncData('laptop', localStore.lastUploadState.snapshotTimestamp, [...kept, closed]);
+    const replayed = replayChangeLog(snapshot, { baseTimestamp: snapshot.timestamp, entries: [entry] });
+    expect(replayed.tombstones.map(tombstone => tombstone.id)).toEqual([closed.id]);
+  });
+
+  it('should not save tombstones during a dry run', async () => {
+    const kept = createTab('https://a.example/');
+    const closed = createTab('https://b.example/', { index: 1 });
+    localStore.lastUploadState = { snapshotTimestamp: Date.now(), tabs: [kept, closed], sequence: 0, entryCount: 0 };
+    engine.tabManager = { getCurrentTabs: vi.fn().mockResolvedValue([kept]) };
+    vi.spyOn(engine, 'retrieveRemoteDeviceSnapshots').mockResolvedValue([createSyncData('desktop', 3000, [kept, closed])]);
+    vi.spyOn(engine, 'getSyncBase').mockResolvedValue({ local: [kept, closed], devices: { desktop: { tabs: [kept, closed] } } });
+    const syncResult = { operations: [], conflicts: [], errors: [] };
+
+    await engine.performBidirectionalSync(syncResult, { dryRun: true });
+
+    expect(syncResult.operations).toEqual([expect.objectContaining({ action: 'dry_run', tabCount: 1 })]);
+    expect(localStore.tabTombstones).toBeUndefined();
+  });
+
+  it('should leave out tabs another device closed after a snapshot was written', () => {
+    const tab = createTab('https://a.example/');
+    const merged = engine.mergeDeviceSnapshots([
+      createSyncData('phone', 1000, [tab]),
+      createSyncData('desktop', 3000, [], [createTombstone(tab, desktop, 2000)])
+    ]);
+
+    expect(merged.tabs).toEqual([]);
+    expect(merged.tombstones).toHaveLength(1);
+  });
+
+  it('should report tabs closed on another device as conflicts', async () => {
+    const tab = createTab('https://a.example/');
+
+    const conflicts = await engine.detectTabLevelConflicts([tab], [], [createTombstone(tab, desktop, 2000)]);
+
+    expect(conflicts).toEqual([expect.objectContaining({
+      subtype: 'closed_remotely',
+      description: 'Tab "https://a.example/" was closed on Desktop',
+      resolutionStrategies: ['remote_wins', 'local_wins']
+    })]);
+    expect(engine.getDefaultResolution(conflicts[0])).toBe('remote_wins');
+  });
+
+  it('should close the tab when the closed tab conflict is resolved remotely', async () => {
+    const tab = createTab('https://a.example/');
+    const other = createTab('https://b.example/', { index: 1 });
+    const [conflict] = await engine.detectTabLevelConflicts([tab, other], [], [createTombstone(tab, desktop, 2000)]);
+    const mergeResult = { mergedTabs: [], appliedResolutions: [], unresolvedConflicts: [], mergeOperations: [] };
+
+    await engine.resolveTabMetadataConflicts([conflict], [tab, other], [], { [conflict.id]: 'remote_wins' }, mergeResult);
+    const merged = await engine.performIntelligentMerge([tab, other], [], mergeResult);
+
+    expect(merged.map(mergedTab => mergedTab.url)).toEqual(['https://b.example/']);
+  });
+
+  it('should not create closed tabs when applying changes', () => {
+    const closed = createTab('https://a.example/');
+    const opened = createTab('https://b.example/');
+
+    const changes = engine.calculateTabChanges([], [closed, opened], {
+      tombstones: [createTombstone(closed, desktop, 2000)]
+    });
+
+    expect(changes.tabsToCreate).toEqual([opened]);
+  });
+});
+
+describe('Tombstones in the three-way merge', () => {
+  it('should not reopen a tab closed here from a device seen for the first time', () => {
+    const closed = createTab('https://a.example/');
+
+    const result = threeWayMergeTabs({
+      baseTabs: [],
+      localTabs: [],
+      remotes: [{ deviceId: 'phone', tabs: [closed, createTab('https://b.example/', { index: 1 })], baseTabs: null }],
+      tombstones: [createTombstone(closed, { deviceId: 'laptop', deviceName: 'Laptop' }, 2000)]
+    });
+
+    expect(result.tabs.map(tab => tab.url)).toEqual(['https://b.example/']);
+  });
+
+  it('should name the device a tab was closed on', () => {
+    const tab = createTab('https://a.example/');
+    const pinned = { ...tab, pinned: true };
+
+    const result = threeWayMergeTabs({
+      baseTabs: [tab],
+      localTabs: [pinned],
+      remotes: [{ deviceId: 'desktop', tabs: [], baseTabs: [{ ...tab, windowId: 4 }] }],
+      tombstones: [createTombstone(tab, desktop, 2000)]
+    });
+
+    expect(result.conflicts).toEqual([expect.objectContaining({
+      subtype: 'edit_delete',
+      description: 'Tab "https://a.example/" was closed on Desktop but changed here'
+    })]);
+  });
+});
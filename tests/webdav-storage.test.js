@@ -0,0 +1,321 @@
+// Tests for the WebDAV storage provider against an in-process WebDAV server
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const { localStore, grantedOrigins } = vi.hoisted(() => {
+  const localStore = {};
+  const grantedOrigins = new Set();
+
+  global.navigator = { userAgent: 'Mozilla/5.0 Chrome/120.0.0.0', platform: 'Linux x86_64' };
+
+  global.chrome = {
+    identity: { getRedirectURL: () => 'https://test.chromiumapp.org/' },
+    permissions: {
+      contains: ({ origins }) => Promise.resolve(origins.every(origin => grantedOrigins.has(origin)))
+    },
+    storage: {
+      local: {
+        get: keys => Promise.resolve(Object.fromEntries(
+          [].concat(keys).filter(key => key in localStore).map(key => [key, localStore[key]])
+        )),
+        set: items => {
+          Object.assign(localStore, items);
+          return Promise.resolve();
+        },
+        remove: keys => {
+          for (const key of [].concat(keys)) delete localStore[key];
+          return Promise.resolve();
+        }
+      }
+    },
+    runtime: {
+      getManifest: () => ({ version: '1.0.0' }),
+      getURL: path => `chrome-extension://test/${path}`
+    }
+  };
+
+  return { localStore, grantedOrigins };
+});
+
+import { WebDAVAuthService, buildBasicAuthorization } from '../shared/auth/webdav-auth.js';
+import { WebDAVStorage, parseMultistatus } from '../shared/storage/webdav-storage.js';
+import { StorageService } from '../shared/storage/storage-service.js';
+
+const SERVER_URL = 'https://cloud.example.com/remote.php/dav/files/alex/';
+const ROOT = '/remote.php/dav/files/alex';
+
+/**
+ * A small WebDAV server kept in memory, answering requests made through fetch
+ * It checks Basic credentials and If-Match/If-None-Match like Nextcloud does.
+ */
+function createWebDAVServer({ username = 'alex', password = 'app-password', quota = null } = {}) {
+  const folders = new Set([ROOT]);
+  const files = new Map();
+  let version = 0;
+  const server = { folders, files, requests: [], beforeWrite: null };
+
+  const write = (path, content) => {
+    files.set(path, { content, etag: `"${++version}"`, modified: new Date(1700000000000 + version * 1000).toUTCString() });
+    return files.get(path);
+  };
+  server.write = (path, data) => write(path, JSON.stringify(data));
+
+  const respond = (status, body = null, headers = {}) => new Response(body, { status, headers });
+  const parentOf = path => path.slice(0, path.lastIndexOf('/'));
+  const propResponse = (path, props) => `<d:response><d:href>${encodeURI(path)}${props.collection ? '/' : ''}</d:href>` +
+    '<d:propstat><d:prop>' +
+    (props.collection ? '<d:resourcetype><d:collection/></d:resourcetype>' : '<d:resourcetype/>') +
+    (props.etag ? `<d:getetag>&quot;${props.etag.slice(1, -1)}&quot;</d:getetag>` : '') +
+    (props.size !== undefined ? `<d:getcontentlength>${props.size}</d:getcontentlength>` : '') +
+    (props.quota ? `<d:quota-used-bytes>${props.quota.used}</d:quota-used-bytes><d:quota-available-bytes>${props.quota.available}</d:quota-available-bytes>` : '') +
+    '</d:prop><d:status>HTTP/1.1 200 OK</d:status></d:propstat>' +
+    '<d:propstat><d:prop><d:getlastmodified/></d:prop><d:status>HTTP/1.1 404 Not Found</d:status></d:propstat>' +
+    '</d:response>';
+
+  server.fetch = vi.fn(async (url, options = {}) => {
+    const method = options.method || 'GET';
+    const headers = options.headers || {};
+    const path = decodeURIComponent(new URL(url).pathname).replace(/\/+$/, '');
+    server.requests.push({ method, path, headers });
+
+    if (headers.Authorization !== buildBasicAuthorization(username, password)) {
+      return respond(401);
+    }
+
+    const file = files.get(path);
+    const preconditionFailed = (headers['If-Match'] && headers['If-Match'] !== file?.etag) ||
+      (headers['If-None-Match'] === '*' && file);
+
+    switch (method) {
+      case 'PROPFIND': {
+        if (!folders.has(path) && !file) {
+          return respond(404);
+        }
+        const entries = [propResponse(path, folders.has(path) ? { collection: true, quota } : { etag: file.etag, size: file.content.length })];
+        if (headers.Depth === '1' && folders.has(path)) {
+          for (const folder of folders) {
+            if (parentOf(folder) === path) entries.push(propResponse(folder, { collection: true }));
+          }
+          for (const [filePath, child] of files) {
+            if (parentOf(filePath) === path) entries.push(propResponse(filePath, { etag: child.etag, size: child.content.length }));
+          }
+        }
+        return respond(207, `<?xml version="1.0"?><d:multistatus xmlns:d="DAV:">${entries.join('')}</d:multistatus>`);
+      }
+      case 'MKCOL':
+        if (folders.has(path)) return respond(405);
+        if (!folders.has(parentOf(path))) return respond(409);
+        folders.add(path);
+        return respond(201);
+      case 'GET':
+        if (!file) return respond(404);
+        return respond(200, file.content, { ETag: file.etag, 'Last-Modified': file.modified });
+      case 'PUT': {
+        if (server.beforeWrite) {
+          const hook = server.beforeWrite;
+          server.beforeWrite = null;
+          hook(path);
+        }
+        if (!folders.has(parentOf(path))) return respond(409);
+        if ((headers['If-Match'] && headers['If-Match'] !== files.get(path)?.etag) ||
+          (headers['If-None-Match'] === '*' && files.has(path))) {
+          return respond(412);
+        }
+        const existed = files.has(path);
+        const written = write(path, options.body);
+        return respond(existed ? 204 : 201, null, { ETag: written.etag });
+      }
+      case 'DELETE':
+        if (!file) return respond(404);
+        if (preconditionFailed) return respond(412);
+        files.delete(path);
+        return respond(204);
+      default:
+        return respond(405);
+    }
+  });
+
+  return server;
+}
+
+function signInDirectly(folder = 'Tab Sync') {
+  localStore.authProvider = 'webdav';
+  localStore.isAuthenticated = true;
+  localStore.authTokens = {
+    accessToken: 'app-password',
+    refreshToken: null,
+    expiresAt: Date.now() + 3600000,
+    scopes: [],
+    provider: 'webdav',
+    tokenType: 'basic',
+    username: 'alex',
+    serverUrl: SERVER_URL,
+    folder
+  };
+}
+
+describe('WebDAV sign-in', () => {
+  let server;
+
+  beforeEach(() => {
+    for (const key of Object.keys(localStore)) delete localStore[key];
+    grantedOrigins.clear();
+    server = createWebDAVServer();
+    global.fetch = server.fetch;
+  });
+
+  it('should check the password against the server before storing it', async () => {
+    const auth = new WebDAVAuthService();
+    const credentials = { url: SERVER_URL.slice(0, -1), username: 'alex', password: 'wrong' };
+
+    await expect(auth.signIn(credentials)).rejects.toMatchObject({ code: 'HOST_PERMISSION_REQUIRED' });
+    expect(server.fetch).not.toHaveBeenCalled();
+
+    grantedOrigins.add('https://cloud.example.com/*');
+    await expect(auth.signIn(credentials)).rejects.toMatchObject({ code: 'INVALID_CREDENTIALS' });
+    expect(localStore).not.toHaveProperty('authTokens');
+
+    await auth.signIn({ ...credentials, password: 'app-password', folder: '/Backups/Tabs/' });
+    expect(localStore).toMatchObject({
+      authProvider: 'webdav',
+      isAuthenticated: true,
+      authTokens: { provider: 'webdav', username: 'alex', serverUrl: SERVER_URL, folder: 'Backups/Tabs' }
+    });
+    expect(await auth.getUserProfile()).toEqual({ username: 'alex', server: 'cloud.example.com', folder: 'Backups/Tabs' });
+
+    await expect(auth.signIn({ ...credentials, url: 'http://cloud.example.com/dav' })).rejects.toMatchObject({ code: 'INVALID_WEBDAV_URL' });
+  });
+
+  it('should read only the properties the server found', () => {
+    const [entry] = parseMultistatus(
+      '<D:multistatus xmlns:D="DAV:"><D:response><D:href>/dav/Tab%20Sync/a%26b.json</D:href>' +
+      '<D:propstat><D:prop><D:getetag>"abc"</D:getetag><D:getcontentlength>12</D:getcontentlength></D:prop><D:status>HTTP/1.1 200 OK</D:status></D:propstat>' +
+      '<D:propstat><D:prop><D:quota-used-bytes>99</D:quota-used-bytes></D:prop><D:status>HTTP/1.1 404 Not Found</D:status></D:propstat>' +
+      '</D:response></D:multistatus>'
+    );
+
+    expect(entry).toMatchObject({ name: 'a&b.json', etag: '"abc"', size: 12, isCollection: false, quotaUsed: null });
+  });
+});
+
+describe('WebDAV storage', () => {
+  let server;
+  let storage;
+
+  beforeEach(async () => {
+    for (const key of Object.keys(localStore)) delete localStore[key];
+    grantedOrigins.clear();
+    server = createWebDAVServer({ quota: { used: 1000, available: 9000 } });
+    global.fetch = server.fetch;
+    signInDirectly('Apps/Tab Sync');
+    storage = new WebDAVStorage();
+    await storage.initialize();
+  });
+
+  it('should create the sync folder and store, list and delete files in it', async () => {
+    expect(server.folders).toContain(`${ROOT}/Apps/Tab Sync`);
+
+    await storage.store('sync-data.json', { tabs: [{ url: 'https://a.com' }] });
+    await storage.store('notes.txt.json', { text: 'hi' });
+
+    expect((await storage.retrieve('sync-data.json')).data).toEqual({ tabs: [{ url: 'https://a.com' }] });
+    expect((await storage.listFiles()).map(file => file.name).sort()).toEqual(['notes.txt.json', 'sync-data.json']);
+    expect((await storage.listFiles({ pattern: 'sync' })).map(file => file.name)).toEqual(['sync-data.json']);
+
+    await storage.deleteFile('notes.txt.json');
+    await expect(storage.retrieve('notes.txt.json')).rejects.toMatchObject({ code: 'RETRIEVAL_ERROR' });
+    expect(await storage.deleteFile('notes.txt.json')).toMatchObject({ success: true, message: 'File not found' });
+
+    // A second initialize finds the folder and creates nothing
+    const mkcolCount = server.requests.filter(request => request.method === 'MKCOL').length;
+    await new WebDAVStorage().initialize();
+    expect(server.requests.filter(request => request.method === 'MKCOL')).toHaveLength(mkcolCount);
+  });
+
+  it('should refuse to overwrite a file another device changed since it was read', async () => {
+    await storage.store('sync-data.json', { tabs: [] });
+
+    const otherDevice = new WebDAVStorage();
+    await otherDevice.initialize();
+    await otherDevice.retrieve('sync-data.json');
+    await otherDevice.store('sync-data.json', { tabs: [{ url: 'https://other.com' }] });
+
+    await expect(storage.store('sync-data.json', { tabs: [{ url: 'https://mine.com' }] }))
+      .rejects.toMatchObject({ code: 'WRITE_CONFLICT' });
+    expect((await storage.retrieve('sync-data.json')).data.tabs[0].url).toBe('https://other.com');
+
+    // Having read the newer version, the write goes through
+    await storage.store('sync-data.json', { tabs: [{ url: 'https://mine.com' }] });
+    expect((await otherDevice.retrieve('sync-data.json')).data.tabs[0].url).toBe('https://mine.com');
+
+    // A file expected not to exist is not overwritten either
+    await expect(storage.store('sync-data.json', {}, { version: null })).rejects.toMatchObject({ code: 'WRITE_CONFLICT' });
+  });
+
+  it('should keep both devices when they update the manifest at the same time', async () => {
+    await storage.updateManifest('laptop', { deviceName: 'Laptop' });
+
+    // Another device registers between this device's read and write of the manifest
+    server.beforeWrite = path => server.write(path, {
+      version: 1,
+      updatedAt: 1,
+      devices: {
+        laptop: { deviceId: 'laptop', deviceName: 'Laptop' },
+        desktop: { deviceId: 'desktop', deviceName: 'Desktop' }
+      }
+    });
+    await storage.updateManifest('tablet', { deviceName: 'Tablet' });
+
+    const manifest = await storage.getManifest();
+    expect(Object.keys(manifest.devices).sort()).toEqual(['desktop', 'laptop', 'tablet']);
+    expect(server.requests.filter(request => request.method === 'PUT' && request.path.endsWith('devices-manifest.json'))).toHaveLength(3);
+  });
+
+  it('should keep snapshots, change logs and inboxes per device', async () => {
+    await storage.storeDeviceSnapshot('laptop', {
+      timestamp: 100,
+      tabs: [{ url: 'https://a.com' }],
+      metadata: { deviceName: 'Laptop' }
+    });
+    await storage.appendDeviceChanges('laptop', { sequence: 1, timestamp: 150, changes: [] }, { baseTimestamp: 100 });
+    await storage.appendInboxDelivery('laptop', { id: 'd1', tabs: [] });
+    await storage.appendInboxDelivery('laptop', { id: 'd2', tabs: [] });
+
+    const [snapshot] = await storage.retrieveDeviceSnapshots({ excludeDeviceId: 'desktop' });
+    expect(snapshot).toMatchObject({ deviceId: 'laptop', data: { timestamp: 100 }, changeLog: { entries: [{ sequence: 1 }] } });
+    expect(await storage.removeInboxDeliveries('laptop', ['d1'])).toEqual({ fileName: 'inbox-laptop.json', remaining: 1 });
+    expect(await storage.removeInboxDeliveries('laptop', ['d2'])).toEqual({ fileName: 'inbox-laptop.json', remaining: 0 });
+    expect(server.files.has(`${ROOT}/Apps/Tab Sync/inbox-laptop.json`)).toBe(false);
+
+    await storage.setDeviceLabel('laptop', 'Work laptop');
+    expect((await storage.getManifest()).devices.laptop.label).toBe('Work laptop');
+
+    const result = await storage.forgetDevice('laptop');
+    expect(result.deletedFiles).toEqual(['device-laptop.json', 'device-laptop.changes.json', 'inbox-laptop.json']);
+    expect((await storage.getManifest()).devices).toEqual({});
+  });
+
+  it('should report quota and a rejected password when testing the connection', async () => {
+    expect(await storage.testConnection()).toMatchObject({
+      success: true,
+      provider: 'webdav',
+      host: 'cloud.example.com',
+      user: 'alex@cloud.example.com',
+      folder: 'Apps/Tab Sync'
+    });
+    expect(await storage.getStorageInfo()).toMatchObject({ usedBytes: 1000, availableBytes: 9000, totalBytes: 10000 });
+
+    localStore.authTokens.accessToken = 'revoked';
+    expect(await storage.testConnection()).toMatchObject({ success: false, error: expect.stringContaining('rejected your password') });
+    await expect(storage.store('sync-data.json', {})).rejects.toMatchObject({ code: 'AUTH_FAILED' });
+  });
+
+  it('should be chosen by the storage service when signed in to WebDAV', async () => {
+    const service = new StorageService();
+    await service.autoInitialize();
+
+    expect(service.getCurrentProvider()).toBe('webdav');
+    await service.store('sync-data.json', { tabs: [] });
+    expect(server.files.has(`${ROOT}/Apps/Tab Sync/sync-data.json`)).toBe(true);
+  });
+});
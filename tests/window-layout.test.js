@@ -0,0 +1,211 @@
+// Tests for capturing and restoring window layouts
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const { browser, localStore } = vi.hoisted(() => {
+  const browser = { windows: [], tabs: [], calls: [], nextWindowId: 50, nextTabId: 500 };
+  const localStore = {};
+
+  const createTab = properties => {
+    const tab = { id: browser.nextTabId++, groupId: -1, active: false, pinned: false, ...properties };
+    browser.tabs.push(tab);
+    return tab;
+  };
+
+  global.chrome = {
+    identity: { getRedirectURL: () => 'https://test.chromiumapp.org/' },
+    storage: {
+      local: {
+        get: keys => Promise.resolve(Object.fromEntries(
+          keys.filter(key => key in localStore).map(key => [key, localStore[key]])
+        )),
+        set: items => {
+          Object.assign(localStore, items);
+          return Promise.resolve();
+        },
+        remove: () => Promise.resolve()
+      }
+    },
+    runtime: {
+      getManifest: () => ({ version: '1.0.0' }),
+      getURL: path => `chrome-extension://test/${path}`
+    },
+    windows: {
+      getAll: () => Promise.resolve(browser.windows),
+      create: createData => {
+        const window = { id: browser.nextWindowId++, ...createData };
+        const tab = createTab({ windowId: window.id, url: createData.url, index: 0, active: true });
+        browser.calls.push(['windows.create', createData]);
+        return Promise.resolve({ ...window, tabs: [tab] });
+      }
+    },
+    tabs: {
+      query: () => Promise.resolve(browser.tabs),
+      create: properties => {
+        browser.calls.push(['tabs.create', properties]);
+        return Promise.resolve(createTab(properties));
+      },
+      update: (tabId, properties) => {
+        const tab = browser.tabs.find(candidate => candidate.id === tabId);
+        Object.assign(tab, properties);
+        return Promise.resolve(tab);
+      },
+      remove: tabIds => {
+        browser.calls.push(['tabs.remove', tabIds]);
+        browser.tabs = browser.tabs.filter(tab => !tabIds.includes(tab.id));
+        return Promise.resolve();
+      }
+    }
+  };
+
+  return { browser, localStore };
+});
+
+import { TabManager } from '../shared/tab-manager.js';
+import { SyncEngine } from '../shared/sync-engine.js';
+import { storageService } from '../shared/storage/storage-service.js';
+import { replayChangeLog } from '../shared/delta-sync.js';
+
+function createTab(url, windowId, index, overrides = {}) {
+  return {
+    id: `tab_${url}`,
+    url,
+    title: url,
+    windowId,
+    index,
+    timestamp: Date.now(),
+    deviceId: 'desktop',
+    pinned: false,
+    active: false,
+    ...overrides
+  };
+}
+
+describe('TabManager window layout', () => {
+  let tabManager;
+
+  beforeEach(() => {
+    browser.windows = [];
+    browser.tabs = [];
+    browser.calls = [];
+    tabManager = new TabManager();
+  });
+
+  it('should capture window state and bounds', async () => {
+    browser.windows = [
+      { id: 1, type: 'normal', state: 'normal', focused: true, incognito: false, left: 10, top: 20, width: 800, height: 600, tabs: [] },
+      { id: 2, type: 'normal', state: 'maximized', focused: false, incognito: true, tabs: [] }
+    ];
+
+    const windows = await tabManager.getAllWindows();
+    const layouts = await tabManager.getWindowLayouts();
+
+    expect(windows[0]).toMatchObject({ id: 1, state: 'normal', left: 10, top: 20, width: 800, height: 600, focused: true });
+    expect(layouts).toEqual([
+      { id: 1, type: 'normal', state: 'normal', incognito: false, left: 10, top: 20, width: 800, height: 600 }
+    ]);
+  });
+
+  it('should recreate each remote window with its order, pinned and active tabs', async () => {
+    const tabs = [
+      createTab('https://c.example/', 7, 2, { active: true }),
+      createTab('https://a.example/', 7, 0, { pinned: true }),
+      createTab('https://b.example/', 7, 1),
+      createTab('https://d.example/', 9, 0, { active: true })
+    ];
+    const layouts = [
+      { id: 7, type: 'normal', state: 'normal', left: 0, top: 0, width: 1200, height: 900 },
+      { id: 9, type: 'normal', state: 'maximized', left: 5, top: 5, width: 400, height: 300 }
+    ];
+
+    const result = await tabManager.restoreWindowLayout(tabs, layouts);
+
+    expect(result.windowMap).toEqual({ 'desktop:7': 50, 'desktop:9': 51 });
+    expect(browser.calls.filter(([name]) => name === 'windows.create').map(([, data]) => data)).toEqual([
+      { url: 'https://a.example/', type: 'normal', focused: false, left: 0, top: 0, width: 1200, height: 900 },
+      { url: 'https://d.example/', type: 'normal', focused: false, state: 'maximized' }
+    ]);
+
+    const firstWindow = browser.tabs.filter(tab => tab.windowId === 50);
+    expect(firstWindow.map(tab => tab.url)).toEqual(['https://a.example/', 'https://b.example/', 'https://c.example/']);
+    expect(firstWindow[0].pinned).toBe(true);
+    expect(firstWindow[2].active).toBe(true);
+  });
+
+  it('should keep windows from different devices apart', async () => {
+    const tabs = [
+      createTab('https://a.example/', 1, 0, { deviceId: 'desktop' }),
+      createTab('https://b.example/', 1, 0, { deviceId: 'laptop' })
+    ];
+    const layouts = [
+      { id: 1, type: 'normal', state: 'normal', width: 1000, deviceId: 'desktop' },
+      { id: 1, type: 'normal', state: 'normal', width: 500, deviceId: 'laptop' }
+    ];
+
+    const result = await tabManager.restoreWindowLayout(tabs, layouts);
+
+    expect(Object.keys(result.windowMap)).toEqual(['desktop:1', 'laptop:1']);
+    expect(browser.calls.map(([, data]) => data.width)).toEqual([1000, 500]);
+  });
+});
+
+describe('SyncEngine window layout', () => {
+  let engine;
+
+  beforeEach(() => {
+    for (const key of Object.keys(localStore)) delete localStore[key];
+    localStore.deviceId = 'laptop';
+    vi.restoreAllMocks();
+    browser.windows = [];
+    browser.tabs = [];
+    browser.calls = [];
+
+    engine = new SyncEngine();
+    engine.deviceId = 'laptop';
+  });
+
+  it('should close replaced tabs only after the remote windows are restored', async () => {
+    browser.tabs = [{ id: 1, windowId: 1, index: 0, url: 'https://old.example/', title: 'Old' }];
+
+    const result = await engine.applyRemoteTabs([createTab('https://new.example/', 3, 0)], {
+      windows: [{ id: 3, type: 'normal', state: 'normal' }],
+      closeExistingTabs: true
+    });
+
+    expect(browser.calls.map(([name]) => name)).toEqual(['windows.create', 'tabs.remove']);
+    expect(result.closed).toEqual([1]);
+    expect(browser.tabs.map(tab => tab.url)).toEqual(['https://new.example/']);
+  });
+
+  it('should tag merged window layouts with their device', () => {
+    const merged = engine.mergeDeviceSnapshots([
+      { version: '1.0.0', deviceId: 'desktop', timestamp: 2, tabs: [], windows: [{ id: 1 }], metadata: {} },
+      { version: '1.0.0', deviceId: 'phone', timestamp: 1, tabs: [], windows: [{ id: 1 }], metadata: {} }
+    ]);
+
+    expect(merged.windows).toEqual([{ id: 1, deviceId: 'desktop' }, { id: 1, deviceId: 'phone' }]);
+  });
+
+  it('should upload a change log entry when only the window layout changed', async () => {
+    vi.spyOn(storageService, 'storeDeviceSnapshot').mockResolvedValue({ size: 100 });
+    vi.spyOn(storageService, 'appendDeviceChanges').mockResolvedValue({ size: 10 });
+    const now = Date.now();
+    const tabs = [createTab('https://a.example/', 1, 0, { chromeTabId: 1 })];
+    const syncData = (timestamp, width) => ({
+      version: '1.0.0', deviceId: 'laptop', timestamp, tabs, metadata: {},
+      windows: [{ id: 1, type: 'normal', state: 'normal', width }]
+    });
+
+    await engine.publishSyncData(syncData(now, 800));
+    const unchanged = await engine.publishSyncData(syncData(now + 1, 800));
+    const resized = await engine.publishSyncData(syncData(now + 2, 1024));
+
+    expect(unchanged.mode).toBe('skip');
+    expect(resized.mode).toBe('delta');
+    const entry = storageService.appendDeviceChanges.mock.calls[0][1];
+    expect(entry.windows[0].width).toBe(1024);
+
+    const replayed = replayChangeLog(syncData(now, 800), { baseTimestamp: now, entries: [entry] });
+    expect(replayed.windows[0].width).toBe(1024);
+  });
+});